@@ -0,0 +1,35 @@
+// scripts/sim-hooks.js
+
+/**
+ * Node module hooks that let the game's source load outside Vite:
+ * - Extensionless relative imports ("./GameConfig") resolve to ".js"
+ * - JSON imports (the wave scripts) load as a default export
+ *
+ * Registered by sim-register.js; see scripts/simulate.js.
+ */
+
+import { readFile } from "node:fs/promises";
+
+export async function resolve(specifier, context, nextResolve) {
+  try {
+    return await nextResolve(specifier, context);
+  } catch (error) {
+    const isRelative = specifier.startsWith(".") || specifier.startsWith("/");
+    if (error.code !== "ERR_MODULE_NOT_FOUND" || !isRelative) throw error;
+
+    return nextResolve(`${specifier}.js`, context);
+  }
+}
+
+export async function load(url, context, nextLoad) {
+  if (!url.endsWith(".json")) {
+    return nextLoad(url, context);
+  }
+
+  const source = await readFile(new URL(url), "utf8");
+  return {
+    format: "module",
+    source: `export default ${source};`,
+    shortCircuit: true,
+  };
+}
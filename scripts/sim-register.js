@@ -0,0 +1,7 @@
+// scripts/sim-register.js
+
+// Preload with `node --import ./scripts/sim-register.js` to import game
+// modules (src/game/...) from Node
+import { register } from "node:module";
+
+register("./sim-hooks.js", import.meta.url);
@@ -0,0 +1,104 @@
+// scripts/simulate.js
+
+/**
+ * Runs a wave headlessly and prints its timeline
+ *
+ * Usage:
+ *   npm run simulate -- [options]
+ *
+ * Options:
+ *   --wave <1|2|3|endless>  Wave to run (default 1)
+ *   --seed <number>         RNG seed (default 1)
+ *   --inputs <file>         JSON input script: [{ "time": ms, "action": "jump" }]
+ *                           ("step" may replace "time"), an exported replay
+ *                           file or the actions of a --json report
+ *   --autopilot             Let the autopilot play instead of an input script
+ *   --lives <number|inf>    Starting lives (default GAME_CONFIG.PLAYER.MAX_LIVES)
+ *   --lanes <number|free>   Lane count, or free movement (default
+ *                           GAME_CONFIG.LANES.DEFAULT_COUNT)
+ *   --max-time <seconds>    Simulated time limit (default 600)
+ *   --continue              Keep playing into the following waves
+ *   --boss-phase <name|n>   Start boss timelines at this phase
+ *   --profile               Time every step and report step times and the
+ *                           most colliders and bodies in play at once
+ *   --json                  Print the full report as JSON
+ *   --expect-survive        Exit with code 1 if the player dies
+ *   --expect-stop-level     Exit with code 1 if stopLevel never fires
+ */
+
+import * as fs from "fs";
+import { autopilot } from "../src/game/sim/Autopilot";
+import { formatReport, runSimulation } from "../src/game/sim/HeadlessRunner";
+
+const parseArgs = (args) => {
+  const options = {};
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (!arg.startsWith("--")) continue;
+
+    const next = args[i + 1];
+    if (next === undefined || next.startsWith("--")) {
+      options[arg.slice(2)] = true;
+    } else {
+      options[arg.slice(2)] = next;
+      i++;
+    }
+  }
+  return options;
+};
+
+const loadInputs = (file) => {
+  const data = JSON.parse(fs.readFileSync(file, "utf8"));
+  return Array.isArray(data) ? data : data.actions || [];
+};
+
+const main = () => {
+  const args = parseArgs(process.argv.slice(2));
+
+  const report = runSimulation({
+    wave: args.wave === "endless" ? "endless" : Number(args.wave || 1),
+    seed: Number(args.seed || 1),
+    inputs: args.autopilot
+      ? autopilot
+      : args.inputs
+      ? loadInputs(args.inputs)
+      : [],
+    lives:
+      args.lives === undefined
+        ? undefined
+        : args.lives === "inf"
+        ? Infinity
+        : Number(args.lives),
+    laneCount:
+      args.lanes === undefined
+        ? undefined
+        : args.lanes === "free"
+        ? "free"
+        : Number(args.lanes),
+    maxTime: args["max-time"] ? Number(args["max-time"]) * 1000 : undefined,
+    stopAtWaveEnd: !args.continue,
+    bossPhase: /^\d+$/.test(args["boss-phase"])
+      ? Number(args["boss-phase"])
+      : args["boss-phase"],
+    profile: Boolean(args.profile),
+  });
+
+  console.log(
+    args.json ? JSON.stringify(report, null, 2) : formatReport(report)
+  );
+
+  const failures = [];
+  if (args["expect-survive"] && !report.survived) {
+    failures.push("player did not survive");
+  }
+  if (args["expect-stop-level"] && !report.stopLevelFired) {
+    failures.push("stopLevel never fired");
+  }
+
+  if (failures.length > 0) {
+    console.error(`\nFAILED: ${failures.join(", ")}`);
+    process.exit(1);
+  }
+};
+
+main();
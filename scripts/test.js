@@ -0,0 +1,575 @@
+// scripts/test.js
+
+/**
+ * Checks the game's data handling, then plays it headlessly:
+ * - Wave scripts: the validator rejects malformed scripts, listing every
+ *   problem, and normalizes valid ones
+ * - Save data: unreadable or unknown-version saves are backed up and
+ *   replaced, mistyped fields fall back, and reset keeps what it should
+ * - Leaderboards: entries are inserted in score order and trimmed to
+ *   LEADERBOARD_SIZE
+ * - Replay files: parseReplay rejects malformed replays
+ * - Every story wave with every lane setting (2 or 3 lanes, free
+ *   movement): the autopilot survives and the wave's script runs to its
+ *   end (stopLevel fires)
+ * - Replays: a recorded run, exported and parsed back, plays back to the
+ *   same score, death step and obstacle count
+ *
+ * Usage:
+ *   npm test
+ *
+ * localStorage is an in-memory stand-in. Runs use a fixed seed, so a
+ * failing wave reproduces with:
+ *   npm run simulate -- --wave <n> --seed 1 --lanes <2|3|free> --autopilot
+ */
+
+import { isDeepStrictEqual } from "node:util";
+import { GAME_CONFIG } from "../src/game/config/GameConfig";
+import {
+  ReplayManager,
+  REPLAY_VERSION,
+} from "../src/game/controllers/ReplayManager";
+import { autopilot } from "../src/game/sim/Autopilot";
+import { runSimulation } from "../src/game/sim/HeadlessRunner";
+import { LANE_MODES } from "../src/game/utils/LaneLayout";
+import {
+  addLeaderboardEntry,
+  getLeaderboard,
+  LEADERBOARD_SIZE,
+  qualifiesForLeaderboard,
+} from "../src/game/utils/Leaderboard";
+import { validateWaveScript } from "../src/game/waves/WaveScripts";
+
+const WAVES = [1, 2, 3];
+const SEED = 1;
+
+/**
+ * localStorage keys SaveData uses for the save and its backup
+ */
+const SAVE_KEY = "dashjump-save";
+const BACKUP_KEY = "dashjump-save-backup";
+
+// In-memory localStorage for SaveData
+const storage = new Map();
+globalThis.window = {
+  localStorage: {
+    getItem: (key) => (storage.has(key) ? storage.get(key) : null),
+    setItem: (key, value) => storage.set(key, String(value)),
+  },
+};
+
+/**
+ * Autopilot that looks away for 2s out of every 22s, so the recorded run
+ * ends in a death partway through Wave 3
+ */
+const distractedAutopilot = (scene) =>
+  scene.time.now % 22000 < 20000 ? autopilot(scene) : null;
+
+let checks = 0;
+let failed = 0;
+
+// Prints one check's result and counts failures
+const report = (summary, failures) => {
+  checks++;
+  if (failures.length > 0) {
+    failed++;
+    console.error(`FAIL ${summary} (${failures.join(", ")})`);
+  } else {
+    console.log(`ok   ${summary}`);
+  }
+};
+
+/**
+ * Returns the message fn throws, or null if it returns normally
+ */
+const thrownBy = (fn) => {
+  try {
+    fn();
+  } catch (error) {
+    return error.message;
+  }
+  return null;
+};
+
+/**
+ * Checks that fn throws an error mentioning expected
+ *
+ * @returns {string|null} Failure description, or null
+ */
+const expectError = (name, fn, expected) => {
+  const message = thrownBy(fn);
+  if (message === null) return `${name}: accepted`;
+  if (!message.includes(expected)) return `${name}: ${message}`;
+  return null;
+};
+
+// ============================================================================
+// DATA
+// ============================================================================
+
+const checkWaveScripts = () => {
+  const valid = { wave: 1, steps: [{ type: "wait", duration: 100 }] };
+  const withSteps = (...steps) => ({ ...valid, steps });
+
+  const cases = [
+    ["not an object", [], "expected a JSON object"],
+    ["wave 0", { ...valid, wave: 0 }, `"wave" must be an integer > 0`],
+    ["no steps", withSteps(), `"steps" must be a non-empty array`],
+    [
+      "unknown step type",
+      withSteps({ type: "laser" }),
+      `"laser" is not a known step type`,
+    ],
+    [
+      "missing field",
+      withSteps({ type: "wait" }),
+      `is missing required "duration"`,
+    ],
+    [
+      "unknown field",
+      withSteps({ type: "wait", duration: 1, speed: 2 }),
+      "steps[0].speed is not a valid field",
+    ],
+    [
+      "unknown lane",
+      withSteps({ type: "spike", lane: "middle" }),
+      "must be a lane index",
+    ],
+    [
+      "negative delay",
+      withSteps({ type: "spike", delay: -1 }),
+      "steps[0].delay must be a number >= 0",
+    ],
+    [
+      "cap on an unknown type",
+      { ...valid, caps: { laser: 1 } },
+      "caps.laser is not an obstacle type",
+    ],
+    [
+      "default that can't be defaulted",
+      { ...valid, defaults: { repeat: 2 } },
+      "defaults.repeat is not allowed",
+    ],
+  ];
+
+  const failures = cases
+    .map(([name, script, expected]) =>
+      expectError(name, () => validateWaveScript(script), expected)
+    )
+    .filter(Boolean);
+
+  // Every problem is listed, one per line under the heading
+  const message = thrownBy(() =>
+    validateWaveScript({ wave: 0, steps: [{ type: "laser" }] })
+  );
+  if (!message || message.split("\n").length !== 3) {
+    failures.push(`two problems: ${message}`);
+  }
+
+  const normalized = validateWaveScript({
+    wave: 2,
+    defaults: { after: 300 },
+    steps: [
+      { type: "spike", repeat: 2 },
+      { type: "wait", duration: 500, after: 0 },
+    ],
+  });
+  const steps = normalized.steps;
+  if (
+    steps.length !== 3 ||
+    steps[1].after !== 300 ||
+    steps[2].after !== 0 ||
+    steps[0].delay !== 0 ||
+    steps[0].waitForClear !== false
+  ) {
+    failures.push(`normalized steps: ${JSON.stringify(steps)}`);
+  }
+
+  report(`Wave scripts: ${cases.length} malformed scripts rejected`, failures);
+};
+
+let saveLoads = 0;
+
+/**
+ * Stores a save, then loads it with a fresh copy of SaveData (the loaded
+ * save is module state) and returns that module
+ *
+ * @param {Object|string} [stored] - Save to store (raw if a string)
+ * @returns {Promise<Object>} SaveData module, with warnings it logged
+ */
+const loadSave = async (stored) => {
+  storage.clear();
+  if (stored !== undefined) {
+    storage.set(
+      SAVE_KEY,
+      typeof stored === "string" ? stored : JSON.stringify(stored)
+    );
+  }
+
+  saveLoads++;
+  const saveData = await import(
+    `../src/game/utils/SaveData.js?load=${saveLoads}`
+  );
+
+  const warnings = [];
+  const warn = console.warn;
+  console.warn = (...args) => warnings.push(args.join(" "));
+  saveData.getSave();
+  console.warn = warn;
+
+  return { ...saveData, warnings };
+};
+
+const checkSaveData = async () => {
+  const failures = [];
+  const expect = (name, actual, expected) => {
+    if (!isDeepStrictEqual(actual, expected)) {
+      failures.push(
+        `${name}: ${JSON.stringify(actual)}, expected ${JSON.stringify(
+          expected
+        )}`
+      );
+    }
+  };
+
+  // ===== Missing, Unreadable and Unknown Versions =====
+  const fresh = await loadSave();
+  expect("no save", fresh.getSave(), fresh.createDefaultSave());
+
+  // Version 1 is the first format, so no save can be upgraded yet;
+  // versions outside 1..SAVE_VERSION must be rejected, not guessed at
+  const unreadable = [
+    ["not JSON", "{oops"],
+    ["an array", "[]"],
+    ["no version", JSON.stringify({ settings: {} })],
+    ["version 0", JSON.stringify({ version: 0 })],
+    ["a newer version", JSON.stringify({ version: fresh.SAVE_VERSION + 1 })],
+  ];
+  for (const [name, raw] of unreadable) {
+    const loaded = await loadSave(raw);
+    expect(name, loaded.getSave(), loaded.createDefaultSave());
+    expect(`${name} backed up`, storage.get(BACKUP_KEY), raw);
+    expect(`${name} warned`, loaded.warnings.length, 1);
+  }
+
+  // ===== Sanitizing =====
+  const { getSave } = await loadSave({
+    version: 1,
+    progress: { completionCount: "2", tutorialCompleted: true },
+    settings: { musicVolume: "loud", particleQuality: "low", laneCount: 4 },
+    stats: { deaths: NaN, runsStarted: 3 },
+    leaderboards: {
+      story: [
+        { name: "AAA", score: 5, wave: 2 },
+        { name: "BBB" },
+        { name: 7, score: 9, wave: 1 },
+      ],
+      arcade: [{ name: "CCC", score: 1 }],
+    },
+    daily: {
+      results: {
+        "2026-10-18": { timeSurvived: 1000 },
+        "2026-10-19": { timeSurvived: "long" },
+        today: { timeSurvived: 5, obstaclesDodged: 1 },
+      },
+    },
+  });
+  const save = getSave();
+  expect("progress", save.progress, {
+    completionCount: 0,
+    tutorialCompleted: true,
+    restartWave: 1,
+  });
+  expect("musicVolume", save.settings.musicVolume, 1);
+  expect("particleQuality", save.settings.particleQuality, "low");
+  expect("laneCount", save.settings.laneCount, 2);
+  expect("stats", [save.stats.deaths, save.stats.runsStarted], [0, 3]);
+  expect(
+    "story table",
+    save.leaderboards.story.map((entry) => [entry.name, entry.score]),
+    [
+      ["???", 9],
+      ["AAA", 5],
+    ]
+  );
+  expect("unknown table", save.leaderboards.arcade, undefined);
+  expect("daily", save.daily.results, {
+    "2026-10-18": { timeSurvived: 1000, obstaclesDodged: 0 },
+  });
+
+  const free = await loadSave({ version: 1, settings: { laneCount: "free" } });
+  expect("free lanes", free.getSave().settings.laneCount, "free");
+
+  // ===== Reset =====
+  const reset = await loadSave({
+    version: 1,
+    progress: { completionCount: 3 },
+    settings: { musicVolume: 0.5 },
+    unlocks: { puppies: ["puppy1"] },
+    leaderboards: { story: [{ name: "AAA", score: 5, wave: 1 }] },
+    daily: { results: { "2026-10-18": { timeSurvived: 1000 } } },
+  });
+  reset.resetProgress();
+  const stored = JSON.parse(storage.get(SAVE_KEY));
+  expect("reset progress", stored.progress.completionCount, 0);
+  expect("reset unlocks", stored.unlocks.puppies, []);
+  expect("reset daily", stored.daily.results, {});
+  expect("reset keeps settings", stored.settings.musicVolume, 0.5);
+  expect("reset keeps tables", stored.leaderboards.story.length, 1);
+
+  report(
+    `Save data: ${unreadable.length} unreadable saves replaced, ` +
+      "sanitizing and reset",
+    failures
+  );
+};
+
+const checkLeaderboards = () => {
+  // Leaderboard's SaveData is loaded on first use, from an empty store
+  storage.clear();
+  const failures = [];
+  const scores = (mode) => getLeaderboard(mode).map((entry) => entry.score);
+
+  if (qualifiesForLeaderboard("story", 0)) {
+    failures.push("a score of 0 qualified");
+  }
+  if (!qualifiesForLeaderboard("story", 10)) {
+    failures.push("an empty table turned a score away");
+  }
+
+  const added = [50, 80, 50, 20, 90, 10, 70, 60, 30, 40];
+  const ranks = added.map((score, index) =>
+    addLeaderboardEntry({
+      name: `P${index}`,
+      score,
+      wave: 1,
+      mode: "story",
+    })
+  );
+  if (!isDeepStrictEqual(ranks, [1, 1, 3, 4, 1, 6, 3, 4, 7, 7])) {
+    failures.push(`ranks ${ranks.join(", ")}`);
+  }
+  const sorted = [...added].sort((a, b) => b - a);
+  if (!isDeepStrictEqual(scores("story"), sorted)) {
+    failures.push(`table ${scores("story").join(", ")}`);
+  }
+
+  // Ties keep the older entry ahead
+  const tied = getLeaderboard("story").filter((entry) => entry.score === 50);
+  if (tied.map((entry) => entry.name).join() !== "P0,P2") {
+    failures.push(`tied entries in order ${tied.map((e) => e.name).join()}`);
+  }
+
+  // A full table only takes scores above its last entry
+  if (qualifiesForLeaderboard("story", 10)) {
+    failures.push("a score equal to the last entry qualified");
+  }
+  const rank = addLeaderboardEntry({
+    name: "NEW",
+    score: 15,
+    wave: 1,
+    mode: "story",
+  });
+  const missed = addLeaderboardEntry({
+    name: "LOW",
+    score: 5,
+    wave: 1,
+    mode: "story",
+  });
+  if (rank !== LEADERBOARD_SIZE || missed !== 0) {
+    failures.push(`ranks ${rank} and ${missed} on a full table`);
+  }
+  const trimmed = scores("story");
+  if (
+    trimmed.length !== LEADERBOARD_SIZE ||
+    trimmed[trimmed.length - 1] !== 15
+  ) {
+    failures.push(`trimmed table ${trimmed.join(", ")}`);
+  }
+
+  if (getLeaderboard("endless").length !== 0) {
+    failures.push("another mode's table changed");
+  }
+  const stored = JSON.parse(storage.get(SAVE_KEY)).leaderboards.story;
+  if (!isDeepStrictEqual(stored, getLeaderboard("story"))) {
+    failures.push("table not saved");
+  }
+
+  report(
+    `Leaderboards: ${added.length + 2} entries inserted and trimmed`,
+    failures
+  );
+};
+
+const checkReplayFiles = () => {
+  const valid = {
+    version: REPLAY_VERSION,
+    seed: 42,
+    gameMode: "story",
+    startWave: 2,
+    laneCount: 3,
+    tutorialCompleted: true,
+    skipDialogue: false,
+    actions: [
+      { step: 10, action: "jump" },
+      { step: 10, action: "dashLeft" },
+    ],
+  };
+  const parse = (replay) =>
+    ReplayManager.parseReplay(
+      typeof replay === "string" ? replay : JSON.stringify(replay)
+    );
+  const withActions = (...actions) => ({ ...valid, actions });
+
+  const cases = [
+    ["not JSON", "{oops", "JSON"],
+    ["an array", [], "expected a JSON object"],
+    ["another version", { ...valid, version: 0 }, `"version" must be`],
+    ["negative seed", { ...valid, seed: -1 }, `"seed" must be`],
+    ["unknown mode", { ...valid, gameMode: "arcade" }, `"gameMode" must be`],
+    ["unscripted wave", { ...valid, startWave: 99 }, `"startWave" must be`],
+    ["unknown lanes", { ...valid, laneCount: 4 }, `"laneCount" must be`],
+    [
+      "missing flag",
+      { ...valid, skipDialogue: undefined },
+      `"skipDialogue" must be a boolean`,
+    ],
+    ["no actions", { ...valid, actions: {} }, `"actions" must be an array`],
+    [
+      "negative step",
+      withActions({ step: -1, action: "jump" }),
+      "actions[0].step must be an integer >= 0",
+    ],
+    [
+      "steps out of order",
+      withActions({ step: 5, action: "jump" }, { step: 4, action: "jump" }),
+      "actions[1].step must not be before the previous action",
+    ],
+    [
+      "unknown action",
+      withActions({ step: 1, action: "teleport" }),
+      `actions[0].action "teleport" is not a known action`,
+    ],
+  ];
+
+  const failures = cases
+    .map(([name, replay, expected]) =>
+      expectError(name, () => parse(replay), expected)
+    )
+    .filter(Boolean);
+
+  const problem = thrownBy(() => parse(valid));
+  if (problem) failures.push(`valid replay: ${problem}`);
+  const problemWithoutLanes = thrownBy(() =>
+    parse({ ...valid, laneCount: undefined })
+  );
+  if (problemWithoutLanes) {
+    failures.push(`replay without laneCount: ${problemWithoutLanes}`);
+  }
+
+  report(`Replay files: ${cases.length} malformed replays rejected`, failures);
+};
+
+// ============================================================================
+// SIMULATION
+// ============================================================================
+
+const checkWaves = () => {
+  LANE_MODES.forEach((laneCount) => {
+    WAVES.forEach((wave) => {
+      const result = runSimulation({
+        wave,
+        seed: SEED,
+        laneCount,
+        inputs: autopilot,
+      });
+
+      const failures = [];
+      if (!result.survived) failures.push("player did not survive");
+      if (!result.stopLevelFired) failures.push("stopLevel never fired");
+
+      const lanes =
+        laneCount === "free" ? "free movement" : `${laneCount} lanes`;
+      report(
+        `Wave ${wave}, seed ${SEED}, ${lanes}: ` +
+          `${(result.duration / 1000).toFixed(2)}s, ` +
+          `lives lost ${result.livesLost}`,
+        failures
+      );
+    });
+  });
+};
+
+const checkReplay = () => {
+  const wave = 3;
+  const recorded = runSimulation({
+    wave,
+    seed: SEED,
+    inputs: distractedAutopilot,
+  });
+
+  // Round-trip through the replay file format, as export and import do
+  const replay = ReplayManager.parseReplay(
+    JSON.stringify({
+      version: REPLAY_VERSION,
+      seed: SEED,
+      gameMode: "story",
+      startWave: wave,
+      laneCount: GAME_CONFIG.LANES.DEFAULT_COUNT,
+      tutorialCompleted: true,
+      skipDialogue: true,
+      actions: recorded.actions,
+    })
+  );
+  const played = runSimulation({
+    wave: replay.startWave,
+    seed: replay.seed,
+    laneCount: replay.laneCount,
+    inputs: replay.actions,
+  });
+
+  const countSpawns = (result) =>
+    Object.values(result.spawns).reduce((total, count) => total + count, 0);
+
+  const failures = [];
+  if (!recorded.gameOver) {
+    failures.push("recorded run did not end in a death");
+  }
+  if (played.score !== recorded.score) {
+    failures.push(`score ${played.score}, recorded ${recorded.score}`);
+  }
+  if (
+    played.gameOver !== recorded.gameOver ||
+    played.steps !== recorded.steps
+  ) {
+    failures.push(`ended on step ${played.steps}, recorded ${recorded.steps}`);
+  }
+  if (countSpawns(played) !== countSpawns(recorded)) {
+    failures.push(
+      `${countSpawns(played)} obstacles, recorded ${countSpawns(recorded)}`
+    );
+  }
+
+  report(
+    `Replay of wave ${wave}, seed ${SEED}: ` +
+      `${recorded.actions.length} actions, died on step ${recorded.steps}, ` +
+      `score ${recorded.score}`,
+    failures
+  );
+};
+
+const main = async () => {
+  checkWaveScripts();
+  await checkSaveData();
+  checkLeaderboards();
+  checkReplayFiles();
+  checkWaves();
+  checkReplay();
+
+  if (failed > 0) {
+    console.error(`\n${failed} of ${checks} checks failed`);
+    process.exit(1);
+  }
+};
+
+main();
@@ -0,0 +1,354 @@
+// src/game/bosses/BossTimelines.js
+
+import wave1 from "./wave1.json";
+import wave2 from "./wave2.json";
+import wave3 from "./wave3.json";
+import { CHECKS, throwIfInvalid } from "../utils/Validation";
+
+/**
+ * BossTimelines
+ *
+ * Loads, validates and normalizes the JSON boss timelines that
+ * BossManager interprets. A timeline is a list of phases played one after
+ * another:
+ *
+ * {
+ *   "name": "wave2",
+ *   "phases": [
+ *     {
+ *       "name": "barrage",
+ *       "enter": true,
+ *       "telegraph": { "duration": 300, "repeat": 5 },
+ *       "attacks": [
+ *         { "type": "trackedShot", "count": 5, "interval": 800 },
+ *         { "type": "ballSupport", "delay": 500 }
+ *       ],
+ *       "duration": 4200
+ *     }
+ *   ]
+ * }
+ *
+ * Phase fields:
+ * - name: unique within the timeline, used to jump to the phase
+ * - enter: the boss flies in first if it is off-screen (default false)
+ * - telegraph: aiming flash before the attacks, "duration" ms per flash
+ *   and "repeat" extra flashes (default none)
+ * - attacks: started together once the boss is ready, each after its own
+ *   "delay" ms (default 0)
+ * - duration: ms from the start of the attacks to the end of the phase
+ * - exit: the boss leaves at the end of the phase and the next phase
+ *   starts once it is off-screen (default false; the last phase always
+ *   exits)
+ *
+ * Attack types and their own fields:
+ * - trackedShot: count shots (default 1) every interval ms (default 800)
+ *   aimed at the player, at speed (default 1800)
+ * - laneVolley: lane warning while the boss glides over the lane, then
+ *   count shots (default 10) every interval ms (default 1000) straight
+ *   down into lane ("left" | "right" | lane index), with balls rolling
+ *   through the volley
+ * - spikeShower: 10 spikes sweeping back and forth (WaveManager)
+ * - ballSupport: keeps one ball rolling until the phase ends
+ *
+ * Timelines are validated when this module loads (see utils/Validation.js).
+ */
+
+// ============================================================================
+// SCHEMA
+// ============================================================================
+
+/**
+ * Attack type definitions: which fields each type requires and the
+ * defaults of the ones it may omit
+ * @constant {Object<string, {required: string[], defaults: Object}>}
+ */
+export const ATTACK_TYPES = {
+  trackedShot: {
+    required: [],
+    defaults: { count: 1, interval: 800, speed: 1800 },
+  },
+  laneVolley: { required: ["lane"], defaults: { count: 10, interval: 1000 } },
+  spikeShower: { required: [], defaults: {} },
+  ballSupport: { required: [], defaults: {} },
+};
+
+/**
+ * Fields a phase may carry
+ * @constant {string[]}
+ */
+const PHASE_FIELDS = [
+  "name",
+  "enter",
+  "telegraph",
+  "attacks",
+  "duration",
+  "exit",
+];
+
+/**
+ * Per-field checks. Each returns an error description or null if valid.
+ * @constant {Object<string, Function>}
+ */
+const FIELD_CHECKS = {
+  delay: CHECKS.nonNegativeNumber,
+  duration: CHECKS.nonNegativeNumber,
+  interval: CHECKS.nonNegativeNumber,
+  speed: CHECKS.positiveNumber,
+  count: CHECKS.positiveInteger,
+  repeat: CHECKS.nonNegativeInteger,
+  lane: (v) =>
+    (Number.isInteger(v) && v >= 0) || v === "left" || v === "right"
+      ? null
+      : `"${v}" must be a lane index >= 0 or one of left, right`,
+};
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+/**
+ * Validates a raw boss timeline and returns a normalized copy
+ *
+ * Normalization:
+ * - enter/exit/telegraph/attacks are always present on the returned
+ *   phases (telegraph is null without one)
+ * - attacks get their type's defaults and a delay
+ * - the last phase always exits
+ *
+ * @param {Object} timeline - Parsed JSON boss timeline
+ * @param {string} [source="boss timeline"] - Name used in error messages
+ * @returns {{name: string, phases: Object[]}} Normalized timeline ready
+ *          for BossManager
+ * @throws {Error} Listing every problem found, one per line
+ */
+export function validateBossTimeline(timeline, source = "boss timeline") {
+  const errors = [];
+
+  if (!timeline || typeof timeline !== "object" || Array.isArray(timeline)) {
+    throw new Error(`Invalid ${source}: expected a JSON object`);
+  }
+
+  if (typeof timeline.name !== "string") {
+    errors.push(`"name" must be a string`);
+  }
+
+  if (!Array.isArray(timeline.phases) || timeline.phases.length === 0) {
+    errors.push(`"phases" must be a non-empty array`);
+  } else {
+    const names = [];
+    timeline.phases.forEach((phase, index) => {
+      const path = `phases[${index}]`;
+      validatePhase(phase, path, errors);
+
+      if (phase && names.includes(phase.name)) {
+        errors.push(`${path}.name "${phase.name}" is used twice`);
+      }
+      names.push(phase && phase.name);
+    });
+  }
+
+  throwIfInvalid(errors, source);
+
+  // ===== Normalize =====
+  const lastIndex = timeline.phases.length - 1;
+  const phases = timeline.phases.map((phase, index) => ({
+    name: phase.name,
+    enter: phase.enter === true,
+    telegraph: phase.telegraph ? { ...phase.telegraph } : null,
+    attacks: (phase.attacks || []).map((attack) => ({
+      delay: 0,
+      ...ATTACK_TYPES[attack.type].defaults,
+      ...attack,
+    })),
+    duration: phase.duration,
+    exit: phase.exit === true || index === lastIndex,
+  }));
+
+  return { name: timeline.name, phases };
+}
+
+/**
+ * Validates a single phase, pushing any problems onto the errors array
+ *
+ * @param {Object} phase - Raw phase object
+ * @param {string} path - Location used in error messages (e.g. "phases[1]")
+ * @param {string[]} errors - Accumulated error messages
+ * @private
+ */
+function validatePhase(phase, path, errors) {
+  if (!phase || typeof phase !== "object" || Array.isArray(phase)) {
+    errors.push(`${path} must be an object`);
+    return;
+  }
+
+  Object.keys(phase).forEach((key) => {
+    if (!PHASE_FIELDS.includes(key)) {
+      errors.push(`${path}.${key} is not a valid phase field`);
+    }
+  });
+
+  if (typeof phase.name !== "string" || phase.name === "") {
+    errors.push(`${path}.name must be a non-empty string`);
+  }
+  ["enter", "exit"].forEach((key) => {
+    if (phase[key] !== undefined && typeof phase[key] !== "boolean") {
+      errors.push(`${path}.${key} must be a boolean`);
+    }
+  });
+
+  const durationProblem = FIELD_CHECKS.duration(phase.duration);
+  if (durationProblem) errors.push(`${path}.duration ${durationProblem}`);
+
+  // ===== Telegraph =====
+  const telegraph = phase.telegraph;
+  if (telegraph !== undefined) {
+    if (!telegraph || typeof telegraph !== "object") {
+      errors.push(`${path}.telegraph must be an object`);
+    } else {
+      ["duration", "repeat"].forEach((key) => {
+        const problem = FIELD_CHECKS[key](telegraph[key]);
+        if (problem) errors.push(`${path}.telegraph.${key} ${problem}`);
+      });
+    }
+  }
+
+  // ===== Attacks =====
+  if (phase.attacks === undefined) return;
+  if (!Array.isArray(phase.attacks)) {
+    errors.push(`${path}.attacks must be an array`);
+    return;
+  }
+  phase.attacks.forEach((attack, index) =>
+    validateAttack(attack, `${path}.attacks[${index}]`, errors)
+  );
+}
+
+/**
+ * Validates a single attack, pushing any problems onto the errors array
+ *
+ * @param {Object} attack - Raw attack object
+ * @param {string} path - Location used in error messages
+ * @param {string[]} errors - Accumulated error messages
+ * @private
+ */
+function validateAttack(attack, path, errors) {
+  if (!attack || typeof attack !== "object" || Array.isArray(attack)) {
+    errors.push(`${path} must be an object`);
+    return;
+  }
+
+  const definition = ATTACK_TYPES[attack.type];
+  if (!definition) {
+    errors.push(
+      `${path}.type "${
+        attack.type
+      }" is not a known attack type (expected one of ${Object.keys(
+        ATTACK_TYPES
+      ).join(", ")})`
+    );
+    return;
+  }
+
+  const allowed = [
+    "delay",
+    ...definition.required,
+    ...Object.keys(definition.defaults),
+  ];
+
+  Object.keys(attack).forEach((key) => {
+    if (key === "type") return;
+    if (!allowed.includes(key)) {
+      errors.push(`${path}.${key} is not a valid field for "${attack.type}"`);
+      return;
+    }
+
+    const problem = FIELD_CHECKS[key](attack[key]);
+    if (problem) errors.push(`${path}.${key} ${problem}`);
+  });
+
+  definition.required.forEach((key) => {
+    if (attack[key] === undefined) {
+      errors.push(`${path} ("${attack.type}") is missing required "${key}"`);
+    }
+  });
+}
+
+// ============================================================================
+// TIMELINE REGISTRY
+// ============================================================================
+
+/**
+ * Validated timelines of the story bosses, keyed by wave number
+ * @constant {Object<number, Object>}
+ */
+const BOSS_TIMELINES = {
+  1: validateBossTimeline(wave1, "bosses/wave1.json"),
+  2: validateBossTimeline(wave2, "bosses/wave2.json"),
+  3: validateBossTimeline(wave3, "bosses/wave3.json"),
+};
+
+/**
+ * Returns the validated boss timeline of a wave
+ *
+ * @param {number} waveNumber - Wave to look up (1-3)
+ * @returns {Object|null} Normalized timeline, or null if none is defined
+ */
+export function getBossTimeline(waveNumber) {
+  return BOSS_TIMELINES[waveNumber] || null;
+}
+
+/**
+ * Builds the timeline of an Endless mode boss
+ * Same telegraph and barrage as Wave 2, with a shot count that grows
+ * every barrage; the boss leaves 1s after its last shot.
+ *
+ * @param {number} shotCount - Number of shots in the barrage
+ * @returns {Object} Normalized timeline
+ */
+export function buildEndlessBossTimeline(shotCount) {
+  return validateBossTimeline(
+    {
+      name: "endless",
+      phases: [
+        {
+          name: "barrage",
+          enter: true,
+          telegraph: { duration: 300, repeat: 5 },
+          attacks: [
+            { type: "trackedShot", count: shotCount, interval: 800 },
+            { type: "ballSupport", delay: 500 },
+          ],
+          duration: (shotCount - 1) * 800 + 1000,
+        },
+      ],
+    },
+    "endless boss timeline"
+  );
+}
+
+/**
+ * Builds the timeline of a wave script's lane attack ("bossLaneAttack"
+ * steps): the boss flies in, fires one lane volley and leaves 1.5s after
+ * its last shot
+ *
+ * @param {string|number} lane - "left" | "right" | lane index
+ * @param {number} shotCount - Number of shots fired into the lane
+ * @returns {Object} Normalized timeline
+ */
+export function buildLaneAttackTimeline(lane, shotCount) {
+  return validateBossTimeline(
+    {
+      name: "laneAttack",
+      phases: [
+        {
+          name: "laneVolley",
+          enter: true,
+          attacks: [{ type: "laneVolley", lane, count: shotCount }],
+          // 1.2s lane warning, the volley, then 1.5s before the exit
+          duration: 1200 + shotCount * 1000 + 1500,
+        },
+      ],
+    },
+    "lane attack timeline"
+  );
+}
@@ -5,13 +5,24 @@ export const GAME_CONFIG = {
     START_X: 255,
     START_Y: 1200,
     SCALE: 25,
-    LEFT_X: 255,
-    RIGHT_X: 820,
     MAX_LIVES: 2,
     HEART_START_X: 60,
     HEART_START_Y: 60,
     HEART_SPACING: 80,
     HEART_SCALE: 8,
+    HURT_DURATION: 1200, // ms of invincibility after taking a hit
+    HURT_BLINK_INTERVAL: 100, // ms between blink toggles while hurt
+    HURT_ALPHA: 0.3, // Player opacity on the "off" blinks
+  },
+
+  LANES: {
+    LEFT_X: 255, // Leftmost lane
+    RIGHT_X: 820, // Rightmost lane; any others are spaced evenly between
+    COUNTS: [2, 3], // Lane counts the settings screen offers
+    DEFAULT_COUNT: 2,
+    // Free movement (the "free" lane setting)
+    FREE_MOVE_SPEED: 900, // px/s while a direction is held
+    FREE_DASH_DISTANCE: 280, // px covered by one dash
   },
 
   GROUND: {
@@ -25,6 +36,9 @@ export const GAME_CONFIG = {
     JUMP_VELOCITY: -1200,
     FAST_DROP_VELOCITY: 3000,
     DASH_DURATION: 150,
+    JUMP_BUFFER: 120, // ms a jump pressed in the air is remembered for landing
+    COYOTE_TIME: 100, // ms after leaving the ground a jump is still allowed
+    DASH_QUEUE_SIZE: 2, // Dashes that can wait behind the one in progress
   },
 
   PARTICLES: {
@@ -67,6 +81,91 @@ export const GAME_CONFIG = {
   },
 
   INPUT: {
-    SWIPE_THRESHOLD: 50,
+    // Swipe distance (px) needed at the highest and lowest sensitivity
+    MIN_SWIPE_THRESHOLD: 20,
+    MAX_SWIPE_THRESHOLD: 80,
+    // A fast flick (px/ms) only needs this fraction of the threshold
+    FLICK_VELOCITY: 1.5,
+    FLICK_DISTANCE_RATIO: 0.5,
+    // Furthest a pointer may move and still count as a tap (tap-to-jump)
+    TAP_MAX_DISTANCE: 15,
+
+    GAMEPAD: {
+      DEADZONE: 0.25, // Stick distance treated as centered
+      FLICK_THRESHOLD: 0.75, // Stick distance that counts as a flick
+      FLICK_WINDOW: 150, // ms allowed from leaving the deadzone to the threshold
+    },
+
+    // On-screen buttons (the "buttons" touch control setting), below the ground
+    VIRTUAL_BUTTONS: {
+      Y: 1775,
+      SIZE: 200,
+      ALPHA: 0.35, // Resting opacity
+      PRESSED_ALPHA: 0.8,
+      PRESSED_SCALE: 0.9,
+    },
+  },
+
+  SCORE: {
+    SPIKE: 100,
+    BALL: 150,
+    WEAVE: 200,
+    BULLET: 50,
+    NEAR_MISS_BONUS: 100,
+    NEAR_MISS_DISTANCE: 60,
+    COMBO_STEP: 5,
+    MAX_MULTIPLIER: 5,
+    ORB: 25, // Per score orb, times the combo multiplier
+  },
+
+  POWER_UPS: {
+    SPAWN_INTERVAL: 6000, // ms between spawn rolls while a wave runs
+    FALL_SPEED: 350,
+    SHIELD_DURATION: 15000, // Absorbs one hit, or expires
+    SLOW_TIME_DURATION: 5000,
+    SLOW_TIME_SCALE: 0.5, // World speed while slow time runs
+    MAGNET_DURATION: 8000,
+    MAGNET_RADIUS: 700, // Orbs closer than this fly to the player
+    MAGNET_SPEED: 1200,
+    ORB_COUNT: 3, // Orbs per column
+    ORB_SPACING: 140,
+    // Chance per roll of each drop, by wave ("endless" for Endless runs);
+    // at most one drop per roll, and no hearts while lives are full
+    SPAWN_RATES: {
+      1: { shield: 0.08, heart: 0.05, slowTime: 0.05, magnet: 0.07, orbs: 0.4 },
+      2: { shield: 0.1, heart: 0.08, slowTime: 0.08, magnet: 0.08, orbs: 0.35 },
+      3: { shield: 0.12, heart: 0.1, slowTime: 0.1, magnet: 0.08, orbs: 0.3 },
+      endless: {
+        shield: 0.1,
+        heart: 0.06,
+        slowTime: 0.08,
+        magnet: 0.08,
+        orbs: 0.35,
+      },
+    },
+  },
+
+  BOSS: {
+    MAX_BULLETS: 10, // Plasma shots in flight at once; more recycle the oldest
+    HP: { 1: 1, 2: 3, 3: 8 }, // Deflected shots to defeat each wave's boss
+    ENDLESS_HP_PER_SHOT: 0.5, // Endless boss HP per shot in its barrage
+    LANE_ATTACK_HP: 3, // Boss HP in a wave script's lane attack
+    DEFLECT_SPEED: 2400, // Speed of a shot sent back by a dash
+  },
+
+  REPLAY: {
+    STEP_MS: 1000 / 60,
+    MAX_FRAME_DELTA: 100,
+  },
+
+  ENDLESS: {
+    DIFFICULTY_INTERVAL: 15000,
+    DIFFICULTY_STEP: 0.1,
+    BOSS_INTERVAL: 45000,
+    BOSS_BASE_SHOTS: 5,
+    BOSS_SHOTS_PER_BARRAGE: 2,
+    WEAVE_CHANCE: 0.15,
+    MINI_SHOWER_CHANCE: 0.1,
+    SPIKE_SHOWER_CHANCE: 0.05,
   },
 };
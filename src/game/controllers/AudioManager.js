@@ -1,11 +1,24 @@
 // src/game/controllers/AudioManager.js
 
+// Base volume for all background music tracks
+const MUSIC_VOLUME = 0.3;
+
 export class AudioManager {
   constructor(scene) {
     this.scene = scene;
     this.bgMusic = null;
     this.isMusicPlaying = false;
     this.audioUnlocked = false;
+
+    // Volume multipliers (0-1) chosen in the settings screen
+    const settings = scene.registry.get("settings") || {};
+    this.musicVolume = settings.musicVolume ?? 1;
+    this.sfxVolume = settings.sfxVolume ?? 1;
+  }
+
+  // Full music volume before the player's music setting is applied
+  getMusicVolume() {
+    return MUSIC_VOLUME * this.musicVolume;
   }
 
   // Unlock audio context on first user interaction
@@ -37,7 +50,7 @@ export class AudioManager {
 
     // Play immediately (no delay needed)
     try {
-      this.scene.sound.play("click", { volume: 0.5 });
+      this.scene.sound.play("click", { volume: 0.5 * this.sfxVolume });
     } catch (error) {
       console.error("Error playing click sound:", error);
     }
@@ -55,7 +68,7 @@ export class AudioManager {
 
     // Play immediately
     try {
-      this.scene.sound.play("dash", { volume: 0.4 });
+      this.scene.sound.play("dash", { volume: 0.4 * this.sfxVolume });
     } catch (error) {
       console.error("Error playing dash sound:", error);
     }
@@ -73,7 +86,7 @@ export class AudioManager {
 
     // Play immediately
     try {
-      this.scene.sound.play("jump", { volume: 0.4 });
+      this.scene.sound.play("jump", { volume: 0.4 * this.sfxVolume });
     } catch (error) {
       console.error("Error playing jump sound:", error);
     }
@@ -91,7 +104,7 @@ export class AudioManager {
 
     // Play immediately
     try {
-      this.scene.sound.play("spike", { volume: 0.5 });
+      this.scene.sound.play("spike", { volume: 0.5 * this.sfxVolume });
     } catch (error) {
       console.error("Error playing spike sound:", error);
     }
@@ -109,7 +122,7 @@ export class AudioManager {
 
     // Play immediately
     try {
-      this.scene.sound.play("roll", { volume: 0.4 });
+      this.scene.sound.play("roll", { volume: 0.4 * this.sfxVolume });
     } catch (error) {
       console.error("Error playing roll sound:", error);
     }
@@ -127,7 +140,7 @@ export class AudioManager {
 
     // Play immediately
     try {
-      this.scene.sound.play("plasma", { volume: 0.3 });
+      this.scene.sound.play("plasma", { volume: 0.3 * this.sfxVolume });
     } catch (error) {
       console.error("Error playing plasma sound:", error);
     }
@@ -174,7 +187,7 @@ export class AudioManager {
       // Fade in boss music
       this.scene.tweens.add({
         targets: this.bgMusic,
-        volume: 0.3,
+        volume: this.getMusicVolume(),
         duration: 1000,
       });
     } catch (error) {
@@ -225,9 +238,9 @@ export class AudioManager {
     // Small delay to ensure audio context is ready
     this.scene.time.delayedCall(50, () => {
       try {
-        // Start new music with 30% volume
+        // Start new music at 30% volume, scaled by the music setting
         this.bgMusic = this.scene.sound.add("wave", {
-          volume: 0.3,
+          volume: this.getMusicVolume(),
           loop: true,
         });
 
@@ -260,9 +273,9 @@ export class AudioManager {
     // Small delay to ensure audio context is ready
     this.scene.time.delayedCall(50, () => {
       try {
-        // Start ending music with 30% volume
+        // Start ending music at 30% volume, scaled by the music setting
         this.bgMusic = this.scene.sound.add("end", {
-          volume: 0.3,
+          volume: this.getMusicVolume(),
           loop: true,
         });
 
@@ -301,6 +314,17 @@ export class AudioManager {
     }
   }
 
+  // Applies the player's music setting (0-1) to the current track
+  setMusicLevel(level) {
+    this.musicVolume = level;
+    this.setMusicVolume(this.getMusicVolume());
+  }
+
+  // Applies the player's sound effects setting (0-1)
+  setSfxLevel(level) {
+    this.sfxVolume = level;
+  }
+
   destroy() {
     this.stopBackgroundMusic();
   }
@@ -3,6 +3,9 @@
 export class BackgroundManager {
   constructor(scene) {
     this.scene = scene;
+
+    // Own stream so cloud draws never shift the seeded obstacle sequence
+    this.rng = scene.rng.fork();
   }
 
   setup() {
@@ -24,9 +27,9 @@ export class BackgroundManager {
 
     for (let i = 0; i < numClouds; i++) {
       const baseY = skyTop + (skyHeightRange / numClouds) * i;
-      const y = baseY + Phaser.Math.Between(-50, 50);
-      const initialX = Phaser.Math.Between(0, 1080);
-      const scale = Phaser.Math.FloatBetween(8, 12);
+      const y = baseY + this.rng.between(-50, 50);
+      const initialX = this.rng.between(0, 1080);
+      const scale = this.rng.floatBetween(8, 12);
 
       const cloud = this.scene.add.image(initialX, y, "cloud");
       cloud.setScale(scale);
@@ -49,10 +52,10 @@ export class BackgroundManager {
   }
 
   startCloudLoop(cloud, speed, skyTop, skyBottom) {
-    const scale = Phaser.Math.FloatBetween(8, 12);
+    const scale = this.rng.floatBetween(8, 12);
     cloud.setScale(scale);
     cloud.x = -200 - cloud.width * scale;
-    cloud.y = Phaser.Math.Between(skyTop, skyBottom);
+    cloud.y = this.rng.between(skyTop, skyBottom);
 
     this.scene.tweens.add({
       targets: cloud,
@@ -60,10 +63,10 @@ export class BackgroundManager {
       duration: speed,
       repeat: -1,
       onRepeat: () => {
-        const newScale = Phaser.Math.FloatBetween(8, 12);
+        const newScale = this.rng.floatBetween(8, 12);
         cloud.setScale(newScale);
         cloud.x = -200 - cloud.width * newScale;
-        cloud.y = Phaser.Math.Between(skyTop, skyBottom);
+        cloud.y = this.rng.between(skyTop, skyBottom);
       },
     });
   }
@@ -1,6 +1,13 @@
 // src/game/controllers/BossManager.js
 
 import { GAME_CONFIG } from "../config/GameConfig";
+import {
+  buildEndlessBossTimeline,
+  buildLaneAttackTimeline,
+  getBossTimeline,
+} from "../bosses/BossTimelines";
+import { EventEmitter } from "../utils/EventEmitter";
+import { EmitterPool, SpritePool } from "../utils/ObjectPool";
 
 /**
  * BossManager
@@ -11,10 +18,20 @@ import { GAME_CONFIG } from "../config/GameConfig";
  * - Obstacle coordination (balls and spikes)
  * - Lane-based attack sequences
  * - Visual warning indicators
+ * - Boss health and the player's counterattack
  *
+ * Each boss encounter plays a timeline of phases defined as data in
+ * src/game/bosses/ (see BossTimelines.js):
  * Wave 1: Single tracked shot
  * Wave 2: Multiple tracked shots with ball obstacles
  * Wave 3: Complex multi-phase final boss sequence with lane attacks
+ * Wave scripts' lane attacks: one lane volley between entry and exit
+ *
+ * Wave bosses, lane attack bosses and Endless bosses are encounters with
+ * health (BOSS.HP) shown in an HP bar. Dashing into a plasma shot deflects
+ * it back at the boss for one point of damage. A boss brought to 0 HP
+ * plays its defeat animation and the rest of its encounter is skipped;
+ * otherwise it leaves on its usual timer.
  *
  * @class
  */
@@ -31,10 +48,31 @@ export class BossManager {
     this.playerController = playerController;
     this.levelManager = levelManager;
     this.boss = null;
-
-    // Bullet tracking to prevent memory overflow in intensive wave 3
-    this.activeBullets = [];
-    this.maxBullets = this.levelManager?.currentWave === 3 ? 5 : 10;
+    this.encounter = null; // Boss fight state (see startEncounter)
+    this.isTimelineRunning = false; // From runTimeline until its boss is gone
+    this.timelineQueue = []; // runTimeline calls waiting for the boss
+    this.events = new EventEmitter(); // Timeline "phaseStart" and "phaseEnd"
+    this.healthBar = null; // HP bar objects while an encounter runs
+
+    // Pooled plasma shots and their trails
+    this.bulletPool = new SpritePool(
+      scene,
+      "plasma",
+      GAME_CONFIG.BOSS.MAX_BULLETS
+    );
+    this.bulletTrailPool = new EmitterPool(
+      scene,
+      "plasma",
+      {
+        speed: 20,
+        scale: { start: 0.8, end: 0 },
+        alpha: { start: 0.5, end: 0 },
+        lifespan: 500,
+        blendMode: "ADD",
+      },
+      0
+    );
+    this.setupBulletCollision();
 
     this.createExclamationTexture();
   }
@@ -74,12 +112,16 @@ export class BossManager {
    * Displays a pulsing warning indicator at a target lane
    * Used before lane attack sequences to give player time to react
    *
-   * @param {number} targetX - X coordinate of the lane to warn about
+   * @param {number} lane - Index of the lane to warn about (scene.lanes)
    * @param {Function} callback - Function to execute after warning completes
    */
-  showLaneWarning(targetX, callback) {
-    // Create warning sprite at target location
-    const warning = this.scene.add.sprite(targetX, 1200, "exclamation");
+  showLaneWarning(lane, callback) {
+    // Create warning sprite above the lane
+    const warning = this.scene.add.sprite(
+      this.scene.lanes.getX(lane),
+      1200,
+      "exclamation"
+    );
     warning.setScale(8);
     warning.setDepth(150);
     warning.setAlpha(0);
@@ -101,327 +143,258 @@ export class BossManager {
   }
 
   // ============================================================================
-  // WAVE 1 BOSS - SINGLE SHOT PATTERN
+  // BOSS ENCOUNTERS
   // ============================================================================
 
   /**
-   * Spawns the Wave 1 boss with entry animation
-   * Pattern: Single aimed shot at player's position
+   * Spawns the Wave 1 boss: a single aimed shot (bosses/wave1.json)
    *
    * @param {Function} onComplete - Callback executed after boss exits
    */
   spawnWave1Boss(onComplete) {
-    this.boss = this.scene.add.sprite(540, -300, "shootingBoss");
-    this.boss.setScale(30);
-    this.boss.setDepth(10);
-
-    // Boss enters from above with bounce effect
-    this.scene.tweens.add({
-      targets: this.boss,
-      y: 400,
-      duration: 2500,
-      ease: "Back.easeOut",
-      onComplete: () => {
-        this.startHoverAnimation();
-        this.wave1AimingSequence(onComplete);
-      },
-    });
+    this.runTimeline(getBossTimeline(1), GAME_CONFIG.BOSS.HP[1], onComplete);
   }
 
   /**
-   * Wave 1 aiming sequence with visual telegraph
-   * Boss flashes green to indicate charging
+   * Spawns the Wave 2 boss: 5 tracked shots with rolling ball support
+   * (bosses/wave2.json)
    *
-   * @param {Function} onComplete - Callback for wave completion
-   * @private
+   * @param {Function} onComplete - Callback executed after boss exits
    */
-  wave1AimingSequence(onComplete) {
-    // Green flash indicates boss is aiming
-    this.scene.tweens.add({
-      targets: this.boss,
-      tint: 0x00ff66,
-      duration: 500,
-      yoyo: true,
-      repeat: 9,
-      onComplete: () => this.fireWave1Shot(onComplete),
-    });
+  spawnWave2Boss(onComplete) {
+    this.runTimeline(getBossTimeline(2), GAME_CONFIG.BOSS.HP[2], onComplete);
   }
 
   /**
-   * Fires a single tracked shot at player's current position
-   * Boss exits after firing
+   * Spawns the Wave 3 final boss (bosses/wave3.json)
    *
-   * @param {Function} onComplete - Callback for wave completion
-   * @private
+   * Barrages with ball support alternate with spike showers while the
+   * boss is off-screen, then lane attacks; the ending dialogue follows
+   * the boss's final exit, or its defeat in any phase.
    */
-  fireWave1Shot(onComplete) {
-    const targetX = this.playerController.player.x;
-    const targetY = this.playerController.player.y;
-
-    const bullet = this.createBullet(this.boss.x, this.boss.y);
-    this.scene.physics.moveTo(bullet.sprite, targetX, targetY, 1200);
-
-    this.setupBulletCollision(bullet.sprite, bullet.emitter);
-
-    // Exit after 2 second delay
-    this.scene.time.delayedCall(2000, () => {
-      this.exitBoss(() => {
-        if (onComplete) onComplete();
-      });
-    });
+  spawnWave3FinalBoss() {
+    this.runTimeline(getBossTimeline(3), GAME_CONFIG.BOSS.HP[3], () =>
+      this.levelManager.waveManager.triggerEndingSequence()
+    );
   }
 
-  // ============================================================================
-  // WAVE 2 BOSS - MULTI-SHOT PATTERN WITH OBSTACLES
-  // ============================================================================
-
   /**
-   * Spawns the Wave 2 boss with entry animation
-   * Pattern: 5 tracked shots with rolling ball obstacles
+   * Spawns an Endless mode boss: shotCount tracked shots with rolling
+   * ball support, then exit
    *
+   * @param {number} shotCount - Number of shots in this barrage
    * @param {Function} onComplete - Callback executed after boss exits
    */
-  spawnWave2Boss(onComplete) {
-    this.boss = this.scene.add.sprite(540, -300, "shootingBoss");
-    this.boss.setScale(30);
-    this.boss.setDepth(10);
-
-    this.scene.tweens.add({
-      targets: this.boss,
-      y: 400,
-      duration: 2500,
-      ease: "Back.easeOut",
-      onComplete: () => {
-        this.startHoverAnimation();
-        this.wave2AimingSequence(onComplete);
-      },
-    });
+  spawnEndlessBoss(shotCount, onComplete) {
+    this.runTimeline(
+      buildEndlessBossTimeline(shotCount),
+      Math.ceil(shotCount * GAME_CONFIG.BOSS.ENDLESS_HP_PER_SHOT),
+      onComplete
+    );
   }
 
   /**
-   * Wave 2 aiming sequence with faster telegraph
-   * Shorter flash duration indicates increased difficulty
+   * Spawns the boss for a wave script's lane attack: it flies in, warns,
+   * fires shotCount shots into the lane with balls rolling through, then
+   * leaves
    *
-   * @param {Function} onComplete - Callback for wave completion
-   * @private
+   * @param {number} lane - Index of the target lane (scene.lanes)
+   * @param {number} shotCount - Number of shots to fire at lane
+   * @param {Function} onComplete - Callback executed after boss exits or
+   *        is defeated
    */
-  wave2AimingSequence(onComplete) {
-    this.scene.tweens.add({
-      targets: this.boss,
-      tint: 0x00ff66,
-      duration: 300,
-      yoyo: true,
-      repeat: 5,
-      onComplete: () => this.fireWave2Shots(onComplete),
-    });
+  spawnLaneAttackBoss(lane, shotCount, onComplete) {
+    this.runTimeline(
+      buildLaneAttackTimeline(lane, shotCount),
+      GAME_CONFIG.BOSS.LANE_ATTACK_HP,
+      onComplete
+    );
   }
 
+  // ============================================================================
+  // TIMELINE INTERPRETER
+  // ============================================================================
+
   /**
-   * Fires 5 tracked shots at 800ms intervals
-   * Spawns first rolling ball obstacle after first shot
+   * Starts a boss encounter that plays a timeline's phases in order
    *
-   * @param {Function} onComplete - Callback for wave completion
-   * @private
+   * Every phase start and end is emitted on this.events as "phaseStart"
+   * and "phaseEnd", with (phase, index). startPhase skips straight to a
+   * later phase, e.g. to test the Wave 3 lane attacks without sitting
+   * through the barrages; the boss still starts with full health.
+   *
+   * There is one boss at a time: a timeline started while another is
+   * still playing waits until that boss has left or been defeated.
+   *
+   * @param {Object} timeline - Normalized timeline from BossTimelines
+   * @param {number} maxHp - Hits the boss can take
+   * @param {Function} onComplete - Called once the boss has left after
+   *        the last phase, or after its defeat animation
+   * @param {string|number} [startPhase=0] - Name or index of the first
+   *        phase to play
    */
-  fireWave2Shots(onComplete) {
-    const shotDelays = [0, 800, 1600, 2400, 3200];
-
-    shotDelays.forEach((delay, index) => {
-      this.scene.time.delayedCall(delay, () => {
-        this.fireTrackedShot(index);
+  runTimeline(timeline, maxHp, onComplete, startPhase = 0) {
+    const index =
+      typeof startPhase === "string"
+        ? timeline.phases.findIndex((phase) => phase.name === startPhase)
+        : startPhase;
+    if (!timeline.phases[index]) {
+      throw new Error(
+        `Boss timeline "${timeline.name}" has no phase "${startPhase}"`
+      );
+    }
 
-        // Spawn first ball 500ms after first shot
-        if (index === 0) {
-          this.scene.time.delayedCall(500, () => {
-            this.spawnBallWithTracking();
-          });
-        }
+    if (this.isTimelineRunning) {
+      this.timelineQueue.push([timeline, maxHp, onComplete, startPhase]);
+      return;
+    }
 
-        // Exit after final shot (index 4)
-        if (index === 4) {
-          this.scene.time.delayedCall(1000, () => {
-            this.exitBoss(() => {
-              if (onComplete) onComplete();
-            });
-          });
-        }
-      });
-    });
+    this.isTimelineRunning = true;
+    this.startEncounter(maxHp, () => this.finishTimeline(onComplete));
+    this.encounter.timeline = timeline;
+    this.runPhase(index);
   }
 
-  // ============================================================================
-  // WAVE 3 FINAL BOSS - COMPLEX MULTI-PHASE SEQUENCE
-  // ============================================================================
-
   /**
-   * Spawns the Wave 3 final boss and initiates complex attack sequence
+   * The boss of a timeline has left or been defeated: hands over to the
+   * timeline's own callback, then starts the next queued timeline
    *
-   * Sequence breakdown:
-   * 1. First barrage: 10 tracked shots with continuous ball spawning
-   * 2. Boss exits, spike shower attack
-   * 3. Boss re-enters, second barrage: 10 more tracked shots
-   * 4. Boss exits, second spike shower
-   * 5. Boss re-enters for lane attacks (left then right)
-   * 6. Final exit triggers ending dialogue
+   * @param {Function} onComplete - Callback passed to runTimeline()
+   * @private
    */
-  spawnWave3FinalBoss() {
-    this.boss = this.scene.add.sprite(540, -300, "shootingBoss");
-    this.boss.setScale(30);
-    this.boss.setDepth(10);
+  finishTimeline(onComplete) {
+    this.isTimelineRunning = false;
+    if (onComplete) onComplete();
 
-    this.scene.tweens.add({
-      targets: this.boss,
-      y: 400,
-      duration: 2500,
-      ease: "Back.easeOut",
-      onComplete: () => {
-        this.startHoverAnimation();
-        this.wave3FinalSequence();
-      },
-    });
+    const next = this.timelineQueue.shift();
+    if (next) this.runTimeline(...next);
   }
 
   /**
-   * Orchestrates the complete Wave 3 final boss sequence
-   * Uses precise timing to coordinate multiple attack phases
+   * Plays one phase: entry if needed, telegraph, then the attacks, with
+   * the end of the phase scheduled duration ms after they start
    *
+   * @param {number} index - Index of the phase in the timeline
    * @private
    */
-  wave3FinalSequence() {
-    let currentTime = 0;
-
-    // ===== PHASE 1: First Barrage (10 shots) =====
-    for (let i = 0; i < 10; i++) {
-      this.scene.time.delayedCall(currentTime, () => {
-        this.fireTrackedShot(i);
-
-        // Start continuous ball spawning after first shot
-        if (i === 0) {
-          this.scene.time.delayedCall(500, () => {
-            this.spawnBallWithTracking();
-          });
-        }
+  runPhase(index) {
+    const encounter = this.encounter;
+    const phase = encounter.timeline.phases[index];
+    encounter.phaseIndex = index;
+    this.events.emit("phaseStart", phase, index);
+
+    const startAttacks = () => {
+      phase.attacks.forEach((attack) => {
+        this.schedule(attack.delay, () => this.runAttack(attack));
       });
-      currentTime += 800; // 800ms between shots
-    }
-
-    // Exit after first barrage
-    this.scene.time.delayedCall(currentTime + 500, () => {
-      this.stopBallSpawning();
-      this.exitBoss(() => {});
-    });
-    currentTime += 2500; // Wait for exit animation
-
-    // ===== PHASE 2: First Spike Shower =====
-    this.scene.time.delayedCall(currentTime, () => {
-      this.levelManager.waveManager.startSpikeShower();
-    });
-    currentTime += 7000; // Spike shower duration
-
-    // ===== PHASE 3: Second Barrage (10 shots) =====
-    this.scene.time.delayedCall(currentTime, () => {
-      this.spawnBossForSecondBarrage();
-    });
-    currentTime += 2500; // Wait for entrance
-
-    for (let i = 0; i < 10; i++) {
-      this.scene.time.delayedCall(currentTime, () => {
-        this.fireTrackedShot(i + 10);
+      this.schedule(phase.duration, () => this.endPhase(index));
+    };
+
+    const telegraph = () => {
+      if (phase.telegraph && this.boss) {
+        this.playTelegraph(phase.telegraph, startAttacks);
+      } else {
+        startAttacks();
+      }
+    };
 
-        // Restart ball spawning on first shot
-        if (i === 0) {
-          this.scene.time.delayedCall(500, () => {
-            this.spawnBallWithTracking();
-          });
-        }
-      });
-      currentTime += 800;
+    if (phase.enter && !this.boss) {
+      this.enterBoss(telegraph);
+    } else {
+      telegraph();
     }
+  }
 
-    // Exit after second barrage
-    this.scene.time.delayedCall(currentTime + 500, () => {
-      this.stopBallSpawning();
-      this.exitBoss(() => {});
-    });
-    currentTime += 2500;
-
-    // ===== PHASE 4: Second Spike Shower =====
-    this.scene.time.delayedCall(currentTime, () => {
-      this.levelManager.waveManager.startSpikeShower();
-    });
-    currentTime += 7000;
-
-    // ===== PHASE 5: Lane Attacks =====
-    this.scene.time.delayedCall(currentTime, () => {
-      this.spawnBossForLaneAttacks();
-    });
-    currentTime += 2500; // Wait for entrance
-
-    // Left lane attack with 1s warning
-    this.scene.time.delayedCall(currentTime, () => {
-      this.showLaneWarning(GAME_CONFIG.PLAYER.LEFT_X, () => {
-        this.bossFiresToLaneInPlace(GAME_CONFIG.PLAYER.LEFT_X, 10);
-      });
-    });
-    currentTime += 13000; // 1s warning + 12s attack
+  /**
+   * Ends a phase: stops its ball support, then moves on to the next phase
+   * (after the boss's exit if the phase has one), or ends the encounter
+   * with the boss's exit after the last phase
+   *
+   * @param {number} index - Index of the phase that is ending
+   * @private
+   */
+  endPhase(index) {
+    const encounter = this.encounter;
+    const phases = encounter.timeline.phases;
+    const phase = phases[index];
 
-    // Right lane attack with 1s warning
-    this.scene.time.delayedCall(currentTime, () => {
-      this.showLaneWarning(GAME_CONFIG.PLAYER.RIGHT_X, () => {
-        this.bossFiresToLaneInPlace(GAME_CONFIG.PLAYER.RIGHT_X, 10);
-      });
-    });
-    currentTime += 13000;
+    this.stopBallSpawning();
+    this.events.emit("phaseEnd", phase, index);
 
-    // ===== PHASE 6: Final Exit & Ending =====
-    this.scene.time.delayedCall(currentTime, () => {
+    if (index === phases.length - 1) {
+      const { onDefeated: onComplete } = encounter;
+      this.endEncounter();
       this.exitBoss(() => {
-        this.levelManager.waveManager.triggerEndingSequence();
+        if (onComplete) onComplete();
       });
-    });
+      return;
+    }
+
+    if (phase.exit) {
+      this.exitBoss(() => this.runPhase(index + 1));
+    } else {
+      this.runPhase(index + 1);
+    }
   }
 
   /**
-   * Spawns boss for second barrage (Wave 3 phase 3)
-   * Boss re-enters after first spike shower
+   * Starts one attack of the current phase
    *
+   * @param {Object} attack - Normalized attack (see BossTimelines)
    * @private
    */
-  spawnBossForSecondBarrage() {
-    this.boss = this.scene.add.sprite(540, -300, "shootingBoss");
-    this.boss.setScale(30);
-    this.boss.setDepth(10);
+  runAttack(attack) {
+    switch (attack.type) {
+      case "trackedShot":
+        for (let i = 0; i < attack.count; i++) {
+          this.schedule(i * attack.interval, () =>
+            this.fireTrackedShot(attack.speed)
+          );
+        }
+        break;
+
+      case "laneVolley": {
+        const lanes = this.scene.lanes;
+        const lane =
+          attack.lane === "left"
+            ? 0
+            : attack.lane === "right"
+            ? lanes.lastLane
+            : lanes.clamp(attack.lane);
+
+        this.moveBossOverLane(lane);
+        this.showLaneWarning(lane, () => {
+          this.bossFiresToLaneInPlace(lane, attack.count, attack.interval);
+        });
+        break;
+      }
 
-    this.scene.tweens.add({
-      targets: this.boss,
-      y: 400,
-      duration: 2500,
-      ease: "Back.easeOut",
-      onComplete: () => {
-        this.startHoverAnimation();
-      },
-    });
+      case "spikeShower":
+        this.levelManager.waveManager.startSpikeShower();
+        break;
+
+      case "ballSupport":
+        this.spawnBallWithTracking();
+        break;
+    }
   }
 
   /**
-   * Spawns boss for lane attack phase (Wave 3 phase 5)
-   * Boss remains on screen for multiple lane attacks
+   * Aiming telegraph: the boss flashes green before it attacks
    *
+   * @param {{duration: number, repeat: number}} telegraph - Flash length
+   *        (ms) and number of extra flashes
+   * @param {Function} onComplete - Called after the last flash
    * @private
    */
-  spawnBossForLaneAttacks() {
-    this.boss = this.scene.add.sprite(540, -300, "shootingBoss");
-    this.boss.setScale(30);
-    this.boss.setDepth(10);
-
+  playTelegraph({ duration, repeat }, onComplete) {
     this.scene.tweens.add({
       targets: this.boss,
-      y: 400,
-      duration: 2500,
-      ease: "Back.easeOut",
-      onComplete: () => {
-        this.startHoverAnimation();
-      },
+      tint: 0x00ff66,
+      duration,
+      yoyo: true,
+      repeat,
+      onComplete,
     });
   }
 
@@ -430,69 +403,47 @@ export class BossManager {
   // ============================================================================
 
   /**
-   * Complete lane attack with boss entry and exit
-   * Used in Wave 3 scripted sequences
-   *
-   * Sequence: Boss enters → Warning → Fires → Exits
+   * Glides the boss over a lane during its lane warning
+   * Shots from there fall straight into the lane. Fired from the middle of
+   * the screen they would cut across the lanes in between, clipping a
+   * player jumping in the next lane (three lanes or free movement).
    *
-   * @param {number} targetX - X coordinate of target lane
-   * @param {number} shotCount - Number of shots to fire at lane
+   * @param {number} lane - Index of the target lane (scene.lanes)
+   * @private
    */
-  bossFiresToLaneWithEntryExit(targetX, shotCount) {
-    this.boss = this.scene.add.sprite(540, -300, "shootingBoss");
-    this.boss.setScale(30);
-    this.boss.setDepth(10);
+  moveBossOverLane(lane) {
+    if (!this.boss) return;
 
     this.scene.tweens.add({
       targets: this.boss,
-      y: 400,
-      duration: 2500,
-      ease: "Back.easeOut",
-      onComplete: () => {
-        this.startHoverAnimation();
-
-        // Show warning before firing
-        this.showLaneWarning(targetX, () => {
-          // Fire shots at 1 second intervals
-          for (let i = 0; i < shotCount; i++) {
-            this.scene.time.delayedCall(i * 1000, () => {
-              this.fireShotToPosition(targetX, GAME_CONFIG.GROUND.Y - 50);
-
-              // Start ball spawning after first shot
-              if (i === 0) {
-                this.scene.time.delayedCall(500, () => {
-                  this.startLaneBallSpawning(shotCount * 1000);
-                });
-              }
-            });
-          }
-
-          // Exit after all shots complete
-          this.scene.time.delayedCall(shotCount * 1000 + 1500, () => {
-            this.exitBoss(() => {});
-          });
-        });
-      },
+      x: this.scene.lanes.getX(lane),
+      duration: 1000,
+      ease: "Sine.easeInOut",
     });
   }
 
   /**
    * Lane attack when boss is already on screen
-   * Used in final boss sequence where boss stays visible
+   * Used by "laneVolley" timeline attacks, where the boss stays visible
    *
-   * @param {number} targetX - X coordinate of target lane
+   * @param {number} lane - Index of the target lane (scene.lanes)
    * @param {number} shotCount - Number of shots to fire at lane
+   * @param {number} [interval=1000] - Time between shots (ms)
    */
-  bossFiresToLaneInPlace(targetX, shotCount) {
-    // Fire shots at 1 second intervals
+  bossFiresToLaneInPlace(lane, shotCount, interval = 1000) {
+    // Defeated during the lane warning
+    if (!this.boss) return;
+
+    const targetX = this.scene.lanes.getX(lane);
+
     for (let i = 0; i < shotCount; i++) {
-      this.scene.time.delayedCall(i * 1000, () => {
+      this.schedule(i * interval, () => {
         this.fireShotToPosition(targetX, GAME_CONFIG.GROUND.Y - 50);
 
         // Start ball spawning after first shot
         if (i === 0) {
-          this.scene.time.delayedCall(500, () => {
-            this.startLaneBallSpawning(shotCount * 1000);
+          this.schedule(500, () => {
+            this.startLaneBallSpawning(shotCount * interval);
           });
         }
       });
@@ -501,52 +452,44 @@ export class BossManager {
 
   /**
    * Starts continuous ball spawning during lane attacks
-   * Checks every 100ms and spawns new ball when previous one exits
+   * Spawns a new ball as soon as the previous one exits
    *
    * @param {number} duration - How long to maintain ball spawning (ms)
    * @private
    */
   startLaneBallSpawning(duration) {
-    // Spawn first ball immediately
-    this.levelManager.obstacleSpawner.spawnBall();
+    const spawner = this.levelManager.obstacleSpawner;
 
-    // Continuous spawning loop
-    this.laneBallInterval = this.scene.time.addEvent({
-      delay: 100,
-      callback: () => {
-        const currentBall = this.levelManager.obstacleSpawner.activeBall;
+    // Spawn first ball immediately
+    spawner.spawn("ball");
 
-        // Spawn new ball if none active
-        if (!currentBall) {
-          this.levelManager.obstacleSpawner.spawnBall();
-        }
-      },
-      loop: true,
-    });
+    // Any obstacle leaving play may free the field for the next ball
+    this.laneBallListener = () => {
+      if (spawner.count("ball") === 0) spawner.spawn("ball");
+    };
+    spawner.events.on("exited", this.laneBallListener);
 
-    // Stop after duration
-    this.scene.time.delayedCall(duration, () => {
+    // Stop after duration; a defeat stops it sooner and cancels this
+    this.schedule(duration, () => {
       this.stopLaneBallSpawning();
     });
   }
 
   /**
    * Stops continuous lane ball spawning
-   * Cleans up interval and destroys active ball
+   * Unsubscribes from obstacle exits and destroys active ball
    *
    * @private
    */
   stopLaneBallSpawning() {
-    if (this.laneBallInterval) {
-      this.laneBallInterval.remove();
-      this.laneBallInterval = null;
+    const spawner = this.levelManager.obstacleSpawner;
+    if (this.laneBallListener) {
+      spawner.events.off("exited", this.laneBallListener);
+      this.laneBallListener = null;
     }
 
     // Clean up any active ball
-    if (this.levelManager.obstacleSpawner.activeBall) {
-      this.levelManager.obstacleSpawner.activeBall.destroy();
-      this.levelManager.obstacleSpawner.activeBall = null;
-    }
+    spawner.releaseAll("ball");
   }
 
   // ============================================================================
@@ -555,74 +498,18 @@ export class BossManager {
 
   /**
    * Fires a single bullet tracked to player's current position
-   * Includes bullet cleanup and limit enforcement for Wave 3
-   *
-   * @param {number} shotNumber - Shot index for tracking purposes
-   */
-  fireTrackedShot(shotNumber) {
-    // Remove off-screen bullets first
-    this.cleanupBullets();
-
-    // Enforce bullet limit in Wave 3 for performance
-    if (
-      this.levelManager.currentWave === 3 &&
-      this.activeBullets.length >= this.maxBullets
-    ) {
-      // Destroy oldest bullet to make room
-      const oldest = this.activeBullets.shift();
-      if (oldest.sprite && oldest.sprite.active) {
-        oldest.sprite.destroy();
-      }
-      if (oldest.emitter && oldest.emitter.destroy) {
-        oldest.emitter.destroy();
-      }
-    }
+   *
+   * @param {number} [speed=1800] - Bullet speed
+   */
+  fireTrackedShot(speed = 1800) {
+    if (!this.boss) return;
 
     // Fire at player's current position
     const targetX = this.playerController.player.x;
     const targetY = this.playerController.player.y;
 
     const bullet = this.createBullet(this.boss.x, this.boss.y);
-    this.scene.physics.moveTo(bullet.sprite, targetX, targetY, 1800);
-    this.setupBulletCollision(bullet.sprite, bullet.emitter);
-
-    // Add to tracking array
-    this.activeBullets.push(bullet);
-  }
-
-  /**
-   * Removes bullets that are off-screen or destroyed
-   * Prevents memory leaks during extended boss fights
-   *
-   * @private
-   */
-  cleanupBullets() {
-    this.activeBullets = this.activeBullets.filter((bullet) => {
-      // Check if sprite still exists and is active
-      if (!bullet.sprite || !bullet.sprite.active) {
-        return false;
-      }
-
-      const sprite = bullet.sprite;
-
-      // Check if bullet is off-screen (with generous bounds)
-      if (
-        sprite.y > 2000 ||
-        sprite.y < -500 ||
-        sprite.x < -500 ||
-        sprite.x > 1600
-      ) {
-        // Destroy off-screen bullet and its particle emitter
-        sprite.destroy();
-        if (bullet.emitter && bullet.emitter.destroy) {
-          bullet.emitter.destroy();
-        }
-        return false;
-      }
-
-      // Keep bullet in tracking array
-      return true;
-    });
+    this.scene.physics.moveTo(bullet, targetX, targetY, speed);
   }
 
   /**
@@ -635,17 +522,20 @@ export class BossManager {
     if (!this.boss) return;
 
     const bullet = this.createBullet(this.boss.x, this.boss.y);
-    this.scene.physics.moveTo(bullet.sprite, targetX, targetY, 1800);
-    this.setupBulletCollision(bullet.sprite, bullet.emitter);
+    this.scene.physics.moveTo(bullet, targetX, targetY, 1800);
   }
 
   /**
-   * Creates a bullet sprite with particle trail effect
-   * Wave 3 disables particle emitters for performance optimization
+   * Takes a bullet from the pool with its particle trail and collision
+   * Low particle quality disables the trail
+   *
+   * Bullets that leave the screen go back to the pool, and count as
+   * dodged unless they were deflected or touched the player. With
+   * BOSS.MAX_BULLETS already in flight, the oldest is recycled.
    *
    * @param {number} x - Starting X position
    * @param {number} y - Starting Y position
-   * @returns {{sprite: Phaser.Physics.Arcade.Sprite, emitter: Object}} Bullet object with sprite and emitter
+   * @returns {Phaser.Physics.Arcade.Sprite} Bullet sprite
    * @private
    */
   createBullet(x, y) {
@@ -654,57 +544,118 @@ export class BossManager {
       this.scene.audioManager.playPlasmaSound();
     }
 
-    // Create physics-enabled sprite
-    const sprite = this.scene.physics.add.sprite(x, y, "plasma");
+    const pool = this.bulletPool;
+    const sprite = pool.acquire(x, y);
     sprite.setScale(4);
     sprite.body.setAllowGravity(false);
+    sprite.deflected = false;
 
-    let emitter = null;
-
-    if (this.levelManager.currentWave !== 3) {
-      // Waves 1 & 2: Full particle trail effect
-      emitter = this.scene.add.particles(0, 0, "plasma", {
-        speed: 20,
-        scale: { start: 0.8, end: 0 },
-        alpha: { start: 0.5, end: 0 },
-        lifespan: 500,
-        follow: sprite,
-        blendMode: "ADD",
-      });
-    } else {
-      // Wave 3: Dummy emitter to prevent crashes (performance optimization)
-      emitter = {
-        destroy: () => {},
-      };
+    if (this.scene.particleEffects.trailsEnabled()) {
+      const emitter = this.bulletTrailPool.acquire(sprite);
+      pool.onRelease(sprite, () => this.bulletTrailPool.release(emitter));
     }
 
-    return { sprite, emitter };
+    // Off-screen check (with generous bounds)
+    const exitCheck = this.scene.time.addEvent({
+      delay: 100,
+      callback: () => {
+        if (
+          sprite.y > 2000 ||
+          sprite.y < -500 ||
+          sprite.x < -500 ||
+          sprite.x > 1600
+        ) {
+          // Deflected shots already counted as dodged; ones that passed
+          // through the player weren't dodged
+          if (!sprite.deflected && !sprite.touchedPlayer) {
+            this.levelManager.recordDodge("bullet", sprite);
+          }
+          pool.release(sprite);
+        }
+      },
+      loop: true,
+    });
+    pool.onRelease(sprite, () => exitCheck.remove());
+
+    return sprite;
   }
 
   /**
-   * Sets up collision detection between bullet and player
-   * Triggers life loss and cleanup on hit
+   * Sets up collision detection between the player and every bullet
+   * A dashing player deflects the bullet; otherwise it triggers life loss
+   * and cleanup, unless the player is still invincible from a previous hit
+   *
+   * One overlap against the bullet pool's group covers all bullets; it
+   * lasts until the scene shuts down.
    *
-   * @param {Phaser.Physics.Arcade.Sprite} bullet - The bullet sprite
-   * @param {Object} emitter - The particle emitter attached to bullet
    * @private
    */
-  setupBulletCollision(bullet, emitter) {
-    this.scene.physics.add.overlap(this.playerController.player, bullet, () => {
-      // Player loses a life
-      this.scene.updateLives();
+  setupBulletCollision() {
+    const overlap = this.scene.physics.add.overlap(
+      this.playerController.player,
+      this.bulletPool.group,
+      (_, bullet) => {
+        // Released earlier in the same physics step, or on its way back
+        if (!bullet.active || bullet.deflected) return;
+
+        if (this.playerController.isDashing) {
+          this.deflectBullet(bullet);
+          return;
+        }
 
-      // Destroy bullet and its particle effect
-      bullet.destroy();
-      if (emitter && emitter.destroy) {
-        emitter.destroy();
+        // Passes through the player during invincibility frames
+        if (!this.playerController.takeHit()) {
+          bullet.touchedPlayer = true;
+          return;
+        }
+
+        // Player loses a life
+        this.scene.updateLives();
+
+        // Return bullet and its particle trail to their pools
+        this.bulletPool.release(bullet);
       }
+    );
+    this.scene.events.once("shutdown", () => overlap.destroy());
+  }
 
-      // Remove from tracking array
-      this.activeBullets = this.activeBullets.filter(
-        (b) => b.sprite !== bullet
-      );
-    });
+  /**
+   * Sends a bullet the player dashed into back at the boss
+   *
+   * The deflect counts as dodging the shot. The bullet hits the boss for
+   * one point of damage when it arrives, if the boss is still there;
+   * with no boss on screen it flies off the top of the screen.
+   *
+   * @param {Phaser.Physics.Arcade.Sprite} bullet - Bullet touching the player
+   * @private
+   */
+  deflectBullet(bullet) {
+    bullet.deflected = true;
+    bullet.setTint(0x29adff);
+    this.levelManager.recordDodge("bullet", bullet);
+
+    if (this.scene.audioManager) {
+      this.scene.audioManager.playPlasmaSound();
+    }
+
+    const speed = GAME_CONFIG.BOSS.DEFLECT_SPEED;
+    const boss = this.boss;
+    if (!boss) {
+      this.scene.physics.moveTo(bullet, bullet.x, -1000, speed);
+      return;
+    }
+
+    this.scene.physics.moveTo(bullet, boss.x, boss.y, speed);
+
+    const distance = Math.hypot(boss.x - bullet.x, boss.y - bullet.y);
+    const impact = this.scene.time.delayedCall(
+      (distance / speed) * 1000,
+      () => {
+        this.bulletPool.release(bullet);
+        if (this.boss === boss) this.damageBoss(1);
+      }
+    );
+    this.bulletPool.onRelease(bullet, () => impact.remove());
   }
 
   // ============================================================================
@@ -717,44 +668,242 @@ export class BossManager {
    * Used during boss barrages in Wave 2 and 3
    */
   spawnBallWithTracking() {
-    // Spawn initial ball
-    this.levelManager.obstacleSpawner.spawnBall();
+    const spawner = this.levelManager.obstacleSpawner;
 
-    // Check every 100ms if new ball is needed
-    this.ballCheckInterval = this.scene.time.addEvent({
-      delay: 100,
-      callback: () => {
-        const currentBall = this.levelManager.obstacleSpawner.activeBall;
-
-        // Spawn new ball if none active
-        if (!currentBall) {
-          this.levelManager.obstacleSpawner.spawnBall();
-        }
+    // Spawn initial ball
+    spawner.spawn("ball");
+
+    // Spawn a new ball whenever an obstacle leaving play frees the field
+    this.ballListener = () => {
+      // Stop if boss is gone or level ended
+      if (!this.boss || !this.levelManager.isActive) {
+        this.stopBallSpawning();
+        return;
+      }
 
-        // Stop if boss is gone or level ended
-        if (!this.boss || !this.levelManager.isActive) {
-          this.stopBallSpawning();
-        }
-      },
-      loop: true,
-    });
+      if (spawner.count("ball") === 0) spawner.spawn("ball");
+    };
+    spawner.events.on("exited", this.ballListener);
   }
 
   /**
    * Stops continuous ball spawning
-   * Cleans up interval timer and active ball
+   * Unsubscribes from obstacle exits and cleans up the active ball
    */
   stopBallSpawning() {
-    if (this.ballCheckInterval) {
-      this.ballCheckInterval.remove();
-      this.ballCheckInterval = null;
+    const spawner = this.levelManager.obstacleSpawner;
+    if (this.ballListener) {
+      spawner.events.off("exited", this.ballListener);
+      this.ballListener = null;
     }
 
     // Destroy any active ball
-    if (this.levelManager.obstacleSpawner.activeBall) {
-      this.levelManager.obstacleSpawner.activeBall.destroy();
-      this.levelManager.obstacleSpawner.activeBall = null;
+    spawner.releaseAll("ball");
+  }
+
+  // ============================================================================
+  // BOSS HEALTH
+  // ============================================================================
+
+  /**
+   * Starts a boss encounter with full health and shows the HP bar
+   * runTimeline() adds the timeline and the index of the phase playing.
+   *
+   * @param {number} maxHp - Hits the boss can take
+   * @param {Function} onDefeated - Called after the defeat animation if
+   *        the boss runs out of HP; the encounter's own ending is skipped
+   */
+  startEncounter(maxHp, onDefeated) {
+    this.encounter = { hp: maxHp, maxHp, onDefeated, timers: [] };
+    this.showHealthBar();
+  }
+
+  /**
+   * Ends the encounter without a defeat (the boss is leaving on its
+   * timer) and hides the HP bar
+   */
+  endEncounter() {
+    this.encounter = null;
+    this.hideHealthBar();
+  }
+
+  /**
+   * Schedules a step of the current encounter's attack sequence
+   * Steps still pending when the boss is defeated are cancelled.
+   *
+   * @param {number} delay - Delay in ms
+   * @param {Function} callback - Step to run
+   * @returns {Phaser.Time.TimerEvent} Timer of the step
+   * @private
+   */
+  schedule(delay, callback) {
+    const timer = this.scene.time.delayedCall(delay, callback);
+    if (this.encounter) this.encounter.timers.push(timer);
+    return timer;
+  }
+
+  /**
+   * Takes HP off the boss with a hit flash, defeating it at 0
+   * Ignored outside encounters and while the boss is off-screen.
+   *
+   * @param {number} amount - HP to take off
+   */
+  damageBoss(amount) {
+    const encounter = this.encounter;
+    if (!encounter || !this.boss) return;
+
+    encounter.hp = Math.max(encounter.hp - amount, 0);
+    this.updateHealthBar();
+
+    if (this.scene.audioManager) {
+      this.scene.audioManager.playSpikeSound();
     }
+
+    if (encounter.hp === 0) {
+      this.defeatBoss();
+      return;
+    }
+
+    // Hit flash, cancelled with the encounter so it can't clear the
+    // defeat animation's tint
+    const boss = this.boss;
+    boss.setTintFill(0xffffff);
+    this.schedule(80, () => {
+      if (boss.active) boss.clearTint();
+    });
+  }
+
+  /**
+   * Ends the encounter early: cancels its remaining attacks, clears the
+   * boss's shots and ball support, then plays the defeat animation
+   *
+   * @private
+   */
+  defeatBoss() {
+    const { timers, onDefeated } = this.encounter;
+    timers.forEach((timer) => timer.remove());
+    this.endEncounter();
+
+    this.stopBallSpawning();
+    this.stopLaneBallSpawning();
+    [...this.bulletPool.live].forEach((bullet) =>
+      this.bulletPool.release(bullet)
+    );
+
+    this.playDefeatAnimation(() => {
+      if (onDefeated) onDefeated();
+    });
+  }
+
+  /**
+   * Defeat animation: the boss flickers white, then bursts into plasma
+   * while spinning, shrinking and fading out
+   *
+   * @param {Function} onComplete - Called once the boss is gone
+   * @private
+   */
+  playDefeatAnimation(onComplete) {
+    const boss = this.boss;
+    this.boss = null;
+    this.stopHoverAnimation();
+    this.scene.tweens.killTweensOf(boss);
+
+    this.scene.shakeCamera(600, 0.02);
+    boss.setTintFill(0xffffff);
+
+    this.scene.tweens.add({
+      targets: boss,
+      alpha: 0.3,
+      duration: 80,
+      yoyo: true,
+      repeat: 5,
+      onComplete: () => {
+        boss.clearTint();
+
+        const burst = this.scene.add
+          .particles(boss.x, boss.y, "plasma", {
+            speed: { min: 200, max: 700 },
+            scale: { start: 3, end: 0 },
+            alpha: { start: 1, end: 0 },
+            lifespan: 900,
+            blendMode: "ADD",
+            emitting: false,
+          })
+          .setDepth(11);
+        burst.explode(40);
+
+        this.scene.tweens.add({
+          targets: boss,
+          scale: 0,
+          angle: 360,
+          alpha: 0,
+          duration: 1000,
+          onComplete: () => {
+            boss.destroy();
+            burst.destroy();
+            onComplete();
+          },
+        });
+      },
+    });
+  }
+
+  /**
+   * Shows the HP bar under the score, full
+   *
+   * @private
+   */
+  showHealthBar() {
+    this.hideHealthBar();
+
+    const label = this.scene.add
+      .text(540, 175, "BOSS", {
+        fontFamily: '"Press Start 2P"',
+        fontSize: "24px",
+        fill: "#ffffff",
+      })
+      .setOrigin(0.5)
+      .setDepth(100)
+      .setScrollFactor(0);
+
+    const frame = this.scene.add
+      .rectangle(540, 220, 640, 36, 0x1d2b53)
+      .setStrokeStyle(4, 0xffffff)
+      .setDepth(100)
+      .setScrollFactor(0);
+
+    // Scaled horizontally from its left edge as HP drops
+    const fill = this.scene.add
+      .rectangle(224, 220, 632, 28, 0xff004d)
+      .setOrigin(0, 0.5)
+      .setDepth(100)
+      .setScrollFactor(0);
+
+    this.healthBar = { label, frame, fill };
+  }
+
+  /**
+   * Resizes the HP bar fill to the encounter's remaining HP
+   *
+   * @private
+   */
+  updateHealthBar() {
+    if (!this.healthBar || !this.encounter) return;
+
+    const { hp, maxHp } = this.encounter;
+    this.healthBar.fill.setScale(hp / maxHp, 1);
+  }
+
+  /**
+   * Removes the HP bar
+   *
+   * @private
+   */
+  hideHealthBar() {
+    if (!this.healthBar) return;
+
+    Object.values(this.healthBar).forEach((object) => object.destroy());
+    this.healthBar = null;
   }
 
   // ============================================================================
@@ -799,6 +948,28 @@ export class BossManager {
   // BOSS LIFECYCLE
   // ============================================================================
 
+  /**
+   * Brings the boss in from above with a bounce, then starts its hover
+   *
+   * @param {Function} onComplete - Callback executed once the boss is in place
+   */
+  enterBoss(onComplete) {
+    this.boss = this.scene.add.sprite(540, -300, "shootingBoss");
+    this.boss.setScale(30);
+    this.boss.setDepth(10);
+
+    this.scene.tweens.add({
+      targets: this.boss,
+      y: 400,
+      duration: 2500,
+      ease: "Back.easeOut",
+      onComplete: () => {
+        this.startHoverAnimation();
+        if (onComplete) onComplete();
+      },
+    });
+  }
+
   /**
    * Smoothly exits the boss from the scene
    * Animates upward off-screen then destroys sprite
@@ -0,0 +1,445 @@
+// src/game/controllers/ControlsManager.js
+
+import { DEFAULT_KEY_BINDINGS } from "../utils/SaveData";
+import {
+  BINDABLE_ACTIONS,
+  findKeyConflict,
+  getKeyBindings,
+  getKeyName,
+  MAX_KEYS_PER_ACTION,
+  RESERVED_KEYS,
+} from "../utils/KeyBindings";
+
+/**
+ * Row labels per action
+ * @constant {Object<string, string>}
+ */
+const ACTION_LABELS = {
+  jump: "JUMP",
+  fastDrop: "DROP",
+  dashLeft: "LEFT",
+  dashRight: "RIGHT",
+};
+
+/**
+ * ControlsManager
+ *
+ * Keyboard rebinding overlay, opened from the settings screen:
+ * - One row per action listing its keys
+ * - "+" waits for a key press and adds it (the oldest key is replaced
+ *   once an action has MAX_KEYS_PER_ACTION keys)
+ * - "-" removes the action's newest key; every action keeps at least one
+ * - A key bound to another action is a conflict: the first press explains
+ *   it, pressing the same key again moves it over
+ * - "DEFAULTS" restores WASD, arrows and Space
+ *
+ * Bindings are stored in the registry ("keyBindings"), which SaveData
+ * persists, and the scene's InputHandler reloads them after each change.
+ * Player input is disabled while the overlay is open so pressed keys
+ * don't move the player.
+ *
+ * @class
+ */
+export class ControlsManager {
+  /**
+   * Creates a new ControlsManager instance
+   *
+   * @param {Phaser.Scene} scene - The game scene this manager operates in
+   */
+  constructor(scene) {
+    this.scene = scene;
+    this.elements = []; // Every game object in the overlay
+    this.keyTexts = {}; // Key list text per action
+    this.listeningAction = null; // Action waiting for a key press
+    this.pendingConflict = null; // Key pressed once while bound elsewhere
+    this.isOpen = false;
+  }
+
+  // ============================================================================
+  // CONTROLS DISPLAY
+  // ============================================================================
+
+  /**
+   * Displays the controls overlay
+   *
+   * @param {Function} [onClose] - Callback executed when the player presses BACK
+   */
+  show(onClose) {
+    if (this.isOpen) return;
+    this.isOpen = true;
+    this.onClose = onClose;
+
+    if (this.scene.inputHandler) {
+      this.wasInputEnabled = this.scene.inputHandler.enabled;
+      this.scene.inputHandler.enabled = false;
+    }
+
+    // ===== Dark Modal Overlay =====
+    this.addElement(
+      this.scene.add
+        .rectangle(540, 960, 1080, 1920, 0x000000, 0.9)
+        .setInteractive()
+    );
+
+    this.addElement(
+      this.scene.add
+        .text(540, 300, "CONTROLS", {
+          fontFamily: '"Press Start 2P"',
+          fontSize: "72px",
+          fill: "#ffffff",
+        })
+        .setOrigin(0.5)
+    );
+
+    BINDABLE_ACTIONS.forEach((action, index) => {
+      this.createActionRow(500 + index * 150, action);
+    });
+
+    // ===== Status Line =====
+    this.statusText = this.addElement(
+      this.scene.add
+        .text(540, 1120, "", {
+          fontFamily: '"Press Start 2P"',
+          fontSize: "24px",
+          fill: "#ff004d",
+          align: "center",
+          lineSpacing: 12,
+        })
+        .setOrigin(0.5)
+    );
+
+    const defaultsButton = this.createDefaultsButton(1300);
+    const backButton = this.createBackButton(1480);
+
+    // Rebinding needs a keyboard, but a gamepad can still reset or leave
+    if (this.scene.gamepadManager) {
+      this.gamepadMenu = this.scene.gamepadManager.pushMenu({
+        items: [defaultsButton, backButton],
+        onBack: () => this.hide(),
+      });
+    }
+
+    this.scene.input.keyboard.on("keydown", this.handleKey, this);
+
+    this.refresh();
+  }
+
+  /**
+   * Creates a row with the action's label, its keys and "+" / "-" buttons
+   *
+   * @param {number} y - Vertical center of the row
+   * @param {string} action - Action shown in the row
+   * @private
+   */
+  createActionRow(y, action) {
+    const style = {
+      fontFamily: '"Press Start 2P"',
+      fontSize: "32px",
+      fill: "#ffffff",
+    };
+
+    this.addElement(
+      this.scene.add.text(60, y, ACTION_LABELS[action], style).setOrigin(0, 0.5)
+    );
+
+    this.keyTexts[action] = this.addElement(
+      this.scene.add
+        .text(560, y, "", { ...style, fontSize: "24px" })
+        .setOrigin(0.5)
+    );
+
+    this.createSmallButton(860, y, "-", () => this.removeKey(action));
+    this.createSmallButton(980, y, "+", () => this.startListening(action));
+  }
+
+  /**
+   * Creates a square button used for "-" / "+" adjustments
+   *
+   * @param {number} x - Horizontal center
+   * @param {number} y - Vertical center
+   * @param {string} label - Button text
+   * @param {Function} onPress - Callback executed on release
+   * @private
+   */
+  createSmallButton(x, y, label, onPress) {
+    const button = this.addElement(
+      this.scene.add.rectangle(x, y, 100, 100, 0xff004d).setInteractive()
+    );
+    this.addElement(
+      this.scene.add
+        .text(x, y, label, {
+          fontFamily: '"Press Start 2P"',
+          fontSize: "48px",
+          fill: "#ffffff",
+        })
+        .setOrigin(0.5)
+    );
+
+    button.on("pointerup", () => {
+      if (this.scene.audioManager) {
+        this.scene.audioManager.playClickSound();
+      }
+      onPress();
+    });
+  }
+
+  /**
+   * Creates the DEFAULTS button that restores the default bindings
+   *
+   * @param {number} btnY - Vertical center of the button
+   * @returns {Phaser.GameObjects.Rectangle} The button
+   * @private
+   */
+  createDefaultsButton(btnY) {
+    const button = this.addElement(
+      this.scene.add.rectangle(540, btnY, 600, 100, 0x1d2b53).setInteractive()
+    );
+    this.addElement(
+      this.scene.add
+        .text(540, btnY, "DEFAULTS", {
+          fontFamily: '"Press Start 2P"',
+          fontSize: "32px",
+          fill: "#ffffff",
+        })
+        .setOrigin(0.5)
+    );
+
+    button.on("pointerup", () => {
+      if (this.scene.audioManager) {
+        this.scene.audioManager.playClickSound();
+      }
+
+      this.listeningAction = null;
+      this.saveBindings({ ...DEFAULT_KEY_BINDINGS }, "DEFAULTS RESTORED");
+    });
+
+    return button;
+  }
+
+  /**
+   * Creates the BACK button that closes the overlay
+   *
+   * @param {number} btnY - Vertical center of the button
+   * @returns {Phaser.GameObjects.Rectangle} The button face
+   * @private
+   */
+  createBackButton(btnY) {
+    this.addElement(
+      this.scene.add.rectangle(540, btnY + 15, 450, 120, 0x1d2b53)
+    );
+    const top = this.addElement(
+      this.scene.add.rectangle(540, btnY, 450, 120, 0xff004d).setInteractive()
+    );
+    const text = this.addElement(
+      this.scene.add
+        .text(540, btnY, "BACK", {
+          fontFamily: '"Press Start 2P"',
+          fontSize: "48px",
+          fill: "#ffffff",
+        })
+        .setOrigin(0.5)
+    );
+
+    top.on("pointerdown", () => {
+      top.y = btnY + 10;
+      text.y = btnY + 10;
+    });
+
+    top.on("pointerup", () => {
+      top.y = btnY;
+      text.y = btnY;
+      if (this.scene.audioManager) {
+        this.scene.audioManager.playClickSound();
+      }
+      this.hide();
+    });
+
+    return top;
+  }
+
+  /**
+   * Updates every row's key list
+   *
+   * @param {string} [status=""] - Message for the status line
+   * @private
+   */
+  refresh(status = "") {
+    const bindings = getKeyBindings(this.scene.registry);
+
+    BINDABLE_ACTIONS.forEach((action) => {
+      const keys = bindings[action].join(" ");
+      this.keyTexts[action].setText(
+        action === this.listeningAction ? "PRESS A KEY" : keys
+      );
+      this.keyTexts[action].setColor(
+        action === this.listeningAction ? "#ff004d" : "#ffffff"
+      );
+    });
+
+    this.statusText.setText(status);
+  }
+
+  // ============================================================================
+  // REBINDING
+  // ============================================================================
+
+  /**
+   * Waits for the next key press to add to an action
+   *
+   * @param {string} action - Action to bind
+   * @private
+   */
+  startListening(action) {
+    this.listeningAction = action;
+    this.pendingConflict = null;
+    this.refresh("ESC TO CANCEL");
+  }
+
+  /**
+   * Handles a key press while waiting for a binding
+   *
+   * @param {KeyboardEvent} event - Native keyboard event
+   * @private
+   */
+  handleKey(event) {
+    const action = this.listeningAction;
+    if (!action) return;
+
+    const keyName = getKeyName(event.keyCode);
+
+    if (keyName === "ESC") {
+      this.listeningAction = null;
+      this.pendingConflict = null;
+      this.refresh();
+      return;
+    }
+
+    if (!keyName || RESERVED_KEYS.includes(keyName)) {
+      this.refresh(`${keyName || "THAT KEY"} CAN'T BE BOUND`);
+      return;
+    }
+
+    const bindings = getKeyBindings(this.scene.registry);
+    const conflict = findKeyConflict(bindings, keyName);
+
+    if (conflict === action) {
+      this.listeningAction = null;
+      this.refresh(`${keyName} IS ALREADY ${ACTION_LABELS[action]}`);
+      return;
+    }
+
+    if (conflict) {
+      if (bindings[conflict].length === 1) {
+        this.refresh(
+          `${keyName} IS THE ONLY ${ACTION_LABELS[conflict]} KEY\nADD ANOTHER FIRST`
+        );
+        return;
+      }
+
+      // First press explains the conflict, the second confirms the move
+      if (this.pendingConflict !== keyName) {
+        this.pendingConflict = keyName;
+        this.refresh(
+          `${keyName} IS BOUND TO ${ACTION_LABELS[conflict]}\nPRESS AGAIN TO MOVE IT`
+        );
+        return;
+      }
+
+      bindings[conflict] = bindings[conflict].filter((key) => key !== keyName);
+    }
+
+    // Full actions drop their oldest key
+    bindings[action] = [...bindings[action], keyName].slice(
+      -MAX_KEYS_PER_ACTION
+    );
+
+    this.listeningAction = null;
+    this.pendingConflict = null;
+    this.saveBindings(
+      bindings,
+      conflict
+        ? `${keyName} MOVED FROM ${ACTION_LABELS[conflict]}`
+        : `${keyName} ADDED`
+    );
+  }
+
+  /**
+   * Removes an action's newest key, keeping at least one
+   *
+   * @param {string} action - Action to edit
+   * @private
+   */
+  removeKey(action) {
+    this.listeningAction = null;
+    this.pendingConflict = null;
+
+    const bindings = getKeyBindings(this.scene.registry);
+    if (bindings[action].length === 1) {
+      this.refresh(`${ACTION_LABELS[action]} NEEDS AT LEAST ONE KEY`);
+      return;
+    }
+
+    bindings[action] = bindings[action].slice(0, -1);
+    this.saveBindings(bindings);
+  }
+
+  /**
+   * Stores new bindings and applies them to the scene's InputHandler
+   *
+   * @param {Object<string, string[]>} bindings - Key names per action
+   * @param {string} [status] - Message for the status line
+   * @private
+   */
+  saveBindings(bindings, status) {
+    this.scene.registry.set("keyBindings", bindings);
+
+    if (this.scene.inputHandler) {
+      this.scene.inputHandler.loadBindings();
+    }
+
+    this.refresh(status);
+  }
+
+  // ============================================================================
+  // CLEANUP
+  // ============================================================================
+
+  /**
+   * Registers an overlay element so hide() can destroy it
+   *
+   * @param {Phaser.GameObjects.GameObject} element - Element to track
+   * @returns {Phaser.GameObjects.GameObject} The same element, for chaining
+   * @private
+   */
+  addElement(element) {
+    element.setDepth(400).setScrollFactor(0);
+    this.elements.push(element);
+    return element;
+  }
+
+  /**
+   * Closes the overlay and runs the onClose callback
+   */
+  hide() {
+    if (!this.isOpen) return;
+    this.isOpen = false;
+    this.listeningAction = null;
+    this.pendingConflict = null;
+
+    if (this.gamepadMenu) {
+      this.scene.gamepadManager.removeMenu(this.gamepadMenu);
+      this.gamepadMenu = null;
+    }
+
+    this.scene.input.keyboard.off("keydown", this.handleKey, this);
+    this.elements.forEach((element) => element.destroy());
+    this.elements = [];
+    this.keyTexts = {};
+
+    if (this.scene.inputHandler) {
+      this.scene.inputHandler.enabled = this.wasInputEnabled;
+    }
+
+    if (this.onClose) this.onClose();
+  }
+}
@@ -26,6 +26,7 @@ export class DialogueManager {
     this.dialogueIndex = 0; // Current line being displayed
     this.isTyping = false; // Whether typewriter effect is active
     this.fullText = ""; // Complete text of current line
+    this.isListening = false; // Whether taps currently advance the dialogue
 
     // Default introduction dialogue
     this.introLines = [
@@ -214,7 +215,33 @@ export class DialogueManager {
    * @private
    */
   setupInput() {
-    this.scene.input.on("pointerdown", this.handleTap, this);
+    this.isListening = true;
+    this.scene.input.on("pointerdown", this.onPointerDown, this);
+
+    // Gamepad A counts as a tap
+    if (this.scene.gamepadManager) {
+      this.gamepadMenu = this.scene.gamepadManager.pushMenu({
+        onConfirm: () => this.onPointerDown(),
+      });
+    }
+  }
+
+  /**
+   * Handles a live tap, recording it for replays
+   * Live taps are ignored while paused or while a replay is playing back
+   *
+   * @private
+   */
+  onPointerDown() {
+    if (this.scene.pauseManager && this.scene.pauseManager.isPaused) return;
+
+    const replayManager = this.scene.replayManager;
+    if (replayManager) {
+      if (replayManager.isPlayback) return;
+      replayManager.record("dialogueTap");
+    }
+
+    this.handleTap();
   }
 
   /**
@@ -224,7 +251,7 @@ export class DialogueManager {
    * - If typing: Instantly completes current line (skips typewriter)
    * - If not typing: Advances to next line
    *
-   * @private
+   * Also called by ReplayManager to replay recorded taps
    */
   handleTap() {
     if (this.isTyping) {
@@ -257,7 +284,13 @@ export class DialogueManager {
    */
   finishDialogue() {
     // Remove input listener to prevent further interaction
-    this.scene.input.off("pointerdown", this.handleTap, this);
+    this.isListening = false;
+    this.scene.input.off("pointerdown", this.onPointerDown, this);
+
+    if (this.gamepadMenu) {
+      this.scene.gamepadManager.removeMenu(this.gamepadMenu);
+      this.gamepadMenu = null;
+    }
 
     // Fade out all dialogue elements with downward movement
     this.scene.tweens.add({
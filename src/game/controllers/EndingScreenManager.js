@@ -1,5 +1,8 @@
 // src/game/controllers/EndingScreenManager.js
 
+import { unlockPuppy } from "../utils/SaveData";
+import { ScoreManager } from "./ScoreManager";
+
 /**
  * EndingScreenManager
  *
@@ -7,8 +10,9 @@
  * - Thank you message display
  * - Rotating puppy image rewards (cycles through 3 dogs)
  * - Credits display with staggered animations
+ * - Final score breakdown
  * - Return to title functionality
- * - Completion tracking across play sessions
+ * - Completion tracking across play sessions (saved with SaveData)
  *
  * Features a modal-style overlay with smooth fade-in animations and
  * interactive return button. Puppy images rotate based on completion count
@@ -39,6 +43,7 @@ export class EndingScreenManager {
    * - 1000ms: Reward text appears
    * - 1500ms: Puppy image zooms in
    * - 2000-2400ms: Credits fade in sequentially
+   * - 2600ms: Score breakdown fades in
    * - 3000ms: Return button appears
    *
    * Also increments and tracks completion count for puppy rotation
@@ -58,6 +63,11 @@ export class EndingScreenManager {
         ? "puppyTwo"
         : "puppyThree";
 
+    // Replays don't earn rewards
+    if (!this.scene.replayManager?.isPlayback) {
+      unlockPuppy(puppyImage);
+    }
+
     // ===== Dark Modal Overlay =====
     const overlay = this.scene.add
       .rectangle(540, 960, 1080, 1920, 0x000000)
@@ -156,6 +166,32 @@ export class EndingScreenManager {
       });
     });
 
+    // ===== Score Breakdown =====
+    if (this.scene.scoreManager) {
+      const scoreLines = ScoreManager.formatBreakdown(
+        this.scene.scoreManager.getBreakdown()
+      );
+
+      const scoreText = this.scene.add
+        .text(540, 1300, scoreLines.join("\n"), {
+          fontFamily: '"Press Start 2P"',
+          fontSize: "24px",
+          fill: "#ffffff",
+          align: "center",
+          lineSpacing: 10,
+        })
+        .setOrigin(0.5)
+        .setDepth(200)
+        .setAlpha(0);
+
+      this.scene.tweens.add({
+        targets: scoreText,
+        alpha: 1,
+        duration: 800,
+        delay: 2600, // Right after the credits
+      });
+    }
+
     // ===== Return Button (Appears Last) =====
     this.scene.time.delayedCall(3000, () => {
       this.createReturnButton();
@@ -217,6 +253,11 @@ export class EndingScreenManager {
       this.returnToTitle();
     });
 
+    // Gamepad A presses the button (the scene restarts afterwards)
+    if (this.scene.gamepadManager) {
+      this.scene.gamepadManager.pushMenu({ items: [top] });
+    }
+
     // ===== Button Entrance Animation =====
     // Start invisible and fade in
     top.setAlpha(0);
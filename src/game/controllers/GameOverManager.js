@@ -1,12 +1,18 @@
 // src/game/controllers/GameOverManager.js
 
+import { ScoreManager } from "./ScoreManager";
+
 /**
  * GameOverManager
  *
  * Manages the game over screen overlay including:
  * - "You Died" message display
+ * - Run summary: score breakdown, plus time survived, obstacles dodged
+ *   and the day's best for Endless/Daily runs
  * - Interactive retry button
+ * - Optional "SAVE REPLAY" link that exports the run
  * - Smooth fade-in/fade-out transitions
+ * - Gamepad navigation of the retry button and replay link
  * - Player retry callback handling
  *
  * Features a modal-style dark overlay with bold death message and
@@ -35,11 +41,19 @@ export class GameOverManager {
    * Creates a modal overlay with:
    * - Semi-transparent dark background
    * - Bold "YOU DIED" message
+   * - Run summary lines, if a summary is provided
    * - Interactive retry button with press animation
    *
    * @param {Function} onRetry - Callback executed when player presses retry
+   * @param {Object} [summary=null] - Run statistics to display under the death message
+   * @param {Object} [summary.score] - Breakdown from ScoreManager.getBreakdown()
+   * @param {number} [summary.timeSurvived] - Time survived in ms (Endless/Daily)
+   * @param {number} [summary.obstaclesDodged] - Obstacles dodged (Endless/Daily)
+   * @param {Object} [summary.best] - Day's best result (Daily Challenge only)
+   * @param {boolean} [summary.isNewBest] - Whether this run set the day's best
+   * @param {Function} [onSaveReplay=null] - Callback for the "SAVE REPLAY" link
    */
-  show(onRetry) {
+  show(onRetry, summary = null, onSaveReplay = null) {
     // ===== Dark Modal Overlay =====
     // Semi-transparent background to focus attention on message
     this.overlay = this.scene.add
@@ -50,7 +64,7 @@ export class GameOverManager {
     // ===== Death Message =====
     // Large, bold text to clearly communicate game over state
     this.deathText = this.scene.add
-      .text(540, 700, "YOU DIED", {
+      .text(540, 560, "YOU DIED", {
         fontFamily: '"Press Start 2P"',
         fontSize: "80px",
         fill: "#ff004d", // Game's signature red for emphasis
@@ -59,9 +73,45 @@ export class GameOverManager {
       .setDepth(201) // In front of overlay
       .setAlpha(0);
 
+    // ===== Run Summary =====
+    this.summaryText = null;
+    if (summary) {
+      const lines = summary.score
+        ? ScoreManager.formatBreakdown(summary.score)
+        : [];
+
+      // Endless / Daily Challenge runs also report survival time
+      if (summary.timeSurvived !== undefined) {
+        lines.push(
+          `TIME ${this.formatTime(summary.timeSurvived)}`,
+          `DODGED ${summary.obstaclesDodged}`
+        );
+      }
+
+      if (summary.best) {
+        lines.push(
+          summary.isNewBest
+            ? "NEW DAILY BEST!"
+            : `BEST ${this.formatTime(summary.best.timeSurvived)}`
+        );
+      }
+
+      this.summaryText = this.scene.add
+        .text(540, 660, lines.join("\n"), {
+          fontFamily: '"Press Start 2P"',
+          fontSize: "32px",
+          fill: "#ffffff",
+          align: "center",
+          lineSpacing: 16,
+        })
+        .setOrigin(0.5, 0)
+        .setDepth(201)
+        .setAlpha(0);
+    }
+
     // ===== Retry Button =====
     const btnX = 540;
-    const btnY = 1000;
+    const btnY = 1150;
 
     // Button shadow (offset downward for depth effect)
     this.buttonShadow = this.scene.add
@@ -103,22 +153,62 @@ export class GameOverManager {
       if (onRetry) onRetry();
     });
 
+    // ===== Save Replay Link =====
+    // Exports the run as a JSON file without leaving the screen
+    if (onSaveReplay) {
+      this.replayText = this.scene.add
+        .text(540, 1330, "SAVE REPLAY", {
+          fontFamily: '"Press Start 2P"',
+          fontSize: "32px",
+          fill: "#ffffff",
+        })
+        .setOrigin(0.5)
+        .setDepth(202)
+        .setAlpha(0)
+        .setInteractive();
+
+      this.replayText.on("pointerup", () => onSaveReplay());
+    }
+
+    if (this.scene.gamepadManager) {
+      this.gamepadMenu = this.scene.gamepadManager.pushMenu({
+        items: [this.buttonTop, this.replayText].filter(Boolean),
+      });
+    }
+
     // ===== Fade-In Animation =====
     // All elements fade in simultaneously for cohesive appearance
     this.scene.tweens.add({
       targets: [
         this.overlay,
         this.deathText,
+        this.summaryText,
         this.buttonShadow,
         this.buttonTop,
         this.buttonText,
-      ],
+        this.replayText,
+      ].filter(Boolean),
       alpha: 1,
       duration: 500,
       ease: "Power2",
     });
   }
 
+  /**
+   * Formats a duration as MM:SS
+   *
+   * @param {number} ms - Duration in milliseconds
+   * @returns {string} Formatted time, e.g. "03:07"
+   * @private
+   */
+  formatTime(ms) {
+    const totalSeconds = Math.floor(ms / 1000);
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = totalSeconds % 60;
+    const pad = (value) => String(value).padStart(2, "0");
+    return `${pad(minutes)}:${pad(seconds)}`;
+  }
+
   // ============================================================================
   // CLEANUP & TRANSITIONS
   // ============================================================================
@@ -133,24 +223,33 @@ export class GameOverManager {
    * Called automatically when player presses retry button
    */
   hide() {
+    if (this.gamepadMenu) {
+      this.scene.gamepadManager.removeMenu(this.gamepadMenu);
+      this.gamepadMenu = null;
+    }
+
     // Fade out all game over elements
     this.scene.tweens.add({
       targets: [
         this.overlay,
         this.deathText,
+        this.summaryText,
         this.buttonShadow,
         this.buttonTop,
         this.buttonText,
-      ],
+        this.replayText,
+      ].filter(Boolean),
       alpha: 0,
       duration: 300, // Quick fade for minimal retry friction
       onComplete: () => {
         // Clean up all game over elements
         if (this.overlay) this.overlay.destroy();
         if (this.deathText) this.deathText.destroy();
+        if (this.summaryText) this.summaryText.destroy();
         if (this.buttonShadow) this.buttonShadow.destroy();
         if (this.buttonTop) this.buttonTop.destroy();
         if (this.buttonText) this.buttonText.destroy();
+        if (this.replayText) this.replayText.destroy();
       },
     });
   }
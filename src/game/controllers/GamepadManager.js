@@ -0,0 +1,455 @@
+// src/game/controllers/GamepadManager.js
+
+import { GAME_CONFIG } from "../config/GameConfig";
+
+/**
+ * Standard-mapping button indices
+ * @constant {Object<string, number>}
+ */
+const BUTTONS = {
+  A: 0,
+  B: 1,
+  X: 2,
+  Y: 3,
+  LB: 4,
+  RB: 5,
+  START: 9,
+  DPAD_UP: 12,
+  DPAD_DOWN: 13,
+  DPAD_LEFT: 14,
+  DPAD_RIGHT: 15,
+};
+
+/**
+ * D-pad buttons and the direction each one points
+ * @constant {Object<number, string>}
+ */
+const DPAD_DIRECTIONS = {
+  [BUTTONS.DPAD_UP]: "up",
+  [BUTTONS.DPAD_DOWN]: "down",
+  [BUTTONS.DPAD_LEFT]: "left",
+  [BUTTONS.DPAD_RIGHT]: "right",
+};
+
+/**
+ * Player action for each direction (D-pad or stick flick)
+ * @constant {Object<string, string>}
+ */
+const DIRECTION_ACTIONS = {
+  up: "jump",
+  down: "fastDrop",
+  left: "dashLeft",
+  right: "dashRight",
+};
+
+/**
+ * Player action for each face and shoulder button
+ * @constant {Object<number, string>}
+ */
+const BUTTON_ACTIONS = {
+  [BUTTONS.A]: "jump",
+  [BUTTONS.Y]: "jump",
+  [BUTTONS.B]: "fastDrop",
+  [BUTTONS.X]: "dashLeft",
+  [BUTTONS.LB]: "dashLeft",
+  [BUTTONS.RB]: "dashRight",
+};
+
+/**
+ * GamepadManager
+ *
+ * Turns Phaser gamepad input into player actions and menu navigation.
+ *
+ * Gameplay (sent to InputHandler through onAction):
+ * - D-pad / left stick flick: Up jump, Down fast drop, Left / Right dash
+ * - A or Y: Jump, B: Fast drop, X or LB: Dash left, RB: Dash right
+ * - Start: Pause / resume
+ *
+ * Stick flicks: the stick has to leave the deadzone and reach
+ * FLICK_THRESHOLD within FLICK_WINDOW ms, so slowly drifting sticks don't
+ * trigger anything. The stick has to return to the deadzone before the
+ * next flick.
+ *
+ * Releases (sent through onRelease): letting go of a button, or a stick
+ * returning to the deadzone after a flick, releases its action. With free
+ * movement this ends the direction a dash input holds.
+ *
+ * Menus: overlays register their buttons with pushMenu(). While a menu is
+ * open, directions move a highlight between its items, A (or Start)
+ * presses the highlighted item and B runs the menu's onBack. Only the
+ * most recent menu responds, and gameplay receives nothing.
+ *
+ * Hot-plugging: a controller can be connected or disconnected at any
+ * time. A short notice is shown and losing a controller mid-run pauses
+ * the game.
+ *
+ * @class
+ */
+export class GamepadManager {
+  /**
+   * Creates a new GamepadManager instance and listens for controllers
+   *
+   * @param {Phaser.Scene} scene - The game scene this manager operates in
+   */
+  constructor(scene) {
+    this.scene = scene;
+    this.gamepad = scene.input.gamepad; // Null if gamepads are unavailable
+
+    this.menus = []; // Open menus, most recent last
+    this.onAction = null; // Gameplay action handler (set by InputHandler)
+    this.onRelease = null; // Gameplay release handler (set by InputHandler)
+    this.sticks = {}; // Flick tracking per pad index
+    this.focusBox = null; // Highlight around the focused menu item
+
+    if (!this.gamepad) return;
+
+    this.gamepad.on("down", this.handleButton, this);
+    this.gamepad.on("up", this.handleButtonUp, this);
+    this.gamepad.on("connected", () => this.showNotice("CONTROLLER CONNECTED"));
+    this.gamepad.on("disconnected", (pad) => this.handleDisconnect(pad));
+  }
+
+  /**
+   * Whether a controller is connected right now
+   *
+   * @returns {boolean}
+   */
+  isConnected() {
+    return Boolean(this.gamepad) && this.getPads().length > 0;
+  }
+
+  /**
+   * Returns the connected pads
+   * Phaser keeps unplugged pads in its list, so they are filtered out
+   *
+   * @returns {Phaser.Input.Gamepad.Gamepad[]}
+   * @private
+   */
+  getPads() {
+    return this.gamepad.getAll().filter((pad) => pad.connected);
+  }
+
+  // ============================================================================
+  // INPUT
+  // ============================================================================
+
+  /**
+   * Handles a button press on any connected pad
+   *
+   * @param {Phaser.Input.Gamepad.Gamepad} pad - Pad the button belongs to
+   * @param {Phaser.Input.Gamepad.Button} button - Pressed button
+   * @private
+   */
+  handleButton(pad, button) {
+    const index = button.index;
+
+    if (DPAD_DIRECTIONS[index]) {
+      this.handleDirection(DPAD_DIRECTIONS[index]);
+      return;
+    }
+
+    const menu = this.getActiveMenu();
+
+    if (index === BUTTONS.START) {
+      const pauseManager = this.scene.pauseManager;
+      if (pauseManager && (!menu || menu === pauseManager.gamepadMenu)) {
+        pauseManager.togglePause();
+      } else if (menu) {
+        this.confirm(menu);
+      }
+      return;
+    }
+
+    if (menu) {
+      if (index === BUTTONS.A) this.confirm(menu);
+      if (index === BUTTONS.B && menu.onBack) menu.onBack();
+      return;
+    }
+
+    if (BUTTON_ACTIONS[index] && this.onAction) {
+      this.onAction(BUTTON_ACTIONS[index]);
+    }
+  }
+
+  /**
+   * Releases the gameplay action of a button that was let go
+   *
+   * @param {Phaser.Input.Gamepad.Gamepad} pad - Pad the button belongs to
+   * @param {Phaser.Input.Gamepad.Button} button - Released button
+   * @private
+   */
+  handleButtonUp(pad, button) {
+    const direction = DPAD_DIRECTIONS[button.index];
+    const action = direction
+      ? DIRECTION_ACTIONS[direction]
+      : BUTTON_ACTIONS[button.index];
+
+    if (action && this.onRelease) this.onRelease(action);
+  }
+
+  /**
+   * Handles a direction from the D-pad or a stick flick
+   *
+   * @param {string} direction - "up", "down", "left" or "right"
+   * @private
+   */
+  handleDirection(direction) {
+    const menu = this.getActiveMenu();
+
+    if (menu) {
+      this.navigate(menu, direction);
+    } else if (this.onAction) {
+      this.onAction(DIRECTION_ACTIONS[direction]);
+    }
+  }
+
+  /**
+   * Checks every connected pad's left stick for flicks
+   * Called every frame from the scene's update()
+   *
+   * @param {number} time - Current game time in ms
+   */
+  update(time) {
+    if (!this.gamepad) return;
+
+    const { DEADZONE, FLICK_THRESHOLD, FLICK_WINDOW } =
+      GAME_CONFIG.INPUT.GAMEPAD;
+
+    this.getPads().forEach((pad) => {
+      const { x, y } = pad.leftStick;
+      const distance = Math.hypot(x, y);
+      const stick = this.sticks[pad.index] || {
+        armed: true,
+        leftAt: null,
+        direction: null, // Direction of the flick being held
+      };
+      this.sticks[pad.index] = stick;
+
+      // Back at rest: ready for the next flick
+      if (distance < DEADZONE) {
+        this.releaseStick(stick);
+        stick.armed = true;
+        stick.leftAt = null;
+        return;
+      }
+
+      if (!stick.armed) return;
+
+      if (stick.leftAt === null) stick.leftAt = time;
+
+      if (distance >= FLICK_THRESHOLD) {
+        stick.armed = false;
+
+        // Too slow to count as a flick
+        if (time - stick.leftAt > FLICK_WINDOW) return;
+
+        stick.direction =
+          Math.abs(y) > Math.abs(x)
+            ? y < 0
+              ? "up"
+              : "down"
+            : x < 0
+            ? "left"
+            : "right";
+        this.handleDirection(stick.direction);
+      }
+    });
+  }
+
+  /**
+   * Releases the action of a stick's held flick, if any
+   *
+   * @param {Object} stick - Flick tracking state of one pad
+   * @private
+   */
+  releaseStick(stick) {
+    if (!stick.direction) return;
+
+    const action = DIRECTION_ACTIONS[stick.direction];
+    stick.direction = null;
+    if (this.onRelease) this.onRelease(action);
+  }
+
+  /**
+   * Pauses a run when its controller is unplugged
+   *
+   * @param {Phaser.Input.Gamepad.Gamepad} pad - Disconnected pad
+   * @private
+   */
+  handleDisconnect(pad) {
+    if (pad && this.sticks[pad.index]) {
+      this.releaseStick(this.sticks[pad.index]);
+      delete this.sticks[pad.index];
+    }
+
+    if (this.scene.pauseManager) {
+      this.scene.pauseManager.pause();
+    }
+
+    this.showNotice("CONTROLLER DISCONNECTED");
+  }
+
+  // ============================================================================
+  // MENU NAVIGATION
+  // ============================================================================
+
+  /**
+   * Registers an open menu so the gamepad can navigate it
+   *
+   * Items are interactive game objects (pressing one emits its
+   * pointerdown and pointerup events, so existing handlers run) or
+   * { target, onAdjust } objects for rows that Left / Right adjust.
+   *
+   * @param {Object} menu - Menu definition
+   * @param {Array<Phaser.GameObjects.GameObject|Object>} [menu.items=[]] -
+   *        Items in navigation order
+   * @param {Function} [menu.onConfirm] - Called by A instead of pressing an item
+   * @param {Function} [menu.onBack] - Called by B
+   * @param {Function} [menu.onDirection] - Receives every direction instead
+   *        of the default focus movement
+   * @returns {Object} The menu, to pass to removeMenu()
+   */
+  pushMenu(menu) {
+    menu.items = (menu.items || []).map((item) =>
+      item.target ? item : { target: item }
+    );
+    menu.focusIndex = 0;
+
+    this.menus.push(menu);
+    this.refreshFocus();
+    return menu;
+  }
+
+  /**
+   * Unregisters a menu when it closes
+   *
+   * @param {Object} menu - Menu returned by pushMenu()
+   */
+  removeMenu(menu) {
+    this.menus = this.menus.filter((open) => open !== menu);
+    this.refreshFocus();
+  }
+
+  /**
+   * Returns the menu that receives gamepad input, if any
+   *
+   * @returns {Object|undefined}
+   * @private
+   */
+  getActiveMenu() {
+    return this.menus[this.menus.length - 1];
+  }
+
+  /**
+   * Moves the focus, or adjusts the focused row
+   *
+   * @param {Object} menu - Active menu
+   * @param {string} direction - "up", "down", "left" or "right"
+   * @private
+   */
+  navigate(menu, direction) {
+    if (menu.onDirection) {
+      menu.onDirection(direction);
+      return;
+    }
+    if (menu.items.length === 0) return;
+
+    const item = menu.items[menu.focusIndex];
+    const horizontal = direction === "left" || direction === "right";
+
+    if (horizontal && item.onAdjust) {
+      item.onAdjust(direction === "right" ? 1 : -1);
+      return;
+    }
+
+    const step = direction === "up" || direction === "left" ? -1 : 1;
+    menu.focusIndex =
+      (menu.focusIndex + step + menu.items.length) % menu.items.length;
+
+    if (this.scene.audioManager) {
+      this.scene.audioManager.playClickSound();
+    }
+    this.refreshFocus();
+  }
+
+  /**
+   * Presses the focused item, or runs the menu's onConfirm
+   *
+   * @param {Object} menu - Active menu
+   * @private
+   */
+  confirm(menu) {
+    if (menu.onConfirm) {
+      menu.onConfirm();
+      return;
+    }
+
+    const item = menu.items[menu.focusIndex];
+    if (!item || item.onAdjust || !item.target.active) return;
+
+    const pointer = this.scene.input.activePointer;
+    item.target.emit("pointerdown", pointer);
+    item.target.emit("pointerup", pointer);
+  }
+
+  /**
+   * Draws the highlight around the active menu's focused item
+   * Only shown while a controller is connected
+   *
+   * @private
+   */
+  refreshFocus() {
+    if (this.focusBox) {
+      this.focusBox.destroy();
+      this.focusBox = null;
+    }
+
+    const menu = this.getActiveMenu();
+    const item = menu && menu.items[menu.focusIndex];
+    if (!item || !this.isConnected()) return;
+
+    const bounds = item.target.getBounds();
+    this.focusBox = this.scene.add
+      .rectangle(
+        bounds.centerX,
+        bounds.centerY,
+        bounds.width + 24,
+        bounds.height + 24
+      )
+      .setStrokeStyle(6, 0xffffff)
+      .setDepth(item.target.depth + 1)
+      .setScrollFactor(0);
+  }
+
+  /**
+   * Shows a short notice at the top of the screen
+   *
+   * @param {string} message - Text to show
+   * @private
+   */
+  showNotice(message) {
+    this.refreshFocus();
+
+    const notice = this.scene.add
+      .text(540, 200, message, {
+        fontFamily: '"Press Start 2P"',
+        fontSize: "32px",
+        fill: "#ffffff",
+        backgroundColor: "#1d2b53",
+        padding: { x: 24, y: 16 },
+      })
+      .setOrigin(0.5)
+      .setDepth(500)
+      .setScrollFactor(0);
+
+    // Created after any pause, so PauseManager (which only pauses tweens
+    // running when the game paused) doesn't hold it on screen
+    this.scene.tweens.add({
+      targets: notice,
+      alpha: 0,
+      delay: 1500,
+      duration: 500,
+      onComplete: () => notice.destroy(),
+    });
+  }
+}
@@ -1,24 +1,57 @@
 // src/game/controllers/InputHandler.js
 
 import { GAME_CONFIG } from "../config/GameConfig";
+import { getKeyBindings, getKeyCode } from "../utils/KeyBindings";
+import { SettingsManager } from "./SettingsManager";
+import { VirtualButtonManager } from "./VirtualButtonManager";
+
+/**
+ * Player action for each swipe direction
+ * @constant {Object<string, string>}
+ */
+const SWIPE_ACTIONS = {
+  up: "jump",
+  down: "fastDrop",
+  left: "dashLeft",
+  right: "dashRight",
+};
+
+/**
+ * Held-direction actions (free movement) for each dash action: pressing a
+ * dash input also holds its direction until the input is released
+ * @constant {Object<string, {hold: string, release: string}>}
+ */
+const HOLD_ACTIONS = {
+  dashLeft: { hold: "holdLeft", release: "releaseLeft" },
+  dashRight: { hold: "holdRight", release: "releaseRight" },
+};
 
 /**
  * InputHandler
  *
  * Manages all player input across multiple control schemes:
- * - Keyboard controls (WASD)
- * - Touch/swipe controls (mobile support)
+ * - Keyboard controls (rebindable; WASD, arrows and Space by default)
+ * - Touch/swipe controls (mobile support), recognized mid-gesture
+ * - On-screen buttons instead of swipes (VirtualButtonManager), chosen
+ *   with the "TOUCH" setting
+ * - Gamepad controls (D-pad, stick flicks and buttons via GamepadManager)
  * - Input enable/disable for cutscenes and menus
  *
- * Features directional swipe detection with configurable sensitivity
- * and unified input handling that maps to player actions regardless
- * of input method.
+ * Features directional swipe detection with the sensitivity chosen in
+ * the settings screen and unified input handling that maps to player actions regardless
+ * of input method. Every action goes through performAction() so it can
+ * be recorded for replays; live input is ignored during replay playback.
+ *
+ * Default control mapping:
+ * - W / Up / Space / Swipe Up: Jump
+ * - S / Down / Swipe Down: Fast Drop
+ * - A / Left / Swipe Left: Dash Left
+ * - D / Right / Swipe Right: Dash Right
+ * - Tap: Jump (only with the tap-to-jump setting)
  *
- * Control mapping:
- * - W / Swipe Up: Jump
- * - S / Swipe Down: Fast Drop
- * - A / Swipe Left: Dash Left
- * - D / Swipe Right: Dash Right
+ * With free movement (the "free" lane setting), a dash input also holds
+ * its direction while the key, button or stick stays pressed, or while
+ * the finger stays down after a horizontal swipe.
  *
  * @class
  */
@@ -33,16 +66,31 @@ export class InputHandler {
     this.scene = scene;
     this.playerController = playerController;
 
-    // Touch/swipe tracking state
-    this.swipeStartX = 0;
-    this.swipeStartY = 0;
+    // Touch gesture in progress (null when no finger is down)
+    this.gesture = null;
+
+    // Dash actions holding their direction (free movement)
+    this.heldActions = new Set();
+
+    // On-screen buttons, shown when the touch setting is "buttons"
+    this.virtualButtons = new VirtualButtonManager(
+      scene,
+      (action) => {
+        if (!this.enabled) return;
+        this.performAction(action);
+        this.startHold(action);
+      },
+      (action) => this.releaseHold(action)
+    );
 
     // Global input toggle (disabled during cutscenes/menus)
     this.enabled = true;
 
-    // Initialize both control schemes
+    // Initialize every control scheme
     this.setupKeyboard();
     this.setupTouch();
+    this.setupGamepad();
+    this.applyTouchControls();
   }
 
   // ============================================================================
@@ -50,41 +98,76 @@ export class InputHandler {
   // ============================================================================
 
   /**
-   * Sets up keyboard input listeners for WASD controls
+   * Sets up keyboard listeners that look up the pressed key in the
+   * player's bindings
    *
-   * Key mappings:
-   * - W: Jump (upward movement)
-   * - A: Dash left (lane switch)
-   * - S: Fast drop (quick descent)
-   * - D: Dash right (lane switch)
-   *
-   * All inputs respect the enabled flag for scene control
+   * All presses respect the enabled flag for scene control; releases
+   * always end a held direction
    *
    * @private
    */
   setupKeyboard() {
-    // Register WASD keys for detection
-    this.keys = this.scene.input.keyboard.addKeys("W,A,S,D");
+    this.loadBindings();
 
-    // Jump (W key)
-    this.scene.input.keyboard.on("keydown-W", () => {
-      if (this.enabled) this.playerController.jump();
-    });
+    this.scene.input.keyboard.on("keydown", (event) => {
+      const action = this.keyActions[event.keyCode];
+      if (!action || !this.enabled) return;
 
-    // Fast drop (S key)
-    this.scene.input.keyboard.on("keydown-S", () => {
-      if (this.enabled) this.playerController.fastDrop();
+      this.performAction(action);
+      if (!event.repeat) this.startHold(action);
     });
 
-    // Dash left (A key)
-    this.scene.input.keyboard.on("keydown-A", () => {
-      if (this.enabled) this.playerController.dashLeft();
+    this.scene.input.keyboard.on("keyup", (event) => {
+      const action = this.keyActions[event.keyCode];
+      if (action) this.releaseHold(action);
     });
+  }
+
+  /**
+   * Reads the key bindings from the registry
+   * Called at startup and again whenever the bindings are edited
+   *
+   * Bound keys are captured so arrows and Space don't scroll the page.
+   */
+  loadBindings() {
+    const bindings = getKeyBindings(this.scene.registry);
+    const keyboard = this.scene.input.keyboard;
+
+    // Release keys captured for the previous bindings
+    if (this.keyActions) {
+      keyboard.removeCapture(Object.keys(this.keyActions).map(Number));
+    }
 
-    // Dash right (D key)
-    this.scene.input.keyboard.on("keydown-D", () => {
-      if (this.enabled) this.playerController.dashRight();
+    // Key code -> action name
+    this.keyActions = {};
+    Object.keys(bindings).forEach((action) => {
+      bindings[action].forEach((keyName) => {
+        this.keyActions[getKeyCode(keyName)] = action;
+      });
     });
+
+    keyboard.addCapture(Object.keys(this.keyActions).map(Number));
+  }
+
+  // ============================================================================
+  // GAMEPAD CONTROLS
+  // ============================================================================
+
+  /**
+   * Receives gameplay actions from the scene's GamepadManager, which maps
+   * the D-pad, stick flicks and face buttons to player actions
+   *
+   * @private
+   */
+  setupGamepad() {
+    if (!this.scene.gamepadManager) return;
+
+    this.scene.gamepadManager.onAction = (action) => {
+      if (!this.enabled) return;
+      this.performAction(action);
+      this.startHold(action);
+    };
+    this.scene.gamepadManager.onRelease = (action) => this.releaseHold(action);
   }
 
   // ============================================================================
@@ -95,76 +178,264 @@ export class InputHandler {
    * Sets up touch input listeners for swipe gesture detection
    *
    * Touch flow:
-   * 1. pointerdown: Records starting position
-   * 2. pointerup: Calculates swipe direction and distance
-   * 3. Triggers appropriate player action based on gesture
+   * 1. pointerdown: Starts a gesture (not on buttons like pause)
+   * 2. pointermove: Triggers an action as soon as the finger has moved
+   *    far enough, then measures the next swipe from there, so swipes can
+   *    be chained without lifting (e.g. right then up)
+   * 3. pointerup: Checks the last stretch, and jumps on a tap when
+   *    tap-to-jump is enabled
+   *
+   * With free movement a horizontal swipe holds its direction until the
+   * finger lifts or swipes the other way.
+   *
+   * Only the finger that started the gesture is tracked, so a second
+   * finger (two-finger pause) doesn't disturb it. Swipes are off while
+   * the on-screen buttons are shown.
    *
    * @private
    */
   setupTouch() {
-    // Record touch start position
-    this.scene.input.on("pointerdown", (pointer) => {
-      this.swipeStartX = pointer.x;
-      this.swipeStartY = pointer.y;
+    this.scene.input.on("pointerdown", (pointer, currentlyOver) => {
+      if (this.gesture || currentlyOver.length > 0) return;
+      if (this.virtualButtons.isVisible) return;
+
+      this.gesture = {
+        pointerId: pointer.id,
+        downX: pointer.x, // Where the finger went down (for taps)
+        downY: pointer.y,
+        startX: pointer.x, // Where the current swipe is measured from
+        startY: pointer.y,
+        startTime: pointer.downTime,
+        lastDirection: null, // Direction of the previous swipe in the chain
+        heldAction: null, // Horizontal swipe holding its direction
+        hasSwiped: false,
+      };
     });
 
-    // Process swipe when touch ends
-    this.scene.input.on("pointerup", (pointer) => {
-      this.handleSwipe(pointer);
+    this.scene.input.on("pointermove", (pointer) => {
+      if (this.gesture && this.gesture.pointerId === pointer.id) {
+        this.handleSwipe(pointer, pointer.moveTime);
+      }
     });
+
+    const endGesture = (pointer) => {
+      if (!this.gesture || this.gesture.pointerId !== pointer.id) return;
+
+      this.handleSwipe(pointer, pointer.upTime);
+      this.handleTap(pointer);
+      this.releaseHold(this.gesture.heldAction);
+      this.gesture = null;
+    };
+
+    // Released off the canvas still ends the gesture
+    this.scene.input.on("pointerup", endGesture);
+    this.scene.input.on("pointerupoutside", endGesture);
+  }
+
+  /**
+   * Shows or hides the on-screen buttons to match the touch setting
+   * Called at startup and again whenever the setting changes
+   */
+  applyTouchControls() {
+    const { touchControls } = SettingsManager.getSettings(this.scene.registry);
+
+    if (touchControls === "buttons") {
+      this.virtualButtons.show();
+    } else {
+      this.virtualButtons.hide();
+    }
+    if (this.gesture) this.releaseHold(this.gesture.heldAction);
+    this.gesture = null;
+  }
+
+  /**
+   * Triggers the action for a swipe once the pointer crosses the threshold
+   *
+   * A swipe in a new direction triggers immediately. Continuing in the
+   * same direction doesn't repeat the action; it only moves the point
+   * the next swipe is measured from.
+   *
+   * @param {Phaser.Input.Pointer} pointer - The tracked pointer
+   * @param {number} time - Timestamp of the pointer event
+   * @private
+   */
+  handleSwipe(pointer, time) {
+    const gesture = this.gesture;
+    const direction = this.detectSwipe(pointer, time);
+    if (!direction) return;
+
+    // Measure the next swipe in the chain from here
+    gesture.startX = pointer.x;
+    gesture.startY = pointer.y;
+    gesture.startTime = time;
+
+    if (direction === gesture.lastDirection) return;
+    gesture.lastDirection = direction;
+    gesture.hasSwiped = true;
+
+    // Respect global input enable flag
+    if (!this.enabled) return;
+
+    const action = SWIPE_ACTIONS[direction];
+    this.performAction(action);
+
+    // A horizontal swipe replaces the direction held by the previous one
+    if (HOLD_ACTIONS[action]) {
+      this.releaseHold(gesture.heldAction);
+      gesture.heldAction = action;
+      this.startHold(action);
+    }
   }
 
   /**
-   * Analyzes swipe gesture and triggers corresponding player action
+   * Works out which way the pointer has swiped since the current swipe's
+   * starting point
    *
    * Swipe detection logic:
-   * 1. Calculate X and Y distance from start to end point
-   * 2. Compare against threshold to filter out taps/small movements
-   * 3. Determine if swipe is primarily vertical or horizontal
-   * 4. Trigger action based on direction
+   * 1. Calculate X and Y distance and the speed of the movement
+   * 2. Fast flicks need FLICK_DISTANCE_RATIO of the threshold, slower
+   *    swipes the full threshold
+   * 3. The longer axis decides the direction
    *
    * Vertical priority: If movement is more vertical than horizontal,
    * vertical action is triggered even if horizontal distance is significant.
    *
-   * @param {Phaser.Input.Pointer} pointer - The pointer that was released
+   * @param {Phaser.Input.Pointer} pointer - The tracked pointer
+   * @param {number} time - Timestamp of the pointer event
+   * @returns {string|null} "up", "down", "left", "right", or null if the
+   *          pointer hasn't moved far enough
    * @private
    */
-  handleSwipe(pointer) {
-    // Respect global input enable flag
-    if (!this.enabled) return;
+  detectSwipe(pointer, time) {
+    const gesture = this.gesture;
+    const { FLICK_VELOCITY, FLICK_DISTANCE_RATIO } = GAME_CONFIG.INPUT;
 
     // Calculate swipe distance in both axes
-    const swipeDistanceX = pointer.x - this.swipeStartX;
-    const swipeDistanceY = pointer.y - this.swipeStartY;
-    const threshold = GAME_CONFIG.INPUT.SWIPE_THRESHOLD;
-
-    // Get absolute distances for comparison
+    const swipeDistanceX = pointer.x - gesture.startX;
+    const swipeDistanceY = pointer.y - gesture.startY;
     const absX = Math.abs(swipeDistanceX);
     const absY = Math.abs(swipeDistanceY);
 
-    // ===== Vertical Swipes (Up/Down) =====
-    // Prioritize vertical movement if Y distance exceeds X distance
+    // Speed along the main axis, in px/ms
+    const distance = Math.max(absX, absY);
+    const elapsed = Math.max(time - gesture.startTime, 1);
+    const velocity = distance / elapsed;
+
+    const threshold = this.getSwipeThreshold();
+    const required =
+      velocity >= FLICK_VELOCITY ? threshold * FLICK_DISTANCE_RATIO : threshold;
+
+    if (distance <= required) return null;
+
     if (absY > absX) {
-      if (swipeDistanceY > threshold) {
-        // Swipe down: Fast drop
-        this.playerController.fastDrop();
-      } else if (swipeDistanceY < -threshold) {
-        // Swipe up: Jump
-        this.playerController.jump();
-      }
-      // If within threshold, treat as tap (no action)
+      return swipeDistanceY > 0 ? "down" : "up";
     }
-    // ===== Horizontal Swipes (Left/Right) =====
-    // Only process if X distance is significant
-    else if (absX > threshold) {
-      if (swipeDistanceX > 0) {
-        // Swipe right: Dash right
-        this.playerController.dashRight();
-      } else {
-        // Swipe left: Dash left
-        this.playerController.dashLeft();
-      }
+    return swipeDistanceX > 0 ? "right" : "left";
+  }
+
+  /**
+   * Jumps when the gesture was a tap and tap-to-jump is enabled
+   *
+   * @param {Phaser.Input.Pointer} pointer - The released pointer
+   * @private
+   */
+  handleTap(pointer) {
+    const gesture = this.gesture;
+    if (gesture.hasSwiped || !this.enabled) return;
+
+    const { tapToJump } = SettingsManager.getSettings(this.scene.registry);
+    if (!tapToJump) return;
+
+    const moved = Math.hypot(
+      pointer.x - gesture.downX,
+      pointer.y - gesture.downY
+    );
+    if (moved <= GAME_CONFIG.INPUT.TAP_MAX_DISTANCE) {
+      this.performAction("jump");
+    }
+  }
+
+  /**
+   * Minimum swipe distance for the player's sensitivity setting
+   * Read on every swipe so settings changes apply immediately
+   *
+   * @returns {number} Threshold in pixels
+   * @private
+   */
+  getSwipeThreshold() {
+    const { MIN_SWIPE_THRESHOLD, MAX_SWIPE_THRESHOLD } = GAME_CONFIG.INPUT;
+    const { swipeSensitivity } = SettingsManager.getSettings(
+      this.scene.registry
+    );
+
+    return (
+      MAX_SWIPE_THRESHOLD -
+      swipeSensitivity * (MAX_SWIPE_THRESHOLD - MIN_SWIPE_THRESHOLD)
+    );
+  }
+
+  // ============================================================================
+  // ACTION DISPATCH
+  // ============================================================================
+
+  /**
+   * Sends an action to the player controller and records it for replays
+   * Live input is ignored while paused or while a replay is playing back
+   *
+   * @param {string} action - PlayerController method: "jump", "fastDrop",
+   *                          "dashLeft", "dashRight", "holdLeft",
+   *                          "holdRight", "releaseLeft" or "releaseRight"
+   * @private
+   */
+  performAction(action) {
+    if (this.scene.pauseManager && this.scene.pauseManager.isPaused) return;
+
+    this.dispatchAction(action);
+  }
+
+  /**
+   * Records an action for replays and sends it to the player controller
+   * Ignored while a replay is playing back
+   *
+   * @param {string} action - PlayerController method
+   * @private
+   */
+  dispatchAction(action) {
+    const replayManager = this.scene.replayManager;
+    if (replayManager) {
+      if (replayManager.isPlayback) return;
+      replayManager.record(action);
     }
-    // If both distances are below threshold, no action (tap ignored)
+
+    this.playerController[action]();
+  }
+
+  /**
+   * Holds the direction of a dash input (free movement only)
+   * Called by each control scheme right after the dash itself
+   *
+   * @param {string} action - Action the input performed; only "dashLeft"
+   *                          and "dashRight" hold a direction
+   * @private
+   */
+  startHold(action) {
+    if (!HOLD_ACTIONS[action] || !this.scene.lanes.isFree) return;
+
+    this.heldActions.add(action);
+    this.performAction(HOLD_ACTIONS[action].hold);
+  }
+
+  /**
+   * Releases the direction held by a dash input (free movement only)
+   * Sent even while input is disabled or the game is paused, so a key let
+   * go during a menu or dialogue doesn't stay held.
+   *
+   * @param {string|null} action - Action of the released input
+   * @private
+   */
+  releaseHold(action) {
+    if (!this.heldActions.delete(action)) return;
+
+    this.dispatchAction(HOLD_ACTIONS[action].release);
   }
 }
@@ -0,0 +1,264 @@
+// src/game/controllers/LeaderboardManager.js
+
+import {
+  getLeaderboard,
+  LEADERBOARD_MODES,
+  LEADERBOARD_SIZE,
+} from "../utils/Leaderboard";
+
+/**
+ * Tab labels per mode
+ * @constant {Object<string, string>}
+ */
+const MODE_LABELS = {
+  story: "STORY",
+  endless: "ENDLESS",
+  daily: "DAILY",
+};
+
+/**
+ * LeaderboardManager
+ *
+ * Manages the high-score screen opened from the title:
+ * - One tab per mode (Story, Endless, Daily)
+ * - Top-10 table: rank, name, score, wave reached and date
+ * - BACK button returns to the title (gamepad B too)
+ *
+ * @class
+ */
+export class LeaderboardManager {
+  /**
+   * Creates a new LeaderboardManager instance
+   *
+   * @param {Phaser.Scene} scene - The game scene this manager operates in
+   */
+  constructor(scene) {
+    this.scene = scene;
+    this.elements = []; // Every game object in the overlay
+    this.rowTexts = []; // Table rows, rebuilt when the tab changes
+    this.tabs = {}; // Tab text per mode
+    this.isOpen = false;
+  }
+
+  // ============================================================================
+  // LEADERBOARD DISPLAY
+  // ============================================================================
+
+  /**
+   * Displays the leaderboard overlay
+   *
+   * @param {string} [mode="story"] - Tab to open on
+   * @param {Function} [onClose] - Callback executed when the player presses BACK
+   */
+  show(mode = "story", onClose) {
+    if (this.isOpen) return;
+    this.isOpen = true;
+    this.onClose = onClose;
+
+    // ===== Dark Modal Overlay =====
+    this.addElement(
+      this.scene.add
+        .rectangle(540, 960, 1080, 1920, 0x000000, 0.85)
+        .setInteractive()
+    );
+
+    this.addElement(
+      this.scene.add
+        .text(540, 240, "HIGH SCORES", {
+          fontFamily: '"Press Start 2P"',
+          fontSize: "64px",
+          fill: "#ff004d",
+        })
+        .setOrigin(0.5)
+    );
+
+    this.createTabs(380);
+    const backButton = this.createBackButton(1700);
+
+    if (this.scene.gamepadManager) {
+      this.gamepadMenu = this.scene.gamepadManager.pushMenu({
+        items: [...Object.values(this.tabs), backButton],
+        onBack: () => this.hide(),
+      });
+    }
+
+    this.showMode(mode);
+  }
+
+  /**
+   * Creates one tab per mode
+   *
+   * @param {number} y - Vertical center of the tabs
+   * @private
+   */
+  createTabs(y) {
+    LEADERBOARD_MODES.forEach((mode, index) => {
+      const tab = this.addElement(
+        this.scene.add
+          .text(200 + index * 340, y, MODE_LABELS[mode], {
+            fontFamily: '"Press Start 2P"',
+            fontSize: "36px",
+            fill: "#ffffff",
+          })
+          .setOrigin(0.5)
+          .setInteractive()
+      );
+
+      tab.on("pointerup", () => {
+        if (this.scene.audioManager) {
+          this.scene.audioManager.playClickSound();
+        }
+        this.showMode(mode);
+      });
+
+      this.tabs[mode] = tab;
+    });
+  }
+
+  /**
+   * Fills the table with a mode's entries
+   *
+   * @param {string} mode - Mode to show
+   * @private
+   */
+  showMode(mode) {
+    Object.keys(this.tabs).forEach((key) => {
+      this.tabs[key].setColor(key === mode ? "#ff004d" : "#ffffff");
+    });
+
+    this.rowTexts.forEach((text) => text.destroy());
+    this.rowTexts = [];
+
+    const style = {
+      fontFamily: '"Press Start 2P"',
+      fontSize: "28px",
+      fill: "#ffffff",
+    };
+
+    // Fixed-width columns line up because the font is monospaced
+    const formatRow = (rank, name, score, wave, date) =>
+      [
+        String(rank).padStart(4),
+        String(name).padEnd(4),
+        String(score).padStart(7),
+        String(wave).padStart(5),
+        String(date).padStart(11),
+      ].join(" ");
+
+    this.addRow(500, formatRow("RANK", "NAME", "SCORE", "WAVE", "DATE"), {
+      ...style,
+      fill: "#1d2b53",
+    });
+
+    const entries = getLeaderboard(mode);
+    if (entries.length === 0) {
+      this.addRow(800, "NO SCORES YET", style);
+      return;
+    }
+
+    entries.slice(0, LEADERBOARD_SIZE).forEach((entry, index) => {
+      this.addRow(
+        590 + index * 90,
+        formatRow(index + 1, entry.name, entry.score, entry.wave, entry.date),
+        style
+      );
+    });
+  }
+
+  /**
+   * Adds a centered table row
+   *
+   * @param {number} y - Vertical center of the row
+   * @param {string} content - Row text
+   * @param {Object} style - Text style
+   * @private
+   */
+  addRow(y, content, style) {
+    const row = this.scene.add
+      .text(540, y, content, style)
+      .setOrigin(0.5)
+      .setDepth(400)
+      .setScrollFactor(0);
+
+    this.rowTexts.push(row);
+  }
+
+  /**
+   * Creates the BACK button that closes the overlay
+   *
+   * @param {number} btnY - Vertical center of the button
+   * @returns {Phaser.GameObjects.Rectangle} The button face
+   * @private
+   */
+  createBackButton(btnY) {
+    this.addElement(
+      this.scene.add.rectangle(540, btnY + 15, 450, 120, 0x1d2b53)
+    );
+    const top = this.addElement(
+      this.scene.add.rectangle(540, btnY, 450, 120, 0xff004d).setInteractive()
+    );
+    const text = this.addElement(
+      this.scene.add
+        .text(540, btnY, "BACK", {
+          fontFamily: '"Press Start 2P"',
+          fontSize: "48px",
+          fill: "#ffffff",
+        })
+        .setOrigin(0.5)
+    );
+
+    top.on("pointerdown", () => {
+      top.y = btnY + 10;
+      text.y = btnY + 10;
+    });
+
+    top.on("pointerup", () => {
+      top.y = btnY;
+      text.y = btnY;
+      if (this.scene.audioManager) {
+        this.scene.audioManager.playClickSound();
+      }
+      this.hide();
+    });
+
+    return top;
+  }
+
+  // ============================================================================
+  // CLEANUP
+  // ============================================================================
+
+  /**
+   * Registers an overlay element so hide() can destroy it
+   *
+   * @param {Phaser.GameObjects.GameObject} element - Element to track
+   * @returns {Phaser.GameObjects.GameObject} The same element, for chaining
+   * @private
+   */
+  addElement(element) {
+    element.setDepth(400).setScrollFactor(0);
+    this.elements.push(element);
+    return element;
+  }
+
+  /**
+   * Closes the overlay and runs the onClose callback
+   */
+  hide() {
+    if (!this.isOpen) return;
+    this.isOpen = false;
+
+    if (this.gamepadMenu) {
+      this.scene.gamepadManager.removeMenu(this.gamepadMenu);
+      this.gamepadMenu = null;
+    }
+
+    this.elements.forEach((element) => element.destroy());
+    this.rowTexts.forEach((text) => text.destroy());
+    this.elements = [];
+    this.rowTexts = [];
+    this.tabs = {};
+
+    if (this.onClose) this.onClose();
+  }
+}
@@ -4,6 +4,7 @@ import { GAME_CONFIG } from "../config/GameConfig";
 import { ObstacleSpawner } from "./ObstacleSpawner";
 import { WaveManager } from "./WaveManager";
 import { BossManager } from "./BossManager";
+import { PowerUpManager } from "./PowerUpManager";
 
 // ============================================================================
 // DEVELOPMENT CONFIGURATION
@@ -30,12 +31,13 @@ const DEV_START_WAVE = 3;
  * Central coordinator for level progression and game state management:
  * - Wave lifecycle control (start, stop, progression)
  * - Difficulty scaling over time (Wave 1 only)
- * - Sub-manager coordination (ObstacleSpawner, WaveManager, BossManager)
+ * - Sub-manager coordination (ObstacleSpawner, WaveManager, BossManager,
+ *   PowerUpManager)
  * - Player health restoration between waves
  * - Screen shake effects on player damage
  *
- * Wave behavior:
- * - Wave 1: Timer-based with gradual difficulty scaling
+ * Wave behavior (defined by JSON scripts in src/game/waves/):
+ * - Wave 1: Timed dynamic spawning with gradual difficulty scaling
  * - Wave 2-3: Fully scripted sequences with no time limits
  *
  * @class
@@ -53,8 +55,13 @@ export class LevelManager {
 
     // Level state flags
     this.isActive = false; // Whether level is currently running
-    this.difficultyMultiplier = 1; // Scales obstacle spawn rates (Wave 1 only)
+    this.difficultyMultiplier = 1; // Scales obstacle spawn rates ("dynamic" steps)
     this.currentWave = 1; // Current wave number (1-3)
+    this.isEndless = false; // Whether this is an Endless mode run
+
+    // Run statistics
+    this.obstaclesDodged = 0; // Spikes landed, balls/weaves/bullets exited
+    this.runStartTime = 0; // scene.time.now when the run started
 
     // ===== Sub-Manager Initialization =====
     // ObstacleSpawner handles spike/ball/weave obstacle creation
@@ -71,9 +78,11 @@ export class LevelManager {
     // BossManager handles all boss appearances and attack patterns
     this.bossManager = new BossManager(scene, playerController, this);
 
+    // PowerUpManager rolls for pickup drops and applies collected ones
+    this.powerUpManager = new PowerUpManager(scene, playerController, this);
+
     // ===== Timer References =====
-    this.difficultyEvent = null; // Difficulty scaling interval (Wave 1 only)
-    this.levelEndTimer = null; // Wave completion timer (Wave 1 only)
+    this.difficultyEvent = null; // Difficulty scaling interval ("dynamic" steps)
   }
 
   // ============================================================================
@@ -81,19 +90,14 @@ export class LevelManager {
   // ============================================================================
 
   /**
-   * Starts a new wave with specified duration and difficulty
+   * Starts a new wave by handing its script to WaveManager
    *
-   * Wave 1 behavior:
-   * - Timed gameplay (default 60 seconds)
-   * - Difficulty increases every 15 seconds (+0.2 multiplier)
-   * - Ends automatically when timer expires
+   * Each wave is described by a JSON script (src/game/waves/). Wave 1's
+   * script runs a single "dynamic" step that ramps difficulty through
+   * startDifficultyRamp(); Waves 2-3 are fully scripted sequences.
+   * The wave ends when its script runs out of steps.
    *
-   * Wave 2-3 behavior:
-   * - Purely scripted sequences
-   * - No time limits or difficulty scaling
-   * - Duration parameter ignored
-   *
-   * @param {number} [durationSeconds=60] - Wave duration in seconds (Wave 1 only)
+   * @param {number} [durationSeconds=60] - Fallback duration for "dynamic" steps without one
    * @param {number} [waveNumber=1] - Which wave to start (1-3)
    */
   startLevel(durationSeconds = 60, waveNumber = 1) {
@@ -101,35 +105,65 @@ export class LevelManager {
     this.currentWave = waveNumber;
     this.difficultyMultiplier = 1; // Reset to base difficulty
 
+    this.powerUpManager.start();
+
     // Delegate wave-specific logic to WaveManager
     this.waveManager.startWave(durationSeconds, waveNumber);
+  }
 
-    // ===== Wave 1: Timer-Based Gameplay =====
-    if (waveNumber === 1) {
-      // Gradually increase difficulty every 15 seconds
-      this.difficultyEvent = this.scene.time.addEvent({
-        delay: 15000, // 15 second intervals
-        callback: () => {
-          this.difficultyMultiplier += 0.2; // 20% increase per interval
-        },
-        loop: true,
-      });
-
-      // Automatic wave completion after duration
-      this.levelEndTimer = this.scene.time.delayedCall(
-        durationSeconds * 1000,
-        () => this.stopLevel()
-      );
+  /**
+   * Starts an Endless mode run
+   *
+   * Endless runs have no waves or script: WaveManager keeps spawning with
+   * unbounded difficulty until the player dies. currentWave stays at 1 so
+   * Wave 3's special handling (the weave stream) stays off.
+   */
+  startEndless() {
+    this.isActive = true;
+    this.isEndless = true;
+    this.currentWave = 1;
+    this.difficultyMultiplier = 1;
+    this.obstaclesDodged = 0;
+    this.runStartTime = this.scene.time.now;
+
+    this.powerUpManager.start();
+    this.waveManager.startEndless();
+  }
+
+  /**
+   * Gradually increases the difficulty multiplier at a fixed interval
+   * Used by "dynamic" wave script steps
+   *
+   * @param {number} intervalMs - Time between increases
+   * @param {number} step - Amount added to the multiplier each interval
+   */
+  startDifficultyRamp(intervalMs, step) {
+    this.stopDifficultyRamp();
+
+    this.difficultyEvent = this.scene.time.addEvent({
+      delay: intervalMs,
+      callback: () => {
+        this.difficultyMultiplier += step;
+      },
+      loop: true,
+    });
+  }
+
+  /**
+   * Stops difficulty scaling, keeping the multiplier at its current value
+   */
+  stopDifficultyRamp() {
+    if (this.difficultyEvent) {
+      this.difficultyEvent.remove();
+      this.difficultyEvent = null;
     }
-    // ===== Wave 2-3: Scripted Sequences =====
-    // No timers needed - sequences end when scripted events complete
   }
 
   /**
    * Stops the current wave and initiates cleanup sequence
    *
    * Cleanup order:
-   * 1. Remove difficulty scaling and completion timers
+   * 1. Remove difficulty scaling timer and stop power-up drops
    * 2. Stop Wave 3 weave spawning (if applicable)
    * 3. Delegate wave ending to WaveManager
    * 4. Deactivate level after 7 second delay
@@ -140,14 +174,8 @@ export class LevelManager {
    */
   stopLevel() {
     // ===== Timer Cleanup =====
-    if (this.difficultyEvent) {
-      this.difficultyEvent.remove();
-      this.difficultyEvent = null;
-    }
-    if (this.levelEndTimer) {
-      this.levelEndTimer.remove();
-      this.levelEndTimer = null;
-    }
+    this.stopDifficultyRamp();
+    this.powerUpManager.stop();
 
     // ===== Wave 3 Special Handling =====
     // CRITICAL: Stop weave spawning BEFORE ending wave
@@ -168,6 +196,53 @@ export class LevelManager {
     });
   }
 
+  // ============================================================================
+  // RUN STATISTICS
+  // ============================================================================
+
+  /**
+   * Records an obstacle that left play without hitting the player and
+   * awards its points through ScoreManager
+   * Ignored once the level has stopped (e.g. after death)
+   *
+   * @param {string} type - "spike", "ball", "weave" or "bullet"
+   * @param {Phaser.GameObjects.GameObject} [obstacle] - The dodged obstacle
+   */
+  recordDodge(type, obstacle) {
+    if (!this.isActive) return;
+    this.obstaclesDodged++;
+
+    if (this.scene.scoreManager) {
+      this.scene.scoreManager.awardDodge(type, obstacle);
+    }
+  }
+
+  /**
+   * Returns the wave the run got to, for the leaderboard
+   * Endless runs count each boss barrage as a wave
+   *
+   * @returns {number} Wave reached (1 or more)
+   */
+  getWaveReached() {
+    if (this.isEndless) {
+      return this.waveManager.endlessBarrageCount + 1;
+    }
+    return this.currentWave;
+  }
+
+  /**
+   * Returns the statistics shown when an Endless run ends
+   *
+   * @returns {{timeSurvived: number, obstaclesDodged: number}}
+   *          Time survived in ms and number of obstacles dodged
+   */
+  getRunSummary() {
+    return {
+      timeSurvived: this.scene.time.now - this.runStartTime,
+      obstaclesDodged: this.obstaclesDodged,
+    };
+  }
+
   // ============================================================================
   // PLAYER STATE MANAGEMENT
   // ============================================================================
@@ -198,6 +273,6 @@ export class LevelManager {
    * - Intensity: 0.02 (subtle shake)
    */
   handlePlayerHit() {
-    this.scene.cameras.main.shake(200, 0.02);
+    this.scene.shakeCamera(200, 0.02);
   }
 }
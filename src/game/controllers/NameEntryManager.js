@@ -0,0 +1,354 @@
+// src/game/controllers/NameEntryManager.js
+
+/**
+ * Letters a name slot cycles through
+ * @constant {string}
+ */
+const ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ";
+
+/**
+ * Number of letters in a name
+ * @constant {number}
+ */
+const NAME_LENGTH = 3;
+
+/**
+ * Horizontal centers of the letter slots
+ * @constant {number[]}
+ */
+const SLOT_X = [340, 540, 740];
+
+/**
+ * NameEntryManager
+ *
+ * Arcade-style three-letter name entry for new high scores.
+ *
+ * Keyboard:
+ * - A-Z: Set the selected letter and move to the next slot
+ * - Up / Down: Cycle the selected letter
+ * - Left / Right: Select another slot
+ * - Backspace: Select the previous slot
+ * - Enter: Confirm
+ *
+ * Touch:
+ * - Arrows above and below each letter cycle it
+ * - Tapping a letter selects it
+ * - OK confirms
+ *
+ * Gamepad:
+ * - Up / Down: Cycle the selected letter
+ * - Left / Right: Select another slot
+ * - A: Confirm, B: Select the previous slot
+ *
+ * Player input is disabled while the entry is open so typed letters
+ * don't move the player.
+ *
+ * @class
+ */
+export class NameEntryManager {
+  /**
+   * Creates a new NameEntryManager instance
+   *
+   * @param {Phaser.Scene} scene - The game scene this manager operates in
+   */
+  constructor(scene) {
+    this.scene = scene;
+    this.elements = []; // Every game object in the overlay
+    this.letters = [0, 0, 0]; // Alphabet index per slot
+    this.selectedSlot = 0;
+    this.isOpen = false;
+  }
+
+  // ============================================================================
+  // NAME ENTRY DISPLAY
+  // ============================================================================
+
+  /**
+   * Displays the name entry overlay
+   *
+   * @param {number} score - Score being entered, shown under the title
+   * @param {Function} onComplete - Called with the three-letter name
+   */
+  show(score, onComplete) {
+    this.onComplete = onComplete;
+    this.letters = [0, 0, 0];
+    this.selectedSlot = 0;
+    this.isOpen = true;
+
+    // Typed letters must not move the player
+    if (this.scene.inputHandler) {
+      this.wasInputEnabled = this.scene.inputHandler.enabled;
+      this.scene.inputHandler.enabled = false;
+    }
+
+    // ===== Dark Modal Overlay =====
+    this.addElement(
+      this.scene.add
+        .rectangle(540, 960, 1080, 1920, 0x000000, 0.85)
+        .setInteractive()
+    );
+
+    this.addElement(
+      this.scene.add
+        .text(540, 500, "NEW HIGH SCORE!", {
+          fontFamily: '"Press Start 2P"',
+          fontSize: "56px",
+          fill: "#ff004d",
+        })
+        .setOrigin(0.5)
+    );
+
+    this.addElement(
+      this.scene.add
+        .text(540, 620, String(score), {
+          fontFamily: '"Press Start 2P"',
+          fontSize: "48px",
+          fill: "#ffffff",
+        })
+        .setOrigin(0.5)
+    );
+
+    this.addElement(
+      this.scene.add
+        .text(540, 720, "ENTER YOUR NAME", {
+          fontFamily: '"Press Start 2P"',
+          fontSize: "28px",
+          fill: "#ffffff",
+        })
+        .setOrigin(0.5)
+    );
+
+    this.createSlots(960);
+    this.createConfirmButton(1300);
+
+    this.scene.input.keyboard.on("keydown", this.handleKey, this);
+
+    if (this.scene.gamepadManager) {
+      this.gamepadMenu = this.scene.gamepadManager.pushMenu({
+        onDirection: (direction) => this.handleDirection(direction),
+        onConfirm: () => this.confirm(),
+        onBack: () => this.handleDirection("left"),
+      });
+    }
+
+    this.refresh();
+  }
+
+  /**
+   * Creates the letter slots with their up/down arrows
+   *
+   * @param {number} y - Vertical center of the letters
+   * @private
+   */
+  createSlots(y) {
+    this.slotTexts = SLOT_X.map((x, slot) => {
+      // Up arrow
+      const up = this.addElement(
+        this.scene.add
+          .triangle(x, y - 130, 0, 50, 40, 0, 80, 50, 0xff004d)
+          .setInteractive()
+      );
+      up.on("pointerup", () => this.changeLetter(slot, 1));
+
+      // Letter (tap to select)
+      const text = this.addElement(
+        this.scene.add
+          .text(x, y, "A", {
+            fontFamily: '"Press Start 2P"',
+            fontSize: "120px",
+            fill: "#ffffff",
+          })
+          .setOrigin(0.5)
+          .setInteractive()
+      );
+      text.on("pointerup", () => {
+        this.selectedSlot = slot;
+        this.refresh();
+      });
+
+      // Down arrow
+      const down = this.addElement(
+        this.scene.add
+          .triangle(x, y + 130, 0, 0, 80, 0, 40, 50, 0xff004d)
+          .setInteractive()
+      );
+      down.on("pointerup", () => this.changeLetter(slot, -1));
+
+      return text;
+    });
+
+    // Underline marking the selected slot
+    this.cursor = this.addElement(
+      this.scene.add.rectangle(SLOT_X[0], y + 80, 120, 10, 0xff004d)
+    );
+  }
+
+  /**
+   * Creates the OK button that confirms the name
+   *
+   * @param {number} btnY - Vertical center of the button
+   * @private
+   */
+  createConfirmButton(btnY) {
+    this.addElement(
+      this.scene.add.rectangle(540, btnY + 15, 450, 120, 0x1d2b53)
+    );
+    const top = this.addElement(
+      this.scene.add.rectangle(540, btnY, 450, 120, 0xff004d).setInteractive()
+    );
+    const text = this.addElement(
+      this.scene.add
+        .text(540, btnY, "OK", {
+          fontFamily: '"Press Start 2P"',
+          fontSize: "48px",
+          fill: "#ffffff",
+        })
+        .setOrigin(0.5)
+    );
+
+    top.on("pointerdown", () => {
+      top.y = btnY + 10;
+      text.y = btnY + 10;
+    });
+
+    top.on("pointerup", () => {
+      top.y = btnY;
+      text.y = btnY;
+      this.confirm();
+    });
+  }
+
+  // ============================================================================
+  // INPUT HANDLING
+  // ============================================================================
+
+  /**
+   * Handles keyboard name entry
+   *
+   * @param {KeyboardEvent} event - Native keyboard event
+   * @private
+   */
+  handleKey(event) {
+    const key = event.key;
+
+    if (/^[a-z]$/i.test(key)) {
+      this.letters[this.selectedSlot] = ALPHABET.indexOf(key.toUpperCase());
+      this.selectedSlot = Math.min(this.selectedSlot + 1, NAME_LENGTH - 1);
+    } else if (key === "ArrowUp") {
+      this.changeLetter(this.selectedSlot, 1);
+      return;
+    } else if (key === "ArrowDown") {
+      this.changeLetter(this.selectedSlot, -1);
+      return;
+    } else if (key === "ArrowLeft" || key === "Backspace") {
+      this.selectedSlot = Math.max(this.selectedSlot - 1, 0);
+    } else if (key === "ArrowRight") {
+      this.selectedSlot = Math.min(this.selectedSlot + 1, NAME_LENGTH - 1);
+    } else if (key === "Enter") {
+      this.confirm();
+      return;
+    } else {
+      return;
+    }
+
+    this.refresh();
+  }
+
+  /**
+   * Handles gamepad directions, mirroring the arrow keys
+   *
+   * @param {string} direction - "up", "down", "left" or "right"
+   * @private
+   */
+  handleDirection(direction) {
+    if (direction === "up") {
+      this.changeLetter(this.selectedSlot, 1);
+      return;
+    }
+    if (direction === "down") {
+      this.changeLetter(this.selectedSlot, -1);
+      return;
+    }
+
+    const step = direction === "left" ? -1 : 1;
+    this.selectedSlot = Phaser.Math.Clamp(
+      this.selectedSlot + step,
+      0,
+      NAME_LENGTH - 1
+    );
+    this.refresh();
+  }
+
+  /**
+   * Cycles a slot's letter, wrapping around the alphabet
+   *
+   * @param {number} slot - Slot index
+   * @param {number} direction - 1 for next letter, -1 for previous
+   * @private
+   */
+  changeLetter(slot, direction) {
+    this.selectedSlot = slot;
+    this.letters[slot] =
+      (this.letters[slot] + direction + ALPHABET.length) % ALPHABET.length;
+    this.refresh();
+  }
+
+  /**
+   * Updates the letters and the selection cursor
+   *
+   * @private
+   */
+  refresh() {
+    this.slotTexts.forEach((text, slot) => {
+      text.setText(ALPHABET[this.letters[slot]]);
+      text.setColor(slot === this.selectedSlot ? "#ff004d" : "#ffffff");
+    });
+    this.cursor.x = SLOT_X[this.selectedSlot];
+  }
+
+  // ============================================================================
+  // COMPLETION
+  // ============================================================================
+
+  /**
+   * Closes the overlay and passes the entered name to onComplete
+   *
+   * @private
+   */
+  confirm() {
+    const name = this.letters.map((index) => ALPHABET[index]).join("");
+
+    if (this.scene.audioManager) {
+      this.scene.audioManager.playClickSound();
+    }
+
+    this.scene.input.keyboard.off("keydown", this.handleKey, this);
+    if (this.gamepadMenu) {
+      this.scene.gamepadManager.removeMenu(this.gamepadMenu);
+      this.gamepadMenu = null;
+    }
+
+    this.elements.forEach((element) => element.destroy());
+    this.elements = [];
+    this.isOpen = false;
+
+    if (this.scene.inputHandler) {
+      this.scene.inputHandler.enabled = this.wasInputEnabled;
+    }
+
+    if (this.onComplete) this.onComplete(name);
+  }
+
+  /**
+   * Registers an overlay element so confirm() can destroy it
+   *
+   * @param {Phaser.GameObjects.GameObject} element - Element to track
+   * @returns {Phaser.GameObjects.GameObject} The same element, for chaining
+   * @private
+   */
+  addElement(element) {
+    element.setDepth(400).setScrollFactor(0);
+    this.elements.push(element);
+    return element;
+  }
+}
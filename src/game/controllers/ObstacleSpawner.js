@@ -1,26 +1,65 @@
 // src/game/controllers/ObstacleSpawner.js
 
 import { GAME_CONFIG } from "../config/GameConfig";
+import {
+  getObstacleType,
+  getObstacleTypeNames,
+} from "../obstacles/ObstacleTypes";
+import { EventEmitter } from "../utils/EventEmitter";
+import { EmitterPool, SpritePool } from "../utils/ObjectPool";
+
+/**
+ * Pickups ObstacleSpawner can drop, each with its own `${type}Pickup`
+ * texture and sprite pool
+ * @constant {string[]}
+ */
+const PICKUP_TYPES = ["shield", "heart", "slowTime", "magnet", "orb"];
 
 /**
  * ObstacleSpawner
  *
- * Manages the creation and behavior of all obstacle types in the game:
+ * Spawns and runs every obstacle type registered in
+ * obstacles/ObstacleTypes.js, by name:
  * - Spikes: Falling hazards with three variants (targeted, lane, shower)
  * - Balls: Rolling obstacles that spawn from screen edges
  * - Weaves: Sinusoidal moving obstacles with optimized performance
+ * - Pickups: power-ups and score orbs dropped into lanes for PowerUpManager
+ *
+ * spawn() drives each type's definition: its spawn, telegraph and update
+ * hooks, ground landing, exit checks and player collision. Everything
+ * that isn't type-specific (tracking, dodges, cleanup) lives here.
+ *
+ * Lifecycle events (on `events`, each with the spawn record):
+ * - "spawned": the obstacle entered play
+ * - "telegraphed": its warning phase ended and it is now dangerous
+ *   (only types with a telegraph hook)
+ * - "landed": it hit the ground
+ * - "dodged": it landed or left the screen without touching the player
+ * - "hit": it touched the player
+ * - "exited": it is out of play, for whatever reason; always the last
+ *   event, and the obstacle has already left its type's active list
+ *
+ * WaveManager and BossManager sequence on these events instead of
+ * polling the active obstacles.
  *
  * Features:
  * - Difficulty scaling through LevelManager multiplier
  * - Collision detection and cleanup
- * - Performance optimizations for Wave 3
  * - Audio integration for obstacle events
- * - Single active obstacle constraint (prevents overlap)
+ * - Every obstacle in play is tracked in its type's active list, up to a
+ *   per-type cap the wave can set (setCaps()); exclusive types also wait
+ *   for the other types to clear (prevents overlap)
  *
  * Performance considerations:
- * - Particle trails disabled in Wave 3
+ * - Obstacle sprites and spike trails are pooled (utils/ObjectPool):
+ *   spent obstacles go back to their pool with releaseObstacle() instead
+ *   of being destroyed, so waves allocate nothing once the pools are warm
+ * - Pickups are pooled the same way, one pool per pickup type
+ * - Each type's pool is an Arcade group with one player overlap (and one
+ *   ground collider for types that land), created once; the world's
+ *   collider list stays the same size however many obstacles spawn
+ * - Particle trails disabled at low particle quality
  * - Reduced update frequencies for weave motion
- * - Efficient cleanup and memory management
  *
  * @class
  */
@@ -38,11 +77,54 @@ export class ObstacleSpawner {
     this.levelManager = levelManager;
 
     // ===== Active Obstacle Tracking =====
-    // Only one obstacle of each type can be active at a time
+    // Spawn records of the obstacles in play, by type name
+    this.active = {};
+
+    // Most obstacles in play at once, by type name (see setCaps())
     // This prevents overwhelming the player and maintains difficulty balance
-    this.activeBall = null;
-    this.activeSpike = null;
-    this.activeWeave = null;
+    this.caps = {};
+
+    // ===== Object Pools =====
+    // One sprite pool per registered type
+    this.pools = {};
+
+    getObstacleTypeNames().forEach((type) => {
+      this.active[type] = [];
+      this.pools[type] = new SpritePool(scene, getObstacleType(type).texture);
+    });
+    this.setCaps();
+
+    // Speed lines behind falling spikes (started when the spike drops)
+    this.trailPool = new EmitterPool(
+      scene,
+      "speedLine",
+      {
+        scale: { start: 6, end: 1 },
+        alpha: { start: 0.6, end: 0 },
+        lifespan: 300,
+        frequency: 20,
+        blendMode: "ADD",
+      },
+      4 // Behind spike but in front of background
+    );
+
+    // One sprite pool per pickup type (any number on screen; pickups
+    // never block obstacles)
+    this.pickupPools = {};
+    PICKUP_TYPES.forEach((type) => {
+      this.pickupPools[type] = new SpritePool(scene, `${type}Pickup`);
+    });
+
+    // ===== Lifecycle Events =====
+    this.events = new EventEmitter();
+
+    this.setupColliders();
+
+    scene.events.once("shutdown", () => {
+      this.events.removeAllListeners();
+      this.colliders.forEach((collider) => collider.destroy());
+      this.colliders = [];
+    });
   }
 
   /**
@@ -56,361 +138,365 @@ export class ObstacleSpawner {
   }
 
   // ============================================================================
-  // OBSTACLE CLEANUP
+  // SPAWNING
   // ============================================================================
 
   /**
-   * Clears all active obstacle references
+   * Spawns a registered obstacle type
    *
-   * Note: Does not destroy sprites - they exit naturally or are destroyed
-   * by their own cleanup timers. This just clears the tracking references
-   * to allow new obstacles to spawn.
+   * Lifecycle:
+   * 1. The spawn is skipped if the type is at its cap, or for exclusive
+   *    types while an obstacle of another type is in play
+   * 2. The type's spawn() takes a sprite from the pool and sets it moving
+   * 3. The obstacle joins the type's active list
+   * 4. telegraph() runs, then update() every updateInterval ms
+   * 5. It leaves play by landing, exiting the screen or hitting the
+   *    player, and goes back to its pool; landing and exiting count as
+   *    dodged unless it touched the player on the way (e.g. a hit a
+   *    shield absorbed, or one during invincibility frames)
+   *
+   * Each step emits its lifecycle event (see class docs).
+   *
+   * @param {string} type - Registered type name, e.g. "spike"
+   * @param {Object} [options={}] - Passed to the type's hooks
+   * @param {number} [options.lane] - Lane index, for types with lanes
+   * @returns {Object|null} Spawn record { type, sprite, trail, options,
+   *          spawnTime, inPlay }, or null if the spawn was skipped
+   * @throws {Error} If the type isn't registered
    */
-  clearAllObstacles() {
-    this.activeBall = null;
-    this.activeSpike = null;
-    this.activeWeave = null;
-  }
+  spawn(type, options = {}) {
+    const definition = getObstacleType(type);
+    if (!definition) {
+      throw new Error(`Unknown obstacle type "${type}"`);
+    }
 
-  // ============================================================================
-  // SPIKE SPAWNING - THREE VARIANTS
-  // ============================================================================
+    if (this.count(type) >= this.caps[type]) return null;
+
+    // Exclusive types wait for every other type to clear
+    if (definition.exclusive && this.hasBlockingObstacle(type)) return null;
+
+    const sprite = definition.spawn(this, options);
+    const obstacle = {
+      type,
+      sprite,
+      trail: definition.trail ? this.createSpikeTrail(sprite) : null,
+      options,
+      spawnTime: this.scene.time.now,
+      inPlay: true,
+    };
+    sprite.obstacle = obstacle; // Read by the group colliders
+
+    this.active[type].push(obstacle);
+    this.onObstacleRelease(sprite, () => this.retire(obstacle));
+
+    this.events.emit("spawned", obstacle);
+
+    if (definition.telegraph) definition.telegraph(this, obstacle);
+
+    if (definition.update) {
+      this.addObstacleTimer(sprite, definition.updateInterval, () =>
+        definition.update(this, obstacle)
+      );
+    }
+
+    // Auto-cleanup when the obstacle exits screen bounds
+    if (definition.hasExited) {
+      this.addObstacleTimer(sprite, definition.exitInterval, () => {
+        if (definition.hasExited(sprite)) {
+          this.recordDodge(obstacle);
+          this.releaseObstacle(sprite);
+        }
+      });
+    }
+
+    return obstacle;
+  }
 
   /**
-   * Spawns a spike that targets the player's current position
-   * Used in Wave 1 for player-tracking difficulty
+   * Takes an obstacle out of play: clears its tracking and emits "exited"
+   * Runs once per spawn, whichever way the obstacle leaves play
    *
-   * Behavior:
-   * 1. Appears above player's current X position
-   * 2. Slowly descends to warning position (y: 150)
-   * 3. After warning phase, drops rapidly with gravity
-   * 4. Speed scales with difficulty multiplier
-   *
-   * Warning duration: 800ms / difficultyMultiplier (faster at higher difficulty)
-   * Gravity: 4000 * difficultyMultiplier
+   * @param {Object} obstacle - Spawn record from spawn()
+   * @private
    */
-  spawnTargetedSpike() {
-    const targetX = this.playerController.player.x;
-    const spike = this.scene.physics.add.sprite(targetX, -100, "spike");
-    spike.setScale(GAME_CONFIG.PLAYER.SCALE - 10);
-    spike.setDepth(5);
-    spike.body.setAllowGravity(false);
-
-    this.activeSpike = spike;
-
-    const trail = this.createSpikeTrail(spike);
-
-    // Warning phase: Slow descent to give player time to react
-    this.scene.tweens.add({
-      targets: spike,
-      y: 150,
-      duration: 800 / this.difficultyMultiplier,
-      onComplete: () => {
-        if (spike.active) {
-          // Play audio cue when spike begins falling
-          if (this.scene.audioManager) {
-            this.scene.audioManager.playSpikeSound();
-          }
-
-          // Enable gravity for rapid fall
-          spike.body.setAllowGravity(true);
-          spike.setGravityY(4000 * this.difficultyMultiplier);
-          trail.start();
-        }
-      },
-    });
+  retire(obstacle) {
+    if (!obstacle.inPlay) return;
+    obstacle.inPlay = false;
 
-    this.setupObstacleCollision(spike, trail);
+    this.active[obstacle.type] = this.active[obstacle.type].filter(
+      (o) => o !== obstacle
+    );
+    this.events.emit("exited", obstacle);
   }
 
   /**
-   * Spawns a spike at a specific lane position
-   * Used for scripted lane attack sequences in Wave 2 and 3
+   * Calls back once an obstacle is out of play
    *
-   * Behavior:
-   * - Fixed X position (no player tracking)
-   * - Faster warning phase (500ms)
-   * - Higher base gravity (4500) for aggressive attacks
+   * @param {Object|null} obstacle - Spawn record from spawn(); null (a
+   *        blocked spawn) counts as already out of play
+   * @param {Function} callback - Called once, with the spawn record
+   */
+  whenExited(obstacle, callback) {
+    if (!obstacle || !obstacle.inPlay) {
+      callback(obstacle);
+      return;
+    }
+
+    const onExited = (exited) => {
+      if (exited !== obstacle) return;
+      this.events.off("exited", onExited);
+      callback(obstacle);
+    };
+    this.events.on("exited", onExited);
+  }
+
+  /**
+   * Calls back once a type has no obstacle in play
    *
-   * @param {number} x - X coordinate of the lane to target
+   * @param {string} type - Registered type name
+   * @param {Function} callback - Called once the type is clear
    */
-  spawnLaneSpike(x) {
-    const spike = this.scene.physics.add
-      .sprite(x, -100, "spike")
-      .setScale(GAME_CONFIG.PLAYER.SCALE - 10);
-    spike.body.setAllowGravity(false);
-
-    this.activeSpike = spike;
-
-    const trail = this.createSpikeTrail(spike);
-
-    // Short warning phase for lane attacks
-    this.scene.tweens.add({
-      targets: spike,
-      y: 150,
-      duration: 500,
-      onComplete: () => {
-        if (spike.active) {
-          if (this.scene.audioManager) {
-            this.scene.audioManager.playSpikeSound();
-          }
-
-          spike.body.setAllowGravity(true);
-          spike.setGravityY(4500);
-          trail.start();
-        }
-      },
-    });
+  whenCleared(type, callback) {
+    if (this.count(type) === 0) {
+      callback();
+      return;
+    }
 
-    this.setupObstacleCollision(spike, trail);
+    const onExited = () => {
+      if (this.count(type) > 0) return;
+      this.events.off("exited", onExited);
+      callback();
+    };
+    this.events.on("exited", onExited);
   }
 
   /**
-   * Spawns a spike for shower attack sequences
-   * Fastest variant with minimal warning time
+   * Number of obstacles of a type in play
    *
-   * Used in Wave 3 spike showers where multiple spikes
-   * rain down in rapid succession
+   * @param {string} type - Registered type name
+   * @returns {number}
+   */
+  count(type) {
+    return this.active[type].length;
+  }
+
+  /**
+   * Whether any obstacle is in play
    *
-   * Behavior:
-   * - Very short warning (400ms)
-   * - Highest gravity (5000) for fast-paced attacks
-   * - No difficulty scaling
+   * @param {string} [ignoredType] - Type to leave out of the check
+   * @returns {boolean}
+   */
+  hasActiveObstacle(ignoredType) {
+    return Object.keys(this.active).some(
+      (type) => type !== ignoredType && this.count(type) > 0
+    );
+  }
+
+  /**
+   * Whether an obstacle of another type holds back an exclusive type
+   * Types may let some of their obstacles through (blocksExclusive).
    *
-   * @param {number} x - X coordinate to spawn spike at
+   * @param {string} exclusiveType - Type about to spawn
+   * @returns {boolean}
+   * @private
    */
-  spawnShowerSpike(x) {
-    const spike = this.scene.physics.add
-      .sprite(x, -100, "spike")
-      .setScale(GAME_CONFIG.PLAYER.SCALE - 10);
-    spike.body.setAllowGravity(false);
-
-    const trail = this.createSpikeTrail(spike);
-
-    // Minimal warning for shower attacks
-    this.scene.tweens.add({
-      targets: spike,
-      y: 150,
-      duration: 400,
-      onComplete: () => {
-        if (spike.active) {
-          if (this.scene.audioManager) {
-            this.scene.audioManager.playSpikeSound();
-          }
-
-          spike.body.setAllowGravity(true);
-          spike.setGravityY(5000);
-          trail.start();
-        }
-      },
+  hasBlockingObstacle(exclusiveType) {
+    return Object.keys(this.active).some((type) => {
+      if (type === exclusiveType) return false;
+
+      const { blocksExclusive } = getObstacleType(type);
+      return this.active[type].some(
+        (obstacle) => !blocksExclusive || blocksExclusive(obstacle)
+      );
     });
+  }
 
-    this.setupObstacleCollision(spike, trail);
+  /**
+   * Sets how many obstacles of each type may be in play at once
+   * Types left out fall back to their definition's maxActive.
+   *
+   * @param {Object<string, number>} [caps={}] - Caps by type name, e.g.
+   *        { ball: 2 } for balls from both sides at once
+   */
+  setCaps(caps = {}) {
+    getObstacleTypeNames().forEach((type) => {
+      this.caps[type] =
+        caps[type] !== undefined ? caps[type] : getObstacleType(type).maxActive;
+    });
   }
 
   /**
-   * Creates a particle trail effect for falling spikes
+   * Attaches a pooled particle trail to a falling spike
    * Provides visual feedback for spike velocity
    *
-   * Performance optimization: Disabled in Wave 3 to reduce particle overhead
-   * during intensive final boss sequences
+   * The trail starts stopped (call start() when the spike drops) and goes
+   * back to the pool when the spike is released.
    *
    * @param {Phaser.Physics.Arcade.Sprite} spike - The spike sprite to attach trail to
-   * @returns {Object} Particle emitter or dummy object with no-op methods
-   * @private
+   * @returns {Phaser.GameObjects.Particles.ParticleEmitter|null} Particle
+   *          emitter, or null when the particle quality setting disables trails
    */
   createSpikeTrail(spike) {
-    // Wave 3 optimization: Skip trail creation for better performance
-    if (this.levelManager.currentWave === 3) {
-      // Return dummy object with same interface to prevent crashes
-      return {
-        start: () => {},
-        stop: () => {},
-        destroy: () => {},
-      };
-    }
-
-    // Create speed line particle effect
-    const trail = this.scene.add.particles(0, 0, "speedLine", {
-      follow: spike,
-      scale: { start: 6, end: 1 },
-      alpha: { start: 0.6, end: 0 },
-      lifespan: 300,
-      frequency: 20,
-      blendMode: "ADD",
-      emitting: false, // Start disabled, enabled when spike falls
-    });
-    trail.setDepth(4); // Behind spike but in front of background
+    if (!this.scene.particleEffects.trailsEnabled()) return null;
 
-    // Auto-cleanup when spike is destroyed
-    spike.on("destroy", () => trail.destroy());
+    const trail = this.trailPool.acquire(spike, false);
+    this.onObstacleRelease(spike, () => this.trailPool.release(trail));
 
     return trail;
   }
 
+  /**
+   * Runs a callback every interval ms until the obstacle is released
+   *
+   * @param {Phaser.Physics.Arcade.Sprite} sprite - Obstacle sprite
+   * @param {number} interval - ms between calls
+   * @param {Function} callback - Called while the obstacle is in play
+   * @private
+   */
+  addObstacleTimer(sprite, interval, callback) {
+    const timer = this.scene.time.addEvent({
+      delay: interval,
+      callback,
+      loop: true,
+    });
+    this.onObstacleRelease(sprite, () => timer.remove());
+  }
+
   // ============================================================================
-  // BALL SPAWNING
+  // OBSTACLE POOLING
   // ============================================================================
 
   /**
-   * Spawns a rolling ball obstacle from the screen edge
-   *
-   * Intelligence: Ball spawns from the opposite side of where player is standing
-   * to increase challenge and prevent easy avoidance
+   * Takes a sprite out of an obstacle type's pool
+   * Called by the types' spawn() hooks
    *
-   * Behavior:
-   * - Rolls along ground at scaled velocity
-   * - Rotates continuously for realistic motion
-   * - Auto-destroys when off-screen
-   * - Only spawns if no other obstacles are active
-   *
-   * Velocity: 650 * difficultyMultiplier (scaled with game progression)
+   * @param {string} type - Registered type name
+   * @param {number} x - Starting X position
+   * @param {number} y - Starting Y position
+   * @returns {Phaser.Physics.Arcade.Sprite} Obstacle sprite
    */
-  spawnBall() {
-    // Prevent spawning if any obstacle is already active
-    if (this.activeBall || this.activeSpike || this.activeWeave) {
-      return;
-    }
-
-    // Determine spawn side based on player position
-    const playerX = this.playerController.player.x;
-    const isPlayerOnRight = playerX > 540; // Screen center
-    const spawnFromRight = !isPlayerOnRight; // Spawn from opposite side
+  acquireObstacle(type, x, y) {
+    const sprite = this.pools[type].acquire(x, y);
+    sprite.obstacleType = type;
+    return sprite;
+  }
 
-    // Calculate spawn position and velocity
-    const spawnX = spawnFromRight ? 1200 : -120;
-    const velocity = (spawnFromRight ? -650 : 650) * this.difficultyMultiplier;
+  /**
+   * Returns an obstacle to its pool, removing its timers and trail.
+   * Does nothing if the obstacle was already released.
+   *
+   * @param {Phaser.Physics.Arcade.Sprite} sprite - Obstacle from acquireObstacle()
+   */
+  releaseObstacle(sprite) {
+    this.pools[sprite.obstacleType].release(sprite);
+  }
 
-    // Create ball sprite
-    const ball = this.scene.physics.add.sprite(
-      spawnX,
-      GAME_CONFIG.GROUND.Y - 50,
-      "red"
+  /**
+   * Returns every obstacle of a type in play to its pool
+   *
+   * @param {string} type - Registered type name
+   */
+  releaseAll(type) {
+    // Copy: each release removes the obstacle from the active list
+    [...this.active[type]].forEach((obstacle) =>
+      this.releaseObstacle(obstacle.sprite)
     );
-    ball.setScale(GAME_CONFIG.PLAYER.SCALE - 10);
-    ball.setCircle(ball.width / 2); // Circular hitbox for accurate collision
-    ball.setDepth(5);
-    ball.body.setAllowGravity(false);
-    ball.setVelocityX(velocity);
-
-    // Play rolling sound effect
-    if (this.scene.audioManager) {
-      this.scene.audioManager.playRollSound();
-    }
-
-    this.activeBall = ball;
+  }
 
-    // Continuous rotation animation for realistic rolling
-    this.scene.tweens.add({
-      targets: ball,
-      angle: spawnFromRight ? -360 : 360, // Rotate in direction of travel
-      duration: 1000 / this.difficultyMultiplier,
-      repeat: -1, // Loop infinitely
-    });
+  /**
+   * Registers cleanup for an obstacle's current use
+   *
+   * @param {Phaser.Physics.Arcade.Sprite} sprite - Obstacle from acquireObstacle()
+   * @param {Function} callback - Called once when the obstacle is released
+   */
+  onObstacleRelease(sprite, callback) {
+    this.pools[sprite.obstacleType].onRelease(sprite, callback);
+  }
 
-    this.setupObstacleCollision(ball);
+  // ============================================================================
+  // OBSTACLE CLEANUP
+  // ============================================================================
 
-    // Auto-cleanup when ball exits screen bounds
-    this.scene.time.addEvent({
-      delay: 100,
-      callback: () => {
-        if (ball.active && (ball.x < -400 || ball.x > 1500)) {
-          ball.destroy();
-          this.activeBall = null;
-        }
-      },
-      loop: true,
+  /**
+   * Clears all active obstacle references
+   *
+   * Note: Does not release sprites - they exit naturally or are released
+   * by their own cleanup timers. This just clears the tracking references
+   * to allow new obstacles to spawn; their "exited" events still follow.
+   */
+  clearAllObstacles() {
+    Object.keys(this.active).forEach((type) => {
+      this.active[type] = [];
     });
   }
 
   // ============================================================================
-  // WEAVE SPAWNING - PERFORMANCE OPTIMIZED
+  // PICKUP DROPS
   // ============================================================================
 
   /**
-   * Spawns a weave obstacle with sinusoidal horizontal motion
-   * Optimized for performance during intensive Wave 2 and 3 sequences
-   *
-   * Motion pattern:
-   * - Constant downward velocity (400 * difficultyMultiplier)
-   * - Horizontal oscillation using sine wave (amplitude: 250px)
-   * - Centered at x: 540 (screen center)
+   * Drops a power-up into a lane
    *
-   * Performance optimizations applied:
-   * 1. Pre-calculated values (amplitude, frequency, centerX)
-   * 2. Reduced motion update frequency: 50ms (was 32ms) = 36% fewer calculations
-   * 3. Reduced exit check frequency: 250ms (was 150ms) = 40% fewer checks
-   *
-   * Trade-off: Slightly less smooth motion, but imperceptible to players
-   * and significantly reduces CPU load during complex sequences
+   * @param {string} type - "shield", "heart", "slowTime" or "magnet"
+   * @param {number} lane - Index of the lane to drop into (scene.lanes)
+   */
+  spawnPowerUp(type, lane) {
+    this.createPickup(type, this.scene.lanes.getX(lane), -100);
+  }
+
+  /**
+   * Drops a column of score orbs into a lane
    *
-   * @returns {{weave: Phaser.Physics.Arcade.Sprite, exitCheck: Phaser.Time.TimerEvent}}
-   *          Object containing weave sprite and exit check timer for external cleanup
+   * @param {number} lane - Index of the lane to drop into (scene.lanes)
    */
-  spawnWeave() {
-    // Prevent spawning if any obstacle is already active
-    if (this.activeWeave || this.activeBall || this.activeSpike) return;
-
-    // Create weave sprite
-    const weave = this.scene.physics.add.sprite(540, -100, "weave");
-    weave.setScale(GAME_CONFIG.PLAYER.SCALE - 5);
-    weave.setDepth(5);
-    weave.body.setAllowGravity(false);
-    weave.setVelocityY(400 * this.difficultyMultiplier);
-
-    this.activeWeave = weave;
-
-    // OPTIMIZATION 1: Pre-calculate constants once (avoids repeated calculations)
-    const startTime = this.scene.time.now;
-    const amplitude = 250; // Horizontal oscillation range
-    const frequency = 0.003; // Oscillation speed
-    const centerX = 540; // Screen center
-
-    // OPTIMIZATION 2: Reduced update frequency from 32ms to 50ms
-    // Result: 36% fewer calculations with minimal visual impact
-    const weaveMotion = this.scene.time.addEvent({
-      delay: 50, // Was 32ms
-      callback: () => {
-        if (!weave.active) {
-          weaveMotion.remove();
-          return;
-        }
+  spawnScoreOrbs(lane) {
+    const { ORB_COUNT, ORB_SPACING } = GAME_CONFIG.POWER_UPS;
+    const x = this.scene.lanes.getX(lane);
 
-        // Calculate sinusoidal horizontal position
-        const elapsed = this.scene.time.now - startTime;
-        const offset = Math.sin(elapsed * frequency) * amplitude;
-        weave.x = centerX + offset;
-      },
-      loop: true,
-    });
+    for (let i = 0; i < ORB_COUNT; i++) {
+      this.createPickup("orb", x, -100 - i * ORB_SPACING);
+    }
+  }
 
-    // OPTIMIZATION 3: Increased exit check interval from 150ms to 250ms
-    // Result: 40% fewer checks while still catching exits promptly
+  /**
+   * Drops a pooled pickup that PowerUpManager applies on contact
+   *
+   * Pickups fall at POWER_UPS.FALL_SPEED, pass through the ground and
+   * go back to their pool once off-screen or collected. They don't count
+   * as obstacles, so they never block spawns or count as dodges.
+   *
+   * @param {string} type - One of PICKUP_TYPES
+   * @param {number} x - Spawn X
+   * @param {number} y - Spawn Y
+   * @private
+   */
+  createPickup(type, x, y) {
+    const pool = this.pickupPools[type];
+    const pickup = pool.acquire(x, y);
+    pickup.setScale(type === "orb" ? 8 : 10);
+    pickup.setDepth(5);
+    pickup.body.setAllowGravity(false);
+    pickup.setVelocityY(GAME_CONFIG.POWER_UPS.FALL_SPEED);
+    pickup.pickupType = type;
+
+    // Off-screen check
     const exitCheck = this.scene.time.addEvent({
-      delay: 250, // Was 150ms
+      delay: 250,
       callback: () => {
-        if (!weave.active) {
-          this.activeWeave = null;
-          weaveMotion.remove();
-          exitCheck.remove();
-          return;
-        }
-
-        // Check if weave has exited screen bounds
-        if (weave.y > 2000) {
-          weave.destroy();
-          this.activeWeave = null;
-          weaveMotion.remove();
-          exitCheck.remove();
-        }
+        if (pickup.y > 2000) pool.release(pickup);
       },
       loop: true,
     });
+    pool.onRelease(pickup, () => exitCheck.remove());
+  }
 
-    this.setupObstacleCollision(weave);
-
-    // Return references for external cleanup if needed
-    return { weave, exitCheck };
+  /**
+   * Pickups in play, e.g. for the magnet to pull
+   *
+   * @returns {Phaser.Physics.Arcade.Sprite[]}
+   */
+  get activePickups() {
+    return PICKUP_TYPES.flatMap((type) => this.pickupPools[type].live);
   }
 
   // ============================================================================
@@ -418,58 +504,126 @@ export class ObstacleSpawner {
   // ============================================================================
 
   /**
-   * Sets up collision detection for an obstacle
-   * Handles both ground collision (spikes) and player collision (all obstacles)
+   * Creates the colliders shared by every obstacle of a kind
+   *
+   * Per type, against its pool's group:
+   * - Player overlap (all types): handlePlayerContact()
+   * - Ground collider (types with land()): handleLanding()
    *
-   * Ground collision behavior (spikes only):
+   * Plus one player overlap per pickup pool. Pooled sprites out of play
+   * have their bodies disabled, so the shared colliders skip them. The colliders live as
+   * long as the scene and are destroyed on shutdown.
+   *
+   * @private
+   */
+  setupColliders() {
+    const physics = this.scene.physics;
+    const player = this.playerController.player;
+
+    this.colliders = [];
+
+    getObstacleTypeNames().forEach((type) => {
+      const group = this.pools[type].group;
+
+      this.colliders.push(
+        physics.add.overlap(player, group, (_, sprite) =>
+          this.handlePlayerContact(sprite)
+        )
+      );
+
+      if (getObstacleType(type).land) {
+        this.colliders.push(
+          physics.add.collider(this.scene.ground, group, (_, sprite) =>
+            this.handleLanding(sprite)
+          )
+        );
+      }
+    });
+
+    PICKUP_TYPES.forEach((type) => {
+      const pool = this.pickupPools[type];
+
+      this.colliders.push(
+        physics.add.overlap(player, pool.group, (_, pickup) => {
+          if (!pickup.active) return;
+
+          pool.release(pickup);
+          this.levelManager.powerUpManager.collect(type);
+        })
+      );
+    });
+  }
+
+  /**
+   * An obstacle touched the ground
+   *
+   * - Counts the obstacle as dodged, unless it passed through the player
    * - Stops particle trail
-   * - Fades out and shrinks over 200ms
-   * - Destroys after animation
+   * - Hands over to the type's land() for its exit
+   *
+   * @param {Phaser.Physics.Arcade.Sprite} sprite - Obstacle sprite
+   * @private
+   */
+  handleLanding(sprite) {
+    // Collider keeps firing while the obstacle rests on the ground
+    if (sprite.hasLanded) return;
+    sprite.hasLanded = true;
+
+    const obstacle = sprite.obstacle;
+
+    // Stop particle trail
+    if (obstacle.trail) obstacle.trail.stop();
+
+    this.events.emit("landed", obstacle);
+    this.recordDodge(obstacle);
+    this.retire(obstacle);
+
+    getObstacleType(obstacle.type).land(this, obstacle);
+  }
+
+  /**
+   * Counts an obstacle leaving play as dodged (points, combo and near
+   * miss), unless it passed through the player
    *
-   * Player collision behavior (all obstacles):
-   * - Immediately destroys obstacle
-   * - Clears active obstacle reference
+   * @param {Object} obstacle - Spawn record
+   * @private
+   */
+  recordDodge(obstacle) {
+    if (obstacle.sprite.touchedPlayer) return;
+
+    this.levelManager.recordDodge(obstacle.type, obstacle.sprite);
+    this.events.emit("dodged", obstacle);
+  }
+
+  /**
+   * An obstacle touched the player
+   *
+   * - Ignored while the player is hurt (invincibility frames) or when a
+   *   shield absorbs the hit; the obstacle is marked so it doesn't score
+   *   as a dodge when it leaves
+   * - Immediately returns obstacle to its pool
+   * - Removes it from the active list
    * - Triggers player damage through scene.updateLives()
    *
-   * @param {Phaser.Physics.Arcade.Sprite} sprite - The obstacle sprite
-   * @param {Object} [trail=null] - Optional particle trail for spikes
+   * @param {Phaser.Physics.Arcade.Sprite} sprite - Obstacle sprite
    * @private
    */
-  setupObstacleCollision(sprite, trail = null) {
-    // ===== Ground Collision (Spikes Only) =====
-    if (sprite.texture.key === "spike") {
-      this.scene.physics.add.collider(sprite, this.scene.ground, () => {
-        // Stop particle trail
-        if (trail) trail.stop();
-
-        // Clear active reference
-        if (this.activeSpike === sprite) {
-          this.activeSpike = null;
-        }
+  handlePlayerContact(sprite) {
+    // Released earlier in the same physics step
+    if (!sprite.active) return;
 
-        // Fade out animation for smooth cleanup
-        this.scene.tweens.add({
-          targets: sprite,
-          alpha: 0,
-          scale: 0,
-          duration: 200,
-          onComplete: () => sprite.destroy(),
-        });
-      });
+    // Passes through the player during invincibility frames
+    if (!this.playerController.takeHit()) {
+      sprite.touchedPlayer = true;
+      return;
     }
 
-    // ===== Player Collision (All Obstacles) =====
-    this.scene.physics.add.overlap(sprite, this.playerController.player, () => {
-      // Immediate cleanup
-      sprite.destroy();
+    this.events.emit("hit", sprite.obstacle);
 
-      // Clear appropriate active reference
-      if (sprite === this.activeSpike) this.activeSpike = null;
-      if (sprite === this.activeBall) this.activeBall = null;
-      if (sprite === this.activeWeave) this.activeWeave = null;
+    // Immediate cleanup (also removes it from the active list)
+    this.releaseObstacle(sprite);
 
-      // Trigger player damage
-      this.scene.updateLives();
-    });
+    // Trigger player damage
+    this.scene.updateLives();
   }
 }
@@ -0,0 +1,426 @@
+// src/game/controllers/PauseManager.js
+
+import { SettingsManager } from "./SettingsManager";
+
+/**
+ * PauseManager
+ *
+ * Manages pausing during gameplay:
+ * - Triggers: Escape / P keys, gamepad Start, a two-finger tap, or the
+ *   on-screen button
+ * - Freezes physics, tweens, every scene.time event (wave and boss
+ *   schedules included), background music and replay recording
+ * - Pause menu: Resume, Restart Wave, Settings, Quit to Title (navigable
+ *   with a gamepad; B resumes)
+ * - 3-2-1 countdown before play resumes
+ *
+ * Everything is frozen in place rather than torn down, so resuming picks
+ * up exactly where the player left off. Only the tweens running at pause
+ * time are paused (the manager-wide pauseAll() would also stop every tween
+ * created later), so countdown and menu animations still play.
+ *
+ * @class
+ */
+export class PauseManager {
+  /**
+   * Creates a new PauseManager instance and registers its triggers
+   *
+   * @param {Phaser.Scene} scene - The gameplay scene to pause
+   */
+  constructor(scene) {
+    this.scene = scene;
+
+    // Pause state
+    this.isPaused = false; // True from pause until the countdown ends
+    this.isCountingDown = false; // True during the 3-2-1 countdown
+    this.menuElements = []; // Game objects of the pause menu
+    this.pausedTweens = []; // Gameplay tweens frozen by pause()
+    this.menuButtons = []; // Button faces, in order, for gamepad navigation
+    this.gamepadMenu = null; // Menu registered with GamepadManager
+
+    this.settingsManager = new SettingsManager(scene);
+
+    this.setupKeyboard();
+    this.setupTouch();
+    this.createPauseButton();
+  }
+
+  // ============================================================================
+  // TRIGGERS
+  // ============================================================================
+
+  /**
+   * Escape and P pause the game, or resume it from the pause menu
+   *
+   * @private
+   */
+  setupKeyboard() {
+    this.scene.input.keyboard.on("keydown-ESC", () => this.togglePause());
+    this.scene.input.keyboard.on("keydown-P", () => this.togglePause());
+  }
+
+  /**
+   * Pauses the game, or resumes it from the pause menu
+   * Used by the pause keys and the gamepad Start button
+   */
+  togglePause() {
+    if (!this.isPaused) {
+      this.pause();
+    } else if (!this.isCountingDown && !this.settingsManager.isOpen) {
+      this.resume();
+    }
+  }
+
+  /**
+   * A tap with two fingers down at once pauses the game
+   * Not while the on-screen buttons are shown, since pressing two of them
+   * together is normal play there
+   *
+   * @private
+   */
+  setupTouch() {
+    // Track a second touch point (Phaser only tracks one by default)
+    // Pointers belong to the game, so they survive scene restarts
+    if (!this.scene.input.pointer2) {
+      this.scene.input.addPointer(1);
+    }
+
+    this.scene.input.on("pointerdown", () => {
+      const inputHandler = this.scene.inputHandler;
+      if (inputHandler && inputHandler.virtualButtons.isVisible) return;
+
+      const { pointer1, pointer2 } = this.scene.input;
+      if (pointer1.isDown && pointer2.isDown) {
+        this.pause();
+      }
+    });
+  }
+
+  /**
+   * Creates the translucent pause button in the top-right corner
+   *
+   * @private
+   */
+  createPauseButton() {
+    this.pauseButton = this.scene.add
+      .rectangle(1010, 70, 90, 90, 0x1d2b53, 0.5)
+      .setDepth(100)
+      .setScrollFactor(0)
+      .setInteractive();
+
+    this.pauseButtonText = this.scene.add
+      .text(1010, 70, "II", {
+        fontFamily: '"Press Start 2P"',
+        fontSize: "36px",
+        fill: "#ffffff",
+      })
+      .setOrigin(0.5)
+      .setDepth(100)
+      .setScrollFactor(0);
+
+    this.pauseButton.on("pointerup", () => this.pause());
+  }
+
+  // ============================================================================
+  // PAUSE / RESUME
+  // ============================================================================
+
+  /**
+   * Whether the game can be paused right now
+   * Not after death, during name entry, or while already paused
+   *
+   * @returns {boolean}
+   * @private
+   */
+  canPause() {
+    return (
+      !this.isPaused &&
+      this.scene.lives > 0 &&
+      !this.scene.physics.world.isPaused &&
+      !this.scene.nameEntryManager?.isOpen
+    );
+  }
+
+  /**
+   * Freezes the game and shows the pause menu
+   */
+  pause() {
+    if (!this.canPause()) return;
+    this.isPaused = true;
+
+    // ===== Freeze Gameplay =====
+    this.scene.physics.pause();
+
+    // Only tweens running now; ones already paused stay paused on resume
+    this.pausedTweens = this.scene.tweens
+      .getTweens()
+      .filter((tween) => !tween.paused);
+    this.pausedTweens.forEach((tween) => tween.pause());
+    this.scene.time.paused = true;
+
+    if (this.scene.audioManager) {
+      this.scene.audioManager.pauseBackgroundMusic();
+    }
+
+    // Keep replays in sync: paused steps are not simulated
+    if (this.scene.replayManager) {
+      this.scene.replayManager.isSuspended = true;
+    }
+
+    this.showMenu();
+  }
+
+  /**
+   * Hides the menu and resumes play after a 3-2-1 countdown
+   */
+  resume() {
+    if (!this.isPaused || this.isCountingDown) return;
+
+    this.hideMenu();
+    this.isCountingDown = true;
+
+    this.showCountdown(3, () => {
+      this.isCountingDown = false;
+      this.unfreeze();
+    });
+  }
+
+  /**
+   * Restores physics, tweens, timers, music and replay recording
+   *
+   * @private
+   */
+  unfreeze() {
+    this.isPaused = false;
+
+    this.scene.physics.resume();
+    this.pausedTweens.forEach((tween) => tween.resume());
+    this.pausedTweens = [];
+    this.scene.time.paused = false;
+
+    if (this.scene.audioManager) {
+      this.scene.audioManager.resumeBackgroundMusic();
+    }
+
+    if (this.scene.replayManager) {
+      this.scene.replayManager.isSuspended = false;
+    }
+  }
+
+  /**
+   * Shows one countdown number, then the next, then calls onComplete
+   *
+   * @param {number} count - Number to display
+   * @param {Function} onComplete - Callback executed after "1"
+   * @private
+   */
+  showCountdown(count, onComplete) {
+    if (count === 0) {
+      onComplete();
+      return;
+    }
+
+    const countText = this.scene.add
+      .text(540, 960, String(count), {
+        fontFamily: '"Press Start 2P"',
+        fontSize: "160px",
+        fill: "#ffffff",
+      })
+      .setOrigin(0.5)
+      .setDepth(300)
+      .setScrollFactor(0);
+
+    // Shrink and fade over one second, then show the next number
+    this.scene.tweens.add({
+      targets: countText,
+      scale: 0.5,
+      alpha: 0,
+      duration: 1000,
+      onComplete: () => {
+        countText.destroy();
+        this.showCountdown(count - 1, onComplete);
+      },
+    });
+  }
+
+  // ============================================================================
+  // PAUSE MENU
+  // ============================================================================
+
+  /**
+   * Creates the pause menu overlay and its buttons
+   *
+   * @private
+   */
+  showMenu() {
+    // ===== Dark Modal Overlay =====
+    // Interactive so taps don't reach the game underneath
+    this.addMenuElement(
+      this.scene.add
+        .rectangle(540, 960, 1080, 1920, 0x000000, 0.7)
+        .setInteractive()
+    );
+
+    this.addMenuElement(
+      this.scene.add
+        .text(540, 600, "PAUSED", {
+          fontFamily: '"Press Start 2P"',
+          fontSize: "80px",
+          fill: "#ffffff",
+        })
+        .setOrigin(0.5)
+    );
+
+    const restartLabel = this.scene.levelManager?.isEndless
+      ? "RESTART RUN"
+      : "RESTART WAVE";
+
+    this.createMenuButton(850, "RESUME", () => this.resume());
+    this.createMenuButton(1010, restartLabel, () => this.restartWave());
+    this.createMenuButton(1170, "SETTINGS", () => this.openSettings());
+    this.createMenuButton(1330, "QUIT TO TITLE", () => this.quitToTitle());
+
+    if (this.scene.gamepadManager) {
+      this.gamepadMenu = this.scene.gamepadManager.pushMenu({
+        items: this.menuButtons,
+        onBack: () => this.resume(),
+      });
+    }
+  }
+
+  /**
+   * Creates a pause menu button with layered shadow effect
+   *
+   * @param {number} btnY - Vertical center of the button
+   * @param {string} label - Button text
+   * @param {Function} onPress - Callback executed on release
+   * @private
+   */
+  createMenuButton(btnY, label, onPress) {
+    // Button shadow (offset downward for depth effect)
+    this.addMenuElement(
+      this.scene.add.rectangle(540, btnY + 15, 600, 120, 0x1d2b53)
+    );
+
+    // Button face (main clickable area)
+    const top = this.addMenuElement(
+      this.scene.add.rectangle(540, btnY, 600, 120, 0xff004d).setInteractive()
+    );
+    this.menuButtons.push(top);
+
+    const text = this.addMenuElement(
+      this.scene.add
+        .text(540, btnY, label, {
+          fontFamily: '"Press Start 2P"',
+          fontSize: "36px",
+          fill: "#ffffff",
+        })
+        .setOrigin(0.5)
+    );
+
+    // ===== Button Press Animation =====
+    top.on("pointerdown", () => {
+      top.y = btnY + 10;
+      text.y = btnY + 10;
+    });
+
+    top.on("pointerup", () => {
+      top.y = btnY;
+      text.y = btnY;
+      if (this.scene.audioManager) {
+        this.scene.audioManager.playClickSound();
+      }
+      onPress();
+    });
+  }
+
+  /**
+   * Registers a pause menu element so hideMenu() can destroy it
+   *
+   * @param {Phaser.GameObjects.GameObject} element - Element to track
+   * @returns {Phaser.GameObjects.GameObject} The same element, for chaining
+   * @private
+   */
+  addMenuElement(element) {
+    element.setDepth(300).setScrollFactor(0);
+    this.menuElements.push(element);
+    return element;
+  }
+
+  /**
+   * Destroys the pause menu elements
+   *
+   * @private
+   */
+  hideMenu() {
+    if (this.gamepadMenu) {
+      this.scene.gamepadManager.removeMenu(this.gamepadMenu);
+      this.gamepadMenu = null;
+    }
+
+    this.menuElements.forEach((element) => element.destroy());
+    this.menuElements = [];
+    this.menuButtons = [];
+  }
+
+  // ============================================================================
+  // MENU ACTIONS
+  // ============================================================================
+
+  /**
+   * Opens the settings overlay on top of the pause menu
+   *
+   * @private
+   */
+  openSettings() {
+    this.settingsManager.show();
+  }
+
+  /**
+   * Restarts the current wave (or Endless/Daily run) from the beginning
+   * Uses the same flags as the game over retry, skipping tutorial and intro
+   *
+   * @private
+   */
+  restartWave() {
+    const levelManager = this.scene.levelManager;
+    if (levelManager && !levelManager.isEndless) {
+      this.scene.registry.set("restartWave", levelManager.currentWave);
+    }
+
+    this.scene.registry.set("tutorialCompleted", true);
+    this.scene.registry.set("skipDialogue", true);
+
+    this.leaveScene(false);
+  }
+
+  /**
+   * Returns to the title screen, abandoning the current run
+   *
+   * @private
+   */
+  quitToTitle() {
+    this.leaveScene(true);
+  }
+
+  /**
+   * Stops the music and restarts the scene, either as the title screen
+   * or straight back into gameplay
+   *
+   * The clock's paused flag survives a scene restart, so it is cleared
+   * first or the new scene would start frozen.
+   *
+   * @param {boolean} toTitle - Whether to restart as the title screen
+   * @private
+   */
+  leaveScene(toTitle) {
+    if (this.scene.audioManager) {
+      this.scene.audioManager.stopBackgroundMusic();
+    }
+
+    this.scene.time.paused = false;
+    this.scene.isTitleScreen = toTitle;
+    this.scene.registry.set("shouldOpenIris", false);
+    this.scene.scene.restart();
+  }
+}
@@ -9,14 +9,33 @@ import { GAME_CONFIG } from "../config/GameConfig";
  * - Movement (jumping, dashing, fast dropping)
  * - Animation state management
  * - Particle effect coordination
- * - Ground detection
+ * - Ground detection, with jump buffering and coyote time
+ * - Hurt state: invincibility frames with blinking after a hit
+ * - Shield power-up: absorbs the next hit (set by PowerUpManager)
  * - Audio feedback integration
  *
  * Control scheme:
  * - Jump: Upward movement with configurable velocity
- * - Dash Left/Right: Quick horizontal lane switching with particle trails
+ * - Dash Left/Right: Quick move one lane over (scene.lanes) with particle
+ *   trails; presses during a dash are queued and run in order
+ * - Hold Left/Right: with free movement, the player keeps moving at
+ *   LANES.FREE_MOVE_SPEED while a direction is held (after any dash)
  * - Fast Drop: Rapid descent to ground when airborne
  *
+ * Forgiving timing (GAME_CONFIG.MOVEMENT):
+ * - JUMP_BUFFER: a jump pressed shortly before landing runs on touchdown
+ * - COYOTE_TIME: a jump pressed shortly after walking or being pushed off
+ *   the ground still counts
+ * - DASH_QUEUE_SIZE: how many dashes can wait behind the current one
+ *
+ * Hurt state (GAME_CONFIG.PLAYER):
+ * - HURT_DURATION: after a hit the player can't be hit again for this
+ *   long, so two bullets or shower spikes arriving together cost one life
+ * - The sprite blinks every HURT_BLINK_INTERVAL until it ends
+ *
+ * All windows are measured with scene.time, so replays and the headless
+ * simulation see the same timing.
+ *
  * The controller integrates tightly with ParticleEffects for visual feedback
  * and AudioManager for sound effects, creating a polished player experience.
  *
@@ -34,6 +53,23 @@ export class PlayerController {
     this.scene = scene;
     this.player = player;
     this.particleEffects = particleEffects;
+
+    // Forgiving input state
+    this.lastGroundedAt = -Infinity; // Last time the player was on the ground
+    this.bufferedJumpAt = null; // Time of a jump pressed in the air, if any
+
+    // Dash state
+    this.dashTween = null; // Tween of the dash in progress
+    this.dashTargetX = null; // Where the dash in progress ends
+    this.dashQueue = []; // Waiting dashes: {targetX, flip}
+
+    // Held directions for free movement (-1 left, 1 right), latest last
+    this.heldDirections = [];
+
+    // Hurt state
+    this.hurtUntil = -Infinity; // Time the invincibility frames end
+    this.hurtBlink = null; // Timer toggling the sprite while hurt
+    this.hasShield = false; // Shield power-up absorbs the next hit
   }
 
   // ============================================================================
@@ -44,6 +80,10 @@ export class PlayerController {
    * Updates player visual state based on physics
    * Called every frame by the game scene's update loop
    *
+   * Also moves the player in a held direction (free movement), tracks
+   * when the player was last grounded (for coyote time) and runs a
+   * buffered jump on touchdown.
+   *
    * Animation frames:
    * - Frame 0: Grounded pose
    * - Frame 1: Airborne pose
@@ -55,12 +95,27 @@ export class PlayerController {
     // Safety check: ensure player and physics body exist
     if (!this.player || !this.player.body) return;
 
+    this.updateFreeMovement();
+
     // Determine if player is touching ground
     const isGrounded =
       this.player.body.blocked.down || this.player.body.touching.down;
 
     // Update sprite frame based on grounded state
     this.player.setFrame(isGrounded ? 0 : 1);
+
+    if (!isGrounded) return;
+
+    const now = this.scene.time.now;
+    this.lastGroundedAt = now;
+
+    // Touchdown: run a jump pressed just before landing
+    if (this.bufferedJumpAt !== null) {
+      const isFresh =
+        now - this.bufferedJumpAt <= GAME_CONFIG.MOVEMENT.JUMP_BUFFER;
+      this.bufferedJumpAt = null;
+      if (isFresh) this.performJump();
+    }
   }
 
   // ============================================================================
@@ -71,18 +126,38 @@ export class PlayerController {
    * Makes the player jump with upward velocity
    *
    * Requirements:
-   * - Player must be grounded (no double jumping)
+   * - Player must be grounded, or have left the ground within COYOTE_TIME
+   *   without jumping (no double jumping)
+   *
+   * Pressed in the air, the jump is buffered instead and runs if the
+   * player lands within JUMP_BUFFER ms.
+   */
+  jump() {
+    const now = this.scene.time.now;
+    const inCoyoteTime =
+      now - this.lastGroundedAt <= GAME_CONFIG.MOVEMENT.COYOTE_TIME;
+
+    if (this.isGrounded() || inCoyoteTime) {
+      this.performJump();
+    } else {
+      this.bufferedJumpAt = now;
+    }
+  }
+
+  /**
+   * Applies the jump
    *
    * Effects:
    * - Applies upward velocity from config
    * - Triggers particle effect for visual feedback
    * - Plays jump sound effect
    *
-   * Does nothing if player is already airborne
+   * @private
    */
-  jump() {
-    // Early exit if not grounded (prevents double jumping)
-    if (!this.isGrounded()) return;
+  performJump() {
+    // Spend the coyote window so it can't grant a second jump
+    this.lastGroundedAt = -Infinity;
+    this.bufferedJumpAt = null;
 
     // Play audio feedback
     if (this.scene.audioManager) {
@@ -102,19 +177,25 @@ export class PlayerController {
 
   /**
    * Performs a smooth dash movement to a target X position
-   * Core method used by dashLeft() and dashRight()
+   * Core method used by dashLeft() and dashRight() (through dashToNextLane)
    *
    * Features:
    * - Smooth easing animation (Cubic.out)
    * - Automatic sprite flipping based on direction
    * - Particle trail that follows player
    * - Audio feedback
-   * - Overwrites any existing dash tween
+   * - Requested while a dash is in progress, it is queued (up to
+   *   DASH_QUEUE_SIZE) and starts when the current one finishes
    *
    * @param {number} targetX - Target X coordinate to dash to
    * @param {boolean} flip - Whether to flip sprite horizontally (true = facing left)
    */
   dashTo(targetX, flip) {
+    if (this.dashTween) {
+      this.queueDash(targetX, flip);
+      return;
+    }
+
     // Early exit if already at target position
     if (this.player.x === targetX) return;
 
@@ -129,6 +210,9 @@ export class PlayerController {
     // Flip sprite to face movement direction
     this.player.setFlipX(flip);
 
+    // A held direction (free movement) waits for the dash to finish
+    this.player.setVelocityX(0);
+
     // Adjust particle offset based on flip direction
     // When flipped, offset is positive (trail behind left-facing player)
     // When not flipped, offset is negative (trail behind right-facing player)
@@ -136,35 +220,188 @@ export class PlayerController {
     this.particleEffects.startDash();
 
     // Smooth horizontal movement animation
-    this.scene.tweens.add({
+    this.dashTargetX = targetX;
+    this.dashTween = this.scene.tweens.add({
       targets: this.player,
       x: targetX,
       duration: GAME_CONFIG.MOVEMENT.DASH_DURATION,
       ease: "Cubic.out", // Deceleration curve for natural feel
-      overwrite: true, // Cancel any existing dash
       onComplete: () => {
         // Stop particle trail when dash finishes
         this.particleEffects.stopDash();
+        this.dashTween = null;
+
+        // Start the next queued dash, if any
+        const next = this.dashQueue.shift();
+        if (next) this.dashTo(next.targetX, next.flip);
       },
     });
   }
 
   /**
-   * Dashes player to the left lane
-   * Uses config-defined left lane X position
+   * Queues a dash behind the one in progress
+   * Repeating the last queued (or current) direction adds nothing, and
+   * presses beyond DASH_QUEUE_SIZE are dropped.
+   *
+   * @param {number} targetX - Target X coordinate to dash to
+   * @param {boolean} flip - Whether to flip sprite horizontally
+   * @private
+   */
+  queueDash(targetX, flip) {
+    const last = this.dashQueue[this.dashQueue.length - 1];
+    const lastTargetX = last ? last.targetX : this.dashTargetX;
+
+    if (targetX === lastTargetX) return;
+    if (this.dashQueue.length >= GAME_CONFIG.MOVEMENT.DASH_QUEUE_SIZE) return;
+
+    this.dashQueue.push({ targetX, flip });
+  }
+
+  /**
+   * Whether a dash is in progress
+   * Dashing into a boss plasma shot deflects it (BossManager)
+   *
+   * @returns {boolean}
+   */
+  get isDashing() {
+    return this.dashTween !== null;
+  }
+
+  /**
+   * Stops the dash in progress and forgets queued dashes
+   *
+   * @private
+   */
+  cancelDashes() {
+    this.scene.tweens.killTweensOf(this.player);
+    this.dashTween = null;
+    this.dashQueue = [];
+  }
+
+  /**
+   * Dashes player one lane to the left
    * Flips sprite to face left (flip = true)
    */
   dashLeft() {
-    this.dashTo(GAME_CONFIG.PLAYER.LEFT_X, true);
+    this.dashToNextLane(-1, true);
   }
 
   /**
-   * Dashes player to the right lane
-   * Uses config-defined right lane X position
+   * Dashes player one lane to the right
    * Keeps sprite facing right (flip = false)
    */
   dashRight() {
-    this.dashTo(GAME_CONFIG.PLAYER.RIGHT_X, false);
+    this.dashToNextLane(1, false);
+  }
+
+  /**
+   * Dashes to the next lane in a direction
+   *
+   * Measured from where the latest queued or running dash ends, so two
+   * quick presses move two lanes. In the outermost lane nothing happens.
+   *
+   * @param {number} direction - -1 for left, 1 for right
+   * @param {boolean} flip - Whether to flip sprite horizontally
+   * @private
+   */
+  dashToNextLane(direction, flip) {
+    const last = this.dashQueue[this.dashQueue.length - 1];
+    let fromX = this.player.x;
+    if (last) {
+      fromX = last.targetX;
+    } else if (this.dashTween) {
+      fromX = this.dashTargetX;
+    }
+
+    const lanes = this.scene.lanes;
+    this.dashTo(lanes.getX(lanes.getNextLane(fromX, direction)), flip);
+  }
+
+  // ============================================================================
+  // HORIZONTAL MOVEMENT - HELD DIRECTIONS (FREE MOVEMENT)
+  // ============================================================================
+
+  /**
+   * Starts moving left while held (free movement only)
+   */
+  holdLeft() {
+    this.holdDirection(-1);
+  }
+
+  /**
+   * Starts moving right while held (free movement only)
+   */
+  holdRight() {
+    this.holdDirection(1);
+  }
+
+  /**
+   * Stops moving left; a right still held takes over
+   */
+  releaseLeft() {
+    this.releaseDirection(-1);
+  }
+
+  /**
+   * Stops moving right; a left still held takes over
+   */
+  releaseRight() {
+    this.releaseDirection(1);
+  }
+
+  /**
+   * Adds a held direction; the latest one held wins
+   * Ignored outside free movement, where the player only dashes.
+   *
+   * @param {number} direction - -1 for left, 1 for right
+   * @private
+   */
+  holdDirection(direction) {
+    if (!this.scene.lanes.isFree) return;
+
+    this.releaseDirection(direction);
+    this.heldDirections.push(direction);
+  }
+
+  /**
+   * Removes a held direction
+   *
+   * @param {number} direction - -1 for left, 1 for right
+   * @private
+   */
+  releaseDirection(direction) {
+    this.heldDirections = this.heldDirections.filter(
+      (held) => held !== direction
+    );
+  }
+
+  /**
+   * Moves the player in the latest held direction, between the outer
+   * lanes (LANES.LEFT_X to RIGHT_X)
+   * Dashes move the player themselves, so holding waits for them.
+   *
+   * @private
+   */
+  updateFreeMovement() {
+    if (!this.scene.lanes.isFree) return;
+
+    const { LEFT_X, RIGHT_X, FREE_MOVE_SPEED } = GAME_CONFIG.LANES;
+    const direction = this.heldDirections[this.heldDirections.length - 1];
+
+    // Keep inside the lanes, whatever moved the player this frame
+    this.player.x = Math.min(Math.max(this.player.x, LEFT_X), RIGHT_X);
+
+    const atEdge =
+      (direction < 0 && this.player.x <= LEFT_X) ||
+      (direction > 0 && this.player.x >= RIGHT_X);
+
+    if (!direction || atEdge || this.dashTween) {
+      this.player.setVelocityX(0);
+      return;
+    }
+
+    this.player.setFlipX(direction < 0);
+    this.player.setVelocityX(direction * FREE_MOVE_SPEED);
   }
 
   // ============================================================================
@@ -178,7 +415,7 @@ export class PlayerController {
    * - Player must be airborne (no effect if grounded)
    *
    * Behavior:
-   * - Cancels any active dash animations
+   * - Cancels any active or queued dashes and any buffered jump
    * - Zeros out horizontal velocity
    * - Applies high downward velocity
    * - Shows vertical particle trail
@@ -191,8 +428,9 @@ export class PlayerController {
     // Early exit if already grounded
     if (this.isGrounded()) return;
 
-    // Cancel any active dash tweens
-    this.scene.tweens.killTweensOf(this.player);
+    // Cancel any active dash tweens and pending inputs
+    this.cancelDashes();
+    this.bufferedJumpAt = null;
 
     // Stop horizontal movement
     this.player.setVelocityX(0);
@@ -234,6 +472,75 @@ export class PlayerController {
     });
   }
 
+  // ============================================================================
+  // HURT STATE
+  // ============================================================================
+
+  /**
+   * Registers a hit from an obstacle or bullet
+   *
+   * Starts the invincibility frames unless they are already running.
+   * Overlap handlers call this first and only apply damage (and destroy
+   * the obstacle) when it returns true; during i-frames obstacles pass
+   * through the player. A shield absorbs the hit instead, using up the
+   * shield but still starting the i-frames.
+   *
+   * @returns {boolean} True if the hit landed, false if the player is
+   *          still invincible or shielded
+   */
+  takeHit() {
+    if (this.isHurt()) return false;
+
+    this.hurtUntil = this.scene.time.now + GAME_CONFIG.PLAYER.HURT_DURATION;
+    this.startHurtBlink();
+
+    if (this.hasShield) {
+      this.hasShield = false;
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Checks whether the player is in the invincibility frames after a hit
+   *
+   * @returns {boolean} True while hits are ignored
+   */
+  isHurt() {
+    return this.scene.time.now < this.hurtUntil;
+  }
+
+  /**
+   * Blinks the sprite until the hurt state ends
+   * Uses a timer rather than a tween, since dash cancelling kills every
+   * tween on the player
+   *
+   * @private
+   */
+  startHurtBlink() {
+    if (this.hurtBlink) this.hurtBlink.remove();
+
+    // Dim straight away so the hit is visible on the same frame
+    let isDimmed = true;
+    this.player.setAlpha(GAME_CONFIG.PLAYER.HURT_ALPHA);
+
+    this.hurtBlink = this.scene.time.addEvent({
+      delay: GAME_CONFIG.PLAYER.HURT_BLINK_INTERVAL,
+      loop: true,
+      callback: () => {
+        if (!this.isHurt() || !this.player.active) {
+          this.player.setAlpha(1);
+          this.hurtBlink.remove();
+          this.hurtBlink = null;
+          return;
+        }
+
+        isDimmed = !isDimmed;
+        this.player.setAlpha(isDimmed ? GAME_CONFIG.PLAYER.HURT_ALPHA : 1);
+      },
+    });
+  }
+
   // ============================================================================
   // UTILITY METHODS
   // ============================================================================
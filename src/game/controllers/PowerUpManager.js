@@ -0,0 +1,436 @@
+// src/game/controllers/PowerUpManager.js
+
+import { GAME_CONFIG } from "../config/GameConfig";
+import { SeededRandom } from "../utils/SeededRandom";
+
+/**
+ * Drops a spawn roll can produce, in the order their chances are stacked
+ * "orbs" is a column of score orbs rather than a power-up
+ * @constant {string[]}
+ */
+const DROP_TYPES = ["shield", "heart", "slowTime", "magnet", "orbs"];
+
+/**
+ * Power-ups that last for a while and get a HUD indicator, with the
+ * GAME_CONFIG.POWER_UPS key of their duration
+ * @constant {Object<string, string>}
+ */
+const TIMED_POWER_UPS = {
+  shield: "SHIELD_DURATION",
+  slowTime: "SLOW_TIME_DURATION",
+  magnet: "MAGNET_DURATION",
+};
+
+/**
+ * Pixel art for each pickup texture, one string per row
+ * "#" is drawn in the texture's color, "." is transparent
+ * @constant {Object<string, {color: string, rows: string[]}>}
+ */
+const PICKUP_ART = {
+  shieldPickup: {
+    color: "#29adff",
+    rows: [
+      "#######",
+      "#.....#",
+      "#.###.#",
+      "#.###.#",
+      ".#.#.#.",
+      "..#.#..",
+      "...#...",
+    ],
+  },
+  heartPickup: {
+    color: "#ff004d",
+    rows: [
+      ".##.##.",
+      "#######",
+      "#######",
+      "#######",
+      ".#####.",
+      "..###..",
+      "...#...",
+    ],
+  },
+  slowTimePickup: {
+    color: "#ffec27",
+    rows: [
+      "#######",
+      ".#...#.",
+      "..#.#..",
+      "...#...",
+      "..#.#..",
+      ".#.#.#.",
+      "#######",
+    ],
+  },
+  magnetPickup: {
+    color: "#ff77a8",
+    rows: [
+      "##...##",
+      "##...##",
+      "##...##",
+      "##...##",
+      "##...##",
+      ".#####.",
+      "..###..",
+    ],
+  },
+  orbPickup: {
+    color: "#ffa300",
+    rows: [".###.", "#####", "#####", "#####", ".###."],
+  },
+};
+
+/**
+ * PowerUpManager
+ *
+ * Collectible drops during waves:
+ * - Shield: absorbs the next hit (PlayerController.hasShield), or expires
+ * - Heart: restores one life (never dropped while lives are full)
+ * - Slow time: runs physics, tweens and timers at SLOW_TIME_SCALE
+ * - Magnet: pulls nearby score orbs to the player
+ * - Score orbs: a column of orbs worth SCORE.ORB points each
+ *
+ * Every SPAWN_INTERVAL while a wave runs, one roll against the wave's
+ * SPAWN_RATES (GAME_CONFIG.POWER_UPS) decides whether something drops and
+ * what; ObstacleSpawner drops it into a random lane. Rolls use their own
+ * generator seeded from the run seed, so drops never shift the obstacle
+ * sequence and replays see the same drops.
+ *
+ * Timed power-ups show an icon with the seconds left under the hearts.
+ *
+ * @class
+ */
+export class PowerUpManager {
+  /**
+   * Creates a new PowerUpManager instance
+   *
+   * @param {Phaser.Scene} scene - The game scene this manager operates in
+   * @param {PlayerController} playerController - Controller that holds the shield
+   * @param {LevelManager} levelManager - Manager for wave state and the spawner
+   */
+  constructor(scene, playerController, levelManager) {
+    this.scene = scene;
+    this.playerController = playerController;
+    this.levelManager = levelManager;
+
+    this.rng = new SeededRandom(
+      SeededRandom.hashString(`powerUps:${scene.runSeed}`)
+    );
+
+    this.endsAt = {}; // End time per active timed power-up
+    this.indicators = {}; // HUD icon and text per active timed power-up
+    this.spawnEvent = null; // Spawn roll timer while a wave runs
+
+    this.createTextures();
+
+    // Expiry, magnet pull and HUD countdown
+    this.tickEvent = scene.time.addEvent({
+      delay: 50,
+      callback: () => this.tick(),
+      loop: true,
+    });
+
+    // Scene-wide time scales outlive the scene, so never leave them slowed
+    scene.events.once("shutdown", () => this.setWorldSpeed(1));
+  }
+
+  /**
+   * Draws the pickup textures from PICKUP_ART
+   *
+   * @private
+   */
+  createTextures() {
+    Object.keys(PICKUP_ART).forEach((key) => {
+      if (this.scene.textures.exists(key)) return;
+
+      const { color, rows } = PICKUP_ART[key];
+      const canvas = document.createElement("canvas");
+      canvas.width = rows[0].length;
+      canvas.height = rows.length;
+      const ctx = canvas.getContext("2d");
+      ctx.fillStyle = color;
+
+      rows.forEach((row, y) => {
+        [...row].forEach((pixel, x) => {
+          if (pixel === "#") ctx.fillRect(x, y, 1, 1);
+        });
+      });
+
+      this.scene.textures.addCanvas(key, canvas);
+    });
+  }
+
+  // ============================================================================
+  // SPAWNING
+  // ============================================================================
+
+  /**
+   * Starts rolling for drops
+   * Called when a wave or an Endless run starts
+   */
+  start() {
+    this.stop();
+
+    this.spawnEvent = this.scene.time.addEvent({
+      delay: GAME_CONFIG.POWER_UPS.SPAWN_INTERVAL,
+      callback: () => this.rollDrop(),
+      loop: true,
+    });
+  }
+
+  /**
+   * Stops rolling for drops; active power-ups run until they expire
+   */
+  stop() {
+    if (this.spawnEvent) {
+      this.spawnEvent.remove();
+      this.spawnEvent = null;
+    }
+  }
+
+  /**
+   * Rolls once against the current wave's spawn rates and drops the result
+   *
+   * @private
+   */
+  rollDrop() {
+    const levelManager = this.levelManager;
+    if (!levelManager.isActive || this.scene.isGameOver) return;
+
+    const rates =
+      GAME_CONFIG.POWER_UPS.SPAWN_RATES[
+        levelManager.isEndless ? "endless" : levelManager.currentWave
+      ] || {};
+
+    // One draw for the type and one for the lane, whatever the outcome,
+    // so the sequence doesn't depend on the player's lives
+    const roll = this.rng.next();
+    const lane = this.rng.between(0, this.scene.lanes.lastLane);
+
+    let total = 0;
+    const type = DROP_TYPES.find((candidate) => {
+      total += rates[candidate] || 0;
+      return roll < total;
+    });
+    if (!type) return;
+
+    if (type === "heart" && this.scene.lives >= GAME_CONFIG.PLAYER.MAX_LIVES) {
+      return;
+    }
+
+    const spawner = levelManager.obstacleSpawner;
+    if (type === "orbs") {
+      spawner.spawnScoreOrbs(lane);
+    } else {
+      spawner.spawnPowerUp(type, lane);
+    }
+  }
+
+  // ============================================================================
+  // COLLECTING
+  // ============================================================================
+
+  /**
+   * Applies a collected pickup
+   * Called by ObstacleSpawner when the player touches one
+   *
+   * @param {string} type - "shield", "heart", "slowTime", "magnet" or "orb"
+   */
+  collect(type) {
+    if (this.scene.audioManager) {
+      this.scene.audioManager.playClickSound();
+    }
+
+    switch (type) {
+      case "orb":
+        if (this.scene.scoreManager) this.scene.scoreManager.awardOrb();
+        return;
+
+      case "heart":
+        this.restoreHeart();
+        return;
+
+      case "shield":
+        this.playerController.hasShield = true;
+        this.player.setTint(0x29adff);
+        break;
+
+      case "slowTime":
+        this.setWorldSpeed(GAME_CONFIG.POWER_UPS.SLOW_TIME_SCALE);
+        break;
+
+      default:
+        break;
+    }
+
+    // Collecting a timed power-up again restarts its duration
+    const duration = GAME_CONFIG.POWER_UPS[TIMED_POWER_UPS[type]];
+    this.endsAt[type] = this.scene.time.now + duration;
+    this.showIndicator(type);
+  }
+
+  /**
+   * Gives back one life, up to the maximum
+   *
+   * @private
+   */
+  restoreHeart() {
+    const scene = this.scene;
+    scene.lives = Math.min(scene.lives + 1, GAME_CONFIG.PLAYER.MAX_LIVES);
+
+    scene.hearts.forEach((heart, i) => {
+      heart.setTexture(i < scene.lives ? "heart" : "emptyHeart");
+    });
+  }
+
+  /**
+   * Scales physics, tweens and timers (1 is normal speed)
+   *
+   * @param {number} scale - World speed, e.g. 0.5 for half speed
+   * @private
+   */
+  setWorldSpeed(scale) {
+    // Arcade physics runs slower as its timeScale grows
+    this.scene.physics.world.timeScale = 1 / scale;
+    this.scene.tweens.timeScale = scale;
+    this.scene.time.timeScale = scale;
+  }
+
+  /**
+   * The player sprite
+   *
+   * @returns {Phaser.Physics.Arcade.Sprite}
+   * @private
+   */
+  get player() {
+    return this.playerController.player;
+  }
+
+  // ============================================================================
+  // ACTIVE EFFECTS
+  // ============================================================================
+
+  /**
+   * Ends expired power-ups, pulls orbs and updates the HUD countdowns
+   *
+   * @private
+   */
+  tick() {
+    const now = this.scene.time.now;
+
+    // A shield that absorbed a hit ends early
+    if (this.endsAt.shield && !this.playerController.hasShield) {
+      this.expire("shield");
+    }
+
+    Object.keys(this.endsAt).forEach((type) => {
+      const remaining = this.endsAt[type] - now;
+      if (remaining <= 0) {
+        this.expire(type);
+      } else {
+        this.indicators[type].text.setText(String(Math.ceil(remaining / 1000)));
+      }
+    });
+
+    if (this.endsAt.magnet) this.pullOrbs();
+  }
+
+  /**
+   * Steers score orbs within MAGNET_RADIUS toward the player
+   *
+   * @private
+   */
+  pullOrbs() {
+    const { MAGNET_RADIUS, MAGNET_SPEED } = GAME_CONFIG.POWER_UPS;
+    const player = this.player;
+
+    this.levelManager.obstacleSpawner.activePickups.forEach((pickup) => {
+      if (pickup.pickupType !== "orb") return;
+
+      const dx = player.x - pickup.x;
+      const dy = player.y - pickup.y;
+      const distance = Math.hypot(dx, dy);
+      if (distance > MAGNET_RADIUS || distance === 0) return;
+
+      pickup.setVelocityX((dx / distance) * MAGNET_SPEED);
+      pickup.setVelocityY((dy / distance) * MAGNET_SPEED);
+    });
+  }
+
+  /**
+   * Ends a timed power-up and removes its indicator
+   *
+   * @param {string} type - Key of TIMED_POWER_UPS
+   * @private
+   */
+  expire(type) {
+    delete this.endsAt[type];
+
+    if (type === "shield") {
+      this.playerController.hasShield = false;
+      this.player.setTint(0xffffff);
+    }
+    if (type === "slowTime") this.setWorldSpeed(1);
+
+    const indicator = this.indicators[type];
+    if (indicator) {
+      indicator.icon.destroy();
+      indicator.text.destroy();
+      delete this.indicators[type];
+    }
+    this.layoutIndicators();
+  }
+
+  // ============================================================================
+  // HUD
+  // ============================================================================
+
+  /**
+   * Shows a power-up's icon and countdown under the hearts
+   *
+   * @param {string} type - Key of TIMED_POWER_UPS
+   * @private
+   */
+  showIndicator(type) {
+    if (!this.indicators[type]) {
+      const icon = this.scene.add
+        .image(0, 0, `${type}Pickup`)
+        .setScale(8)
+        .setDepth(100)
+        .setScrollFactor(0);
+      const text = this.scene.add
+        .text(0, 0, "", {
+          fontFamily: '"Press Start 2P"',
+          fontSize: "24px",
+          fill: "#ffffff",
+        })
+        .setOrigin(0.5)
+        .setDepth(100)
+        .setScrollFactor(0);
+
+      this.indicators[type] = { icon, text };
+    }
+
+    this.layoutIndicators();
+    this.tick();
+  }
+
+  /**
+   * Lines the indicators up left to right in TIMED_POWER_UPS order
+   *
+   * @private
+   */
+  layoutIndicators() {
+    const { HEART_START_X, HEART_START_Y, HEART_SPACING } = GAME_CONFIG.PLAYER;
+
+    Object.keys(TIMED_POWER_UPS)
+      .filter((type) => this.indicators[type])
+      .forEach((type, index) => {
+        const x = HEART_START_X + index * HEART_SPACING * 1.25;
+        const y = HEART_START_Y + 100;
+        this.indicators[type].icon.setPosition(x, y);
+        this.indicators[type].text.setPosition(x, y + 60);
+      });
+  }
+}
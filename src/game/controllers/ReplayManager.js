@@ -0,0 +1,365 @@
+// src/game/controllers/ReplayManager.js
+
+import { GAME_CONFIG } from "../config/GameConfig";
+import { LANE_MODES } from "../utils/LaneLayout";
+import { throwIfInvalid } from "../utils/Validation";
+import { WAVE_NUMBERS } from "../waves/WaveScripts";
+
+/**
+ * Replay file format version, bumped whenever the format changes
+ * @constant {number}
+ */
+export const REPLAY_VERSION = 1;
+
+/**
+ * Actions a replay can contain
+ * - jump, fastDrop, dashLeft, dashRight: PlayerController actions
+ * - holdLeft, holdRight, releaseLeft, releaseRight: PlayerController held
+ *   directions (free movement)
+ * - dialogueTap: advancing an on-screen dialogue
+ * @constant {string[]}
+ */
+export const REPLAY_ACTIONS = [
+  "jump",
+  "fastDrop",
+  "dashLeft",
+  "dashRight",
+  "holdLeft",
+  "holdRight",
+  "releaseLeft",
+  "releaseRight",
+  "dialogueTap",
+];
+
+/**
+ * Game modes a replay can start in
+ * @constant {string[]}
+ */
+const REPLAY_MODES = ["story", "endless", "daily"];
+
+/**
+ * ReplayManager
+ *
+ * Records every gameplay run so it can be replayed exactly:
+ * - Runs the gameplay scene on a fixed timestep (clock, physics and tweens)
+ * - Records player actions stamped with the step they happened on
+ * - Plays a recorded run back by feeding its actions to PlayerController
+ * - Exports and imports replays as JSON files
+ *
+ * A replay captures the RNG seed, game mode, starting wave, lane count and
+ * the story flags that decide whether the tutorial or intro dialogue run. Together
+ * with the fixed timestep this makes a playback follow the same path as
+ * the original run, so "I got hit by a spike I dodged" can be reproduced.
+ *
+ * Replay format:
+ * {
+ *   "version": 1,
+ *   "seed": 123456789,
+ *   "gameMode": "story",
+ *   "startWave": 2,
+ *   "laneCount": 2,
+ *   "tutorialCompleted": true,
+ *   "skipDialogue": true,
+ *   "recordedAt": "2026-10-18T12:00:00.000Z",
+ *   "actions": [{ "step": 412, "time": 6867, "action": "jump" }]
+ * }
+ *
+ * "laneCount" is 2, 3 or "free" (free movement). It may be missing from
+ * replays recorded before lane counts existed; those play with the
+ * default two lanes.
+ *
+ * @class
+ */
+export class ReplayManager {
+  /**
+   * Creates a new ReplayManager and switches the scene to a fixed timestep
+   *
+   * @param {Phaser.Scene} scene - The gameplay scene to record or play back
+   */
+  constructor(scene) {
+    this.scene = scene;
+
+    // Replay being recorded or played back
+    this.replay = null;
+    this.isPlayback = false;
+    this.isSuspended = false; // Set while paused; suspended steps don't count
+    this.nextActionIndex = 0; // Next action to dispatch during playback
+
+    // Fixed timestep state
+    this.step = 0; // Steps simulated since the scene started
+    this.stepTime = scene.time.now; // Simulated time passed to the scene
+    this.accumulator = 0; // Real time not yet simulated
+
+    this.installFixedTimestep();
+  }
+
+  // ============================================================================
+  // FIXED TIMESTEP
+  // ============================================================================
+
+  /**
+   * Replaces the scene's variable frame step with fixed-size steps
+   *
+   * Each browser frame adds its real delta to an accumulator, then the
+   * scene is stepped in REPLAY.STEP_MS increments until it catches up.
+   * Tweens normally measure time with Date.now(), so their delta is fixed
+   * to the same step size. The originals are restored on shutdown.
+   *
+   * While suspended (game paused) the scene still steps so menus and input
+   * work, but simulated time and the step counter stand still. Pausing
+   * therefore never shifts where recorded actions land.
+   *
+   * @private
+   */
+  installFixedTimestep() {
+    const sys = this.scene.sys;
+    const tweens = this.scene.tweens;
+    const stepMs = GAME_CONFIG.REPLAY.STEP_MS;
+    const originalStep = sys.step;
+
+    sys.step = (time, delta) => {
+      // Cap long frames (e.g. returning from a background tab)
+      this.accumulator += Math.min(delta, GAME_CONFIG.REPLAY.MAX_FRAME_DELTA);
+
+      while (this.accumulator >= stepMs) {
+        this.accumulator -= stepMs;
+
+        if (this.isSuspended) {
+          originalStep.call(sys, this.stepTime, stepMs);
+          continue;
+        }
+
+        this.stepTime += stepMs;
+
+        if (this.isPlayback) this.dispatchDueActions();
+
+        originalStep.call(sys, this.stepTime, stepMs);
+        this.step++;
+      }
+    };
+    tweens.getDelta = () => stepMs;
+
+    this.scene.events.once("shutdown", () => {
+      // Fall back to the prototype methods
+      delete sys.step;
+      delete tweens.getDelta;
+    });
+  }
+
+  // ============================================================================
+  // RECORDING
+  // ============================================================================
+
+  /**
+   * Starts recording a new run
+   *
+   * @param {Object} setup - How the run starts
+   * @param {number} setup.seed - RNG seed of the run
+   * @param {string} setup.gameMode - "story", "endless" or "daily"
+   * @param {number} setup.startWave - Wave the run starts on
+   * @param {number|string} setup.laneCount - Number of lanes, or "free"
+   * @param {boolean} setup.tutorialCompleted - Whether the tutorial is skipped
+   * @param {boolean} setup.skipDialogue - Whether the intro dialogue is skipped
+   */
+  startRecording(setup) {
+    this.isPlayback = false;
+    this.replay = {
+      version: REPLAY_VERSION,
+      ...setup,
+      recordedAt: new Date().toISOString(),
+      actions: [],
+    };
+  }
+
+  /**
+   * Records an action on the current step
+   * Ignored during playback, which replays actions instead
+   *
+   * @param {string} action - One of REPLAY_ACTIONS
+   */
+  record(action) {
+    if (this.isPlayback || !this.replay) return;
+
+    this.replay.actions.push({
+      step: this.step,
+      time: Math.round(this.step * GAME_CONFIG.REPLAY.STEP_MS),
+      action,
+    });
+  }
+
+  // ============================================================================
+  // PLAYBACK
+  // ============================================================================
+
+  /**
+   * Starts playing back a replay
+   * Live player input is ignored until the scene restarts
+   *
+   * @param {Object} replay - Replay from parseReplay()
+   */
+  startPlayback(replay) {
+    this.replay = replay;
+    this.isPlayback = true;
+    this.nextActionIndex = 0;
+
+    this.scene.add
+      .text(40, 150, "REPLAY", {
+        fontFamily: '"Press Start 2P"',
+        fontSize: "32px",
+        fill: "#ffffff",
+      })
+      .setOrigin(0, 0.5)
+      .setDepth(100)
+      .setScrollFactor(0);
+  }
+
+  /**
+   * Dispatches every action recorded for the current step
+   * Called before each fixed step during playback
+   *
+   * @private
+   */
+  dispatchDueActions() {
+    const actions = this.replay.actions;
+
+    while (
+      this.nextActionIndex < actions.length &&
+      actions[this.nextActionIndex].step <= this.step
+    ) {
+      this.performAction(actions[this.nextActionIndex].action);
+      this.nextActionIndex++;
+    }
+  }
+
+  /**
+   * Performs a replayed action
+   *
+   * @param {string} action - One of REPLAY_ACTIONS
+   * @private
+   */
+  performAction(action) {
+    if (action === "dialogueTap") {
+      const dialogueManager = this.scene.dialogueManager;
+      if (dialogueManager && dialogueManager.isListening) {
+        dialogueManager.handleTap();
+      }
+      return;
+    }
+
+    if (this.scene.playerController) {
+      this.scene.playerController[action]();
+    }
+  }
+
+  // ============================================================================
+  // EXPORT / IMPORT
+  // ============================================================================
+
+  /**
+   * Downloads the current replay as a JSON file
+   */
+  exportReplay() {
+    if (!this.replay) return;
+
+    const json = JSON.stringify(this.replay, null, 2);
+    const url = URL.createObjectURL(
+      new Blob([json], { type: "application/json" })
+    );
+
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `dashjump-replay-${this.replay.seed}.json`;
+    link.click();
+
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * Opens a file picker and loads the chosen replay file
+   *
+   * @param {Function} onLoaded - Called with the parsed replay
+   * @param {Function} onError - Called with the Error when the file can't be
+   *        read or isn't a valid replay
+   */
+  static importReplay(onLoaded, onError) {
+    const input = document.createElement("input");
+    input.type = "file";
+    input.accept = ".json,application/json";
+
+    input.addEventListener("change", () => {
+      const file = input.files[0];
+      if (!file) return;
+
+      file
+        .text()
+        .then((text) => onLoaded(ReplayManager.parseReplay(text)))
+        .catch(onError);
+    });
+
+    input.click();
+  }
+
+  /**
+   * Parses and validates a replay file
+   *
+   * @param {string} text - Replay file contents
+   * @returns {Object} Replay ready for startPlayback()
+   * @throws {Error} Listing every problem found, one per line
+   */
+  static parseReplay(text) {
+    const replay = JSON.parse(text);
+    const errors = [];
+
+    if (!replay || typeof replay !== "object" || Array.isArray(replay)) {
+      throw new Error("Invalid replay: expected a JSON object");
+    }
+
+    if (replay.version !== REPLAY_VERSION) {
+      errors.push(`"version" must be ${REPLAY_VERSION}`);
+    }
+    if (!Number.isInteger(replay.seed) || replay.seed < 0) {
+      errors.push(`"seed" must be an integer >= 0`);
+    }
+    if (!REPLAY_MODES.includes(replay.gameMode)) {
+      errors.push(`"gameMode" must be one of ${REPLAY_MODES.join(", ")}`);
+    }
+    if (!WAVE_NUMBERS.includes(replay.startWave)) {
+      errors.push(`"startWave" must be one of ${WAVE_NUMBERS.join(", ")}`);
+    }
+    if (
+      replay.laneCount !== undefined &&
+      !LANE_MODES.includes(replay.laneCount)
+    ) {
+      errors.push(`"laneCount" must be one of ${LANE_MODES.join(", ")}`);
+    }
+    ["tutorialCompleted", "skipDialogue"].forEach((key) => {
+      if (typeof replay[key] !== "boolean") {
+        errors.push(`"${key}" must be a boolean`);
+      }
+    });
+
+    if (!Array.isArray(replay.actions)) {
+      errors.push(`"actions" must be an array`);
+    } else {
+      let previousStep = 0;
+      replay.actions.forEach((entry, index) => {
+        const path = `actions[${index}]`;
+        if (!entry || !Number.isInteger(entry.step) || entry.step < 0) {
+          errors.push(`${path}.step must be an integer >= 0`);
+          return;
+        }
+        if (entry.step < previousStep) {
+          errors.push(`${path}.step must not be before the previous action`);
+        }
+        if (!REPLAY_ACTIONS.includes(entry.action)) {
+          errors.push(`${path}.action "${entry.action}" is not a known action`);
+        }
+        previousStep = entry.step;
+      });
+    }
+
+    throwIfInvalid(errors, "replay");
+
+    return replay;
+  }
+}
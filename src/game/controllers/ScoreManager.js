@@ -0,0 +1,303 @@
+// src/game/controllers/ScoreManager.js
+
+import { GAME_CONFIG } from "../config/GameConfig";
+
+/**
+ * Obstacle types that award points, mapped to their GAME_CONFIG.SCORE key
+ * @constant {Object<string, string>}
+ */
+const DODGE_POINTS = {
+  spike: "SPIKE",
+  ball: "BALL",
+  weave: "WEAVE",
+  bullet: "BULLET",
+};
+
+/**
+ * ScoreManager
+ *
+ * Tracks the player's score for a run:
+ * - Dodge points: spikes that hit the ground, balls and weaves that leave
+ *   the screen, boss bullets that miss
+ * - Combo multiplier: grows with consecutive dodges, resets when hit
+ * - Near-miss bonus: extra points when a dodged obstacle came within
+ *   SCORE.NEAR_MISS_DISTANCE of the player
+ * - Score orbs: SCORE.ORB points per collected orb, times the multiplier
+ *   (orbs don't grow the combo)
+ * - HUD: live score and multiplier at the top of the screen
+ * - Breakdown for the game over and ending screens
+ *
+ * Near misses are measured each frame: every moving physics body stores
+ * the smallest gap it has had to the player, so no spawner needs to
+ * register its obstacles.
+ *
+ * @class
+ */
+export class ScoreManager {
+  /**
+   * Creates a new ScoreManager instance and its HUD
+   *
+   * @param {Phaser.Scene} scene - The gameplay scene
+   */
+  constructor(scene) {
+    this.scene = scene;
+
+    // Score state
+    this.score = 0;
+    this.combo = 0; // Consecutive dodges since the last hit
+    this.bestCombo = 0;
+    this.nearMisses = 0;
+    this.nearMissPoints = 0;
+    this.orbs = { count: 0, points: 0 }; // Collected score orbs
+
+    // Dodge count and points per obstacle type
+    this.dodges = {};
+    Object.keys(DODGE_POINTS).forEach((type) => {
+      this.dodges[type] = { count: 0, points: 0 };
+    });
+
+    this.createHUD();
+  }
+
+  // ============================================================================
+  // HUD
+  // ============================================================================
+
+  /**
+   * Creates the score and multiplier text at the top center of the screen
+   *
+   * @private
+   */
+  createHUD() {
+    this.scoreText = this.scene.add
+      .text(540, 60, "0", {
+        fontFamily: '"Press Start 2P"',
+        fontSize: "48px",
+        fill: "#ffffff",
+      })
+      .setOrigin(0.5)
+      .setDepth(100)
+      .setScrollFactor(0);
+
+    this.multiplierText = this.scene.add
+      .text(540, 120, "", {
+        fontFamily: '"Press Start 2P"',
+        fontSize: "28px",
+        fill: "#1d2b53",
+      })
+      .setOrigin(0.5)
+      .setDepth(100)
+      .setScrollFactor(0);
+  }
+
+  /**
+   * Refreshes the HUD text
+   *
+   * @private
+   */
+  updateHUD() {
+    this.scoreText.setText(String(this.score));
+
+    const multiplier = this.getMultiplier();
+    this.multiplierText.setText(multiplier > 1 ? `x${multiplier}` : "");
+  }
+
+  /**
+   * Shows a short floating label above the player (e.g. near misses)
+   *
+   * @param {string} message - Text to show
+   * @private
+   */
+  showPopup(message) {
+    const player = this.scene.player;
+    if (!player) return;
+
+    const popup = this.scene.add
+      .text(player.x, player.y - 150, message, {
+        fontFamily: '"Press Start 2P"',
+        fontSize: "28px",
+        fill: "#ffffff",
+      })
+      .setOrigin(0.5)
+      .setDepth(100);
+
+    this.scene.tweens.add({
+      targets: popup,
+      y: popup.y - 80,
+      alpha: 0,
+      duration: 800,
+      onComplete: () => popup.destroy(),
+    });
+  }
+
+  // ============================================================================
+  // NEAR-MISS TRACKING
+  // ============================================================================
+
+  /**
+   * Records, for every moving body, its smallest gap to the player so far
+   * Called every frame by the game scene's update loop
+   */
+  update() {
+    const player = this.scene.player;
+    if (!player || !player.body) return;
+
+    const playerBody = player.body;
+
+    this.scene.physics.world.bodies.entries.forEach((body) => {
+      if (body === playerBody || !body.gameObject) return;
+
+      const gap = this.getGap(body, playerBody);
+      const obstacle = body.gameObject;
+
+      if (
+        obstacle.closestPlayerGap === undefined ||
+        gap < obstacle.closestPlayerGap
+      ) {
+        obstacle.closestPlayerGap = gap;
+      }
+    });
+  }
+
+  /**
+   * Distance between the edges of two bodies (0 when overlapping)
+   *
+   * @param {Phaser.Physics.Arcade.Body} a - First body
+   * @param {Phaser.Physics.Arcade.Body} b - Second body
+   * @returns {number} Gap in pixels
+   * @private
+   */
+  getGap(a, b) {
+    const gapX = Math.max(
+      0,
+      Math.abs(a.center.x - b.center.x) - (a.halfWidth + b.halfWidth)
+    );
+    const gapY = Math.max(
+      0,
+      Math.abs(a.center.y - b.center.y) - (a.halfHeight + b.halfHeight)
+    );
+    return Math.hypot(gapX, gapY);
+  }
+
+  // ============================================================================
+  // SCORING
+  // ============================================================================
+
+  /**
+   * Current combo multiplier: +1 every SCORE.COMBO_STEP dodges, capped
+   *
+   * @returns {number} Multiplier (1 or more)
+   */
+  getMultiplier() {
+    const { COMBO_STEP, MAX_MULTIPLIER } = GAME_CONFIG.SCORE;
+    return Math.min(1 + Math.floor(this.combo / COMBO_STEP), MAX_MULTIPLIER);
+  }
+
+  /**
+   * Awards points for a dodged obstacle
+   *
+   * @param {string} type - "spike", "ball", "weave" or "bullet"
+   * @param {Phaser.GameObjects.GameObject} [obstacle] - The dodged obstacle,
+   *        used to check for a near miss
+   */
+  awardDodge(type, obstacle) {
+    const configKey = DODGE_POINTS[type];
+    if (!configKey) return;
+
+    this.combo++;
+    this.bestCombo = Math.max(this.bestCombo, this.combo);
+    const multiplier = this.getMultiplier();
+
+    const points = GAME_CONFIG.SCORE[configKey] * multiplier;
+    this.dodges[type].count++;
+    this.dodges[type].points += points;
+    this.score += points;
+
+    // ===== Near-Miss Bonus =====
+    if (
+      obstacle &&
+      obstacle.closestPlayerGap !== undefined &&
+      obstacle.closestPlayerGap < GAME_CONFIG.SCORE.NEAR_MISS_DISTANCE
+    ) {
+      const bonus = GAME_CONFIG.SCORE.NEAR_MISS_BONUS * multiplier;
+      this.nearMisses++;
+      this.nearMissPoints += bonus;
+      this.score += bonus;
+      this.showPopup("NEAR MISS!");
+    }
+
+    this.updateHUD();
+  }
+
+  /**
+   * Awards points for a collected score orb
+   */
+  awardOrb() {
+    const points = GAME_CONFIG.SCORE.ORB * this.getMultiplier();
+    this.orbs.count++;
+    this.orbs.points += points;
+    this.score += points;
+
+    this.updateHUD();
+  }
+
+  /**
+   * Resets the combo multiplier
+   * Called when the player takes damage
+   */
+  resetCombo() {
+    this.combo = 0;
+    this.updateHUD();
+  }
+
+  // ============================================================================
+  // BREAKDOWN
+  // ============================================================================
+
+  /**
+   * Returns the run's score and where it came from
+   *
+   * @returns {{score: number, bestCombo: number, nearMisses: number,
+   *           nearMissPoints: number, orbs: Object, dodges: Object}}
+   *          Score breakdown
+   */
+  getBreakdown() {
+    return {
+      score: this.score,
+      bestCombo: this.bestCombo,
+      nearMisses: this.nearMisses,
+      nearMissPoints: this.nearMissPoints,
+      orbs: { ...this.orbs },
+      dodges: JSON.parse(JSON.stringify(this.dodges)),
+    };
+  }
+
+  /**
+   * Formats a breakdown as display lines for end-of-run screens
+   *
+   * @param {Object} breakdown - Result of getBreakdown()
+   * @returns {string[]} Lines of text
+   */
+  static formatBreakdown(breakdown) {
+    const { dodges } = breakdown;
+    const dodgePoints = Object.keys(dodges).reduce(
+      (total, type) => total + dodges[type].points,
+      0
+    );
+
+    const lines = [
+      `SCORE ${breakdown.score}`,
+      `DODGES +${dodgePoints}`,
+      `NEAR MISSES ${breakdown.nearMisses} +${breakdown.nearMissPoints}`,
+    ];
+
+    // Orbs only show up once some were collected
+    const { orbs } = breakdown;
+    if (orbs.count > 0) {
+      lines.push(`ORBS ${orbs.count} +${orbs.points}`);
+    }
+
+    lines.push(`BEST COMBO ${breakdown.bestCombo}`);
+    return lines;
+  }
+}
@@ -0,0 +1,626 @@
+// src/game/controllers/SettingsManager.js
+
+import { ControlsManager } from "./ControlsManager";
+import { LANE_MODES } from "../utils/LaneLayout";
+import {
+  DEFAULT_SETTINGS,
+  loadSaveIntoRegistry,
+  resetProgress,
+} from "../utils/SaveData";
+
+/**
+ * Increment slider values snap to
+ * @constant {number}
+ */
+const SLIDER_STEP = 0.1;
+
+/**
+ * Slider track geometry
+ * @constant {Object}
+ */
+const SLIDER = {
+  X: 420, // Left end of the track
+  WIDTH: 440,
+  HEIGHT: 16,
+  HANDLE_SIZE: 56,
+};
+
+/**
+ * Particle quality levels, in the order the selector cycles through them
+ * @constant {string[]}
+ */
+const PARTICLE_QUALITIES = ["off", "low", "high"];
+
+/**
+ * Choices for on/off settings
+ * @constant {boolean[]}
+ */
+const TOGGLE_CHOICES = [false, true];
+
+/**
+ * Touch control schemes: swipes or on-screen buttons
+ * @constant {string[]}
+ */
+const TOUCH_CONTROLS = ["swipe", "buttons"];
+
+/**
+ * SettingsManager
+ *
+ * Manages the settings overlay, opened from the title screen and the
+ * pause menu:
+ * - Sliders for music volume, sound effect volume, swipe sensitivity and
+ *   screen shake intensity, snapping to 10% steps
+ * - Particle quality selector (off / low / high)
+ * - Tap-to-jump toggle (a tap anywhere jumps, on top of swipes)
+ * - Touch control selector (swipes or on-screen buttons)
+ * - Lane selector (2 or 3 lanes, or free movement), used from the next run
+ * - "CONTROLS" opens the keyboard rebinding overlay (ControlsManager)
+ * - Changes apply immediately (AudioManager levels, particle emission);
+ *   swipe sensitivity and shake are read each time they are used
+ * - Values are kept in the registry ("settings"), which SaveData persists
+ * - "RESET PROGRESS" erases progress, stats, unlocks and daily bests
+ *   (asks to confirm)
+ * - Gamepad: Up / Down select a row, Left / Right adjust it, B closes
+ *
+ * Shown on top of other overlays (e.g. the pause menu), so it uses a
+ * higher depth range and hands control back through an onClose callback.
+ *
+ * @class
+ */
+export class SettingsManager {
+  /**
+   * Creates a new SettingsManager instance
+   *
+   * @param {Phaser.Scene} scene - The game scene this manager operates in
+   */
+  constructor(scene) {
+    this.scene = scene;
+    this.elements = []; // Every game object in the overlay
+    this.activeSlider = null; // Slider being dragged, if any
+    this.menuItems = []; // Rows and buttons in order, for gamepad navigation
+    this.isOpen = false;
+  }
+
+  /**
+   * Returns the current settings merged over the defaults
+   *
+   * @param {Phaser.Data.DataManager} registry - Game registry
+   * @returns {Object} Current settings
+   */
+  static getSettings(registry) {
+    return { ...DEFAULT_SETTINGS, ...(registry.get("settings") || {}) };
+  }
+
+  // ============================================================================
+  // SETTINGS DISPLAY
+  // ============================================================================
+
+  /**
+   * Displays the settings overlay
+   *
+   * @param {Function} [onClose] - Callback executed when the player presses BACK
+   */
+  show(onClose) {
+    if (this.isOpen) return;
+    this.isOpen = true;
+    this.onClose = onClose;
+
+    // ===== Dark Modal Overlay =====
+    // Also swallows clicks meant for anything underneath
+    this.addElement(
+      this.scene.add
+        .rectangle(540, 960, 1080, 1920, 0x000000, 0.85)
+        .setInteractive()
+    );
+
+    // ===== Title =====
+    this.addElement(
+      this.scene.add
+        .text(540, 300, "SETTINGS", {
+          fontFamily: '"Press Start 2P"',
+          fontSize: "72px",
+          fill: "#ffffff",
+        })
+        .setOrigin(0.5)
+    );
+
+    // ===== Sliders =====
+    this.createSliderRow(440, "MUSIC", "musicVolume", (value) => {
+      if (this.scene.audioManager) {
+        this.scene.audioManager.setMusicLevel(value);
+      }
+    });
+    this.createSliderRow(
+      550,
+      "SFX",
+      "sfxVolume",
+      (value) => {
+        if (this.scene.audioManager) {
+          this.scene.audioManager.setSfxLevel(value);
+        }
+      },
+      // Preview the new level once, rather than on every drag step
+      () => {
+        if (this.scene.audioManager) {
+          this.scene.audioManager.playClickSound();
+        }
+      }
+    );
+    this.createSliderRow(660, "SWIPE", "swipeSensitivity");
+    this.createSliderRow(770, "SHAKE", "shakeIntensity");
+
+    // ===== Choices =====
+    this.createChoiceRow(
+      880,
+      "PARTICLES",
+      "particleQuality",
+      PARTICLE_QUALITIES,
+      (quality) => this.applyParticleQuality(quality)
+    );
+    this.createChoiceRow(990, "TAP JUMP", "tapToJump", TOGGLE_CHOICES);
+    this.createChoiceRow(1100, "TOUCH", "touchControls", TOUCH_CONTROLS, () => {
+      if (this.scene.inputHandler) {
+        this.scene.inputHandler.applyTouchControls();
+      }
+    });
+
+    this.createChoiceRow(1210, "LANES", "laneCount", LANE_MODES);
+
+    this.createControlsButton(1330);
+    this.createResetButton(1450);
+    this.createBackButton(1590);
+
+    if (this.scene.gamepadManager) {
+      this.gamepadMenu = this.scene.gamepadManager.pushMenu({
+        items: this.menuItems,
+        onBack: () => this.hide(),
+      });
+    }
+
+    // Dragging continues outside the handle, so track the whole screen
+    this.scene.input.on("pointermove", this.handlePointerMove, this);
+    this.scene.input.on("pointerup", this.handlePointerUp, this);
+  }
+
+  /**
+   * Creates the CONTROLS button that opens the rebinding overlay on top
+   *
+   * @param {number} btnY - Vertical center of the button
+   * @private
+   */
+  createControlsButton(btnY) {
+    const button = this.addElement(
+      this.scene.add.rectangle(540, btnY, 600, 100, 0x1d2b53).setInteractive()
+    );
+    this.addElement(
+      this.scene.add
+        .text(540, btnY, "CONTROLS", {
+          fontFamily: '"Press Start 2P"',
+          fontSize: "32px",
+          fill: "#ffffff",
+        })
+        .setOrigin(0.5)
+    );
+
+    this.menuItems.push(button);
+
+    button.on("pointerup", () => {
+      if (this.scene.audioManager) {
+        this.scene.audioManager.playClickSound();
+      }
+
+      new ControlsManager(this.scene).show();
+    });
+  }
+
+  /**
+   * Creates the RESET PROGRESS button
+   * The first press asks for confirmation; the second erases the save
+   *
+   * @param {number} btnY - Vertical center of the button
+   * @private
+   */
+  createResetButton(btnY) {
+    const button = this.addElement(
+      this.scene.add.rectangle(540, btnY, 600, 100, 0x1d2b53).setInteractive()
+    );
+    const text = this.addElement(
+      this.scene.add
+        .text(540, btnY, "RESET PROGRESS", {
+          fontFamily: '"Press Start 2P"',
+          fontSize: "32px",
+          fill: "#ffffff",
+        })
+        .setOrigin(0.5)
+    );
+
+    this.menuItems.push(button);
+
+    let confirming = false;
+    button.on("pointerup", () => {
+      if (this.scene.audioManager) {
+        this.scene.audioManager.playClickSound();
+      }
+
+      if (!confirming) {
+        confirming = true;
+        text.setText("TAP AGAIN TO ERASE");
+        return;
+      }
+
+      resetProgress();
+      loadSaveIntoRegistry(this.scene.registry);
+      text.setText("PROGRESS ERASED");
+      button.disableInteractive();
+    });
+  }
+
+  /**
+   * Creates a labelled 0-1 slider row
+   * Tapping the track jumps the handle there; dragging moves it
+   *
+   * @param {number} y - Vertical center of the row
+   * @param {string} label - Setting name shown on the left
+   * @param {string} key - Key in the settings object
+   * @param {Function} [apply] - Called with the new value after each change
+   * @param {Function} [onRelease] - Called when the player lets go
+   * @private
+   */
+  createSliderRow(y, label, key, apply, onRelease) {
+    const style = {
+      fontFamily: '"Press Start 2P"',
+      fontSize: "32px",
+      fill: "#ffffff",
+    };
+
+    this.addElement(this.scene.add.text(60, y, label, style).setOrigin(0, 0.5));
+
+    // ===== Track =====
+    this.addElement(
+      this.scene.add
+        .rectangle(SLIDER.X, y, SLIDER.WIDTH, SLIDER.HEIGHT, 0x1d2b53)
+        .setOrigin(0, 0.5)
+    );
+    const fill = this.addElement(
+      this.scene.add
+        .rectangle(SLIDER.X, y, SLIDER.WIDTH, SLIDER.HEIGHT, 0xff004d)
+        .setOrigin(0, 0.5)
+    );
+    const handle = this.addElement(
+      this.scene.add.rectangle(
+        SLIDER.X,
+        y,
+        SLIDER.HANDLE_SIZE,
+        SLIDER.HANDLE_SIZE,
+        0xffffff
+      )
+    );
+
+    const valueText = this.addElement(
+      this.scene.add
+        .text(1020, y, "", { ...style, fontSize: "28px" })
+        .setOrigin(1, 0.5)
+    );
+
+    // Invisible hit zone taller than the track so it is easy to grab
+    const hitZone = this.addElement(
+      this.scene.add
+        .zone(
+          SLIDER.X + SLIDER.WIDTH / 2,
+          y,
+          SLIDER.WIDTH + SLIDER.HANDLE_SIZE,
+          100
+        )
+        .setInteractive()
+    );
+
+    const slider = {
+      key,
+      apply,
+      onRelease,
+      refresh: () => {
+        const value = SettingsManager.getSettings(this.scene.registry)[key];
+        fill.width = SLIDER.WIDTH * value;
+        handle.x = SLIDER.X + SLIDER.WIDTH * value;
+        valueText.setText(`${Math.round(value * 100)}%`);
+      },
+    };
+    slider.refresh();
+
+    hitZone.on("pointerdown", (pointer) => {
+      this.activeSlider = slider;
+      this.moveSlider(slider, pointer.x);
+    });
+
+    this.menuItems.push({
+      target: hitZone,
+      onAdjust: (direction) => this.stepSlider(slider, direction),
+    });
+  }
+
+  /**
+   * Creates a row that cycles through fixed choices with "<" and ">"
+   * Booleans are shown as ON / OFF, strings in capitals
+   *
+   * @param {number} y - Vertical center of the row
+   * @param {string} label - Setting name shown on the left
+   * @param {string} key - Key in the settings object
+   * @param {Array<string|boolean>} choices - Values in cycling order
+   * @param {Function} [apply] - Called with the new value after each change
+   * @private
+   */
+  createChoiceRow(y, label, key, choices, apply) {
+    const style = {
+      fontFamily: '"Press Start 2P"',
+      fontSize: "32px",
+      fill: "#ffffff",
+    };
+
+    this.addElement(this.scene.add.text(60, y, label, style).setOrigin(0, 0.5));
+
+    const valueText = this.addElement(
+      this.scene.add.text(760, y, "", style).setOrigin(0.5)
+    );
+    const refresh = () => {
+      const value = SettingsManager.getSettings(this.scene.registry)[key];
+      valueText.setText(
+        typeof value === "boolean"
+          ? value
+            ? "ON"
+            : "OFF"
+          : String(value).toUpperCase()
+      );
+    };
+    refresh();
+
+    const change = (direction) => {
+      const value = this.cycleSetting(key, choices, direction);
+      refresh();
+      if (apply) apply(value);
+      if (this.scene.audioManager) {
+        this.scene.audioManager.playClickSound();
+      }
+    };
+
+    this.createSmallButton(560, y, "<", () => change(-1));
+    this.createSmallButton(960, y, ">", () => change(1));
+
+    this.menuItems.push({ target: valueText, onAdjust: change });
+  }
+
+  /**
+   * Creates a square button used for "<" / ">" adjustments
+   *
+   * @param {number} x - Horizontal center
+   * @param {number} y - Vertical center
+   * @param {string} label - Button text
+   * @param {Function} onPress - Callback executed on release
+   * @private
+   */
+  createSmallButton(x, y, label, onPress) {
+    const button = this.addElement(
+      this.scene.add.rectangle(x, y, 100, 100, 0xff004d).setInteractive()
+    );
+    this.addElement(
+      this.scene.add
+        .text(x, y, label, {
+          fontFamily: '"Press Start 2P"',
+          fontSize: "48px",
+          fill: "#ffffff",
+        })
+        .setOrigin(0.5)
+    );
+
+    button.on("pointerup", onPress);
+  }
+
+  /**
+   * Creates the BACK button that closes the overlay
+   *
+   * @param {number} btnY - Vertical center of the button
+   * @private
+   */
+  createBackButton(btnY) {
+    this.addElement(
+      this.scene.add.rectangle(540, btnY + 15, 450, 120, 0x1d2b53)
+    );
+    const top = this.addElement(
+      this.scene.add.rectangle(540, btnY, 450, 120, 0xff004d).setInteractive()
+    );
+    this.menuItems.push(top);
+
+    const text = this.addElement(
+      this.scene.add
+        .text(540, btnY, "BACK", {
+          fontFamily: '"Press Start 2P"',
+          fontSize: "48px",
+          fill: "#ffffff",
+        })
+        .setOrigin(0.5)
+    );
+
+    top.on("pointerdown", () => {
+      top.y = btnY + 10;
+      text.y = btnY + 10;
+    });
+
+    top.on("pointerup", () => {
+      top.y = btnY;
+      text.y = btnY;
+      if (this.scene.audioManager) {
+        this.scene.audioManager.playClickSound();
+      }
+      this.hide();
+    });
+  }
+
+  // ============================================================================
+  // SLIDER INPUT
+  // ============================================================================
+
+  /**
+   * Drags the active slider
+   *
+   * @param {Phaser.Input.Pointer} pointer - Pointer that moved
+   * @private
+   */
+  handlePointerMove(pointer) {
+    if (this.activeSlider && pointer.isDown) {
+      this.moveSlider(this.activeSlider, pointer.x);
+    }
+  }
+
+  /**
+   * Releases the active slider
+   *
+   * @private
+   */
+  handlePointerUp() {
+    if (!this.activeSlider) return;
+
+    const slider = this.activeSlider;
+    this.activeSlider = null;
+    if (slider.onRelease) slider.onRelease();
+  }
+
+  /**
+   * Sets a slider's value from a pointer position
+   * Only stores and applies the value when it lands on a new step
+   *
+   * @param {Object} slider - Slider created by createSliderRow()
+   * @param {number} x - Pointer X in screen space
+   * @private
+   */
+  moveSlider(slider, x) {
+    const ratio = Phaser.Math.Clamp((x - SLIDER.X) / SLIDER.WIDTH, 0, 1);
+    const current = SettingsManager.getSettings(this.scene.registry)[
+      slider.key
+    ];
+
+    const value = this.setSetting(slider.key, ratio);
+    if (value === current) return;
+
+    slider.refresh();
+    if (slider.apply) slider.apply(value);
+  }
+
+  /**
+   * Moves a slider one step, for gamepad Left / Right
+   *
+   * @param {Object} slider - Slider created by createSliderRow()
+   * @param {number} direction - 1 to increase, -1 to decrease
+   * @private
+   */
+  stepSlider(slider, direction) {
+    const current = SettingsManager.getSettings(this.scene.registry)[
+      slider.key
+    ];
+    const value = this.setSetting(
+      slider.key,
+      current + direction * SLIDER_STEP
+    );
+
+    slider.refresh();
+    if (slider.apply) slider.apply(value);
+    if (slider.onRelease) slider.onRelease();
+  }
+
+  // ============================================================================
+  // SETTINGS STATE
+  // ============================================================================
+
+  /**
+   * Sets a 0-1 setting, snapped to SLIDER_STEP, and stores it in the registry
+   *
+   * @param {string} key - Key in the settings object
+   * @param {number} value - New value
+   * @returns {number} The stored value
+   * @private
+   */
+  setSetting(key, value) {
+    const settings = SettingsManager.getSettings(this.scene.registry);
+
+    const steps = Math.round(Phaser.Math.Clamp(value, 0, 1) / SLIDER_STEP);
+    // toFixed avoids drift like 0.30000000000000004
+    const snapped = Number((steps * SLIDER_STEP).toFixed(2));
+
+    this.scene.registry.set("settings", { ...settings, [key]: snapped });
+    return snapped;
+  }
+
+  /**
+   * Moves a setting to the next or previous choice, wrapping around, and
+   * stores it in the registry
+   *
+   * @param {string} key - Key in the settings object
+   * @param {Array<string|boolean>} choices - Values in cycling order
+   * @param {number} direction - 1 for the next choice, -1 for the previous
+   * @returns {string|boolean} The stored value
+   * @private
+   */
+  cycleSetting(key, choices, direction) {
+    const settings = SettingsManager.getSettings(this.scene.registry);
+    const index = choices.indexOf(settings[key]);
+    const value =
+      choices[(index + direction + choices.length) % choices.length];
+
+    this.scene.registry.set("settings", { ...settings, [key]: value });
+    return value;
+  }
+
+  /**
+   * Applies a particle quality to every active particle system
+   *
+   * @param {string} quality - "off", "low" or "high"
+   * @private
+   */
+  applyParticleQuality(quality) {
+    // Player particles in game, and the title screen's demo player
+    [
+      this.scene.particleEffects,
+      this.scene.titleScreenManager?.particleEffects,
+    ].forEach((effects) => {
+      if (effects) effects.setQuality(quality);
+    });
+  }
+
+  // ============================================================================
+  // CLEANUP
+  // ============================================================================
+
+  /**
+   * Registers an overlay element so hide() can destroy it
+   *
+   * @param {Phaser.GameObjects.GameObject} element - Element to track
+   * @returns {Phaser.GameObjects.GameObject} The same element, for chaining
+   * @private
+   */
+  addElement(element) {
+    element.setDepth(400).setScrollFactor(0);
+    this.elements.push(element);
+    return element;
+  }
+
+  /**
+   * Closes the overlay and runs the onClose callback
+   */
+  hide() {
+    if (!this.isOpen) return;
+    this.isOpen = false;
+
+    if (this.gamepadMenu) {
+      this.scene.gamepadManager.removeMenu(this.gamepadMenu);
+      this.gamepadMenu = null;
+    }
+
+    this.scene.input.off("pointermove", this.handlePointerMove, this);
+    this.scene.input.off("pointerup", this.handlePointerUp, this);
+    this.activeSlider = null;
+
+    this.elements.forEach((element) => element.destroy());
+    this.elements = [];
+    this.menuItems = [];
+
+    if (this.onClose) this.onClose();
+  }
+}
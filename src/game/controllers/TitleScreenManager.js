@@ -2,14 +2,30 @@
 
 import { GAME_CONFIG } from "../config/GameConfig";
 import { ParticleEffects } from "../effects/ParticleEffects";
+import { getDailyBest } from "../utils/DailyChallenge";
+import { ReplayManager } from "./ReplayManager";
+import { LeaderboardManager } from "./LeaderboardManager";
+import { SettingsManager } from "./SettingsManager";
+
+/**
+ * Most problems listed when a replay file fails to load
+ * @constant {number}
+ */
+const MAX_REPLAY_ERRORS = 4;
 
 /**
  * TitleScreenManager
  *
  * Manages the game's title screen including:
  * - Logo display with floating animation
- * - Interactive play button with press effects
+ * - Interactive play, endless and daily challenge buttons with press effects
+ * - Today's Daily Challenge best result
+ * - "HIGH SCORES" link opening the local leaderboards
+ * - "SETTINGS" link opening the settings overlay
+ * - "LOAD REPLAY" link for playing back exported replays, listing what's
+ *   wrong with a file that fails to load
  * - Credits display
+ * - Gamepad navigation of the buttons and links (via GamepadManager)
  * - Animated demonstration player (showcases gameplay mechanics)
  * - Looping movement patterns for visual interest
  *
@@ -33,6 +49,12 @@ export class TitleScreenManager {
 
     // Tracks pattern cycles for alternating demonstrations
     this.titleLoopCount = 0;
+
+    // Buttons and links in screen order, for gamepad navigation
+    this.menuItems = [];
+
+    // Message shown when a replay file fails to load
+    this.replayErrorText = null;
   }
 
   // ============================================================================
@@ -41,21 +63,21 @@ export class TitleScreenManager {
 
   /**
    * Initializes all title screen UI elements
-   * Creates logo, play button, and credits in proper display order
+   * Creates logo, mode buttons, and credits in proper display order
    *
    * Called once when title screen is shown
    */
   setupUI() {
     // ===== Floating Logo =====
     this.logo = this.scene.add
-      .image(520, 800, "logo")
+      .image(520, 760, "logo")
       .setScale(1.2)
       .setDepth(10);
 
     // Gentle vertical floating animation for visual interest
     this.scene.tweens.add({
       targets: this.logo,
-      y: 830, // 30px vertical range
+      y: 790, // 30px vertical range
       duration: 2000, // 2 second cycle
       yoyo: true, // Float up and down
       repeat: -1, // Loop infinitely
@@ -63,42 +85,107 @@ export class TitleScreenManager {
     });
 
     this.createPlayButton();
+    this.createEndlessButton();
+    this.createDailyButton();
+    this.createDailyBestText();
+    this.createHighScoresText();
+    this.createSettingsText();
+    this.createLoadReplayText();
     this.createCreditsText();
+
+    if (this.scene.gamepadManager) {
+      this.scene.gamepadManager.pushMenu({ items: this.menuItems });
+    }
   }
 
   /**
-   * Creates the interactive "PLAY" button with layered shadow effect
+   * Creates the interactive "PLAY" button (story mode)
+   *
+   * @private
+   */
+  createPlayButton() {
+    this.createMenuButton(1060, "PLAY", "64px", "onTitlePlayPressed");
+  }
+
+  /**
+   * Creates the "ENDLESS" button (Endless survival mode)
+   *
+   * @private
+   */
+  createEndlessButton() {
+    this.createMenuButton(1220, "ENDLESS", "48px", "onTitleEndlessPressed");
+  }
+
+  /**
+   * Creates the "DAILY" button (Daily Challenge, seeded by date)
+   *
+   * @private
+   */
+  createDailyButton() {
+    this.createMenuButton(1380, "DAILY", "48px", "onTitleDailyPressed");
+  }
+
+  /**
+   * Shows today's best Daily Challenge time above the credits, if any
+   *
+   * @private
+   */
+  createDailyBestText() {
+    const best = getDailyBest();
+    if (!best) return;
+
+    const totalSeconds = Math.floor(best.timeSurvived / 1000);
+    const minutes = String(Math.floor(totalSeconds / 60)).padStart(2, "0");
+    const seconds = String(totalSeconds % 60).padStart(2, "0");
+
+    this.scene.add
+      .text(540, 1780, `TODAY'S BEST ${minutes}:${seconds}`, {
+        fontFamily: '"Press Start 2P"',
+        fontSize: "28px",
+        fill: "#ffffff",
+      })
+      .setOrigin(0.5)
+      .setDepth(10);
+  }
+
+  /**
+   * Creates an interactive menu button with layered shadow effect
    *
    * Button structure:
    * - Shadow layer: Dark blue rectangle offset down for depth
    * - Top layer: Red rectangle (main clickable surface)
-   * - Text: "PLAY" centered on button
+   * - Text: Label centered on button
    *
    * Interaction:
    * - On press: Button and text move down 10px (simulates press)
-   * - On release: Button returns to normal position and triggers game start
+   * - On release: Button returns to normal position and triggers the
+   *   scene handler named by sceneHandler
    *
+   * @param {number} btnY - Vertical center of the button
+   * @param {string} label - Button text
+   * @param {string} fontSize - CSS font size for the label
+   * @param {string} sceneHandler - Name of the scene callback to trigger
    * @private
    */
-  createPlayButton() {
+  createMenuButton(btnY, label, fontSize, sceneHandler) {
     const btnX = 540;
-    const btnY = 1100;
 
     // Button shadow (offset downward for 3D effect)
-    const shadow = this.scene.add
-      .rectangle(btnX, btnY + 15, 450, 140, 0x1d2b53)
+    this.scene.add
+      .rectangle(btnX, btnY + 15, 450, 120, 0x1d2b53)
       .setInteractive();
 
     // Button face (main clickable area)
     const top = this.scene.add
-      .rectangle(btnX, btnY, 450, 140, 0xff004d)
+      .rectangle(btnX, btnY, 450, 120, 0xff004d)
       .setInteractive();
+    this.menuItems.push(top);
 
     // Button text
-    const playText = this.scene.add
-      .text(btnX, btnY, "PLAY", {
+    const text = this.scene.add
+      .text(btnX, btnY, label, {
         fontFamily: '"Press Start 2P"',
-        fontSize: "64px",
+        fontSize: fontSize,
         fill: "#ffffff",
       })
       .setOrigin(0.5);
@@ -107,17 +194,142 @@ export class TitleScreenManager {
     // Move button and text down when pressed for tactile feedback
     top.on("pointerdown", () => {
       top.y = btnY + 10;
-      playText.y = btnY + 10;
+      text.y = btnY + 10;
     });
 
-    // Return to normal position and start game on release
+    // Return to normal position and trigger action on release
     top.on("pointerup", () => {
       top.y = btnY;
-      playText.y = btnY;
-      this.onPlayButtonPressed();
+      text.y = btnY;
+      this.onMenuButtonPressed(sceneHandler);
+    });
+  }
+
+  /**
+   * Creates the "HIGH SCORES" link under the mode buttons
+   * Opens the leaderboard overlay on top of the title screen
+   *
+   * @private
+   */
+  createHighScoresText() {
+    const highScoresText = this.scene.add
+      .text(540, 1520, "HIGH SCORES", {
+        fontFamily: '"Press Start 2P"',
+        fontSize: "28px",
+        fill: "#ffffff",
+      })
+      .setOrigin(0.5)
+      .setDepth(10)
+      .setInteractive();
+
+    this.menuItems.push(highScoresText);
+
+    highScoresText.on("pointerup", () => {
+      if (this.scene.audioManager) {
+        this.scene.audioManager.playClickSound();
+      }
+
+      new LeaderboardManager(this.scene).show();
     });
   }
 
+  /**
+   * Creates the "SETTINGS" link under the high scores link
+   *
+   * @private
+   */
+  createSettingsText() {
+    const settingsText = this.scene.add
+      .text(540, 1600, "SETTINGS", {
+        fontFamily: '"Press Start 2P"',
+        fontSize: "28px",
+        fill: "#ffffff",
+      })
+      .setOrigin(0.5)
+      .setDepth(10)
+      .setInteractive();
+
+    this.menuItems.push(settingsText);
+
+    settingsText.on("pointerup", () => {
+      if (this.scene.audioManager) {
+        this.scene.audioManager.playClickSound();
+      }
+
+      new SettingsManager(this.scene).show();
+    });
+  }
+
+  /**
+   * Creates the "LOAD REPLAY" link under the settings link
+   * Opens a file picker and hands the parsed replay to the scene
+   *
+   * @private
+   */
+  createLoadReplayText() {
+    const replayText = this.scene.add
+      .text(540, 1680, "LOAD REPLAY", {
+        fontFamily: '"Press Start 2P"',
+        fontSize: "28px",
+        fill: "#ffffff",
+      })
+      .setOrigin(0.5)
+      .setDepth(10)
+      .setInteractive();
+
+    this.menuItems.push(replayText);
+
+    replayText.on("pointerup", () => {
+      if (this.scene.audioManager) {
+        this.scene.audioManager.playClickSound();
+      }
+
+      ReplayManager.importReplay(
+        (replay) => {
+          if (this.scene.onTitleReplayLoaded) {
+            this.scene.onTitleReplayLoaded(replay);
+          }
+        },
+        (error) => this.showReplayError(error)
+      );
+    });
+  }
+
+  /**
+   * Shows why a replay file failed to load at the top of the screen
+   * Lists up to MAX_REPLAY_ERRORS problems and replaces any earlier message
+   *
+   * @param {Error} error - Error from reading or parsing the file
+   * @private
+   */
+  showReplayError(error) {
+    if (this.replayErrorText) {
+      this.replayErrorText.destroy();
+    }
+
+    // parseReplay() puts one problem per line under a heading
+    const [heading, ...problems] = error.message.split("\n");
+    const lines = [
+      "COULD NOT LOAD REPLAY",
+      heading,
+      ...problems.slice(0, MAX_REPLAY_ERRORS),
+    ];
+    if (problems.length > MAX_REPLAY_ERRORS) {
+      lines.push(`  ...and ${problems.length - MAX_REPLAY_ERRORS} more`);
+    }
+
+    this.replayErrorText = this.scene.add
+      .text(540, 120, lines.join("\n"), {
+        fontFamily: '"Press Start 2P"',
+        fontSize: "20px",
+        fill: "#ff004d",
+        lineSpacing: 12,
+        wordWrap: { width: 960 },
+      })
+      .setOrigin(0.5, 0)
+      .setDepth(20);
+  }
+
   /**
    * Creates credits text display in bottom corners
    *
@@ -154,23 +366,24 @@ export class TitleScreenManager {
   }
 
   /**
-   * Handles play button press event
+   * Handles a menu button press event
    *
    * Actions:
    * - Plays button click sound
-   * - Delegates to scene's play handler for game start sequence
+   * - Delegates to the scene's handler for that game mode
    *
+   * @param {string} sceneHandler - Name of the scene callback to trigger
    * @private
    */
-  onPlayButtonPressed() {
+  onMenuButtonPressed(sceneHandler) {
     // Play audio feedback
     if (this.scene.audioManager) {
       this.scene.audioManager.playClickSound();
     }
 
     // Delegate to scene for game start sequence
-    if (this.scene.onTitlePlayPressed) {
-      this.scene.onTitlePlayPressed();
+    if (this.scene[sceneHandler]) {
+      this.scene[sceneHandler]();
     }
   }
 
@@ -249,9 +249,9 @@ export class TutorialManager {
     let hasTriggeredFreeze = false; // Prevents multiple freeze triggers
 
     // ===== Smart Spawn Logic =====
-    // Determine which side to spawn from based on player position
-    const playerX = this.playerController.player.x;
-    const spawnRight = playerX < 540; // Player on left = spawn from right
+    // Determine which side to spawn from based on the player's position
+    const lanes = this.scene.lanes;
+    const spawnRight = lanes.isOnLeft(this.playerController.player.x); // Player on left = spawn from right
     const spawnX = spawnRight ? 1200 : -120;
     const targetVelocity = spawnRight ? -600 : 600;
 
@@ -436,6 +436,9 @@ export class TutorialManager {
               this.finalTextObj.destroy();
               this.finalTextObj = null;
 
+              // Saved, so a page refresh doesn't force the tutorial again
+              this.scene.registry.set("tutorialCompleted", true);
+
               // ===== TRANSITION TO INTRO DIALOGUE =====
               if (this.scene.startIntroSequence) {
                 this.scene.startIntroSequence();
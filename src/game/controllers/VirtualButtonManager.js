@@ -0,0 +1,210 @@
+// src/game/controllers/VirtualButtonManager.js
+
+import { GAME_CONFIG } from "../config/GameConfig";
+
+/**
+ * Button layout: horizontal center, action and arrow direction
+ * Dashes sit under the left thumb, jump and drop under the right
+ * @constant {Object[]}
+ */
+const BUTTON_LAYOUT = [
+  { x: 130, action: "dashLeft", arrow: "left" },
+  { x: 350, action: "dashRight", arrow: "right" },
+  { x: 730, action: "fastDrop", arrow: "down" },
+  { x: 950, action: "jump", arrow: "up" },
+];
+
+/**
+ * Arrow triangle points per direction, relative to the button's center
+ * @constant {Object<string, number[]>}
+ */
+const ARROW_POINTS = {
+  up: [0, -40, -45, 35, 45, 35],
+  down: [0, 40, -45, -35, 45, -35],
+  left: [-40, 0, 35, -45, 35, 45],
+  right: [40, 0, -35, -45, -35, 45],
+};
+
+/**
+ * VirtualButtonManager
+ *
+ * On-screen button control scheme, an alternative to swipes chosen with
+ * the "TOUCH" setting. Four translucent buttons are drawn below the
+ * ground: dash left, dash right, drop and jump.
+ *
+ * - Actions trigger on press, not release, so they feel as immediate as
+ *   a key press
+ * - Each button tracks the pointers holding it, so several fingers can
+ *   press different buttons at once (e.g. dash and jump together)
+ * - A held button brightens and shrinks slightly until every finger on
+ *   it has lifted or slid off
+ *
+ * Presses are sent to the onAction callback (InputHandler.performAction),
+ * so they are recorded for replays and ignored while paused like any
+ * other input. Letting go of a button (its last finger lifting or
+ * sliding off) is sent to onRelease, which ends a held direction with
+ * free movement.
+ *
+ * @class
+ */
+export class VirtualButtonManager {
+  /**
+   * Creates a new VirtualButtonManager instance
+   *
+   * @param {Phaser.Scene} scene - The game scene this manager operates in
+   * @param {Function} onAction - Receives the action name of each press
+   * @param {Function} [onRelease] - Receives the action name of a button
+   *        once no finger holds it
+   */
+  constructor(scene, onAction, onRelease) {
+    this.scene = scene;
+    this.onAction = onAction;
+    this.onRelease = onRelease;
+    this.buttons = []; // { action, background, arrow, pointers }
+    this.isVisible = false;
+  }
+
+  // ============================================================================
+  // BUTTON DISPLAY
+  // ============================================================================
+
+  /**
+   * Draws the buttons and starts listening for releases
+   */
+  show() {
+    if (this.isVisible) return;
+    this.isVisible = true;
+
+    // Enough touch points for both thumbs plus a stray finger
+    // Pointers belong to the game, so they survive scene restarts
+    const input = this.scene.input;
+    if (!input.pointer3) {
+      input.addPointer(3 - (input.pointersTotal - 1));
+    }
+
+    this.buttons = BUTTON_LAYOUT.map((layout) => this.createButton(layout));
+
+    // A finger lifted anywhere releases the button it was holding
+    input.on("pointerup", this.handlePointerUp, this);
+    input.on("pointerupoutside", this.handlePointerUp, this);
+  }
+
+  /**
+   * Creates one button with its arrow
+   *
+   * @param {Object} layout - Entry of BUTTON_LAYOUT
+   * @returns {Object} Button state
+   * @private
+   */
+  createButton(layout) {
+    const { Y, SIZE, ALPHA } = GAME_CONFIG.INPUT.VIRTUAL_BUTTONS;
+
+    const background = this.scene.add
+      .rectangle(layout.x, Y, SIZE, SIZE, 0x1d2b53, ALPHA)
+      .setStrokeStyle(6, 0xffffff, ALPHA)
+      .setDepth(100)
+      .setScrollFactor(0)
+      .setInteractive();
+
+    const arrow = this.scene.add
+      .triangle(layout.x, Y, ...ARROW_POINTS[layout.arrow], 0xffffff, ALPHA)
+      .setDepth(100)
+      .setScrollFactor(0);
+
+    const button = {
+      action: layout.action,
+      background,
+      arrow,
+      pointers: new Set(), // Ids of the pointers holding the button
+    };
+
+    background.on("pointerdown", (pointer) => this.press(button, pointer));
+    background.on("pointerout", (pointer) => this.release(button, pointer));
+
+    return button;
+  }
+
+  /**
+   * Removes the buttons
+   */
+  hide() {
+    if (!this.isVisible) return;
+    this.isVisible = false;
+
+    this.scene.input.off("pointerup", this.handlePointerUp, this);
+    this.scene.input.off("pointerupoutside", this.handlePointerUp, this);
+
+    this.buttons.forEach((button) => {
+      if (button.pointers.size > 0 && this.onRelease) {
+        this.onRelease(button.action);
+      }
+      button.background.destroy();
+      button.arrow.destroy();
+    });
+    this.buttons = [];
+  }
+
+  // ============================================================================
+  // PRESS HANDLING
+  // ============================================================================
+
+  /**
+   * Triggers a button's action and shows it as held
+   *
+   * @param {Object} button - Pressed button
+   * @param {Phaser.Input.Pointer} pointer - Pointer pressing it
+   * @private
+   */
+  press(button, pointer) {
+    button.pointers.add(pointer.id);
+    this.refreshButton(button);
+
+    this.onAction(button.action);
+  }
+
+  /**
+   * Lets go of a button for one pointer
+   *
+   * @param {Object} button - Released button
+   * @param {Phaser.Input.Pointer} pointer - Pointer leaving it
+   * @private
+   */
+  release(button, pointer) {
+    if (!button.pointers.delete(pointer.id)) return;
+    this.refreshButton(button);
+
+    if (button.pointers.size === 0 && this.onRelease) {
+      this.onRelease(button.action);
+    }
+  }
+
+  /**
+   * Releases whichever button a lifted pointer was holding
+   *
+   * @param {Phaser.Input.Pointer} pointer - Lifted pointer
+   * @private
+   */
+  handlePointerUp(pointer) {
+    this.buttons.forEach((button) => this.release(button, pointer));
+  }
+
+  /**
+   * Shows a button as held while any pointer is on it
+   *
+   * @param {Object} button - Button to update
+   * @private
+   */
+  refreshButton(button) {
+    const { ALPHA, PRESSED_ALPHA, PRESSED_SCALE } =
+      GAME_CONFIG.INPUT.VIRTUAL_BUTTONS;
+    const held = button.pointers.size > 0;
+    const alpha = held ? PRESSED_ALPHA : ALPHA;
+    const scale = held ? PRESSED_SCALE : 1;
+
+    button.background.setFillStyle(0x1d2b53, alpha);
+    button.background.setStrokeStyle(6, 0xffffff, alpha);
+    button.background.setScale(scale);
+    button.arrow.setFillStyle(0xffffff, alpha);
+    button.arrow.setScale(scale);
+  }
+}
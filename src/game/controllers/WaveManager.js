@@ -1,6 +1,8 @@
 // src/game/controllers/WaveManager.js
 
 import { GAME_CONFIG } from "../config/GameConfig";
+import { getObstacleType } from "../obstacles/ObstacleTypes";
+import { getWaveScript } from "../waves/WaveScripts";
 
 /**
  * WaveManager
@@ -10,6 +12,10 @@ import { GAME_CONFIG } from "../config/GameConfig";
  * - Wave 2: Fully scripted sequence with precise obstacle ordering
  * - Wave 3: Complex multi-phase final boss encounter
  *
+ * Wave content is data: each wave is a JSON script (src/game/waves/)
+ * interpreted step by step by runWaveScript(). See WaveScripts.js for
+ * the step format.
+ *
  * Responsibilities:
  * - Obstacle spawn timing and coordination
  * - Boss fight sequences and transitions
@@ -42,6 +48,10 @@ export class WaveManager {
     this.isSpikeShowerMode = false; // Prevents spawning during showers
     this.lastScenarioIndex = -1; // Prevents consecutive duplicate scenarios
     this.isBossActive = false; // Prevents spawning during boss fights
+    this.waiters = []; // Pending waitUntil() conditions
+
+    // Waits resolve as soon as an obstacle leaves play
+    obstacleSpawner.events.on("exited", () => this.checkWaiters());
   }
 
   // ============================================================================
@@ -49,52 +59,464 @@ export class WaveManager {
   // ============================================================================
 
   /**
-   * Starts a wave with appropriate behavior based on wave number
+   * Starts a wave by running its data-driven script
    *
-   * Wave behaviors:
-   * - Wave 1: Dynamic spawning with increasing difficulty
-   * - Wave 2: Scripted sequence with 31 predefined steps
-   * - Wave 3: Complex boss sequence with continuous weave spawning
+   * Scripts live in src/game/waves/*.json and are validated when loaded
+   * (see WaveScripts.js). Steps run in order; once the last step completes
+   * the level is stopped and the wave's ending sequence begins.
    *
-   * @param {number} durationSeconds - Wave duration (unused for Waves 2-3)
+   * @param {number} durationSeconds - Fallback duration for "dynamic" steps that omit one
    * @param {number} waveNumber - Which wave to start (1-3)
    */
   startWave(durationSeconds, waveNumber) {
     // Reset state flags
     this.isSpikeShowerMode = false;
     this.isBossActive = false;
+    this.isShowerActive = false;
+    this.isDynamicSpawning = false;
+    this.waiters = [];
 
-    // Route to appropriate wave logic
-    if (waveNumber === 2) {
-      this.startWave2Sequence();
+    const script = getWaveScript(waveNumber);
+    if (!script) {
+      console.error(`No wave script defined for wave ${waveNumber}`);
       return;
     }
 
-    if (waveNumber === 3) {
-      this.startWave3Sequence();
+    this.obstacleSpawner.setCaps(script.caps);
+    this.runWaveScript(script, durationSeconds * 1000);
+  }
+
+  // ============================================================================
+  // WAVE SCRIPT INTERPRETER
+  // ============================================================================
+
+  /**
+   * Begins executing a validated wave script from its first step
+   *
+   * @param {Object} script - Normalized script from WaveScripts.getWaveScript()
+   * @param {number} fallbackDuration - Duration (ms) for "dynamic" steps without one
+   */
+  runWaveScript(script, fallbackDuration) {
+    this.activeScript = script;
+    this.scriptStepIndex = 0;
+    this.fallbackDuration = fallbackDuration;
+
+    this.processNextScriptStep();
+  }
+
+  /**
+   * Advances to the next script step, or stops the level when none remain
+   *
+   * @private
+   */
+  processNextScriptStep() {
+    // Check if level is still active
+    if (!this.levelManager.isActive) return;
+
+    // Script complete: hand over to the wave ending sequence
+    if (this.scriptStepIndex >= this.activeScript.steps.length) {
+      this.levelManager.stopLevel();
+      return;
+    }
+
+    const step = this.activeScript.steps[this.scriptStepIndex];
+    this.scriptStepIndex++;
+
+    if (step.delay > 0) {
+      this.scene.time.delayedCall(step.delay, () => this.beginScriptStep(step));
+    } else {
+      this.beginScriptStep(step);
+    }
+  }
+
+  /**
+   * Runs a step, first waiting for an empty field if the step asks for it
+   *
+   * @param {Object} step - Normalized script step
+   * @private
+   */
+  beginScriptStep(step) {
+    if (!this.levelManager.isActive) return;
+
+    const run = () =>
+      this.executeScriptStep(step, () => this.finishScriptStep(step));
+
+    if (step.waitForClear) {
+      // Run as soon as no other obstacle is on screen
+      this.waitUntil(() => !this.isFieldBusy(), run);
+    } else {
+      run();
+    }
+  }
+
+  /**
+   * Applies the step's "after" pause, then moves on
+   *
+   * @param {Object} step - The step that just completed
+   * @private
+   */
+  finishScriptStep(step) {
+    if (step.after > 0) {
+      this.scene.time.delayedCall(step.after, () =>
+        this.processNextScriptStep()
+      );
+    } else {
+      this.processNextScriptStep();
+    }
+  }
+
+  /**
+   * Executes a single step and calls done when it has completed
+   *
+   * Completion depends on the step type:
+   * - Obstacle spawns (any type registered in obstacles/ObstacleTypes.js)
+   *   complete immediately, or when the spawned obstacle leaves play if
+   *   waitForClear
+   * - bossLaneAttack completes when the boss has left or been defeated
+   * - weaveStream, wait and dynamic complete after their duration
+   * - dialogue completes when the player finishes reading
+   *
+   * @param {Object} step - Normalized script step
+   * @param {Function} done - Callback once the step has completed
+   * @private
+   */
+  executeScriptStep(step, done) {
+    const spawner = this.obstacleSpawner;
+
+    if (getObstacleType(step.type)) {
+      const options = {};
+      Object.keys(getObstacleType(step.type).scriptOptions).forEach((key) => {
+        if (step[key] !== undefined) options[key] = step[key];
+      });
+      if (step.lane !== undefined) options.lane = this.getLane(step.lane);
+
+      const obstacle = spawner.spawn(step.type, options);
+      if (step.waitForClear) {
+        spawner.whenExited(obstacle, () => done());
+      } else {
+        done();
+      }
+      return;
+    }
+
+    switch (step.type) {
+      case "miniShower":
+        this.spawnTrackedMiniShower();
+        this.finishWhen(step, () => !this.isShowerActive, done);
+        break;
+
+      case "spikeShower":
+        this.startSpikeShower();
+        this.finishWhen(step, () => !this.isSpikeShowerMode, done);
+        break;
+
+      case "bossLaneAttack":
+        this.levelManager.bossManager.spawnLaneAttackBoss(
+          this.getLane(step.lane),
+          step.shots,
+          done
+        );
+        break;
+
+      case "weaveStream":
+        this.startWave3WeaveSpawning();
+        this.scene.time.delayedCall(step.duration, () => {
+          this.stopWave3WeaveSpawning();
+          done();
+        });
+        break;
+
+      case "wait":
+        this.scene.time.delayedCall(step.duration, done);
+        break;
+
+      case "dialogue":
+        this.scene.dialogueManager.showDialogue(step.lines, done);
+        break;
+
+      case "dynamic":
+        this.startDynamicSpawning(step, done);
+        break;
+    }
+  }
+
+  /**
+   * Completes a shower step now, or once the shower clears if waitForClear
+   *
+   * @param {Object} step - The shower step
+   * @param {Function} isCleared - Returns true once the shower is over
+   * @param {Function} done - Step completion callback
+   * @private
+   */
+  finishWhen(step, isCleared, done) {
+    if (!step.waitForClear) {
+      done();
+      return;
+    }
+
+    this.waitUntil(isCleared, done);
+  }
+
+  /**
+   * Calls back once a condition holds
+   *
+   * The condition is checked now, then again whenever the field changes:
+   * an obstacle leaves play or a shower ends (checkWaiters()). Conditions
+   * must only depend on that state. Dropped if the level ends first.
+   *
+   * @param {Function} condition - Returns true when ready
+   * @param {Function} callback - Executed once the condition holds
+   * @private
+   */
+  waitUntil(condition, callback) {
+    if (condition()) {
+      callback();
+      return;
+    }
+
+    this.waiters.push({ condition, callback });
+  }
+
+  /**
+   * Runs the callbacks of waits whose condition now holds
+   * Called whenever the state waitUntil() conditions read changes
+   *
+   * @private
+   */
+  checkWaiters() {
+    if (!this.levelManager.isActive) {
+      this.waiters = [];
       return;
     }
 
-    // Wave 1: Dynamic spawning system
-    this.planNextAction(waveNumber);
+    const ready = this.waiters.filter((waiter) => waiter.condition());
+    this.waiters = this.waiters.filter((waiter) => !ready.includes(waiter));
+    ready.forEach((waiter) => waiter.callback());
+  }
+
+  /**
+   * Checks whether any tracked obstacle or shower is still on screen
+   *
+   * @returns {boolean} True if a waitForClear step must keep waiting
+   * @private
+   */
+  isFieldBusy() {
+    return (
+      this.obstacleSpawner.hasActiveObstacle() ||
+      this.isShowerActive ||
+      this.isSpikeShowerMode
+    );
+  }
+
+  /**
+   * Resolves a script lane to a lane index
+   *
+   * @param {string|number} lane - "left" (first lane), "right" (last lane),
+   *        "player" (player's current lane) or a lane index, which is
+   *        clamped to the lanes of this run
+   * @returns {number} Lane index
+   * @private
+   */
+  getLane(lane) {
+    const lanes = this.scene.lanes;
+    if (lane === "left") return 0;
+    if (lane === "right") return lanes.lastLane;
+    if (lane === "player") return lanes.getLane(this.playerController.player.x);
+    return lanes.clamp(lane);
+  }
+
+  // ============================================================================
+  // DYNAMIC SPAWNING (SCRIPT "dynamic" STEP)
+  // ============================================================================
+
+  /**
+   * Runs Wave 1 style random spawning for the step's duration
+   *
+   * Difficulty ramps through LevelManager while the step is running and
+   * stops ramping once it completes.
+   *
+   * @param {Object} step - The "dynamic" step
+   * @param {Function} done - Step completion callback
+   * @private
+   */
+  startDynamicSpawning(step, done) {
+    const duration =
+      step.duration !== undefined ? step.duration : this.fallbackDuration;
+
+    if (step.difficultyInterval) {
+      this.levelManager.startDifficultyRamp(
+        step.difficultyInterval,
+        step.difficultyStep !== undefined ? step.difficultyStep : 0.2
+      );
+    }
+
+    this.isDynamicSpawning = true;
+    this.planNextAction();
+
+    this.scene.time.delayedCall(duration, () => {
+      this.isDynamicSpawning = false;
+      this.levelManager.stopDifficultyRamp();
+      done();
+    });
   }
 
   /**
    * Plans and schedules the next obstacle action
-   * Only used for Wave 1's dynamic spawning system
+   * Only runs while a "dynamic" script step or Endless mode is active
    *
-   * @param {number} waveNumber - Current wave number
    * @private
    */
-  planNextAction(waveNumber) {
+  planNextAction() {
     // Safety checks: Don't spawn during boss fights or if level ended
-    if (!this.levelManager.isActive || this.isBossActive) return;
+    if (
+      !this.levelManager.isActive ||
+      this.isBossActive ||
+      !this.isDynamicSpawning
+    ) {
+      return;
+    }
 
-    if (waveNumber === 1) {
+    if (this.isEndless) {
+      this.planEndlessAction();
+    } else {
       this.planWave1Action();
     }
   }
 
+  // ============================================================================
+  // ENDLESS MODE
+  // ============================================================================
+
+  /**
+   * Starts Endless survival mode
+   *
+   * Reuses the Wave 1 spawning system with weaves and showers mixed in,
+   * plus a boss barrage every ENDLESS.BOSS_INTERVAL ms. Difficulty ramps
+   * for the whole run with no cap; the run only ends when the player dies.
+   */
+  startEndless() {
+    const cfg = GAME_CONFIG.ENDLESS;
+
+    // Reset state flags
+    this.isSpikeShowerMode = false;
+    this.isBossActive = false;
+    this.isShowerActive = false;
+    this.isEndless = true;
+    this.isDynamicSpawning = true;
+    this.waiters = [];
+    this.obstacleSpawner.setCaps();
+    this.endlessBarrageCount = 0;
+
+    this.levelManager.startDifficultyRamp(
+      cfg.DIFFICULTY_INTERVAL,
+      cfg.DIFFICULTY_STEP
+    );
+
+    // Periodic boss barrages
+    this.endlessBossTimer = this.scene.time.addEvent({
+      delay: cfg.BOSS_INTERVAL,
+      callback: () => this.startEndlessBarrage(),
+      loop: true,
+    });
+
+    this.planNextAction();
+  }
+
+  /**
+   * Plans next action for Endless mode
+   *
+   * Decision tree:
+   * 1. If a spike, weave or shower is active, wait 500ms and retry
+   * 2. WEAVE_CHANCE: Spawn weave (if no ball active)
+   * 3. MINI_SHOWER_CHANCE: Spawn tracked 3-spike shower
+   * 4. SPIKE_SHOWER_CHANCE: Spawn full 10-spike shower
+   * 5. Otherwise: Fall back to Wave 1 action (spike or combo scenario)
+   *
+   * Delays scale inversely with difficulty multiplier, same as Wave 1
+   *
+   * @private
+   */
+  planEndlessAction() {
+    const cfg = GAME_CONFIG.ENDLESS;
+    const spawner = this.obstacleSpawner;
+
+    // Wait for the field to settle before anything bigger than a spike
+    if (
+      spawner.count("spike") > 0 ||
+      spawner.count("weave") > 0 ||
+      this.isShowerActive ||
+      this.isSpikeShowerMode
+    ) {
+      this.scene.time.delayedCall(500, () => this.planNextAction());
+      return;
+    }
+
+    const roll = this.scene.rng.next();
+    let nextDelay;
+
+    if (roll < cfg.WEAVE_CHANCE && spawner.count("ball") === 0) {
+      spawner.spawn("weave");
+      nextDelay = 2500;
+    } else if (roll < cfg.WEAVE_CHANCE + cfg.MINI_SHOWER_CHANCE) {
+      this.spawnTrackedMiniShower();
+      nextDelay = 2000;
+    } else if (
+      roll <
+      cfg.WEAVE_CHANCE + cfg.MINI_SHOWER_CHANCE + cfg.SPIKE_SHOWER_CHANCE
+    ) {
+      this.startSpikeShower();
+      nextDelay = 1000;
+    } else {
+      // Wave 1 action schedules its own follow-up
+      this.planWave1Action();
+      return;
+    }
+
+    this.scene.time.delayedCall(
+      nextDelay / this.levelManager.difficultyMultiplier,
+      () => this.planNextAction()
+    );
+  }
+
+  /**
+   * Starts an Endless mode boss barrage
+   *
+   * Pauses regular spawning, waits for the field to clear, then the boss
+   * fires a barrage that grows by BOSS_SHOTS_PER_BARRAGE each time.
+   * Spawning resumes once the boss exits.
+   *
+   * @private
+   */
+  startEndlessBarrage() {
+    if (!this.levelManager.isActive || this.isBossActive) return;
+
+    const cfg = GAME_CONFIG.ENDLESS;
+    this.isBossActive = true;
+    this.endlessBarrageCount++;
+
+    const shotCount =
+      cfg.BOSS_BASE_SHOTS +
+      (this.endlessBarrageCount - 1) * cfg.BOSS_SHOTS_PER_BARRAGE;
+
+    this.waitUntil(
+      () => !this.isFieldBusy(),
+      () => {
+        if (this.scene.audioManager) {
+          this.scene.audioManager.transitionToBossMusic();
+        }
+
+        this.levelManager.bossManager.spawnEndlessBoss(shotCount, () => {
+          if (this.scene.audioManager) {
+            this.scene.audioManager.transitionToWaveMusic();
+          }
+
+          this.isBossActive = false;
+          this.planNextAction();
+        });
+      }
+    );
+  }
+
   // ============================================================================
   // WAVE 1 - DYNAMIC DIFFICULTY SPAWNING
   // ============================================================================
@@ -117,30 +539,34 @@ export class WaveManager {
     if (!this.levelManager.isActive || this.isBossActive) return;
 
     // Wait if spike is already active (prevents overlap)
-    if (this.obstacleSpawner.activeSpike) {
-      this.scene.time.delayedCall(500, () =>
-        this.planNextAction(this.levelManager.currentWave)
-      );
+    if (this.obstacleSpawner.count("spike") > 0) {
+      this.scene.time.delayedCall(500, () => this.planNextAction());
       return;
     }
 
-    // Random action selection
-    const actionType = Math.random();
+    // Random action selection (seeded per run)
+    const actionType = this.scene.rng.next();
+
+    // Set when a scenario schedules its own follow-up action
+    let handlesNextAction = false;
 
     // 40% chance: Combo scenario (if no ball present)
-    if (actionType < 0.4 && !this.obstacleSpawner.activeBall) {
-      this.triggerRandomScenario();
+    if (actionType < 0.4 && this.obstacleSpawner.count("ball") === 0) {
+      handlesNextAction = this.triggerRandomScenario();
     }
     // 60% chance: Simple targeted spike
     else {
-      this.obstacleSpawner.spawnTargetedSpike();
+      this.obstacleSpawner.spawn("spike");
     }
 
+    // Avoid starting a second planning loop alongside the scenario's own
+    if (handlesNextAction) return;
+
     // Calculate delay until next action (scales with difficulty)
-    const nextDelay = this.obstacleSpawner.activeBall ? 2500 : 1800;
+    const nextDelay = this.obstacleSpawner.count("ball") > 0 ? 2500 : 1800;
     this.scene.time.delayedCall(
       nextDelay / this.levelManager.difficultyMultiplier,
-      () => this.planNextAction(1)
+      () => this.planNextAction()
     );
   }
 
@@ -157,6 +583,7 @@ export class WaveManager {
    * - The Trap: Ball → Targeted spike (forces jump + dash combo)
    * - The Side Switch: Lane spike → Ball (forces dash + jump combo)
    *
+   * @returns {boolean} True if the scenario schedules the next action itself
    * @private
    */
   triggerRandomScenario() {
@@ -169,11 +596,11 @@ export class WaveManager {
     // Select random scenario, avoiding consecutive duplicates
     let index;
     do {
-      index = Phaser.Math.Between(0, scenarios.length - 1);
+      index = this.scene.rng.between(0, scenarios.length - 1);
     } while (index === this.lastScenarioIndex);
 
     this.lastScenarioIndex = index;
-    scenarios[index]();
+    return scenarios[index]();
   }
 
   /**
@@ -181,23 +608,24 @@ export class WaveManager {
    * Tests player's ability to quickly switch lanes twice
    *
    * Sequence:
-   * 1. Spike falls on left lane
+   * 1. Spike falls on the leftmost lane
    * 2. 800ms delay
-   * 3. Spike falls on right lane
+   * 3. Spike falls on the rightmost lane
    * 4. 1500ms delay before next action
    *
+   * @returns {boolean} Always true (schedules its own next action)
    * @private
    */
   scenarioTheDoubleDash() {
-    this.obstacleSpawner.spawnLaneSpike(GAME_CONFIG.PLAYER.LEFT_X);
+    this.obstacleSpawner.spawn("spike", { lane: 0 });
 
     this.scene.time.delayedCall(800, () => {
-      this.obstacleSpawner.spawnLaneSpike(GAME_CONFIG.PLAYER.RIGHT_X);
+      this.obstacleSpawner.spawn("spike", { lane: this.scene.lanes.lastLane });
 
-      this.scene.time.delayedCall(1500, () =>
-        this.planNextAction(this.levelManager.currentWave)
-      );
+      this.scene.time.delayedCall(1500, () => this.planNextAction());
     });
+
+    return true;
   }
 
   /**
@@ -211,20 +639,24 @@ export class WaveManager {
    *
    * Fallback: If ball or spike already active, spawns simple spike instead
    *
+   * @returns {boolean} Always false (regular action delay applies)
    * @private
    */
   scenarioTheTrap() {
     // Safety check: Don't overlap with existing obstacles
-    if (this.obstacleSpawner.activeBall || this.obstacleSpawner.activeSpike) {
-      this.obstacleSpawner.spawnTargetedSpike();
-      return;
+    const spawner = this.obstacleSpawner;
+    if (spawner.count("ball") > 0 || spawner.count("spike") > 0) {
+      spawner.spawn("spike");
+      return false;
     }
 
-    this.obstacleSpawner.spawnBall();
+    spawner.spawn("ball");
 
     this.scene.time.delayedCall(800, () => {
-      this.obstacleSpawner.spawnTargetedSpike();
+      spawner.spawn("spike");
     });
+
+    return false;
   }
 
   /**
@@ -237,19 +669,20 @@ export class WaveManager {
    * 3. Ball rolls toward player
    * 4. 1500ms delay before next action
    *
+   * @returns {boolean} Always true (schedules its own next action)
    * @private
    */
   scenarioTheSideSwitch() {
-    const startX = this.playerController.player.x;
-    this.obstacleSpawner.spawnLaneSpike(startX);
+    const startLane = this.scene.lanes.getLane(this.playerController.player.x);
+    this.obstacleSpawner.spawn("spike", { lane: startLane });
 
     this.scene.time.delayedCall(1200, () => {
-      this.obstacleSpawner.spawnBall();
+      this.obstacleSpawner.spawn("ball");
 
-      this.scene.time.delayedCall(1500, () =>
-        this.planNextAction(this.levelManager.currentWave)
-      );
+      this.scene.time.delayedCall(1500, () => this.planNextAction());
     });
+
+    return true;
   }
 
   // ============================================================================
@@ -260,7 +693,8 @@ export class WaveManager {
    * Spawns a mini spike shower (3 spikes)
    * Used in Wave 1 as part of dynamic spawning, and Wave 2 as sequence step
    *
-   * Pattern: Left → Right → Left with 500ms gaps
+   * Pattern: sweeps across the lanes (Left → Right → Left with two lanes)
+   * with 500ms gaps
    * Total duration: 1500ms
    *
    * Wave 1 behavior: Spawns ball after shower
@@ -269,16 +703,10 @@ export class WaveManager {
    * @private
    */
   spawnMiniSpikeShower() {
-    const sequence = [
-      { x: GAME_CONFIG.PLAYER.LEFT_X, delay: 0 },
-      { x: GAME_CONFIG.PLAYER.RIGHT_X, delay: 500 },
-      { x: GAME_CONFIG.PLAYER.LEFT_X, delay: 1000 },
-    ];
-
-    sequence.forEach((spike) => {
-      this.scene.time.delayedCall(spike.delay, () => {
+    this.scene.lanes.sweep(3).forEach((lane, index) => {
+      this.scene.time.delayedCall(index * 500, () => {
         if (this.levelManager.isActive) {
-          this.obstacleSpawner.spawnLaneSpike(spike.x);
+          this.obstacleSpawner.spawn("spike", { lane });
         }
       });
     });
@@ -286,7 +714,7 @@ export class WaveManager {
     // Wave 1 only: Spawn ball after shower
     this.scene.time.delayedCall(1500, () => {
       if (this.levelManager.isActive && this.levelManager.currentWave === 1) {
-        this.obstacleSpawner.spawnBall();
+        this.obstacleSpawner.spawn("ball");
       }
     });
   }
@@ -295,434 +723,79 @@ export class WaveManager {
    * Spawns a full spike shower (10 spikes)
    * Used as dramatic attack in boss sequences (Waves 2 and 3)
    *
-   * Pattern: Alternates left/right with 500ms gaps
-   * Total duration: 5000ms (spawn time) + 1500ms (exit time) = 6500ms
+   * Pattern: Sweeps back and forth across the lanes (alternating
+   * left/right with two lanes) with 500ms gaps
    *
-   * Sets isSpikeShowerMode flag to prevent other spawning during shower
+   * Sets isSpikeShowerMode flag to prevent other spawning until the last
+   * spike leaves play
    *
    * @private
    */
   startSpikeShower() {
     this.isSpikeShowerMode = true;
 
-    // 10 spikes alternating lanes, 500ms apart
-    const sequence = [
-      { x: GAME_CONFIG.PLAYER.LEFT_X, delay: 0 },
-      { x: GAME_CONFIG.PLAYER.RIGHT_X, delay: 500 },
-      { x: GAME_CONFIG.PLAYER.LEFT_X, delay: 1000 },
-      { x: GAME_CONFIG.PLAYER.RIGHT_X, delay: 1500 },
-      { x: GAME_CONFIG.PLAYER.LEFT_X, delay: 2000 },
-      { x: GAME_CONFIG.PLAYER.RIGHT_X, delay: 2500 },
-      { x: GAME_CONFIG.PLAYER.LEFT_X, delay: 3000 },
-      { x: GAME_CONFIG.PLAYER.RIGHT_X, delay: 3500 },
-      { x: GAME_CONFIG.PLAYER.LEFT_X, delay: 4000 },
-      { x: GAME_CONFIG.PLAYER.RIGHT_X, delay: 4500 },
-    ];
-
-    sequence.forEach((spike) => {
-      this.scene.time.delayedCall(spike.delay, () => {
-        this.obstacleSpawner.spawnShowerSpike(spike.x);
-      });
-    });
-
-    // Placeholder for potential future logic at 6000ms
-    this.scene.time.delayedCall(6000, () => {});
-
-    // Clear shower mode flag after all spikes exit
-    this.scene.time.delayedCall(6500, () => {
+    this.spawnSpikeSweep(10, { variant: "shower" }, () => {
       this.isSpikeShowerMode = false;
+      this.checkWaiters();
     });
   }
 
-  // ============================================================================
-  // WAVE 2 - FULLY SCRIPTED SEQUENCE (31 STEPS)
-  // ============================================================================
-
-  /**
-   * Initializes Wave 2's scripted obstacle sequence
-   *
-   * 31-step progression introduces weaves gradually:
-   * - Early: Spikes and balls (familiar mechanics)
-   * - Mid: First weaves appear with mini showers
-   * - Late: Heavy weave focus with frequent mini showers
-   * - Finale: Triple mini shower burst
-   *
-   * Uses polling system to wait for obstacle clearance before spawning next
-   *
-   * @private
-   */
-  startWave2Sequence() {
-    // Initialize tracking flags
-    this.isShowerActive = false;
-
-    // 31-step scripted sequence
-    this.wave2Sequence = [
-      { type: "spike" },
-      { type: "ball" },
-      { type: "spike" },
-      { type: "ball" },
-      { type: "weave" }, // First weave introduction
-      { type: "miniShower" },
-      { type: "ball" },
-      { type: "weave" },
-      { type: "miniShower" },
-      { type: "ball" },
-      { type: "miniShower" },
-      { type: "ball" },
-      { type: "miniShower" },
-      { type: "weave" },
-      { type: "ball" },
-      { type: "weave" },
-      { type: "ball" },
-      { type: "weave" },
-      { type: "ball" },
-      { type: "weave" },
-      { type: "miniShower" },
-      { type: "ball" },
-      { type: "weave" },
-      { type: "miniShower" },
-      { type: "weave" },
-      { type: "spike" },
-      { type: "ball" },
-      { type: "weave" },
-      { type: "miniShower" }, // Finale begins
-      { type: "miniShower" },
-      { type: "miniShower" }, // Triple shower finale
-    ];
-
-    this.wave2SequenceIndex = 0;
-    this.processNextWave2Step();
-  }
-
   /**
-   * Processes the next step in Wave 2's scripted sequence
-   *
-   * Flow control:
-   * - If level ended: Stop processing
-   * - If sequence complete: Trigger level end
-   * - Otherwise: Execute current step and increment index
-   *
-   * Each obstacle type has its own spawn-and-wait method
-   *
+   * Drops spikes sweeping across the lanes, 500ms apart, and calls back
+   * once every one of them has left play
+   *
+   * @param {number} count - Number of spikes
+   * @param {Object} options - Spike spawn options besides the lane
+   * @param {Function} onCleared - Called once the last spike is gone
+   * @param {Function} [canSpawn] - Checked before each spike; skipped
+   *        spikes count as cleared
    * @private
    */
-  processNextWave2Step() {
-    // Check if level is still active
-    if (!this.levelManager.isActive) {
-      return;
-    }
-
-    // Check if sequence is complete
-    if (this.wave2SequenceIndex >= this.wave2Sequence.length) {
-      this.levelManager.stopLevel();
-      return;
-    }
-
-    // Get current step and increment index
-    const step = this.wave2Sequence[this.wave2SequenceIndex];
-    this.wave2SequenceIndex++;
-
-    // Route to appropriate spawn method
-    switch (step.type) {
-      case "spike":
-        this.spawnSpikeAndWait();
-        break;
-      case "ball":
-        this.spawnBallAndWait();
-        break;
-      case "weave":
-        this.spawnWeaveAndWait();
-        break;
-      case "miniShower":
-        this.spawnMiniShowerAndWait();
-        break;
-    }
-  }
-
-  /**
-   * Spawns a spike and waits for it to clear before continuing
-   *
-   * Behavior:
-   * - If any obstacle is active, retry after 200ms (with index decrement)
-   * - Otherwise, spawn spike and poll every 100ms until cleared
-   * - After clearing, 300ms delay before next step
-   *
-   * @private
-   */
-  spawnSpikeAndWait() {
-    // Check for obstacle conflicts
-    if (
-      this.obstacleSpawner.activeSpike ||
-      this.obstacleSpawner.activeBall ||
-      this.obstacleSpawner.activeWeave ||
-      this.isShowerActive
-    ) {
-      // Retry this step after short delay
-      this.scene.time.delayedCall(200, () => {
-        this.wave2SequenceIndex--; // Retry same step
-        this.processNextWave2Step();
-      });
-      return;
-    }
-
-    this.obstacleSpawner.spawnTargetedSpike();
+  spawnSpikeSweep(count, options, onCleared, canSpawn = () => true) {
+    let remaining = count;
+    const spikeCleared = () => {
+      remaining--;
+      if (remaining === 0) onCleared();
+    };
 
-    // Poll for spike clearance
-    const checkInterval = this.scene.time.addEvent({
-      delay: 100,
-      callback: () => {
-        if (!this.obstacleSpawner.activeSpike) {
-          checkInterval.remove();
-          // Brief pause before next obstacle
-          this.scene.time.delayedCall(300, () => this.processNextWave2Step());
+    this.scene.lanes.sweep(count).forEach((lane, index) => {
+      this.scene.time.delayedCall(index * 500, () => {
+        if (!canSpawn()) {
+          spikeCleared();
+          return;
         }
-      },
-      loop: true,
-    });
-  }
 
-  /**
-   * Spawns a ball and waits for it to clear before continuing
-   *
-   * Same polling logic as spawnSpikeAndWait() but for balls
-   *
-   * @private
-   */
-  spawnBallAndWait() {
-    // Check for obstacle conflicts
-    if (
-      this.obstacleSpawner.activeSpike ||
-      this.obstacleSpawner.activeBall ||
-      this.obstacleSpawner.activeWeave ||
-      this.isShowerActive
-    ) {
-      // Retry this step after short delay
-      this.scene.time.delayedCall(200, () => {
-        this.wave2SequenceIndex--;
-        this.processNextWave2Step();
+        const spike = this.obstacleSpawner.spawn("spike", { ...options, lane });
+        this.obstacleSpawner.whenExited(spike, spikeCleared);
       });
-      return;
-    }
-
-    this.obstacleSpawner.spawnBall();
-
-    // Poll for ball clearance
-    const checkInterval = this.scene.time.addEvent({
-      delay: 100,
-      callback: () => {
-        if (!this.obstacleSpawner.activeBall) {
-          checkInterval.remove();
-          this.scene.time.delayedCall(300, () => this.processNextWave2Step());
-        }
-      },
-      loop: true,
     });
   }
 
-  /**
-   * Spawns a weave and waits for it to clear before continuing
-   *
-   * Same polling logic as other spawn-and-wait methods
-   *
-   * @private
-   */
-  spawnWeaveAndWait() {
-    // Check for obstacle conflicts
-    if (
-      this.obstacleSpawner.activeSpike ||
-      this.obstacleSpawner.activeBall ||
-      this.obstacleSpawner.activeWeave ||
-      this.isShowerActive
-    ) {
-      // Retry this step after short delay
-      this.scene.time.delayedCall(200, () => {
-        this.wave2SequenceIndex--;
-        this.processNextWave2Step();
-      });
-      return;
-    }
-
-    this.obstacleSpawner.spawnWeave();
-
-    // Poll for weave clearance
-    const checkInterval = this.scene.time.addEvent({
-      delay: 100,
-      callback: () => {
-        if (!this.obstacleSpawner.activeWeave) {
-          checkInterval.remove();
-          this.scene.time.delayedCall(300, () => this.processNextWave2Step());
-        }
-      },
-      loop: true,
-    });
-  }
+  // ============================================================================
+  // TRACKED MINI SHOWER (SCRIPT "miniShower" STEP)
+  // ============================================================================
 
   /**
-   * Spawns a mini shower and waits for ALL spikes to clear
-   *
-   * Complex tracking:
-   * - Sets isShowerActive flag immediately (prevents overlaps)
-   * - Spawns 3 spikes with individual tracking
-   * - Polls every 100ms checking if all 3 are destroyed
-   * - Only continues when ALL spikes are cleared
-   * - 500ms delay before next step (longer than single obstacles)
-   *
-   * Note: Creates own spike sprites instead of using obstacleSpawner
-   * to enable individual tracking of all 3 shower spikes
+   * Spawns a mini shower: 3 lane spikes, 500ms apart
+   * isShowerActive is set immediately (prevents overlaps) and cleared once
+   * the last spike leaves play
    *
    * @private
    */
-  spawnMiniShowerAndWait() {
-    // Check for obstacle conflicts
-    if (
-      this.obstacleSpawner.activeSpike ||
-      this.obstacleSpawner.activeBall ||
-      this.obstacleSpawner.activeWeave ||
-      this.isShowerActive
-    ) {
-      this.scene.time.delayedCall(200, () => {
-        this.wave2SequenceIndex--;
-        this.processNextWave2Step();
-      });
-      return;
-    }
-
+  spawnTrackedMiniShower() {
     // Mark shower as active IMMEDIATELY to prevent overlaps
     this.isShowerActive = true;
 
-    // Track all spikes spawned in this shower
-    this.miniShowerSpikes = [];
-
-    const sequence = [
-      { x: GAME_CONFIG.PLAYER.LEFT_X, delay: 0 },
-      { x: GAME_CONFIG.PLAYER.RIGHT_X, delay: 500 },
-      { x: GAME_CONFIG.PLAYER.LEFT_X, delay: 1000 },
-    ];
-
-    // Spawn each spike with individual tracking
-    sequence.forEach((spikeData, index) => {
-      this.scene.time.delayedCall(spikeData.delay, () => {
-        if (this.levelManager.isActive && this.isShowerActive) {
-          // Create spike sprite
-          const spike = this.scene.physics.add.sprite(
-            spikeData.x,
-            -100,
-            "spike"
-          );
-          spike.setScale(GAME_CONFIG.PLAYER.SCALE - 10);
-          spike.body.setAllowGravity(false);
-
-          // Add to tracking array
-          this.miniShowerSpikes.push(spike);
-
-          const trail = this.createSpikeTrailForShower(spike);
-
-          // Warning phase
-          this.scene.tweens.add({
-            targets: spike,
-            y: 150,
-            duration: 500,
-            onComplete: () => {
-              if (spike.active) {
-                if (this.scene.audioManager) {
-                  this.scene.audioManager.playSpikeSound();
-                }
-                spike.body.setAllowGravity(true);
-                spike.setGravityY(4500);
-                trail.start();
-              }
-            },
-          });
-
-          this.setupShowerSpikeCollision(spike, trail);
-        }
-      });
-    });
-
-    // Poll for ALL shower spikes to be cleared
-    const checkInterval = this.scene.time.addEvent({
-      delay: 100,
-      callback: () => {
-        // Wait for all 3 spikes to spawn first
-        if (this.miniShowerSpikes.length < 3) {
-          return;
-        }
-
-        // Check if all spikes are destroyed
-        const allCleared = this.miniShowerSpikes.every(
-          (spike) => !spike || !spike.active
-        );
-
-        if (allCleared) {
-          // All spikes cleared - continue sequence
-          checkInterval.remove();
-          this.miniShowerSpikes = [];
-          this.isShowerActive = false;
-
-          // Longer delay for shower (500ms vs 300ms for single obstacles)
-          this.scene.time.delayedCall(500, () => {
-            this.processNextWave2Step();
-          });
-        }
+    this.spawnSpikeSweep(
+      3,
+      {},
+      () => {
+        this.isShowerActive = false;
+        this.checkWaiters();
       },
-      loop: true,
-    });
-  }
-
-  /**
-   * Creates a particle trail for shower spike sprites
-   * Same as ObstacleSpawner but needed here for manual shower spike creation
-   *
-   * @param {Phaser.Physics.Arcade.Sprite} spike - The spike to attach trail to
-   * @returns {Phaser.GameObjects.Particles.ParticleEmitter} The particle emitter
-   * @private
-   */
-  createSpikeTrailForShower(spike) {
-    const trail = this.scene.add.particles(0, 0, "speedLine", {
-      follow: spike,
-      scale: { start: 6, end: 1 },
-      alpha: { start: 0.6, end: 0 },
-      lifespan: 300,
-      frequency: 20,
-      blendMode: "ADD",
-      emitting: false,
-    });
-    trail.setDepth(4);
-    spike.on("destroy", () => trail.destroy());
-    return trail;
-  }
-
-  /**
-   * Sets up collision detection for manually created shower spikes
-   *
-   * Handles:
-   * - Ground collision: Crumble animation
-   * - Player collision: Damage and destroy
-   *
-   * @param {Phaser.Physics.Arcade.Sprite} spike - The spike sprite
-   * @param {Phaser.GameObjects.Particles.ParticleEmitter} trail - The particle trail
-   * @private
-   */
-  setupShowerSpikeCollision(spike, trail) {
-    // Ground collision
-    this.scene.physics.add.collider(spike, this.scene.ground, () => {
-      if (trail) trail.stop();
-
-      // Crumble animation
-      this.scene.tweens.add({
-        targets: spike,
-        alpha: 0,
-        scale: 0,
-        duration: 200,
-        onComplete: () => spike.destroy(),
-      });
-    });
-
-    // Player collision
-    this.scene.physics.add.overlap(spike, this.playerController.player, () => {
-      spike.destroy();
-      this.scene.updateLives();
-    });
+      // Stop dropping spikes once the level ends
+      () => this.levelManager.isActive && this.isShowerActive
+    );
   }
 
   // ============================================================================
@@ -734,31 +807,21 @@ export class WaveManager {
    *
    * Pattern:
    * - Spawns first weave immediately
-   * - Polls every 300ms for active weave
-   * - Spawns new weave when previous one exits
+   * - Spawns a new weave whenever an obstacle leaves play and no weave
+   *   is active (weaves are exclusive, so this also retries a weave
+   *   that was blocked by another obstacle)
    * - Continues until manually stopped
    *
-   * Performance optimization: 300ms polling (was 200ms)
-   * Reduces checks by 33% with minimal impact on spawn timing
-   *
    * @private
    */
   startWave3WeaveSpawning() {
     // Spawn first weave immediately
     this.spawnWeaveForWave3();
 
-    // OPTIMIZED: Increased delay from 200ms to 300ms
-    // Reduces polling frequency by 33% for better performance
-    this.wave3WeaveInterval = this.scene.time.addEvent({
-      delay: 300,
-      callback: () => {
-        // Only spawn if no active weave exists
-        if (!this.obstacleSpawner.activeWeave && this.levelManager.isActive) {
-          this.spawnWeaveForWave3();
-        }
-      },
-      loop: true,
-    });
+    this.weaveStreamListener = () => {
+      if (this.levelManager.isActive) this.spawnWeaveForWave3();
+    };
+    this.obstacleSpawner.events.on("exited", this.weaveStreamListener);
   }
 
   /**
@@ -768,9 +831,9 @@ export class WaveManager {
    * @private
    */
   spawnWeaveForWave3() {
-    if (this.obstacleSpawner.activeWeave) return;
+    if (this.obstacleSpawner.count("weave") > 0) return;
 
-    this.obstacleSpawner.spawnWeave();
+    this.obstacleSpawner.spawn("weave");
   }
 
   /**
@@ -782,122 +845,13 @@ export class WaveManager {
    * @private
    */
   stopWave3WeaveSpawning() {
-    if (this.wave3WeaveInterval) {
-      this.wave3WeaveInterval.remove();
-      this.wave3WeaveInterval = null;
+    if (this.weaveStreamListener) {
+      this.obstacleSpawner.events.off("exited", this.weaveStreamListener);
+      this.weaveStreamListener = null;
     }
     // Active weave allowed to exit naturally
   }
 
-  // ============================================================================
-  // WAVE 3 - MAIN SEQUENCE (BEFORE FINAL BOSS)
-  // ============================================================================
-
-  /**
-   * Orchestrates Wave 3's complex pre-boss sequence
-   *
-   * 7-phase timeline (~2 minutes):
-   * 1. Opening attacks (spikes and balls)
-   * 2. First spike shower (10 spikes)
-   * 3. Mixed obstacle section
-   * 4. Boss lane attack #1 (left lane, 10 shots)
-   * 5. Spike shower #2
-   * 6. Boss lane attack #2 (right lane, 10 shots)
-   * 7. Continuous weave section (30 seconds)
-   *
-   * Timing tracked with currentTime accumulator for precise scheduling
-   *
-   * Performance: Reduces particle quality at start for intensive boss fight
-   *
-   * @private
-   */
-  startWave3Sequence() {
-    // Performance optimization for final boss
-    if (this.scene.particleEffects) {
-      this.scene.particleEffects.reduceParticleQuality();
-    }
-
-    let currentTime = 0;
-
-    // Helper function for accumulating delays
-    const scheduleEvent = (callback, delay) => {
-      this.scene.time.delayedCall(currentTime + delay, callback);
-      currentTime += delay;
-      return currentTime;
-    };
-
-    // ===== Phase 1: Opening Attacks =====
-    scheduleEvent(() => this.obstacleSpawner.spawnTargetedSpike(), 0);
-    scheduleEvent(() => {}, 2000); // Pause
-
-    scheduleEvent(() => this.obstacleSpawner.spawnTargetedSpike(), 0);
-    scheduleEvent(() => {}, 2000);
-
-    scheduleEvent(() => this.startSpikeShower(), 0);
-    scheduleEvent(() => {}, 7000); // Shower duration
-
-    scheduleEvent(() => this.obstacleSpawner.spawnTargetedSpike(), 0);
-    scheduleEvent(() => {}, 2000);
-
-    scheduleEvent(() => this.obstacleSpawner.spawnBall(), 0);
-    scheduleEvent(() => {}, 2000);
-
-    scheduleEvent(() => this.obstacleSpawner.spawnTargetedSpike(), 0);
-    scheduleEvent(() => {}, 2000);
-
-    scheduleEvent(() => this.obstacleSpawner.spawnBall(), 0);
-    scheduleEvent(() => {}, 2000);
-
-    scheduleEvent(() => this.obstacleSpawner.spawnBall(), 0);
-    scheduleEvent(() => {}, 2000);
-
-    // ===== Phase 2: First Boss Lane Attack =====
-    // Boss enters, warns, fires 10 shots at left lane, exits
-    scheduleEvent(
-      () =>
-        this.levelManager.bossManager.bossFiresToLaneWithEntryExit(
-          GAME_CONFIG.PLAYER.LEFT_X,
-          10 // 10 shots
-        ),
-      0
-    );
-    scheduleEvent(() => {}, 17000); // 1s warning + 16s attack
-
-    // ===== Phase 3: Mixed Obstacles =====
-    scheduleEvent(() => this.obstacleSpawner.spawnTargetedSpike(), 0);
-    scheduleEvent(() => {}, 2000);
-
-    scheduleEvent(() => this.obstacleSpawner.spawnBall(), 0);
-    scheduleEvent(() => {}, 2000);
-
-    scheduleEvent(() => this.startSpikeShower(), 0);
-    scheduleEvent(() => {}, 7000);
-
-    // ===== Phase 4: Second Boss Lane Attack =====
-    // Boss enters, warns, fires 10 shots at right lane, exits
-    scheduleEvent(
-      () =>
-        this.levelManager.bossManager.bossFiresToLaneWithEntryExit(
-          GAME_CONFIG.PLAYER.RIGHT_X,
-          10
-        ),
-      0
-    );
-    scheduleEvent(() => {}, 17000);
-
-    // ===== Phase 5: Continuous Weave Section (30 seconds) =====
-    scheduleEvent(() => this.startWave3WeaveSpawning(), 0);
-
-    // Let weaves run for 30 seconds
-    scheduleEvent(() => {}, 30000);
-
-    // ===== Phase 6: End Sequence =====
-    scheduleEvent(() => {
-      this.stopWave3WeaveSpawning();
-      this.levelManager.stopLevel();
-    }, 0);
-  }
-
   // ============================================================================
   // WAVE ENDING ORCHESTRATION
   // ============================================================================
@@ -1032,10 +986,9 @@ export class WaveManager {
    * Wave 3 ending sequence (FINAL BOSS)
    *
    * Complex cleanup:
-   * 1. Reduce particle quality for performance
-   * 2. Stop spawning new weaves
-   * 3. Wait for active weave to exit naturally (if present)
-   * 4. Start final boss sequence
+   * 1. Stop spawning new weaves
+   * 2. Wait for active weave to exit naturally (if present)
+   * 3. Start final boss sequence
    *
    * The weave exit wait is critical for smooth transition
    *
@@ -1044,35 +997,14 @@ export class WaveManager {
   endWave3() {
     this.isBossActive = true;
 
-    // Performance optimization
-    if (this.scene.particleEffects) {
-      this.scene.particleEffects.reduceParticleQuality();
-    }
-
     // Stop spawning NEW weaves, but let active one finish
-    if (this.wave3WeaveInterval) {
-      this.wave3WeaveInterval.remove();
-      this.wave3WeaveInterval = null;
-    }
+    this.stopWave3WeaveSpawning();
 
-    // Check if there's an active weave
-    if (this.obstacleSpawner.activeWeave) {
-      // Wait for the weave to exit naturally (smooth transition)
-      const waitForWeaveExit = this.scene.time.addEvent({
-        delay: 100,
-        callback: () => {
-          if (!this.obstacleSpawner.activeWeave) {
-            // Weave has exited, now start boss sequence
-            waitForWeaveExit.remove();
-            this.startWave3BossSequence();
-          }
-        },
-        loop: true,
-      });
-    } else {
-      // No active weave, start boss sequence immediately
-      this.startWave3BossSequence();
-    }
+    // Start the boss sequence once the active weave (if any) has exited
+    // naturally (smooth transition)
+    this.obstacleSpawner.whenCleared("weave", () =>
+      this.startWave3BossSequence()
+    );
   }
 
   /**
@@ -1192,8 +1124,8 @@ export class WaveManager {
         this.scene.audioManager.startEndingMusic();
       }
 
-      // Show ending screen with credits
-      this.scene.endingScreenManager.show();
+      // High-score name entry, then the ending screen with credits
+      this.scene.submitScore(() => this.scene.endingScreenManager.show());
     });
   }
 
@@ -1261,7 +1193,7 @@ export class WaveManager {
 
       // Restore health and start Wave 2
       this.levelManager.restoreHealth();
-      this.scene.displayWaveText("SECOND WAVE", () => {
+      this.scene.displayWaveText(getWaveScript(2).name, () => {
         this.levelManager.startLevel(60, 2);
       });
     });
@@ -1327,7 +1259,7 @@ export class WaveManager {
 
       // Restore health and start Wave 3 (final)
       this.levelManager.restoreHealth();
-      this.scene.displayWaveText("THIRD WAVE", () => {
+      this.scene.displayWaveText(getWaveScript(3).name, () => {
         this.levelManager.startLevel(120, 3); // 2 minute duration
       });
     });
@@ -1,6 +1,7 @@
 // src/game/effects/ParticleEffects.js - OPTIMIZED VERSION
 
 import { GAME_CONFIG } from "../config/GameConfig";
+import { DEFAULT_SETTINGS } from "../utils/SaveData";
 
 export class ParticleEffects {
   constructor(scene, player) {
@@ -11,7 +12,14 @@ export class ParticleEffects {
     // Store original values for restoration
     this.originalFrequency = GAME_CONFIG.PARTICLES.DASH.FREQUENCY;
     this.originalQuantity = GAME_CONFIG.PARTICLES.DASH.QUANTITY;
-    this.isReduced = false;
+
+    // Particle quality chosen in the settings screen:
+    // "high" = everything, "low" = lighter player trail and no obstacle
+    // trails, "off" = no particles
+    const settings = scene.registry.get("settings") || {};
+    this.setQuality(
+      settings.particleQuality ?? DEFAULT_SETTINGS.particleQuality
+    );
   }
 
   static createSpeedLineTexture(scene) {
@@ -69,7 +77,7 @@ export class ParticleEffects {
     });
     this.emitter.setParticleScale(cfg.SCALE_START, cfg.SCALE_END);
     this.emitter.followOffset.set(0, 0);
-    this.emitter.start();
+    this.startEmitter();
 
     this.scene.time.delayedCall(cfg.DURATION, () => {
       this.emitter.stop();
@@ -92,7 +100,7 @@ export class ParticleEffects {
     });
     this.emitter.setParticleScale(cfg.SCALE_START, cfg.SCALE_END);
     this.emitter.followOffset.set(0, 0);
-    this.emitter.start();
+    this.startEmitter();
   }
 
   resetToDash() {
@@ -116,41 +124,46 @@ export class ParticleEffects {
   }
 
   startDash() {
-    this.emitter.start();
+    this.startEmitter();
   }
 
   stopDash() {
     this.emitter.stop();
   }
 
-  reduceParticleQuality() {
-    // Only reduce if not already reduced
-    if (this.isReduced || !this.emitter) return;
-
-    // Reduce particle emission to improve performance
-    // With your config (frequency: 8, quantity: 2):
-    // - New frequency: 16 (emit half as often)
-    // - New quantity: 1 (spawn half as many particles)
-    this.emitter.frequency = this.originalFrequency * 2;
-    this.emitter.quantity = Math.max(1, Math.floor(this.originalQuantity / 2));
-
-    this.isReduced = true;
-
-    console.log(
-      `Particles reduced: frequency ${this.originalFrequency}→${this.emitter.frequency}, quantity ${this.originalQuantity}→${this.emitter.quantity}`
-    );
+  // Emits only when the quality setting allows particles at all
+  startEmitter() {
+    if (this.quality === "off") return;
+    this.emitter.start();
   }
 
-  restoreParticleQuality() {
-    // Only restore if currently reduced
-    if (!this.isReduced || !this.emitter) return;
+  setQuality(quality) {
+    this.quality = quality;
+    if (quality === "off") this.emitter.stop();
+    this.applyEmission();
+  }
 
-    // Restore normal particle emission
-    this.emitter.frequency = this.originalFrequency;
-    this.emitter.quantity = this.originalQuantity;
+  // Obstacle trails (spikes, bullets) only show at full quality
+  trailsEnabled() {
+    return this.quality !== "low" && this.quality !== "off";
+  }
 
-    this.isReduced = false;
+  applyEmission() {
+    if (!this.emitter) return;
 
-    console.log("Particle quality restored");
+    // The "low" setting halves the emission:
+    // With your config (frequency: 8, quantity: 2):
+    // - New frequency: 16 (emit half as often)
+    // - New quantity: 1 (spawn half as many particles)
+    if (this.quality === "low") {
+      this.emitter.frequency = this.originalFrequency * 2;
+      this.emitter.quantity = Math.max(
+        1,
+        Math.floor(this.originalQuantity / 2)
+      );
+    } else {
+      this.emitter.frequency = this.originalFrequency;
+      this.emitter.quantity = this.originalQuantity;
+    }
   }
 }
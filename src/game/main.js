@@ -13,6 +13,9 @@ const config = {
   parent: "game-container",
   backgroundColor: "#ff004d",
   pixelArt: true,
+  input: {
+    gamepad: true,
+  },
   physics: {
     default: "arcade",
     arcade: {
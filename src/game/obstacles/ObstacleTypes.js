@@ -0,0 +1,282 @@
+// src/game/obstacles/ObstacleTypes.js
+
+import { GAME_CONFIG } from "../config/GameConfig";
+
+/**
+ * ObstacleTypes
+ *
+ * Registry of the obstacles ObstacleSpawner can spawn by name. Wave
+ * scripts accept every registered name as a step type, so a new hazard
+ * is one registerObstacleType() call and becomes usable everywhere:
+ *
+ * registerObstacleType("boulder", {
+ *   texture: "boulder",
+ *   spawn: (spawner) => spawner.acquireObstacle("boulder", 540, -100),
+ *   hasExited: (sprite) => sprite.y > 2000,
+ * });
+ *
+ * Definition fields (only texture and spawn are required):
+ * - texture: texture key of the type's sprite pool
+ * - spawn(spawner, options): takes a sprite from the pool with
+ *   spawner.acquireObstacle(), sets it moving and returns it
+ * - telegraph(spawner, obstacle): warning before the obstacle turns
+ *   dangerous, e.g. a slow descent before a spike drops; emits
+ *   "telegraphed" on spawner.events when the warning ends
+ * - update(spawner, obstacle): called every updateInterval ms while the
+ *   obstacle is in play
+ * - land(spawner, obstacle): the obstacle collides with the ground; it has
+ *   already been scored, land() plays the exit and releases it
+ * - hasExited(sprite): checked every exitInterval ms; true scores the
+ *   obstacle and releases it
+ * - maxActive: most obstacles of the type in play at once (default 1);
+ *   a wave script's "caps" can override it for that wave
+ * - exclusive: don't spawn while obstacles of any other type are in play
+ * - blocksExclusive(obstacle): whether the obstacle holds back exclusive
+ *   types while in play (default: every obstacle does)
+ * - trail: attach a pooled speed-line trail (started by telegraph)
+ * - lanes: lane names a wave script may pass in a "lane" field; types
+ *   without lanes take no lane
+ * - scriptOptions: other spawn options wave scripts may set, with their
+ *   allowed values, e.g. { side: ["left", "right"] }
+ *
+ * Hooks receive the spawn record { type, sprite, trail, options,
+ * spawnTime, inPlay }. Touching the player is handled by ObstacleSpawner for
+ * every type: the player takes a hit and the obstacle is released. Landing
+ * or exiting scores the obstacle as dodged, unless it touched the player
+ * without hurting them (shield or invincibility frames).
+ */
+
+// ============================================================================
+// REGISTRY
+// ============================================================================
+
+/**
+ * Registered definitions by type name
+ * @type {Object<string, Object>}
+ */
+const OBSTACLE_TYPES = {};
+
+/**
+ * Registers an obstacle type
+ *
+ * @param {string} name - Type name used by spawn() and wave scripts
+ * @param {Object} definition - Type definition (see module docs)
+ * @throws {Error} If the name is taken or a required field is missing
+ */
+export function registerObstacleType(name, definition) {
+  if (OBSTACLE_TYPES[name]) {
+    throw new Error(`Obstacle type "${name}" is already registered`);
+  }
+  if (typeof definition.texture !== "string") {
+    throw new Error(`Obstacle type "${name}" needs a texture`);
+  }
+  if (typeof definition.spawn !== "function") {
+    throw new Error(`Obstacle type "${name}" needs a spawn function`);
+  }
+
+  OBSTACLE_TYPES[name] = {
+    maxActive: 1,
+    exclusive: false,
+    trail: false,
+    lanes: null,
+    scriptOptions: {},
+    updateInterval: 50,
+    exitInterval: 250,
+    ...definition,
+  };
+}
+
+/**
+ * Returns a registered obstacle type's definition
+ *
+ * @param {string} name - Type name
+ * @returns {Object|null} Definition, or null if not registered
+ */
+export function getObstacleType(name) {
+  return OBSTACLE_TYPES[name] || null;
+}
+
+/**
+ * Returns every registered type name, in registration order
+ *
+ * @returns {string[]} Type names
+ */
+export function getObstacleTypeNames() {
+  return Object.keys(OBSTACLE_TYPES);
+}
+
+// ============================================================================
+// BUILT-IN TYPES
+// ============================================================================
+
+/**
+ * Spike warning duration (ms) and fall gravity per variant
+ * Targeted spikes scale both with the difficulty multiplier
+ * @constant {Object<string, {warning: number, gravity: number, scaled: boolean}>}
+ */
+const SPIKE_VARIANTS = {
+  targeted: { warning: 800, gravity: 4000, scaled: true }, // Wave 1
+  lane: { warning: 500, gravity: 4500, scaled: false }, // Lane attacks
+  shower: { warning: 400, gravity: 5000, scaled: false }, // Spike showers
+};
+
+/**
+ * Spike: falls from above after a warning phase
+ *
+ * Options:
+ * - lane: lane index to fall in (targets the player's position if omitted)
+ * - variant: "targeted", "lane" or "shower" (defaults to "targeted"
+ *   without a lane and "lane" with one)
+ */
+registerObstacleType("spike", {
+  texture: "spike",
+  maxActive: 10, // A full spike shower
+  trail: true,
+  lanes: ["left", "right", "player"],
+
+  // Shower spikes rain down around the other obstacles, so a boss's ball
+  // support starts on time even while the last of a shower falls
+  blocksExclusive: ({ options }) => options.variant !== "shower",
+
+  spawn(spawner, { lane }) {
+    const x =
+      lane === undefined
+        ? spawner.playerController.player.x
+        : spawner.scene.lanes.getX(lane);
+
+    const spike = spawner.acquireObstacle("spike", x, -100);
+    spike.setScale(GAME_CONFIG.PLAYER.SCALE - 10);
+    spike.setDepth(5);
+    spike.body.setAllowGravity(false);
+    return spike;
+  },
+
+  // Slow descent to the warning position (y: 150), then a rapid fall
+  telegraph(spawner, obstacle) {
+    const { sprite, trail, options } = obstacle;
+    const variant =
+      SPIKE_VARIANTS[
+        options.variant || (options.lane === undefined ? "targeted" : "lane")
+      ];
+    const speed = variant.scaled ? spawner.difficultyMultiplier : 1;
+
+    spawner.scene.tweens.add({
+      targets: sprite,
+      y: 150,
+      duration: variant.warning / speed,
+      onComplete: () => {
+        // Play audio cue when spike begins falling
+        if (spawner.scene.audioManager) {
+          spawner.scene.audioManager.playSpikeSound();
+        }
+
+        sprite.body.setAllowGravity(true);
+        sprite.setGravityY(variant.gravity * speed);
+        if (trail) trail.start();
+
+        spawner.events.emit("telegraphed", obstacle);
+      },
+    });
+  },
+
+  // Crumbles: fades out and shrinks over 200ms
+  land(spawner, { sprite }) {
+    spawner.scene.tweens.add({
+      targets: sprite,
+      alpha: 0,
+      scale: 0,
+      duration: 200,
+      onComplete: () => spawner.releaseObstacle(sprite),
+    });
+  },
+});
+
+/**
+ * Ball: rolls along the ground from a screen edge at
+ * 650 * difficultyMultiplier
+ *
+ * Options:
+ * - side: "left" or "right" edge to roll in from; defaults to the edge
+ *   opposite the player (the right when the player is in the middle of
+ *   the screen, e.g. the middle lane of an odd lane count)
+ */
+registerObstacleType("ball", {
+  texture: "red",
+  exclusive: true,
+  exitInterval: 100,
+  scriptOptions: { side: ["left", "right"] },
+
+  spawn(spawner, { side }) {
+    const scene = spawner.scene;
+
+    // Determine spawn side based on the player's position
+    const spawnFromRight = side
+      ? side === "right"
+      : scene.lanes.isOnLeft(spawner.playerController.player.x);
+
+    const spawnX = spawnFromRight ? 1200 : -120;
+    const velocity =
+      (spawnFromRight ? -650 : 650) * spawner.difficultyMultiplier;
+
+    const ball = spawner.acquireObstacle(
+      "ball",
+      spawnX,
+      GAME_CONFIG.GROUND.Y - 50
+    );
+    ball.setScale(GAME_CONFIG.PLAYER.SCALE - 10);
+    ball.setCircle(ball.width / 2); // Circular hitbox for accurate collision
+    ball.setDepth(5);
+    ball.body.setAllowGravity(false);
+    ball.setVelocityX(velocity);
+
+    if (scene.audioManager) {
+      scene.audioManager.playRollSound();
+    }
+
+    // Continuous rotation in the direction of travel
+    scene.tweens.add({
+      targets: ball,
+      angle: spawnFromRight ? -360 : 360,
+      duration: 1000 / spawner.difficultyMultiplier,
+      repeat: -1,
+    });
+
+    return ball;
+  },
+
+  hasExited: (sprite) => sprite.x < -400 || sprite.x > 1500,
+});
+
+/**
+ * Weave: falls at 400 * difficultyMultiplier while swinging 250px either
+ * side of the screen center
+ *
+ * Motion updates every 50ms rather than every frame, which is
+ * imperceptible but much cheaper during busy Wave 2 and 3 sequences.
+ */
+const WEAVE_UPDATE_INTERVAL = 50;
+
+registerObstacleType("weave", {
+  texture: "weave",
+  exclusive: true,
+  updateInterval: WEAVE_UPDATE_INTERVAL,
+  exitInterval: 250,
+
+  spawn(spawner) {
+    const weave = spawner.acquireObstacle("weave", 540, -100);
+    weave.setScale(GAME_CONFIG.PLAYER.SCALE - 5);
+    weave.setDepth(5);
+    weave.body.setAllowGravity(false);
+    weave.setVelocityY(400 * spawner.difficultyMultiplier);
+    return weave;
+  },
+
+  update(spawner, obstacle) {
+    // Counted in update ticks rather than read from time.now: the timer
+    // follows time.timeScale, so slow time slows the swing with the fall
+    obstacle.swingTime = (obstacle.swingTime || 0) + WEAVE_UPDATE_INTERVAL;
+    obstacle.sprite.x = 540 + Math.sin(obstacle.swingTime * 0.003) * 250;
+  },
+
+  hasExited: (sprite) => sprite.y > 2000,
+});
@@ -1,6 +1,7 @@
 // src/game/scenes/Boot.js
 
 import { Scene } from "phaser";
+import { bindRegistry, loadSaveIntoRegistry } from "../utils/SaveData";
 
 export class Boot extends Scene {
   constructor() {
@@ -137,6 +138,10 @@ export class Boot extends Scene {
   }
 
   create() {
+    // Restore progress and settings from the previous session
+    loadSaveIntoRegistry(this.registry);
+    bindRegistry(this.registry);
+
     // Small delay to ensure font is loaded
     this.time.delayedCall(500, () => {
       // Transition to Game scene
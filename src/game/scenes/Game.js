@@ -14,6 +14,25 @@ import { LevelManager } from "../controllers/LevelManager";
 import { GameOverManager } from "../controllers/GameOverManager";
 import { EndingScreenManager } from "../controllers/EndingScreenManager";
 import { AudioManager } from "../controllers/AudioManager";
+import { ReplayManager } from "../controllers/ReplayManager";
+import { PauseManager } from "../controllers/PauseManager";
+import { SettingsManager } from "../controllers/SettingsManager";
+import { ScoreManager } from "../controllers/ScoreManager";
+import { NameEntryManager } from "../controllers/NameEntryManager";
+import { GamepadManager } from "../controllers/GamepadManager";
+import { getWaveScript } from "../waves/WaveScripts";
+import { SeededRandom } from "../utils/SeededRandom";
+import { LaneLayout } from "../utils/LaneLayout";
+import {
+  getDailyKey,
+  getDailySeed,
+  recordDailyResult,
+} from "../utils/DailyChallenge";
+import { loadSaveIntoRegistry, recordStats } from "../utils/SaveData";
+import {
+  addLeaderboardEntry,
+  qualifiesForLeaderboard,
+} from "../utils/Leaderboard";
 
 // ===== DEVELOPMENT MODE =====
 // Set this to true to skip tutorial, dialogue, and wave 1
@@ -40,6 +59,16 @@ export class Game extends Scene {
     // Reset lives at the start of create
     this.lives = GAME_CONFIG.PLAYER.MAX_LIVES;
 
+    // Leaving a replay: put back the player's own progress flags
+    if (
+      this.registry.get("replayPlayback") &&
+      !this.registry.get("pendingReplay")
+    ) {
+      this.registry.set("replayPlayback", false);
+      loadSaveIntoRegistry(this.registry);
+    }
+
+    this.setupRun();
     this.setupManagers();
     this.setupPhysicsOptimizations();
     this.backgroundManager.setup();
@@ -62,6 +91,58 @@ export class Game extends Scene {
     }
   }
 
+  setupRun() {
+    this.runSetup = this.getRunSetup();
+    this.runSeed = this.runSetup.seed;
+    this.rng = new SeededRandom(this.runSeed);
+    this.lanes = new LaneLayout(this.runSetup.laneCount);
+  }
+
+  // How this run starts, worked out in one place for the seed, the lanes,
+  // recording and results:
+  // - Replays reuse their recorded mode, seed and lane count
+  // - Daily Challenge runs share the day's seed on the default lanes. The
+  //   day is fixed here, so a run crossing UTC midnight counts for the
+  //   challenge it played
+  // - Other runs (and the title screen) are random, on the lane setting
+  getRunSetup() {
+    const replay = this.isTitleScreen
+      ? null
+      : this.registry.get("pendingReplay");
+    const mode = this.isTitleScreen
+      ? null
+      : this.registry.get("gameMode") || "story";
+
+    if (replay) {
+      return {
+        mode,
+        replay,
+        seed: replay.seed,
+        laneCount: replay.laneCount,
+        dailyKey: null,
+      };
+    }
+
+    if (mode === "daily") {
+      const dailyKey = getDailyKey();
+      return {
+        mode,
+        replay: null,
+        seed: getDailySeed(dailyKey),
+        laneCount: GAME_CONFIG.LANES.DEFAULT_COUNT,
+        dailyKey,
+      };
+    }
+
+    return {
+      mode,
+      replay: null,
+      seed: SeededRandom.randomSeed(),
+      laneCount: SettingsManager.getSettings(this.registry).laneCount,
+      dailyKey: null,
+    };
+  }
+
   setupUI() {
     this.hearts = [];
     for (let i = 0; i < GAME_CONFIG.PLAYER.MAX_LIVES; i++) {
@@ -89,18 +170,33 @@ export class Game extends Scene {
       }
     }
 
+    // Getting hit breaks the combo
+    this.scoreManager.resetCombo();
+
     // Camera shake for feedback
-    this.cameras.main.shake(200, 0.01);
+    this.shakeCamera(200, 0.01);
 
     if (this.lives <= 0) {
       this.gameOver();
     }
   }
 
+  // Camera shake scaled by the player's shake intensity setting
+  shakeCamera(duration, intensity) {
+    const { shakeIntensity } = SettingsManager.getSettings(this.registry);
+    if (shakeIntensity <= 0) return;
+
+    this.cameras.main.shake(duration, intensity * shakeIntensity);
+  }
+
   gameOver() {
-    // Store the current wave before game over
-    const currentWave = this.levelManager?.currentWave || 1;
-    this.registry.set("restartWave", currentWave);
+    const isEndless = this.levelManager?.isEndless;
+
+    // Store the current wave before game over (story mode only)
+    if (!isEndless) {
+      const currentWave = this.levelManager?.currentWave || 1;
+      this.registry.set("restartWave", currentWave);
+    }
 
     // Stop all music immediately
     if (this.audioManager) {
@@ -115,30 +211,78 @@ export class Game extends Scene {
         this.levelManager.spawnTimer.remove();
         this.levelManager.spawnTimer = null;
       }
-      if (this.levelManager.difficultyEvent) {
-        this.levelManager.difficultyEvent.remove();
-        this.levelManager.difficultyEvent = null;
-      }
-      if (this.levelManager.levelEndTimer) {
-        this.levelManager.levelEndTimer.remove();
-        this.levelManager.levelEndTimer = null;
+      this.levelManager.stopDifficultyRamp();
+    }
+
+    // Endless runs report how long the player lasted
+    let summary = isEndless ? this.levelManager.getRunSummary() : null;
+
+    // Daily Challenge keeps the best result per day and lifetime stats
+    // are saved (neither for replays)
+    if (!this.replayManager.isPlayback) {
+      if (summary && this.runSetup.mode === "daily") {
+        summary = {
+          ...summary,
+          ...recordDailyResult(summary, this.runSetup.dailyKey),
+        };
       }
+
+      recordStats({
+        deaths: 1,
+        obstaclesDodged: this.levelManager?.obstaclesDodged || 0,
+        endlessTime:
+          summary && this.runSetup.mode === "endless"
+            ? summary.timeSurvived
+            : 0,
+      });
     }
 
     this.time.removeAllEvents();
     this.physics.pause();
     this.player.setTint(0xff0000);
 
-    this.gameOverManager.show(() => {
-      this.isTitleScreen = false;
-      this.registry.set("tutorialCompleted", true);
-      this.registry.set("skipDialogue", true);
-      this.scene.restart();
+    this.submitScore(() => {
+      this.gameOverManager.show(
+        () => {
+          this.isTitleScreen = false;
+          this.registry.set("tutorialCompleted", true);
+          this.registry.set("skipDialogue", true);
+          this.scene.restart();
+        },
+        { ...summary, score: this.scoreManager.getBreakdown() },
+        () => this.replayManager.exportReplay()
+      );
+    });
+  }
+
+  // Asks for a name when the run's score makes the mode's leaderboard,
+  // then continues with onComplete (replays never submit)
+  submitScore(onComplete) {
+    const mode = this.runSetup.mode;
+    const { score } = this.scoreManager.getBreakdown();
+
+    if (
+      this.replayManager.isPlayback ||
+      !qualifiesForLeaderboard(mode, score)
+    ) {
+      onComplete();
+      return;
+    }
+
+    this.nameEntryManager.show(score, (name) => {
+      addLeaderboardEntry({
+        name,
+        score,
+        wave: this.levelManager.getWaveReached(),
+        mode,
+      });
+      onComplete();
     });
   }
 
   setupManagers() {
     this.audioManager = new AudioManager(this);
+    this.gamepadManager = new GamepadManager(this);
     this.transitionManager = new TransitionManager(this);
     this.backgroundManager = new BackgroundManager(this);
     this.dialogueManager = new DialogueManager(this);
@@ -159,10 +303,15 @@ export class Game extends Scene {
     this.titleScreenManager.setupUI();
     this.titleScreenManager.setupPlayer(this.ground);
 
-    this.onTitlePlayPressed = () => this.startGame();
+    this.onTitlePlayPressed = () => this.startGame("story");
+    this.onTitleEndlessPressed = () => this.startGame("endless");
+    this.onTitleDailyPressed = () => this.startGame("daily");
+    this.onTitleReplayLoaded = (replay) => this.startReplay(replay);
   }
 
-  startGame() {
+  startGame(mode) {
+    this.registry.set("gameMode", mode);
+
     this.transitionManager.closeIris(() => {
       this.isTitleScreen = false;
       this.registry.set("shouldOpenIris", true);
@@ -170,11 +319,27 @@ export class Game extends Scene {
     });
   }
 
+  startReplay(replay) {
+    // Recreate the story flags the replay was recorded with (not saved)
+    this.registry.set("replayPlayback", true);
+    this.registry.set("pendingReplay", replay);
+    this.registry.set("restartWave", replay.startWave);
+    this.registry.set("tutorialCompleted", replay.tutorialCompleted);
+    this.registry.set("skipDialogue", replay.skipDialogue);
+
+    this.startGame(replay.gameMode);
+  }
+
   setupGameplay() {
     this.setupPlayer();
     this.setupParticles();
     this.setupInput();
     this.setupUI();
+    this.setupReplay();
+
+    this.scoreManager = new ScoreManager(this);
+    this.pauseManager = new PauseManager(this);
+    this.nameEntryManager = new NameEntryManager(this);
 
     this.levelManager = new LevelManager(this, this.playerController);
 
@@ -220,19 +385,36 @@ export class Game extends Scene {
     this.inputHandler = new InputHandler(this, this.playerController);
   }
 
+  setupReplay() {
+    this.replayManager = new ReplayManager(this);
+
+    const { mode, replay } = this.runSetup;
+    if (replay) {
+      this.registry.set("pendingReplay", null);
+      this.replayManager.startPlayback(replay);
+      return;
+    }
+
+    // Capture how this run starts before setupTutorial consumes the flags
+    const restartWave = this.registry.get("restartWave");
+
+    this.replayManager.startRecording({
+      seed: this.runSeed,
+      gameMode: mode,
+      startWave: mode === "story" && restartWave > 1 ? restartWave : 1,
+      laneCount: this.lanes.mode,
+      tutorialCompleted: Boolean(this.registry.get("tutorialCompleted")),
+      skipDialogue: Boolean(this.registry.get("skipDialogue")),
+    });
+    recordStats({ runsStarted: 1 });
+  }
+
   setupTutorial() {
     // ===== DEV MODE SHORTCUT =====
     if (DEV_MODE) {
       this.registry.set("tutorialCompleted", true);
       this.time.delayedCall(500, () => {
-        let waveName = " ";
-        if (DEV_START_WAVE === 1) {
-          waveName = "FIRST WAVE";
-        } else if (DEV_START_WAVE === 2) {
-          waveName = "SECOND WAVE";
-        } else if (DEV_START_WAVE === 3) {
-          waveName = "THIRD WAVE";
-        }
+        const waveName = getWaveScript(DEV_START_WAVE)?.name || " ";
 
         this.displayWaveText(waveName, () => {
           this.levelManager.startLevel(60, DEV_START_WAVE);
@@ -242,18 +424,26 @@ export class Game extends Scene {
     }
     // =============================
 
+    // Endless and Daily Challenge modes skip the story entirely
+    const { mode } = this.runSetup;
+    if (mode === "endless" || mode === "daily") {
+      const title = mode === "daily" ? "DAILY CHALLENGE" : "ENDLESS";
+
+      this.time.delayedCall(500, () => {
+        this.audioManager.startBackgroundMusic();
+        this.displayWaveText(title, () => {
+          this.levelManager.startEndless();
+        });
+      });
+      return;
+    }
+
     // Check if we're restarting from a game over
     const restartWave = this.registry.get("restartWave");
 
     if (restartWave && restartWave > 1) {
       // Player died and needs to restart at their current wave
-
-      let waveName = "";
-      if (restartWave === 2) {
-        waveName = "SECOND WAVE";
-      } else if (restartWave === 3) {
-        waveName = "THIRD WAVE";
-      }
+      const waveName = getWaveScript(restartWave)?.name || "";
 
       this.time.delayedCall(500, () => {
         this.displayWaveText(waveName, () => {
@@ -276,7 +466,7 @@ export class Game extends Scene {
       if (this.registry.get("skipDialogue")) {
         this.registry.set("skipDialogue", false);
         this.time.delayedCall(500, () => {
-          this.displayWaveText("FIRST WAVE", () => {
+          this.displayWaveText(getWaveScript(1).name, () => {
             this.levelManager.startLevel(60);
           });
         });
@@ -313,7 +503,7 @@ export class Game extends Scene {
 
   startIntroSequence() {
     this.dialogueManager.showDialogue(this.dialogueManager.introLines, () => {
-      this.displayWaveText("FIRST WAVE", () => {
+      this.displayWaveText(getWaveScript(1).name, () => {
         this.levelManager.startLevel(60);
       });
     });
@@ -344,13 +534,16 @@ export class Game extends Scene {
     this.textures.addCanvas("plasma", canvas);
   }
 
-  update() {
+  update(time) {
+    this.gamepadManager.update(time);
+
     if (this.isTitleScreen) {
       this.titleScreenManager?.update();
     } else {
       // Only update if playerController exists and player is properly initialized
       if (this.playerController && this.player && this.player.body) {
         this.playerController.update();
+        this.scoreManager.update();
       }
     }
   }
@@ -0,0 +1,244 @@
+// src/game/sim/Autopilot.js
+
+import { GAME_CONFIG } from "../config/GameConfig";
+
+/**
+ * How far ahead obstacle paths are predicted, in ms
+ * Covers a full jump, so a jump is never started into a ball that arrives
+ * as the player lands.
+ * @constant {number}
+ */
+const LOOKAHEAD = 1400;
+
+/**
+ * Time between predicted positions, in ms
+ * @constant {number}
+ */
+const LOOKAHEAD_STEP = 20;
+
+/**
+ * A hit expected sooner than this (ms) is dodged even if no move clears
+ * every obstacle; later ones wait for a move that does
+ * @constant {number}
+ */
+const PANIC_TIME = 300;
+
+/**
+ * Distance (px) at which the autopilot dashes into a boss bullet to
+ * deflect it
+ * @constant {number}
+ */
+const DEFLECT_RANGE = 260;
+
+/**
+ * Extra margin (px) added to every hitbox when predicting contact
+ * @constant {number}
+ */
+const SAFETY_MARGIN = 10;
+
+/**
+ * World gravity, matching the arcade physics config in main.js
+ * @constant {number}
+ */
+const WORLD_GRAVITY = 2000;
+
+/**
+ * Autopilot
+ *
+ * An input function for runSimulation() that plays the game, so tests can
+ * check a wave is survivable without a recorded input script:
+ *
+ *   runSimulation({ wave: 3, seed: 1, inputs: autopilot });
+ *
+ * Every step it predicts where each spike, ball and weave will be over
+ * the next LOOKAHEAD ms (spikes fall under gravity and rest on the ground,
+ * balls roll in a straight line, weaves follow their swing). If staying
+ * put runs into one, it dashes to a neighboring lane (one dash over with
+ * free movement) or jumps, taking the first move that clears everything,
+ * or the move that puts the hit off longest once it is close. Boss
+ * bullets heading for the player are dashed into and deflected.
+ *
+ * Decisions depend only on the scene, so a seed still gives the same run.
+ *
+ * @param {SimScene} scene - Simulated scene
+ * @returns {string|null} Action to perform this step, or null
+ */
+export function autopilot(scene) {
+  const playerController = scene.playerController;
+  const player = scene.player;
+  if (playerController.isDashing) return null;
+
+  const lanes = scene.lanes;
+  const lane = lanes.getLane(player.x);
+
+  // ===== Boss Bullets =====
+  // Only shots on course for the player: with free movement, a lane
+  // volley can pass close by without being a threat
+  const bullets = scene.levelManager.bossManager.bulletPool.live;
+  const incoming = bullets.some(
+    (bullet) =>
+      bullet.active &&
+      !bullet.deflected &&
+      Math.hypot(bullet.x - player.x, bullet.y - player.y) < DEFLECT_RANGE &&
+      timeUntilHit(player, [predictLinear(bullet)], player.x, false) !==
+        Infinity
+  );
+  // Deflect by dashing away from the nearer edge
+  if (incoming) return lane < lanes.lastLane / 2 ? "dashRight" : "dashLeft";
+
+  // ===== Obstacles =====
+  const paths = predictObstacles(scene);
+  if (paths.length === 0) return null;
+
+  const stay = timeUntilHit(player, paths, player.x, false);
+  if (stay === Infinity) return null;
+
+  const moves = [];
+  [
+    [-1, "dashLeft"],
+    [1, "dashRight"],
+  ].forEach(([direction, action]) => {
+    const targetX = lanes.getX(lanes.getNextLane(player.x, direction));
+    if (Math.abs(targetX - player.x) < 1) return; // Already at the edge
+
+    moves.push({ action, hit: timeUntilHit(player, paths, targetX, false) });
+  });
+  if (playerController.isGrounded()) {
+    moves.push({
+      action: "jump",
+      hit: timeUntilHit(player, paths, player.x, true),
+    });
+  }
+
+  const clear = moves.find((move) => move.hit === Infinity);
+  if (clear) return clear.action;
+  if (stay > PANIC_TIME) return null;
+
+  let best = null;
+  let bestHit = stay;
+  moves.forEach((move) => {
+    if (move.hit > bestHit) {
+      best = move.action;
+      bestHit = move.hit;
+    }
+  });
+  return best;
+}
+
+/**
+ * Builds a position-over-time function for every obstacle in play
+ * Landed spikes still count while they crumble, since they can still hit.
+ *
+ * @param {SimScene} scene - Simulated scene
+ * @returns {Array<{width: number, height: number, at: Function}>} Paths;
+ *          at(ms) returns the obstacle's {x, y} that far ahead
+ * @private
+ */
+function predictObstacles(scene) {
+  const pools = scene.levelManager.obstacleSpawner.pools;
+  const paths = [];
+
+  pools.spike.live.forEach((spike) => {
+    const { x, y } = spike;
+    const velocity = spike.body.velocity.y;
+    const falling = spike.body.allowGravity && !spike.hasLanded;
+    const gravity = WORLD_GRAVITY + spike.body.gravity.y;
+    const restY = GAME_CONFIG.GROUND.Y - spike.displayHeight / 2;
+
+    paths.push({
+      width: spike.displayWidth,
+      height: spike.displayHeight,
+      at: (ms) => {
+        if (!falling) return { x, y };
+        const s = ms / 1000;
+        return { x, y: Math.min(restY, y + velocity * s + 0.5 * gravity * s * s) };
+      },
+    });
+  });
+
+  pools.ball.live.forEach((ball) => paths.push(predictLinear(ball)));
+
+  pools.weave.live.forEach((weave) => {
+    const { y } = weave;
+    const velocity = weave.body.velocity.y;
+    const swingTime = weave.obstacle.swingTime || 0;
+
+    // Same swing as the weave type's update() in obstacles/ObstacleTypes.js
+    paths.push({
+      width: weave.displayWidth,
+      height: weave.displayHeight,
+      at: (ms) => ({
+        x: 540 + Math.sin((swingTime + ms) * 0.003) * 250,
+        y: y + (velocity * ms) / 1000,
+      }),
+    });
+  });
+
+  return paths;
+}
+
+/**
+ * Builds the path of a sprite moving in a straight line at its current
+ * velocity (balls, boss bullets)
+ *
+ * @param {SimGameObject} sprite - Moving sprite
+ * @returns {{width: number, height: number, at: Function}} Path
+ * @private
+ */
+function predictLinear(sprite) {
+  const { x, y } = sprite;
+  const { x: velocityX, y: velocityY } = sprite.body.velocity;
+
+  return {
+    width: sprite.displayWidth,
+    height: sprite.displayHeight,
+    at: (ms) => ({
+      x: x + (velocityX * ms) / 1000,
+      y: y + (velocityY * ms) / 1000,
+    }),
+  };
+}
+
+/**
+ * Predicts how soon the player runs into an obstacle after a move
+ *
+ * @param {SimGameObject} player - Player sprite
+ * @param {Object[]} paths - Obstacle paths from predictObstacles()
+ * @param {number} targetX - X the player dashes to (player.x to stay)
+ * @param {boolean} jump - Whether the player jumps
+ * @returns {number} ms until the first contact, or Infinity if none
+ *          within LOOKAHEAD
+ * @private
+ */
+function timeUntilHit(player, paths, targetX, jump) {
+  const dashDuration = GAME_CONFIG.MOVEMENT.DASH_DURATION;
+
+  for (let ms = 0; ms <= LOOKAHEAD; ms += LOOKAHEAD_STEP) {
+    const s = ms / 1000;
+    const x =
+      ms >= dashDuration
+        ? targetX
+        : player.x + (targetX - player.x) * (ms / dashDuration);
+    const y = jump
+      ? Math.min(
+          player.y,
+          player.y +
+            GAME_CONFIG.MOVEMENT.JUMP_VELOCITY * s +
+            0.5 * WORLD_GRAVITY * s * s
+        )
+      : player.y;
+
+    const hit = paths.some((path) => {
+      const position = path.at(ms);
+      return (
+        Math.abs(position.x - x) <
+          (path.width + player.displayWidth) / 2 + SAFETY_MARGIN &&
+        Math.abs(position.y - y) <
+          (path.height + player.displayHeight) / 2 + SAFETY_MARGIN
+      );
+    });
+    if (hit) return ms;
+  }
+
+  return Infinity;
+}
@@ -0,0 +1,413 @@
+// src/game/sim/HeadlessRunner.js
+
+import { GAME_CONFIG } from "../config/GameConfig";
+import { LevelManager } from "../controllers/LevelManager";
+import { PlayerController } from "../controllers/PlayerController";
+import { ScoreManager } from "../controllers/ScoreManager";
+import { SimScene } from "./SimScene";
+
+/**
+ * Actions an input script can perform (PlayerController methods)
+ * @constant {string[]}
+ */
+export const SIM_ACTIONS = [
+  "jump",
+  "fastDrop",
+  "dashLeft",
+  "dashRight",
+  "holdLeft",
+  "holdRight",
+  "releaseLeft",
+  "releaseRight",
+];
+
+/**
+ * Default cap on simulated time, in ms
+ * @constant {number}
+ */
+const DEFAULT_MAX_TIME = 10 * 60 * 1000;
+
+/**
+ * HeadlessRunner
+ *
+ * Runs a wave (or an Endless run) in Node on a SimScene, using the real
+ * LevelManager, WaveManager, ObstacleSpawner, BossManager, PlayerController
+ * and ScoreManager, and reports what happened.
+ *
+ * The clock advances in fixed steps of GAME_CONFIG.REPLAY.STEP_MS, the same
+ * timestep replays use, so a seed plus an input script always gives the
+ * same result. Every action performed is recorded in the report in replay
+ * format, so feeding report.actions back in as the input script replays
+ * the run. Dialogue and wave titles complete instantly.
+ *
+ * A run ends when the player runs out of lives, when the wave is over
+ * (the next wave would start, or the ending sequence begins) or when
+ * maxTime of simulated time has passed.
+ *
+ * Example:
+ *   const report = runSimulation({
+ *     wave: 2,
+ *     seed: 42,
+ *     inputs: [{ time: 1500, action: "jump" }],
+ *   });
+ *   report.stopLevelFired; // true once the wave's script ran out
+ *   report.survived; // false if every life was lost
+ */
+
+/**
+ * Simulates a run and returns its report
+ *
+ * @param {Object} [options]
+ * @param {number|string} [options.wave=1] - Wave to start (1-3) or "endless"
+ * @param {number} [options.seed=1] - Seed for scene.rng
+ * @param {Array<{time: number, step: number, action: string}>|Function} [options.inputs=[]] -
+ *        Input script: actions with times in ms since the run started, or
+ *        with the step they happened on (a replay's actions work as-is,
+ *        other actions are ignored), or a function called every step with
+ *        (scene) that returns an action name or null
+ * @param {number} [options.lives] - Starting lives (Infinity to never die)
+ * @param {number|string} [options.laneCount] - Number of lanes, or "free"
+ *        for free movement (defaults to GAME_CONFIG.LANES.DEFAULT_COUNT)
+ * @param {number} [options.maxTime] - Simulated time limit in ms
+ * @param {boolean} [options.stopAtWaveEnd=true] - false to keep playing
+ *        into the following waves
+ * @param {string|number} [options.bossPhase] - Name or index of the phase
+ *        boss timelines start at, if they have it (see
+ *        bosses/BossTimelines.js)
+ * @param {boolean} [options.profile=false] - Time every step and add a
+ *        "profile" section to the report (see summarizeProfile)
+ * @returns {Object} Report: outcome flags, score, per-type counts, the
+ *          actions performed and a timeline of {time, event, ...detail}
+ *          entries
+ */
+export function runSimulation(options = {}) {
+  const {
+    wave = 1,
+    seed = 1,
+    inputs = [],
+    lives,
+    laneCount,
+    maxTime = DEFAULT_MAX_TIME,
+    stopAtWaveEnd = true,
+    bossPhase,
+    profile = false,
+  } = options;
+
+  const stepMs = GAME_CONFIG.REPLAY.STEP_MS;
+  const timeline = [];
+  const actions = [];
+  const outcome = {
+    stopLevelFired: false,
+    waveCompleted: false,
+    reachedEnding: false,
+  };
+
+  const scene = new SimScene({
+    seed,
+    lives,
+    laneCount,
+    onEvent: (event, detail) => {
+      timeline.push({ time: Math.round(scene.time.now), event, ...detail });
+    },
+  });
+
+  scene.setupGround();
+  scene.setupPlayer();
+  scene.playerController = new PlayerController(
+    scene,
+    scene.player,
+    scene.particleEffects
+  );
+  scene.scoreManager = new ScoreManager(scene);
+  scene.levelManager = new LevelManager(scene, scene.playerController);
+
+  instrument(scene, outcome, stopAtWaveEnd, bossPhase);
+
+  // ===== Start =====
+  if (wave === "endless") {
+    scene.levelManager.startEndless();
+  } else {
+    scene.levelManager.startLevel(60, wave);
+  }
+
+  // ===== Main Loop =====
+  const script = typeof inputs === "function" ? null : sortInputs(inputs);
+  let nextInput = 0;
+  let step = 0;
+
+  // Replay actions carry their step; times alone are rounded to the ms
+  const isDue = (input) =>
+    input.step !== undefined
+      ? input.step <= step
+      : input.time <= scene.time.now;
+
+  // Records actions as ReplayManager.record() does
+  const perform = (action) => {
+    if (!performAction(scene, action)) return;
+    actions.push({ step, time: Math.round(step * stepMs), action });
+  };
+
+  // Step durations in ms, and the most colliders and bodies seen at once
+  const frameTimes = [];
+  const peaks = { colliders: 0, bodies: 0 };
+
+  const isFinished = () =>
+    scene.isGameOver ||
+    scene.time.now >= maxTime ||
+    (stopAtWaveEnd && outcome.waveCompleted) ||
+    outcome.reachedEnding;
+
+  while (!isFinished()) {
+    if (script) {
+      while (nextInput < script.length && isDue(script[nextInput])) {
+        perform(script[nextInput].action);
+        nextInput++;
+      }
+    } else {
+      const action = inputs(scene);
+      if (action) perform(action);
+    }
+
+    if (profile) {
+      const start = performance.now();
+      scene.step(stepMs);
+      frameTimes.push(performance.now() - start);
+
+      peaks.colliders = Math.max(
+        peaks.colliders,
+        scene.physics.colliders.length
+      );
+      peaks.bodies = Math.max(peaks.bodies, scene.physics.world.bodies.size);
+    } else {
+      scene.step(stepMs);
+    }
+    step++;
+  }
+
+  const report = buildReport(scene, timeline, outcome, actions, step, {
+    wave,
+    seed,
+    laneCount: scene.lanes.mode,
+    maxTime,
+  });
+  if (profile) report.profile = summarizeProfile(frameTimes, peaks);
+
+  return report;
+}
+
+/**
+ * Wraps LevelManager and WaveManager methods to record the wave's progress
+ *
+ * @param {SimScene} scene - Simulated scene
+ * @param {Object} outcome - Flags updated as the run progresses
+ * @param {boolean} stopAtWaveEnd - Whether the next wave may start
+ * @param {string|number} [bossPhase] - Phase boss timelines start at
+ * @private
+ */
+function instrument(scene, outcome, stopAtWaveEnd, bossPhase) {
+  const levelManager = scene.levelManager;
+  const waveManager = levelManager.waveManager;
+  const bossManager = levelManager.bossManager;
+
+  bossManager.events.on("phaseStart", (phase) => {
+    scene.report("bossPhase", { name: phase.name });
+  });
+
+  if (bossPhase !== undefined) {
+    // Timelines without that phase (e.g. Wave 3's mid-wave lane attacks)
+    // play from the start
+    const hasPhase = (timeline) =>
+      typeof bossPhase === "string"
+        ? timeline.phases.some((phase) => phase.name === bossPhase)
+        : bossPhase < timeline.phases.length;
+    const runTimeline = bossManager.runTimeline.bind(bossManager);
+    bossManager.runTimeline = (timeline, maxHp, onComplete) =>
+      runTimeline(
+        timeline,
+        maxHp,
+        onComplete,
+        hasPhase(timeline) ? bossPhase : 0
+      );
+  }
+
+  const stopLevel = levelManager.stopLevel.bind(levelManager);
+  levelManager.stopLevel = () => {
+    outcome.stopLevelFired = true;
+    scene.report("stopLevel", { wave: levelManager.currentWave });
+    stopLevel();
+  };
+
+  const recordDodge = levelManager.recordDodge.bind(levelManager);
+  levelManager.recordDodge = (type, obstacle) => {
+    if (levelManager.isActive) scene.report("dodge", { type });
+    recordDodge(type, obstacle);
+  };
+
+  // Any startLevel after the first means the wave (and its boss) is over
+  const startLevel = levelManager.startLevel.bind(levelManager);
+  let levelsStarted = 0;
+  levelManager.startLevel = (durationSeconds, waveNumber) => {
+    levelsStarted++;
+    if (levelsStarted > 1) {
+      outcome.waveCompleted = true;
+      scene.report("waveComplete", { nextWave: waveNumber });
+      if (stopAtWaveEnd) return;
+    }
+    scene.report("waveStart", { wave: waveNumber || 1 });
+    startLevel(durationSeconds, waveNumber);
+  };
+
+  // The ending screen needs the real scene, so the run stops here
+  waveManager.triggerEndingSequence = () => {
+    outcome.waveCompleted = true;
+    outcome.reachedEnding = true;
+    scene.report("ending", {});
+  };
+}
+
+/**
+ * Sorts an input script by time, dropping actions the player can't perform
+ *
+ * @param {Array<{time: number, action: string}>} inputs - Input script
+ * @returns {Array<{time: number, action: string}>} Playable inputs
+ * @private
+ */
+function sortInputs(inputs) {
+  return inputs
+    .filter((input) => SIM_ACTIONS.includes(input.action))
+    .sort((a, b) => a.time - b.time);
+}
+
+/**
+ * Performs a player action, as InputHandler does
+ *
+ * @param {SimScene} scene - Simulated scene
+ * @param {string} action - One of SIM_ACTIONS
+ * @returns {boolean} Whether the action was performed
+ * @private
+ */
+function performAction(scene, action) {
+  if (!SIM_ACTIONS.includes(action) || scene.isGameOver) return false;
+
+  scene.report("input", { action });
+  scene.playerController[action]();
+  return true;
+}
+
+/**
+ * Summarizes a finished run
+ *
+ * @param {SimScene} scene - Simulated scene
+ * @param {Object[]} timeline - Recorded events
+ * @param {Object} outcome - Progress flags
+ * @param {Array<{step: number, time: number, action: string}>} actions -
+ *        Actions performed
+ * @param {number} steps - Steps simulated
+ * @param {Object} setup - wave, seed, laneCount and maxTime the run used
+ * @returns {Object} Report
+ * @private
+ */
+function buildReport(scene, timeline, outcome, actions, steps, setup) {
+  // Counts one kind of event per obstacle type
+  const tally = (name) =>
+    timeline
+      .filter((entry) => entry.event === name)
+      .reduce((counts, entry) => {
+        counts[entry.type] = (counts[entry.type] || 0) + 1;
+        return counts;
+      }, {});
+
+  return {
+    ...setup,
+    duration: Math.round(scene.time.now),
+    steps,
+    survived: !scene.isGameOver,
+    gameOver: scene.isGameOver,
+    timedOut: scene.time.now >= setup.maxTime,
+    ...outcome,
+    livesLost: timeline.filter((entry) => entry.event === "lifeLost").length,
+    livesLeft: scene.lives,
+    score: scene.scoreManager.getBreakdown().score,
+    spawns: tally("spawn"),
+    collisions: tally("collision"),
+    dodges: tally("dodge"),
+    actions,
+    timeline,
+  };
+}
+
+/**
+ * Summarizes a profiled run
+ *
+ * Step times cover the game logic and SimScene's stand-in physics only;
+ * there is no rendering and no Arcade physics, so they compare runs with
+ * each other rather than predict browser frame times.
+ *
+ * @param {number[]} frameTimes - Duration of every step in ms
+ * @param {{colliders: number, bodies: number}} peaks - Most colliders and
+ *        physics bodies in the world at once
+ * @returns {{meanMs: number, p95Ms: number, maxMs: number,
+ *          totalMs: number, peakColliders: number, peakBodies: number}}
+ * @private
+ */
+function summarizeProfile(frameTimes, peaks) {
+  const sorted = [...frameTimes].sort((a, b) => a - b);
+  const totalMs = frameTimes.reduce((sum, ms) => sum + ms, 0);
+  const round = (ms) => Math.round(ms * 1000) / 1000;
+
+  return {
+    meanMs: round(totalMs / Math.max(frameTimes.length, 1)),
+    p95Ms: round(sorted[Math.floor(sorted.length * 0.95)] || 0),
+    maxMs: round(sorted[sorted.length - 1] || 0),
+    totalMs: Math.round(totalMs),
+    peakColliders: peaks.colliders,
+    peakBodies: peaks.bodies,
+  };
+}
+
+/**
+ * Formats a report as readable lines: a summary, then the timeline
+ *
+ * @param {Object} report - Result of runSimulation()
+ * @returns {string} Multi-line text
+ */
+export function formatReport(report) {
+  const seconds = (ms) => (ms / 1000).toFixed(2).padStart(7) + "s";
+
+  const lines = [
+    `Wave ${report.wave}, seed ${report.seed}, ` +
+      (report.laneCount === "free"
+        ? "free movement: "
+        : `${report.laneCount} lanes: `) +
+      (report.gameOver
+        ? "GAME OVER"
+        : report.waveCompleted
+        ? "WAVE COMPLETE"
+        : "TIME LIMIT") +
+      ` at ${seconds(report.duration).trim()}`,
+    `  stopLevel fired: ${report.stopLevelFired ? "yes" : "no"}`,
+    `  lives lost: ${report.livesLost}`,
+    `  score: ${report.score}`,
+    `  spawns: ${JSON.stringify(report.spawns)}`,
+    `  collisions: ${JSON.stringify(report.collisions)}`,
+    `  dodges: ${JSON.stringify(report.dodges)}`,
+  ];
+
+  if (report.profile) {
+    const { meanMs, p95Ms, maxMs, peakColliders, peakBodies } = report.profile;
+    lines.push(
+      `  step time: mean ${meanMs}ms, p95 ${p95Ms}ms, max ${maxMs}ms`,
+      `  peak colliders: ${peakColliders}, peak bodies: ${peakBodies}`
+    );
+  }
+  lines.push("");
+
+  report.timeline.forEach(({ time, event, ...detail }) => {
+    const fields = Object.keys(detail)
+      .map((key) => `${key}=${detail[key]}`)
+      .join(" ");
+    lines.push(`${seconds(time)}  ${event.padEnd(12)} ${fields}`.trimEnd());
+  });
+
+  return lines.join("\n");
+}
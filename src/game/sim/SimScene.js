@@ -0,0 +1,1218 @@
+// src/game/sim/SimScene.js
+
+import { GAME_CONFIG } from "../config/GameConfig";
+import { LaneLayout } from "../utils/LaneLayout";
+import { SeededRandom } from "../utils/SeededRandom";
+
+/**
+ * World gravity, matching the arcade physics config in main.js
+ * @constant {number}
+ */
+const WORLD_GRAVITY = 2000;
+
+/**
+ * World bounds, matching the game size in main.js
+ * @constant {{width: number, height: number}}
+ */
+const WORLD_BOUNDS = { width: 1080, height: 1920 };
+
+/**
+ * Unscaled frame size per texture key, used to size sprite bodies
+ * Textures not listed are treated as 1x1
+ * @constant {Object<string, number[]>}
+ */
+const FRAME_SIZES = {
+  player: [9, 7],
+  spike: [8, 8],
+  red: [8, 8],
+  weave: [8, 8],
+  shootingBoss: [8, 8],
+  plasma: [32, 32],
+  exclamation: [32, 32],
+  shieldPickup: [7, 7],
+  heartPickup: [7, 7],
+  slowTimePickup: [7, 7],
+  magnetPickup: [7, 7],
+  orbPickup: [5, 5],
+};
+
+/**
+ * Obstacle type reported for each physics texture
+ * @constant {Object<string, string>}
+ */
+const OBSTACLE_TYPES = {
+  spike: "spike",
+  red: "ball",
+  weave: "weave",
+  plasma: "bullet",
+};
+
+/**
+ * Tween config keys that are settings rather than tweened properties
+ * @constant {string[]}
+ */
+const TWEEN_SETTINGS = [
+  "targets",
+  "duration",
+  "delay",
+  "ease",
+  "yoyo",
+  "hold",
+  "repeat",
+  "repeatDelay",
+  "overwrite",
+  "onComplete",
+  "callbackScope",
+];
+
+/**
+ * Easing functions by Phaser name; anything else is linear
+ * @constant {Object<string, Function>}
+ */
+const EASES = {
+  "Cubic.out": (t) => 1 - Math.pow(1 - t, 3),
+  "Sine.easeInOut": (t) => -(Math.cos(Math.PI * t) - 1) / 2,
+  "Back.easeOut": (t) => {
+    const s = 1.70158;
+    const u = t - 1;
+    return u * u * ((s + 1) * u + s) + 1;
+  },
+};
+
+/**
+ * SimScene
+ *
+ * Stand-in for the Game scene so WaveManager, ObstacleSpawner, BossManager
+ * and PlayerController can run in Node without a renderer. It implements
+ * just the parts of the Phaser scene those managers use:
+ * - time: clock driven by step(), with delayed calls and looping events
+ * - tweens: numeric property tweens with delay, hold, yoyo and repeat
+ * - physics: arcade-style bodies with gravity, velocity, overlaps and
+ *   colliders against the static ground, and groups for pooled sprites
+ * - add: display objects that accept Phaser's setters and do nothing
+ * - Game scene members: player, ground, lives, hearts, rng, lanes, updateLives(),
+ *   displayWaveText(), and dialogue / particle stubs that finish instantly
+ * - scoreManager, when the runner sets one, updated every step as the
+ *   Game scene does
+ *
+ * Approximations: every body is an axis-aligned box (circles included),
+ * and only vertical separation is resolved, since the ground is the only
+ * solid body in the game.
+ *
+ * @class
+ */
+export class SimScene {
+  /**
+   * Creates a new SimScene instance
+   *
+   * @param {Object} [options]
+   * @param {number} [options.seed=1] - Seed for scene.rng
+   * @param {number} [options.lives] - Starting lives (defaults to MAX_LIVES)
+   * @param {number|string} [options.laneCount] - Number of lanes, or
+   *        "free" for free movement (defaults to
+   *        GAME_CONFIG.LANES.DEFAULT_COUNT)
+   * @param {Function} [options.onEvent] - Called with (event, detail) for
+   *        spawns, collisions, lives lost and game over
+   */
+  constructor({ seed = 1, lives, laneCount, onEvent } = {}) {
+    this.onEvent = onEvent || (() => {});
+
+    this.time = new SimClock();
+    this.tweens = new SimTweens();
+    this.physics = new SimPhysics(this);
+
+    this.add = {
+      sprite: (x, y, key) => {
+        if (key === "shootingBoss") this.report("boss", { x, y });
+        return new SimGameObject(x, y, key);
+      },
+      image: (x, y, key) => new SimGameObject(x, y, key),
+      text: (x, y, text) => new SimGameObject(x, y, null).setText(text),
+      rectangle: (x, y, width, height) =>
+        new SimGameObject(x, y, null, width, height),
+      particles: (x, y, key) => new SimEmitter(x, y, key),
+    };
+
+    this.textures = { exists: () => true };
+    this.events = { once: () => {} }; // The scene never shuts down
+    this.cameras = { main: { shake: () => {} } };
+
+    this.runSeed = seed;
+    this.rng = new SeededRandom(seed);
+    this.lanes = new LaneLayout(laneCount);
+
+    this.lives = lives !== undefined ? lives : GAME_CONFIG.PLAYER.MAX_LIVES;
+    this.hearts = [];
+    for (let i = 0; i < GAME_CONFIG.PLAYER.MAX_LIVES; i++) {
+      this.hearts.push(new SimGameObject(0, 0, "heart"));
+    }
+    this.isGameOver = false;
+
+    // Effects have no gameplay impact, so every call is a no-op
+    this.particleEffects = {
+      playJumpEffect: () => {},
+      playFastDropEffect: () => {},
+      resetToDash: () => {},
+      setDashOffset: () => {},
+      startDash: () => {},
+      stopDash: () => {},
+      trailsEnabled: () => false,
+    };
+
+    // Dialogue finishes as soon as it starts
+    this.dialogueManager = {
+      lines: [],
+      dialogueIndex: 0,
+      showDialogue: (lines, onComplete) => {
+        this.report("dialogue", { lines: lines.length });
+        if (onComplete) onComplete();
+      },
+      showIntroduction: (onComplete) => {
+        this.report("dialogue", {
+          lines: this.dialogueManager.lines.length,
+        });
+        if (onComplete) onComplete();
+      },
+    };
+  }
+
+  // ============================================================================
+  // GAME SCENE MEMBERS
+  // ============================================================================
+
+  /**
+   * Creates the static ground body, as Game.setupGround() does
+   */
+  setupGround() {
+    this.ground = new SimGameObject(
+      GAME_CONFIG.GROUND.X,
+      GAME_CONFIG.GROUND.Y,
+      null,
+      GAME_CONFIG.GROUND.WIDTH,
+      GAME_CONFIG.GROUND.HEIGHT
+    );
+    this.physics.add.existing(this.ground, true);
+  }
+
+  /**
+   * Creates the player sprite standing on the ground, as Game.setupPlayer() does
+   */
+  setupPlayer() {
+    this.player = this.physics.add.sprite(
+      GAME_CONFIG.PLAYER.START_X,
+      GAME_CONFIG.PLAYER.START_Y,
+      "player"
+    );
+    this.player.setScale(GAME_CONFIG.PLAYER.SCALE);
+    this.player.setCollideWorldBounds(true);
+    this.physics.add.collider(this.player, this.ground);
+  }
+
+  /**
+   * Removes a life and ends the run at zero, as Game.updateLives() does
+   * A life lost inside a player overlap is reported as a collision with
+   * that obstacle first.
+   */
+  updateLives() {
+    const contact = this.physics.contact;
+    if (contact) {
+      this.report("collision", { type: SimScene.getObstacleType(contact) });
+    }
+
+    this.lives--;
+    this.report("lifeLost", { lives: this.lives });
+
+    // Getting hit breaks the combo
+    if (this.scoreManager) {
+      this.scoreManager.resetCombo();
+    }
+
+    if (this.lives <= 0) {
+      this.gameOver();
+    }
+  }
+
+  /**
+   * Stops all game activity, as Game.gameOver() does
+   */
+  gameOver() {
+    this.isGameOver = true;
+
+    if (this.levelManager) {
+      this.levelManager.isActive = false;
+      this.levelManager.stopDifficultyRamp();
+    }
+
+    this.time.removeAllEvents();
+    this.physics.pause();
+    this.report("gameOver", {});
+  }
+
+  /**
+   * Screen shake has no gameplay impact
+   */
+  shakeCamera() {}
+
+  /**
+   * Skips the wave title and continues immediately
+   *
+   * @param {string} text - Wave title
+   * @param {Function} onComplete - Called right away
+   */
+  displayWaveText(text, onComplete) {
+    this.report("waveText", { text });
+    if (onComplete) onComplete();
+  }
+
+  // ============================================================================
+  // SIMULATION
+  // ============================================================================
+
+  /**
+   * Advances the scene by one frame
+   * Same order as a Phaser frame: timers, tweens, physics, then update()
+   *
+   * @param {number} delta - Frame length in ms
+   */
+  step(delta) {
+    this.time.update(delta);
+    this.tweens.update(delta);
+    this.physics.step(delta);
+
+    if (this.playerController) {
+      this.playerController.update();
+    }
+    if (this.scoreManager) {
+      this.scoreManager.update();
+    }
+  }
+
+  /**
+   * Passes an event to the onEvent callback
+   *
+   * @param {string} event - Event name
+   * @param {Object} detail - Event data
+   */
+  report(event, detail) {
+    this.onEvent(event, detail);
+  }
+
+  /**
+   * Returns the obstacle type for a game object, if it is one
+   *
+   * @param {SimGameObject} gameObject - Object to classify
+   * @returns {string|undefined} "spike", "ball", "weave" or "bullet"
+   */
+  static getObstacleType(gameObject) {
+    return OBSTACLE_TYPES[gameObject.texture.key];
+  }
+}
+
+// ============================================================================
+// GAME OBJECTS
+// ============================================================================
+
+/**
+ * Display object with Phaser's chainable setters
+ * Position, scale and alpha are tracked; everything visual is ignored.
+ *
+ * @class
+ * @private
+ */
+class SimGameObject {
+  /**
+   * @param {number} x - Center X
+   * @param {number} y - Center Y
+   * @param {string|null} key - Texture key
+   * @param {number} [width] - Unscaled width (defaults to the frame size)
+   * @param {number} [height] - Unscaled height (defaults to the frame size)
+   */
+  constructor(x, y, key, width, height) {
+    const frame = FRAME_SIZES[key] || [1, 1];
+
+    this.x = x;
+    this.y = y;
+    this.width = width !== undefined ? width : frame[0];
+    this.height = height !== undefined ? height : frame[1];
+    this.texture = { key };
+    this.scaleX = 1;
+    this.scaleY = 1;
+    this.alpha = 1;
+    this.angle = 0;
+    this.tint = 0xffffff;
+    this.active = true;
+    this.body = null;
+    this.listeners = {};
+  }
+
+  get scale() {
+    return this.scaleX;
+  }
+
+  set scale(value) {
+    this.scaleX = value;
+    this.scaleY = value;
+  }
+
+  get displayWidth() {
+    return this.width * Math.abs(this.scaleX);
+  }
+
+  get displayHeight() {
+    return this.height * Math.abs(this.scaleY);
+  }
+
+  setScale(x, y = x) {
+    this.scaleX = x;
+    this.scaleY = y;
+    return this;
+  }
+
+  setAlpha(alpha) {
+    this.alpha = alpha;
+    return this;
+  }
+
+  setTint(tint) {
+    this.tint = tint;
+    return this;
+  }
+
+  setTintFill(tint) {
+    this.tint = tint;
+    return this;
+  }
+
+  clearTint() {
+    this.tint = 0xffffff;
+    return this;
+  }
+
+  setAngle(angle) {
+    this.angle = angle;
+    return this;
+  }
+
+  setActive(value) {
+    this.active = value;
+    return this;
+  }
+
+  setVisible() {
+    return this;
+  }
+
+  setTexture(key) {
+    this.texture = { key };
+    return this;
+  }
+
+  setPosition(x, y) {
+    this.x = x;
+    this.y = y;
+    return this;
+  }
+
+  setText(text) {
+    this.text = text;
+    return this;
+  }
+
+  setOrigin() {
+    return this;
+  }
+
+  setDepth() {
+    return this;
+  }
+
+  setScrollFactor() {
+    return this;
+  }
+
+  setFrame() {
+    return this;
+  }
+
+  setFlipX() {
+    return this;
+  }
+
+  setColor() {
+    return this;
+  }
+
+  setInteractive() {
+    return this;
+  }
+
+  setStrokeStyle() {
+    return this;
+  }
+
+  // ===== Body Shortcuts (physics sprites) =====
+
+  setVelocityX(value) {
+    if (this.body) this.body.velocity.x = value;
+    return this;
+  }
+
+  setVelocityY(value) {
+    if (this.body) this.body.velocity.y = value;
+    return this;
+  }
+
+  setGravityY(value) {
+    if (this.body) this.body.gravity.y = value;
+    return this;
+  }
+
+  setCollideWorldBounds(value) {
+    if (this.body) this.body.collideWorldBounds = value;
+    return this;
+  }
+
+  setCircle() {
+    return this;
+  }
+
+  /**
+   * Puts a pooled sprite's body back in the world, as enableBody() does
+   *
+   * @param {boolean} reset - Move the sprite to (x, y) and stop it
+   * @param {number} x - New X
+   * @param {number} y - New Y
+   * @param {boolean} enableGameObject - Also make the sprite active
+   */
+  enableBody(reset, x, y, enableGameObject) {
+    if (reset) {
+      this.x = x;
+      this.y = y;
+      this.body.velocity.x = 0;
+      this.body.velocity.y = 0;
+    }
+    if (enableGameObject) this.active = true;
+
+    this.body.world.bodies.add(this.body);
+    return this;
+  }
+
+  /**
+   * Takes a pooled sprite's body out of the world, as disableBody() does
+   *
+   * @param {boolean} disableGameObject - Also make the sprite inactive
+   */
+  disableBody(disableGameObject) {
+    if (disableGameObject) this.active = false;
+
+    this.body.world.bodies.delete(this.body);
+    return this;
+  }
+
+  // ===== Events =====
+
+  on(event, callback) {
+    (this.listeners[event] = this.listeners[event] || []).push(callback);
+    return this;
+  }
+
+  once(event, callback) {
+    let called = false;
+    return this.on(event, (...args) => {
+      if (called) return;
+      called = true;
+      callback(...args);
+    });
+  }
+
+  emit(event, ...args) {
+    (this.listeners[event] || []).slice().forEach((fn) => fn(...args));
+  }
+
+  /**
+   * Deactivates the object, removes its body and emits "destroy"
+   */
+  destroy() {
+    if (!this.active) return;
+    this.active = false;
+
+    if (this.body) {
+      this.body.world.bodies.delete(this.body);
+      this.body = null;
+    }
+
+    this.emit("destroy", this);
+    this.listeners = {};
+  }
+}
+
+/**
+ * Particle emitter stand-in with start/stop
+ *
+ * @class
+ * @private
+ */
+class SimEmitter extends SimGameObject {
+  start() {
+    this.emitting = true;
+    return this;
+  }
+
+  stop() {
+    this.emitting = false;
+    return this;
+  }
+
+  explode() {
+    return this;
+  }
+}
+
+// ============================================================================
+// CLOCK
+// ============================================================================
+
+/**
+ * Scene clock driven by SimScene.step()
+ *
+ * Like Phaser's Clock, events added during a frame start counting on the
+ * next frame and fire at most once per frame.
+ *
+ * @class
+ * @private
+ */
+class SimClock {
+  constructor() {
+    this.now = 0;
+    this.paused = false;
+    this.timeScale = 1; // Scales event timing, not now (as in Phaser)
+    this.events = [];
+    this.pending = [];
+  }
+
+  /**
+   * Adds a timed event
+   *
+   * @param {Object} config - delay, callback, callbackScope, args, loop, repeat
+   * @returns {{remove: Function}} Event handle
+   */
+  addEvent(config) {
+    const event = {
+      delay: config.delay || 0,
+      callback: config.callback,
+      callbackScope: config.callbackScope,
+      args: config.args || [],
+      loop: Boolean(config.loop),
+      repeatCount: config.repeat || 0,
+      elapsed: 0,
+      removed: false,
+      remove() {
+        this.removed = true;
+      },
+    };
+
+    this.pending.push(event);
+    return event;
+  }
+
+  /**
+   * Calls back once after delay ms
+   *
+   * @param {number} delay - Delay in ms
+   * @param {Function} callback - Function to call
+   * @param {Array} [args] - Callback arguments
+   * @param {Object} [callbackScope] - Callback this
+   * @returns {{remove: Function}} Event handle
+   */
+  delayedCall(delay, callback, args, callbackScope) {
+    return this.addEvent({ delay, callback, args, callbackScope });
+  }
+
+  /**
+   * Cancels every event, pending or running
+   */
+  removeAllEvents() {
+    [...this.events, ...this.pending].forEach((event) => event.remove());
+    this.events = [];
+    this.pending = [];
+  }
+
+  /**
+   * Advances the clock and fires due events
+   *
+   * @param {number} delta - Frame length in ms
+   */
+  update(delta) {
+    this.now += delta;
+    if (this.paused) return;
+
+    this.events.push(...this.pending);
+    this.pending = [];
+
+    this.events.forEach((event) => {
+      if (event.removed) return;
+
+      event.elapsed += delta * this.timeScale;
+      if (event.elapsed < event.delay) return;
+
+      const remainder = event.elapsed - event.delay;
+      event.callback.apply(event.callbackScope, event.args);
+
+      if (event.loop || event.repeatCount > 0) {
+        if (!event.loop) event.repeatCount--;
+        event.elapsed = remainder;
+      } else {
+        event.removed = true;
+      }
+    });
+
+    this.events = this.events.filter((event) => !event.removed);
+  }
+}
+
+// ============================================================================
+// TWEENS
+// ============================================================================
+
+/**
+ * Tween manager driven by SimScene.step()
+ *
+ * @class
+ * @private
+ */
+class SimTweens {
+  constructor() {
+    this.tweens = [];
+    this.pending = [];
+    this.timeScale = 1;
+  }
+
+  /**
+   * Creates a tween; it starts on the next frame
+   *
+   * @param {Object} config - Phaser tween config
+   * @returns {SimTween} The tween
+   */
+  add(config) {
+    const tween = new SimTween(config);
+    this.pending.push(tween);
+    return tween;
+  }
+
+  /**
+   * Removes every tween acting on a target
+   *
+   * @param {Object} target - Tweened object
+   */
+  killTweensOf(target) {
+    [...this.tweens, ...this.pending].forEach((tween) => {
+      if (tween.targets.includes(target)) tween.remove();
+    });
+  }
+
+  /**
+   * Advances every tween
+   *
+   * @param {number} delta - Frame length in ms
+   */
+  update(delta) {
+    this.tweens.push(...this.pending);
+    this.pending = [];
+
+    this.tweens.forEach((tween) => tween.update(delta * this.timeScale));
+    this.tweens = this.tweens.filter((tween) => !tween.removed);
+  }
+}
+
+/**
+ * A single numeric property tween
+ *
+ * Timeline per repeat: forward for duration, then (with yoyo) hold and
+ * back for duration. repeat: -1 runs forever.
+ *
+ * @class
+ * @private
+ */
+class SimTween {
+  /**
+   * @param {Object} config - Phaser tween config
+   */
+  constructor(config) {
+    this.targets = Array.isArray(config.targets)
+      ? config.targets
+      : [config.targets];
+    this.duration = config.duration !== undefined ? config.duration : 1000;
+    this.delay = config.delay || 0;
+    this.hold = config.hold || 0;
+    this.yoyo = Boolean(config.yoyo);
+    this.repeat = config.repeat || 0;
+    this.repeatDelay = config.repeatDelay || 0;
+    this.ease = EASES[config.ease] || ((t) => t);
+    this.onComplete = config.onComplete;
+    this.callbackScope = config.callbackScope;
+
+    this.props = Object.keys(config).filter(
+      (key) => !TWEEN_SETTINGS.includes(key)
+    );
+    this.endValues = config;
+
+    this.elapsed = 0;
+    this.started = false;
+    this.removed = false;
+  }
+
+  /**
+   * Stops the tween without completing it
+   */
+  remove() {
+    this.removed = true;
+  }
+
+  /**
+   * Advances the tween and applies property values
+   *
+   * @param {number} delta - Frame length in ms
+   */
+  update(delta) {
+    if (this.removed) return;
+
+    this.elapsed += delta;
+    if (this.elapsed < this.delay) return;
+
+    if (!this.started) {
+      this.started = true;
+      this.ranges = this.targets.map((target) =>
+        this.props.map((prop) => {
+          const start = target[prop];
+          return { prop, start, end: this.resolveEnd(start, prop) };
+        })
+      );
+    }
+
+    const cycle = this.duration + (this.yoyo ? this.hold + this.duration : 0);
+    const period = cycle + this.repeatDelay;
+    const total =
+      this.repeat === -1
+        ? Infinity
+        : period * (this.repeat + 1) - this.repeatDelay;
+    const time = this.elapsed - this.delay;
+
+    if (time >= total) {
+      this.apply(this.yoyo ? 0 : 1);
+      this.removed = true;
+      if (this.onComplete) this.onComplete.call(this.callbackScope, this);
+      return;
+    }
+
+    const local = time % period;
+    if (local >= cycle) {
+      this.apply(this.yoyo ? 0 : 1);
+    } else if (local < this.duration) {
+      this.apply(this.ease(local / this.duration));
+    } else if (local < this.duration + this.hold) {
+      this.apply(1);
+    } else {
+      const back = local - this.duration - this.hold;
+      this.apply(this.ease(1 - back / this.duration));
+    }
+  }
+
+  /**
+   * Resolves a property's end value ("+=n" / "-=n" are relative)
+   *
+   * @param {number} start - Value when the tween started
+   * @param {string} prop - Property name
+   * @returns {number} End value
+   * @private
+   */
+  resolveEnd(start, prop) {
+    const value = this.endValues[prop];
+    if (typeof value === "string" && /^[+-]=/.test(value)) {
+      const amount = parseFloat(value.slice(2));
+      return value[0] === "+" ? start + amount : start - amount;
+    }
+    return value;
+  }
+
+  /**
+   * Sets every property at the given progress (0 = start, 1 = end)
+   *
+   * @param {number} progress - Eased progress
+   * @private
+   */
+  apply(progress) {
+    this.targets.forEach((target, index) => {
+      this.ranges[index].forEach(({ prop, start, end }) => {
+        target[prop] = start + (end - start) * progress;
+      });
+    });
+  }
+}
+
+// ============================================================================
+// PHYSICS
+// ============================================================================
+
+/**
+ * The world's body list, with the entries array Phaser's Structs.Set has
+ *
+ * @class
+ * @private
+ */
+class SimBodySet extends Set {
+  get entries() {
+    return [...this];
+  }
+}
+
+/**
+ * Arcade-style physics for SimScene
+ *
+ * @class
+ * @private
+ */
+class SimPhysics {
+  /**
+   * @param {SimScene} scene - Owning scene
+   */
+  constructor(scene) {
+    this.scene = scene;
+    this.world = {
+      isPaused: false,
+      fps: 60,
+      timeScale: 1, // Larger is slower, as in Arcade physics
+      bodies: new SimBodySet(),
+    };
+    this.colliders = [];
+    this.contact = null; // Obstacle whose player overlap callback is running
+
+    this.add = {
+      sprite: (x, y, key) => {
+        const sprite = new SimGameObject(x, y, key);
+        this.enable(sprite, false);
+        this.reportSpawn(sprite);
+        return sprite;
+      },
+      group: (config) => new SimGroup(this, config),
+      existing: (gameObject, isStatic = false) => {
+        this.enable(gameObject, isStatic);
+        return gameObject;
+      },
+      collider: (a, b, callback) => this.addCollider(a, b, callback, false),
+      overlap: (a, b, callback) => this.addCollider(a, b, callback, true),
+    };
+  }
+
+  /**
+   * Gives a game object a body
+   *
+   * @param {SimGameObject} gameObject - Object to enable
+   * @param {boolean} isStatic - Static bodies never move
+   * @private
+   */
+  enable(gameObject, isStatic) {
+    gameObject.body = {
+      world: this.world,
+      gameObject,
+      isStatic,
+      allowGravity: !isStatic,
+      collideWorldBounds: false,
+      velocity: { x: 0, y: 0 },
+      gravity: { x: 0, y: 0 },
+      blocked: { up: false, down: false, left: false, right: false },
+      touching: { up: false, down: false, left: false, right: false },
+      get center() {
+        return { x: gameObject.x, y: gameObject.y };
+      },
+      get halfWidth() {
+        return gameObject.displayWidth / 2;
+      },
+      get halfHeight() {
+        return gameObject.displayHeight / 2;
+      },
+      setAllowGravity(value) {
+        this.allowGravity = value;
+        return this;
+      },
+    };
+    this.world.bodies.add(gameObject.body);
+  }
+
+  /**
+   * Reports obstacles as they enter play
+   *
+   * @param {SimGameObject} sprite - New or reused sprite
+   * @private
+   */
+  reportSpawn(sprite) {
+    const type = SimScene.getObstacleType(sprite);
+    if (type) this.scene.report("spawn", { type, x: Math.round(sprite.x) });
+  }
+
+  /**
+   * Registers a collider or overlap between two objects or groups
+   *
+   * @param {SimGameObject|SimGroup} a - First object or group
+   * @param {SimGameObject|SimGroup} b - Second object or group
+   * @param {Function} [callback] - Called with (a, b) on contact
+   * @param {boolean} isOverlap - Overlaps don't separate the bodies
+   * @returns {{destroy: Function}} Collider handle
+   * @private
+   */
+  addCollider(a, b, callback, isOverlap) {
+    const collider = {
+      a,
+      b,
+      callback,
+      isOverlap,
+      destroy: () => {
+        this.colliders = this.colliders.filter((c) => c !== collider);
+      },
+    };
+    this.colliders.push(collider);
+    return collider;
+  }
+
+  /**
+   * Pauses the world, as physics.pause() does
+   */
+  pause() {
+    this.world.isPaused = true;
+  }
+
+  /**
+   * Resumes the world
+   */
+  resume() {
+    this.world.isPaused = false;
+  }
+
+  /**
+   * Sets a body's velocity toward a point at the given speed
+   *
+   * @param {SimGameObject} gameObject - Object to move
+   * @param {number} x - Target X
+   * @param {number} y - Target Y
+   * @param {number} speed - Speed in px/s
+   */
+  moveTo(gameObject, x, y, speed) {
+    const angle = Math.atan2(y - gameObject.y, x - gameObject.x);
+    gameObject.body.velocity.x = Math.cos(angle) * speed;
+    gameObject.body.velocity.y = Math.sin(angle) * speed;
+  }
+
+  /**
+   * Moves every dynamic body, then runs colliders in creation order
+   *
+   * @param {number} delta - Frame length in ms
+   */
+  step(delta) {
+    if (this.world.isPaused) return;
+
+    const seconds = delta / 1000 / this.world.timeScale;
+
+    this.world.bodies.forEach((body) => {
+      if (body.isStatic) return;
+
+      Object.keys(body.touching).forEach((side) => {
+        body.touching[side] = false;
+        body.blocked[side] = false;
+      });
+
+      if (body.allowGravity) {
+        body.velocity.y += (WORLD_GRAVITY + body.gravity.y) * seconds;
+      }
+
+      const sprite = body.gameObject;
+      sprite.x += body.velocity.x * seconds;
+      sprite.y += body.velocity.y * seconds;
+
+      if (body.collideWorldBounds) this.keepInBounds(body);
+    });
+
+    this.colliders.slice().forEach((collider) => this.runCollider(collider));
+  }
+
+  /**
+   * Clamps a body inside the world bounds
+   *
+   * @param {Object} body - Body to clamp
+   * @private
+   */
+  keepInBounds(body) {
+    const sprite = body.gameObject;
+    const halfWidth = sprite.displayWidth / 2;
+    const halfHeight = sprite.displayHeight / 2;
+
+    if (sprite.x - halfWidth < 0) {
+      sprite.x = halfWidth;
+      body.blocked.left = true;
+    } else if (sprite.x + halfWidth > WORLD_BOUNDS.width) {
+      sprite.x = WORLD_BOUNDS.width - halfWidth;
+      body.blocked.right = true;
+    }
+
+    if (sprite.y + halfHeight > WORLD_BOUNDS.height) {
+      sprite.y = WORLD_BOUNDS.height - halfHeight;
+      body.velocity.y = 0;
+      body.blocked.down = true;
+    }
+  }
+
+  /**
+   * Checks one collider, pairing up every member of a group side
+   *
+   * @param {Object} collider - Collider from addCollider()
+   * @private
+   */
+  runCollider(collider) {
+    const members = (side) =>
+      side instanceof SimGroup ? side.children.slice() : [side];
+
+    members(collider.a).forEach((a) => {
+      members(collider.b).forEach((b) => this.runPair(collider, a, b));
+    });
+  }
+
+  /**
+   * Checks one pair of a collider and calls back on contact
+   * Player overlaps with pickups are reported as pickups; obstacle
+   * overlaps are only reported (by updateLives) if the callback applies a
+   * hit, since obstacles pass through the player during i-frames
+   *
+   * @param {Object} collider - Collider from addCollider()
+   * @param {SimGameObject} a - Object on the collider's first side
+   * @param {SimGameObject} b - Object on the collider's second side
+   * @private
+   */
+  runPair(collider, a, b) {
+    if (!a.active || !b.active || !a.body || !b.body) return;
+    if (!this.intersects(a, b)) return;
+
+    if (collider.isOverlap) {
+      const player = this.scene.player;
+      const other = a === player ? b : b === player ? a : null;
+      if (other && other.pickupType) {
+        this.scene.report("pickup", { type: other.pickupType });
+      } else if (other) {
+        this.contact = other;
+      }
+    } else {
+      this.separate(a, b);
+    }
+
+    if (collider.callback) collider.callback(a, b);
+    this.contact = null;
+  }
+
+  /**
+   * Whether two objects' boxes overlap
+   *
+   * @param {SimGameObject} a - First object
+   * @param {SimGameObject} b - Second object
+   * @returns {boolean}
+   * @private
+   */
+  intersects(a, b) {
+    return (
+      Math.abs(a.x - b.x) < (a.displayWidth + b.displayWidth) / 2 &&
+      Math.abs(a.y - b.y) < (a.displayHeight + b.displayHeight) / 2
+    );
+  }
+
+  /**
+   * Pushes a dynamic body out of a static one vertically
+   *
+   * @param {SimGameObject} a - First object
+   * @param {SimGameObject} b - Second object
+   * @private
+   */
+  separate(a, b) {
+    const solid = a.body.isStatic ? a : b.body.isStatic ? b : null;
+    if (!solid) return;
+
+    const mover = solid === a ? b : a;
+    const gap = (mover.displayHeight + solid.displayHeight) / 2;
+
+    if (mover.y < solid.y) {
+      mover.y = solid.y - gap;
+      if (mover.body.velocity.y > 0) mover.body.velocity.y = 0;
+      mover.body.touching.down = true;
+    } else {
+      mover.y = solid.y + gap;
+      if (mover.body.velocity.y < 0) mover.body.velocity.y = 0;
+      mover.body.touching.up = true;
+    }
+  }
+}
+
+/**
+ * Physics group with get(), for sprite pools
+ *
+ * As in Phaser, get() returns the first inactive member (left disabled
+ * until enableBody()), or a new one while the group is below maxSize.
+ *
+ * @class
+ * @private
+ */
+class SimGroup {
+  /**
+   * @param {SimPhysics} physics - Physics that owns the members' bodies
+   * @param {Object} [config]
+   * @param {string} [config.defaultKey] - Texture of new members
+   * @param {number} [config.maxSize=-1] - Most members (-1 for no limit)
+   */
+  constructor(physics, { defaultKey, maxSize = -1 } = {}) {
+    this.physics = physics;
+    this.defaultKey = defaultKey;
+    this.maxSize = maxSize;
+    this.children = [];
+  }
+
+  /**
+   * Returns an inactive member moved to (x, y), or a new member
+   *
+   * @param {number} x - X position
+   * @param {number} y - Y position
+   * @param {string} [key] - Texture of a new member
+   * @returns {SimGameObject|null} Member, or null when the group is full
+   */
+  get(x, y, key = this.defaultKey) {
+    let child = this.children.find((member) => !member.active);
+
+    if (child) {
+      child.setPosition(x, y);
+    } else {
+      if (this.maxSize > -1 && this.children.length >= this.maxSize) {
+        return null;
+      }
+      child = new SimGameObject(x, y, key);
+      this.physics.enable(child, false);
+      this.children.push(child);
+    }
+
+    this.physics.reportSpawn(child);
+    return child;
+  }
+
+  /**
+   * Creates a new member, as a physics group's create() does
+   * Destroyed members leave the group.
+   *
+   * @param {number} x - X position
+   * @param {number} y - Y position
+   * @param {string} [key] - Texture
+   * @returns {SimGameObject} New member
+   */
+  create(x, y, key = this.defaultKey) {
+    const child = new SimGameObject(x, y, key);
+    this.physics.enable(child, false);
+    this.physics.reportSpawn(child);
+    this.children.push(child);
+
+    child.once("destroy", () => {
+      this.children = this.children.filter((member) => member !== child);
+    });
+    return child;
+  }
+}
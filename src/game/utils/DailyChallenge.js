@@ -0,0 +1,89 @@
+// src/game/utils/DailyChallenge.js
+
+import { SeededRandom } from "./SeededRandom";
+import { getSave, updateSave } from "./SaveData";
+
+/**
+ * DailyChallenge
+ *
+ * Helpers for the Daily Challenge mode:
+ * - Date key and seed shared by every player on the same (UTC) day
+ * - Best local result per day, kept in the "daily" section of the save
+ *   (see utils/SaveData.js), which sanitizes it on load
+ *
+ * Results are compared by time survived, then by obstacles dodged.
+ */
+
+/**
+ * Number of most recent days kept in the save
+ * @constant {number}
+ */
+const MAX_STORED_DAYS = 30;
+
+/**
+ * Returns the UTC date key for a day, e.g. "2026-10-18"
+ * UTC keeps the seed identical for players in every time zone
+ *
+ * @param {Date} [date=new Date()] - Day to get the key for
+ * @returns {string} Date key in YYYY-MM-DD format
+ */
+export function getDailyKey(date = new Date()) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Returns the RNG seed for a day's challenge
+ *
+ * @param {string} [dateKey=getDailyKey()] - Date key from getDailyKey()
+ * @returns {number} 32-bit seed
+ */
+export function getDailySeed(dateKey = getDailyKey()) {
+  return SeededRandom.hashString(`dashjump-daily-${dateKey}`);
+}
+
+/**
+ * Returns the best stored result for a day
+ *
+ * @param {string} [dateKey=getDailyKey()] - Date key from getDailyKey()
+ * @returns {{timeSurvived: number, obstaclesDodged: number}|null} Best result, or null
+ */
+export function getDailyBest(dateKey = getDailyKey()) {
+  return getSave().daily.results[dateKey] || null;
+}
+
+/**
+ * Records a finished run, keeping it only if it beats the day's best
+ *
+ * @param {{timeSurvived: number, obstaclesDodged: number}} result - Run summary
+ * @param {string} [dateKey=getDailyKey()] - Date key from getDailyKey()
+ * @returns {{best: Object, isNewBest: boolean}} The day's best after recording
+ */
+export function recordDailyResult(result, dateKey = getDailyKey()) {
+  const results = { ...getSave().daily.results };
+  const previous = results[dateKey];
+
+  const isNewBest =
+    !previous ||
+    result.timeSurvived > previous.timeSurvived ||
+    (result.timeSurvived === previous.timeSurvived &&
+      result.obstaclesDodged > previous.obstaclesDodged);
+
+  if (!isNewBest) {
+    return { best: previous, isNewBest: false };
+  }
+
+  results[dateKey] = {
+    timeSurvived: result.timeSurvived,
+    obstaclesDodged: result.obstaclesDodged,
+  };
+
+  // Drop the oldest days so the save doesn't grow forever
+  const keys = Object.keys(results).sort();
+  keys.slice(0, Math.max(0, keys.length - MAX_STORED_DAYS)).forEach((key) => {
+    delete results[key];
+  });
+
+  updateSave("daily", { results });
+
+  return { best: results[dateKey], isNewBest: true };
+}
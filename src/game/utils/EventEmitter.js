@@ -0,0 +1,84 @@
+// src/game/utils/EventEmitter.js
+
+/**
+ * EventEmitter
+ *
+ * Minimal on/once/off/emit emitter for game logic events, such as
+ * ObstacleSpawner's obstacle lifecycle. Game logic also runs headless in
+ * the simulator, where Phaser (and its emitter) can't load, so managers
+ * use this one for events between themselves.
+ *
+ * Listeners are called in the order they were added. A listener may add
+ * or remove listeners while an event is being emitted; the change applies
+ * from the next emit.
+ *
+ * @class
+ */
+export class EventEmitter {
+  /**
+   * Creates an emitter with no listeners
+   */
+  constructor() {
+    this.listeners = {}; // Listener arrays by event name
+  }
+
+  /**
+   * Adds a listener
+   *
+   * @param {string} event - Event name
+   * @param {Function} listener - Called with the emitted arguments
+   * @returns {EventEmitter} This emitter, for chaining
+   */
+  on(event, listener) {
+    this.listeners[event] = [...(this.listeners[event] || []), listener];
+    return this;
+  }
+
+  /**
+   * Adds a listener that is removed after its first call
+   *
+   * @param {string} event - Event name
+   * @param {Function} listener - Called with the emitted arguments
+   * @returns {EventEmitter} This emitter, for chaining
+   */
+  once(event, listener) {
+    const wrapper = (...args) => {
+      this.off(event, wrapper);
+      listener(...args);
+    };
+    return this.on(event, wrapper);
+  }
+
+  /**
+   * Removes a listener added with on()
+   *
+   * @param {string} event - Event name
+   * @param {Function} listener - The listener to remove
+   * @returns {EventEmitter} This emitter, for chaining
+   */
+  off(event, listener) {
+    if (this.listeners[event]) {
+      this.listeners[event] = this.listeners[event].filter(
+        (l) => l !== listener
+      );
+    }
+    return this;
+  }
+
+  /**
+   * Calls every listener of an event
+   *
+   * @param {string} event - Event name
+   * @param {...*} args - Passed to each listener
+   */
+  emit(event, ...args) {
+    (this.listeners[event] || []).forEach((listener) => listener(...args));
+  }
+
+  /**
+   * Removes every listener of every event
+   */
+  removeAllListeners() {
+    this.listeners = {};
+  }
+}
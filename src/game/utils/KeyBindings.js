@@ -0,0 +1,92 @@
+// src/game/utils/KeyBindings.js
+
+import { DEFAULT_KEY_BINDINGS } from "./SaveData";
+
+/**
+ * KeyBindings
+ *
+ * Helpers for the action-to-key map stored in the registry
+ * ("keyBindings", persisted by SaveData). Keys are Phaser key names
+ * ("W", "UP", "SPACE") so the map stays readable in the save file.
+ *
+ * Each action may have up to MAX_KEYS_PER_ACTION keys and a key may only
+ * be bound to one action. The pause keys are reserved.
+ */
+
+/**
+ * Player actions that can be bound, in display order
+ * @constant {string[]}
+ */
+export const BINDABLE_ACTIONS = ["jump", "fastDrop", "dashLeft", "dashRight"];
+
+/**
+ * Most keys a single action can have
+ * @constant {number}
+ */
+export const MAX_KEYS_PER_ACTION = 3;
+
+/**
+ * Keys that can't be bound (PauseManager uses them)
+ * @constant {string[]}
+ */
+export const RESERVED_KEYS = ["ESC", "P"];
+
+/**
+ * Returns the current bindings merged over the defaults
+ * Unknown key names are dropped; an action left without keys gets its
+ * defaults back.
+ *
+ * @param {Phaser.Data.DataManager} registry - Game registry
+ * @returns {Object<string, string[]>} Key names per action
+ */
+export function getKeyBindings(registry) {
+  const stored = registry.get("keyBindings") || {};
+  const bindings = {};
+
+  BINDABLE_ACTIONS.forEach((action) => {
+    const keys = (Array.isArray(stored[action]) ? stored[action] : []).filter(
+      (name) => getKeyCode(name) !== undefined
+    );
+    bindings[action] =
+      keys.length > 0 ? keys : [...DEFAULT_KEY_BINDINGS[action]];
+  });
+
+  return bindings;
+}
+
+/**
+ * Finds the action a key is already bound to
+ *
+ * @param {Object<string, string[]>} bindings - Current bindings
+ * @param {string} keyName - Key to look up
+ * @returns {string|null} Action using the key, or null if it is free
+ */
+export function findKeyConflict(bindings, keyName) {
+  return (
+    BINDABLE_ACTIONS.find((action) => bindings[action].includes(keyName)) ||
+    null
+  );
+}
+
+/**
+ * Returns the Phaser key code for a key name
+ *
+ * @param {string} keyName - Phaser key name, e.g. "SPACE"
+ * @returns {number|undefined} Key code, or undefined for unknown names
+ */
+export function getKeyCode(keyName) {
+  return Phaser.Input.Keyboard.KeyCodes[keyName];
+}
+
+/**
+ * Returns the Phaser key name for a key code
+ *
+ * @param {number} keyCode - KeyboardEvent.keyCode
+ * @returns {string|null} Key name, or null if Phaser doesn't know the key
+ */
+export function getKeyName(keyCode) {
+  const keyCodes = Phaser.Input.Keyboard.KeyCodes;
+  return (
+    Object.keys(keyCodes).find((name) => keyCodes[name] === keyCode) || null
+  );
+}
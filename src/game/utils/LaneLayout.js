@@ -0,0 +1,142 @@
+// src/game/utils/LaneLayout.js
+
+import { GAME_CONFIG } from "../config/GameConfig";
+
+/**
+ * Lane counts a run can be played with
+ * @constant {number[]}
+ */
+export const LANE_COUNTS = GAME_CONFIG.LANES.COUNTS;
+
+/**
+ * Values of the lane setting: a lane count, or "free" for free movement
+ * @constant {Array<number|string>}
+ */
+export const LANE_MODES = [...LANE_COUNTS, "free"];
+
+/**
+ * LaneLayout
+ *
+ * The lanes the player dashes between, spread evenly from
+ * GAME_CONFIG.LANES.LEFT_X to RIGHT_X. Lanes are numbered from 0 on the
+ * left, so with two lanes 0 is left and 1 is right.
+ *
+ * Everything that targets a lane (dashes, lane spikes, showers, boss lane
+ * attacks and their warnings) works with lane indices and asks the
+ * scene's layout (scene.lanes) for the X coordinate, so the same waves
+ * play with any lane count.
+ *
+ * Free movement: the player moves anywhere between LEFT_X and RIGHT_X
+ * while a direction is held, and a dash covers FREE_DASH_DISTANCE. Lane
+ * indices become positions: 0 is LEFT_X, 1 is RIGHT_X and fractions lie
+ * in between, so attacks aimed at a lane hit the edges while getLane()
+ * returns the player's exact position for attacks aimed at the player.
+ *
+ * @class
+ */
+export class LaneLayout {
+  /**
+   * Creates a layout with evenly spaced lanes, or for free movement
+   *
+   * @param {number|string} [mode=GAME_CONFIG.LANES.DEFAULT_COUNT] - Number
+   *        of lanes or "free" (falls back to the default when not one of
+   *        LANE_MODES)
+   */
+  constructor(mode = GAME_CONFIG.LANES.DEFAULT_COUNT) {
+    this.mode = LANE_MODES.includes(mode)
+      ? mode
+      : GAME_CONFIG.LANES.DEFAULT_COUNT;
+    this.isFree = this.mode === "free";
+    this.count = this.isFree ? 2 : this.mode; // Free: the two edges
+    this.lastLane = this.count - 1;
+    this.spacing =
+      (GAME_CONFIG.LANES.RIGHT_X - GAME_CONFIG.LANES.LEFT_X) / this.lastLane;
+  }
+
+  /**
+   * Returns a lane's X coordinate
+   *
+   * @param {number} lane - Lane index (clamped to the layout)
+   * @returns {number} X coordinate of the lane's center
+   */
+  getX(lane) {
+    return GAME_CONFIG.LANES.LEFT_X + this.clamp(lane) * this.spacing;
+  }
+
+  /**
+   * Returns the lane nearest to an X coordinate
+   *
+   * @param {number} x - X coordinate, e.g. the player's position
+   * @returns {number} Lane index (the exact position with free movement)
+   */
+  getLane(x) {
+    const position = (x - GAME_CONFIG.LANES.LEFT_X) / this.spacing;
+    return this.clamp(this.isFree ? position : Math.round(position));
+  }
+
+  /**
+   * Returns the next lane from an X coordinate in a direction
+   * From between two lanes this is the nearer one on that side; at the
+   * edge it is the edge lane itself. With free movement it is one dash
+   * (FREE_DASH_DISTANCE) away.
+   *
+   * @param {number} x - X coordinate to move from
+   * @param {number} direction - -1 for left, 1 for right
+   * @returns {number} Lane index
+   */
+  getNextLane(x, direction) {
+    const position = (x - GAME_CONFIG.LANES.LEFT_X) / this.spacing;
+    if (this.isFree) {
+      return this.clamp(
+        position +
+          (direction * GAME_CONFIG.LANES.FREE_DASH_DISTANCE) / this.spacing
+      );
+    }
+
+    // Tolerance so a player resting on a lane counts as on it
+    const next =
+      direction < 0
+        ? Math.ceil(position - 0.01) - 1
+        : Math.floor(position + 0.01) + 1;
+    return this.clamp(next);
+  }
+
+  /**
+   * Clamps a lane index to the layout
+   * Rounded to a whole lane, except with free movement
+   *
+   * @param {number} lane - Lane index
+   * @returns {number} Lane index between 0 and lastLane
+   */
+  clamp(lane) {
+    const index = this.isFree ? lane : Math.round(lane);
+    return Math.min(Math.max(index, 0), this.lastLane);
+  }
+
+  /**
+   * Whether an X coordinate is in the left half of the layout
+   * A player exactly in the middle counts as on the left.
+   *
+   * @param {number} x - X coordinate, e.g. the player's position
+   * @returns {boolean}
+   */
+  isOnLeft(x) {
+    return this.getLane(x) <= this.lastLane / 2;
+  }
+
+  /**
+   * Returns a sweep across the lanes and back, for showers
+   * With two lanes this alternates left and right: 0, 1, 0, 1...
+   * With three: 0, 1, 2, 1, 0...
+   *
+   * @param {number} length - Number of lanes in the sequence
+   * @returns {number[]} Lane indices
+   */
+  sweep(length) {
+    const period = this.lastLane * 2;
+    return Array.from({ length }, (_, i) => {
+      const step = i % period;
+      return step <= this.lastLane ? step : period - step;
+    });
+  }
+}
@@ -0,0 +1,88 @@
+// src/game/utils/Leaderboard.js
+
+import { getSave, updateSave } from "./SaveData";
+
+/**
+ * Leaderboard
+ *
+ * Local top-10 high-score tables, one per game mode, kept in the
+ * "leaderboards" section of the save (see utils/SaveData.js), which
+ * sanitizes every entry on load. Each entry records the player's
+ * three-letter name, score, wave reached, date and mode. Ties keep the
+ * older entry ahead.
+ */
+
+/**
+ * Number of entries kept per mode
+ * @constant {number}
+ */
+export const LEADERBOARD_SIZE = 10;
+
+/**
+ * Modes with their own table, in display order
+ * @constant {string[]}
+ */
+export const LEADERBOARD_MODES = ["story", "endless", "daily"];
+
+/**
+ * Returns a mode's table, best score first
+ *
+ * @param {string} mode - "story", "endless" or "daily"
+ * @returns {{name: string, score: number, wave: number, date: string, mode: string}[]}
+ */
+export function getLeaderboard(mode) {
+  const entries = getSave().leaderboards[mode];
+  return Array.isArray(entries) ? entries : [];
+}
+
+/**
+ * Whether a score would make it onto a mode's table
+ *
+ * @param {string} mode - "story", "endless" or "daily"
+ * @param {number} score - Final score
+ * @returns {boolean}
+ */
+export function qualifiesForLeaderboard(mode, score) {
+  if (score <= 0) return false;
+
+  const entries = getLeaderboard(mode);
+  return (
+    entries.length < LEADERBOARD_SIZE ||
+    score > entries[entries.length - 1].score
+  );
+}
+
+/**
+ * Adds an entry to its mode's table, keeping the top LEADERBOARD_SIZE
+ *
+ * @param {Object} entry - Entry to add
+ * @param {string} entry.name - Three-letter name
+ * @param {number} entry.score - Final score
+ * @param {number} entry.wave - Wave reached
+ * @param {string} entry.mode - "story", "endless" or "daily"
+ * @param {string} [entry.date] - YYYY-MM-DD, defaults to today
+ * @returns {number} Rank on the table (1-based), or 0 if it didn't place
+ */
+export function addLeaderboardEntry(entry) {
+  const record = {
+    name: entry.name,
+    score: entry.score,
+    wave: entry.wave,
+    date: entry.date || new Date().toISOString().slice(0, 10),
+    mode: entry.mode,
+  };
+
+  const entries = [...getLeaderboard(entry.mode)];
+
+  // Insert after any equal scores so older entries keep their place
+  let index = entries.findIndex((existing) => record.score > existing.score);
+  if (index === -1) index = entries.length;
+  if (index >= LEADERBOARD_SIZE) return 0;
+
+  entries.splice(index, 0, record);
+  updateSave("leaderboards", {
+    [entry.mode]: entries.slice(0, LEADERBOARD_SIZE),
+  });
+
+  return index + 1;
+}
@@ -0,0 +1,157 @@
+// src/game/utils/ObjectPool.js
+
+/**
+ * SpritePool
+ *
+ * Recycles physics sprites of one texture through an Arcade group instead
+ * of creating and destroying a sprite per obstacle.
+ *
+ * - acquire() hands out an inactive member, or creates one, with its
+ *   body re-enabled and its look and physics state reset
+ * - release() hides the sprite and disables its body; anything tied to
+ *   that use of the sprite (colliders, timers, trails) is cleaned up
+ *   through callbacks registered with onRelease()
+ * - With a maxSize, a full pool recycles its oldest live sprite
+ *
+ * Released sprites stay in the group with active = false, so the usual
+ * `sprite.active` checks keep meaning "still in play". Tweens on a
+ * sprite are killed on release so a stale onComplete never acts on the
+ * sprite's next use.
+ *
+ * @class
+ */
+export class SpritePool {
+  /**
+   * Creates a new pool and its group
+   *
+   * @param {Phaser.Scene} scene - Scene that owns the group
+   * @param {string} texture - Texture of every sprite in the pool
+   * @param {number} [maxSize=-1] - Most sprites alive at once (-1 for no limit)
+   */
+  constructor(scene, texture, maxSize = -1) {
+    this.scene = scene;
+    this.texture = texture;
+    this.group = scene.physics.add.group({ defaultKey: texture, maxSize });
+    this.live = []; // Sprites in play, oldest first
+  }
+
+  /**
+   * Takes a sprite out of the pool
+   *
+   * The sprite comes back at scale 1, full alpha, no tint, depth 0, with
+   * gravity allowed and no velocity, like a freshly created one.
+   *
+   * @param {number} x - Starting X position
+   * @param {number} y - Starting Y position
+   * @returns {Phaser.Physics.Arcade.Sprite} Sprite ready for use
+   */
+  acquire(x, y) {
+    let sprite = this.group.get(x, y, this.texture);
+    if (!sprite) {
+      this.release(this.live[0]);
+      sprite = this.group.get(x, y, this.texture);
+    }
+
+    sprite.enableBody(true, x, y, true, true);
+    sprite.setScale(1).setAlpha(1).setAngle(0).setDepth(0).clearTint();
+    sprite.body.setAllowGravity(true);
+    sprite.setGravityY(0);
+
+    // Per-use state read by the spawners and ScoreManager
+    sprite.hasLanded = false;
+    sprite.closestPlayerGap = undefined;
+    sprite.touchedPlayer = false;
+    sprite.releaseCallbacks = [];
+
+    this.live.push(sprite);
+    return sprite;
+  }
+
+  /**
+   * Registers cleanup for the sprite's current use
+   *
+   * @param {Phaser.Physics.Arcade.Sprite} sprite - Sprite from acquire()
+   * @param {Function} callback - Called once when the sprite is released
+   */
+  onRelease(sprite, callback) {
+    sprite.releaseCallbacks.push(callback);
+  }
+
+  /**
+   * Returns a sprite to the pool
+   * Releasing a sprite that is already back in the pool does nothing.
+   *
+   * @param {Phaser.Physics.Arcade.Sprite} sprite - Sprite from acquire()
+   */
+  release(sprite) {
+    if (!sprite || !sprite.active) return;
+
+    this.live = this.live.filter((s) => s !== sprite);
+    this.scene.tweens.killTweensOf(sprite);
+    sprite.disableBody(true, true);
+
+    const callbacks = sprite.releaseCallbacks;
+    sprite.releaseCallbacks = [];
+    callbacks.forEach((callback) => callback());
+  }
+}
+
+/**
+ * EmitterPool
+ *
+ * Recycles particle emitters that share one config, e.g. spike trails.
+ * A released emitter stops emitting and stops following its target, but
+ * particles already emitted fade out normally.
+ *
+ * @class
+ */
+export class EmitterPool {
+  /**
+   * Creates a new, empty pool; emitters are created as needed
+   *
+   * @param {Phaser.Scene} scene - Scene that owns the emitters
+   * @param {string} texture - Particle texture
+   * @param {Object} config - Emitter config (follow and emitting are set
+   *        by acquire())
+   * @param {number} depth - Display depth of every emitter
+   */
+  constructor(scene, texture, config, depth) {
+    this.scene = scene;
+    this.texture = texture;
+    this.config = config;
+    this.depth = depth;
+    this.free = []; // Released emitters waiting for reuse
+  }
+
+  /**
+   * Takes an emitter out of the pool and attaches it to a target
+   *
+   * @param {Phaser.GameObjects.GameObject} target - Object to follow
+   * @param {boolean} [emitting=true] - Whether to start emitting right away
+   * @returns {Phaser.GameObjects.Particles.ParticleEmitter} Emitter
+   */
+  acquire(target, emitting = true) {
+    const emitter =
+      this.free.pop() ||
+      this.scene.add
+        .particles(0, 0, this.texture, { ...this.config, emitting: false })
+        .setDepth(this.depth);
+
+    emitter.startFollow(target);
+    if (emitting) emitter.start();
+
+    return emitter;
+  }
+
+  /**
+   * Returns an emitter to the pool
+   *
+   * @param {Phaser.GameObjects.Particles.ParticleEmitter} emitter - Emitter
+   *        from acquire()
+   */
+  release(emitter) {
+    emitter.stop();
+    emitter.stopFollow();
+    this.free.push(emitter);
+  }
+}
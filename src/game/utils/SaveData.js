@@ -0,0 +1,475 @@
+// src/game/utils/SaveData.js
+
+import { LANE_MODES } from "./LaneLayout";
+
+/**
+ * SaveData
+ *
+ * Persists player data across browser sessions in localStorage:
+ * - progress: completionCount, tutorialCompleted, restartWave
+ * - settings: values chosen in the settings screen
+ * - bindings: keyboard keys for each player action
+ * - stats: lifetime run statistics
+ * - unlocks: rewards earned (puppies seen on the ending screen)
+ * - leaderboards: top-score tables per game mode (see utils/Leaderboard.js)
+ * - daily: best Daily Challenge result per day (see utils/DailyChallenge.js)
+ *
+ * The save is versioned. Older saves are upgraded one version at a time
+ * through MIGRATIONS, then sanitized against the defaults so missing or
+ * mistyped fields fall back instead of breaking the game. Unreadable saves
+ * are copied to a backup key and replaced with defaults.
+ *
+ * Progress, settings and bindings ("keyBindings") are mirrored into the
+ * Phaser registry, which the rest of the game already reads; bindRegistry()
+ * writes registry changes back to storage.
+ */
+
+/**
+ * Current save format version
+ * @constant {number}
+ */
+export const SAVE_VERSION = 1;
+
+/**
+ * localStorage key holding the save
+ * @constant {string}
+ */
+const STORAGE_KEY = "dashjump-save";
+
+/**
+ * localStorage key an unreadable save is copied to before being replaced
+ * @constant {string}
+ */
+const BACKUP_KEY = "dashjump-save-backup";
+
+/**
+ * Default value for every setting
+ * @constant {Object}
+ */
+export const DEFAULT_SETTINGS = {
+  musicVolume: 1, // 0-1
+  sfxVolume: 1, // 0-1
+  swipeSensitivity: 0.5, // 0-1, higher = shorter swipes register
+  particleQuality: "high", // "high", "low" or "off"
+  shakeIntensity: 1, // 0-1, 0 disables screen shake
+  tapToJump: false, // Whether a tap (not just a swipe up) jumps
+  touchControls: "swipe", // "swipe" or "buttons" (on-screen buttons)
+  laneCount: 2, // Lanes in new runs: 2, 3 or "free" (LaneLayout LANE_MODES)
+};
+
+/**
+ * Default keyboard keys per player action, as Phaser key names
+ * (Phaser.Input.Keyboard.KeyCodes). Each action may have several keys.
+ * @constant {Object<string, string[]>}
+ */
+export const DEFAULT_KEY_BINDINGS = {
+  jump: ["W", "UP", "SPACE"],
+  fastDrop: ["S", "DOWN"],
+  dashLeft: ["A", "LEFT"],
+  dashRight: ["D", "RIGHT"],
+};
+
+/**
+ * Fields of one leaderboard entry, with the values mistyped fields fall
+ * back to
+ * @constant {Object}
+ */
+const DEFAULT_LEADERBOARD_ENTRY = {
+  name: "???",
+  score: 0,
+  wave: 1,
+  date: "",
+  mode: "",
+};
+
+/**
+ * Fields of one day's Daily Challenge result, with the values mistyped
+ * fields fall back to
+ * @constant {Object}
+ */
+const DEFAULT_DAILY_RESULT = {
+  timeSurvived: 0,
+  obstaclesDodged: 0,
+};
+
+/**
+ * Date keys of Daily Challenge results (YYYY-MM-DD, see getDailyKey())
+ * @constant {RegExp}
+ */
+const DAILY_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Registry keys mirrored into save.progress
+ * @constant {string[]}
+ */
+const PROGRESS_KEYS = ["completionCount", "tutorialCompleted", "restartWave"];
+
+/**
+ * Upgrades from each version to the next: MIGRATIONS[n] turns a version n
+ * save into a version n + 1 save. Add an entry whenever SAVE_VERSION is
+ * bumped; version 1 is the first format, so there is nothing to upgrade yet.
+ * @constant {Object<number, Function>}
+ */
+const MIGRATIONS = {};
+
+/**
+ * Save currently in use (loaded on first access)
+ * @type {Object|null}
+ */
+let currentSave = null;
+
+// ============================================================================
+// SCHEMA
+// ============================================================================
+
+/**
+ * Creates a save with every field at its default value
+ *
+ * @returns {Object} Default save
+ */
+export function createDefaultSave() {
+  return {
+    version: SAVE_VERSION,
+    progress: {
+      completionCount: 0,
+      tutorialCompleted: false,
+      restartWave: 1,
+    },
+    settings: { ...DEFAULT_SETTINGS },
+    bindings: { ...DEFAULT_KEY_BINDINGS },
+    stats: {
+      runsStarted: 0,
+      deaths: 0,
+      obstaclesDodged: 0,
+      bestEndlessTime: 0,
+    },
+    unlocks: {
+      puppies: [],
+    },
+    leaderboards: {
+      story: [],
+      endless: [],
+      daily: [],
+    },
+    daily: {
+      results: {},
+    },
+  };
+}
+
+/**
+ * Copies a save section, keeping only known fields whose type matches
+ * the default; anything else falls back to the default value
+ *
+ * @param {Object} section - Section from the stored save
+ * @param {Object} defaults - Same section from createDefaultSave()
+ * @returns {Object} Sanitized section
+ * @private
+ */
+function sanitizeSection(section, defaults) {
+  const source = section && typeof section === "object" ? section : {};
+  const result = {};
+
+  Object.keys(defaults).forEach((key) => {
+    const value = source[key];
+    const fallback = defaults[key];
+
+    if (Array.isArray(fallback)) {
+      result[key] = Array.isArray(value) ? [...value] : [...fallback];
+    } else if (typeof fallback === "number") {
+      result[key] = Number.isFinite(value) ? value : fallback;
+    } else {
+      result[key] = typeof value === typeof fallback ? value : fallback;
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Sanitizes the settings
+ * The lane setting is a lane count or "free", so it is checked against
+ * LANE_MODES rather than by type.
+ *
+ * @param {Object} section - Settings from the stored save
+ * @param {Object} defaults - Default settings
+ * @returns {Object} Sanitized settings
+ * @private
+ */
+function sanitizeSettings(section, defaults) {
+  const settings = sanitizeSection(section, defaults);
+  const laneCount = section && section.laneCount;
+  settings.laneCount = LANE_MODES.includes(laneCount)
+    ? laneCount
+    : defaults.laneCount;
+
+  return settings;
+}
+
+/**
+ * Sanitizes the leaderboard tables: entries without a numeric score are
+ * dropped, the rest go through sanitizeSection() so a mistyped name or
+ * wave falls back, and each table is kept best score first
+ *
+ * @param {Object} section - Leaderboards from the stored save
+ * @param {Object} defaults - Empty tables from createDefaultSave()
+ * @returns {Object} Sanitized tables keyed by mode
+ * @private
+ */
+function sanitizeLeaderboards(section, defaults) {
+  const tables = sanitizeSection(section, defaults);
+
+  Object.keys(tables).forEach((mode) => {
+    tables[mode] = tables[mode]
+      .filter((entry) => entry && Number.isFinite(entry.score))
+      .map((entry) => ({
+        ...sanitizeSection(entry, DEFAULT_LEADERBOARD_ENTRY),
+        mode,
+      }))
+      .sort((a, b) => b.score - a.score);
+  });
+
+  return tables;
+}
+
+/**
+ * Sanitizes the Daily Challenge results: days with a malformed date key or
+ * without a numeric time are dropped, the rest go through
+ * sanitizeSection()
+ *
+ * @param {Object} section - Daily section from the stored save
+ * @param {Object} defaults - Empty daily section from createDefaultSave()
+ * @returns {Object} Sanitized section
+ * @private
+ */
+function sanitizeDaily(section, defaults) {
+  const daily = sanitizeSection(section, defaults);
+  const source =
+    daily.results && typeof daily.results === "object" ? daily.results : {};
+
+  daily.results = {};
+  Object.keys(source).forEach((dateKey) => {
+    const result = source[dateKey];
+    if (!DAILY_KEY_PATTERN.test(dateKey)) return;
+    if (!result || !Number.isFinite(result.timeSurvived)) return;
+
+    daily.results[dateKey] = sanitizeSection(result, DEFAULT_DAILY_RESULT);
+  });
+
+  return daily;
+}
+
+/**
+ * Sanitizes every section of a save at the current version
+ *
+ * @param {Object} data - Save data at SAVE_VERSION
+ * @returns {Object} Complete, well-typed save
+ * @private
+ */
+function sanitizeSave(data) {
+  const defaults = createDefaultSave();
+
+  return {
+    version: SAVE_VERSION,
+    progress: sanitizeSection(data.progress, defaults.progress),
+    settings: sanitizeSettings(data.settings, defaults.settings),
+    bindings: sanitizeSection(data.bindings, defaults.bindings),
+    stats: sanitizeSection(data.stats, defaults.stats),
+    unlocks: sanitizeSection(data.unlocks, defaults.unlocks),
+    leaderboards: sanitizeLeaderboards(
+      data.leaderboards,
+      defaults.leaderboards
+    ),
+    daily: sanitizeDaily(data.daily, defaults.daily),
+  };
+}
+
+/**
+ * Upgrades a save to SAVE_VERSION
+ *
+ * @param {Object} data - Parsed save of any known version
+ * @returns {Object} Save at SAVE_VERSION
+ * @throws {Error} If the version is unknown or a migration is missing
+ * @private
+ */
+function migrate(data) {
+  let version = data.version;
+  if (!Number.isInteger(version) || version < 1 || version > SAVE_VERSION) {
+    throw new Error(`Unknown save version: ${version}`);
+  }
+
+  let migrated = data;
+  while (version < SAVE_VERSION) {
+    if (!MIGRATIONS[version]) {
+      throw new Error(`No migration from save version ${version}`);
+    }
+    migrated = MIGRATIONS[version](migrated);
+    version++;
+  }
+
+  return migrated;
+}
+
+// ============================================================================
+// STORAGE
+// ============================================================================
+
+/**
+ * Reads the save from localStorage
+ * Missing data starts fresh; unreadable data is backed up, then replaced
+ *
+ * @returns {Object} Loaded save
+ * @private
+ */
+function readSave() {
+  let raw = null;
+
+  try {
+    raw = window.localStorage.getItem(STORAGE_KEY);
+    if (!raw) return createDefaultSave();
+
+    const data = JSON.parse(raw);
+    if (!data || typeof data !== "object" || Array.isArray(data)) {
+      throw new Error("Save is not an object");
+    }
+
+    return sanitizeSave(migrate(data));
+  } catch (error) {
+    console.warn("Could not read save data, starting fresh:", error);
+
+    // Keep the unreadable data around instead of silently losing it
+    if (raw) {
+      try {
+        window.localStorage.setItem(BACKUP_KEY, raw);
+      } catch (backupError) {
+        console.warn("Could not back up save data:", backupError);
+      }
+    }
+
+    return createDefaultSave();
+  }
+}
+
+/**
+ * Writes the current save to localStorage
+ *
+ * @private
+ */
+function writeSave() {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(currentSave));
+  } catch (error) {
+    console.warn("Could not write save data:", error);
+  }
+}
+
+/**
+ * Returns the save, loading it on first access
+ *
+ * @returns {Object} Current save (treat as read-only; use the update helpers)
+ */
+export function getSave() {
+  if (!currentSave) {
+    currentSave = readSave();
+  }
+  return currentSave;
+}
+
+/**
+ * Merges changes into one section of the save and writes it
+ *
+ * @param {string} section - "progress", "settings", "bindings", "stats",
+ *        "unlocks", "leaderboards" or "daily"
+ * @param {Object} changes - Fields to overwrite
+ */
+export function updateSave(section, changes) {
+  const save = getSave();
+  save[section] = { ...save[section], ...changes };
+  writeSave();
+}
+
+/**
+ * Adds to lifetime stats and keeps the best Endless time
+ *
+ * @param {Object} run - Stats from a finished run
+ * @param {number} [run.runsStarted=0] - Runs to add
+ * @param {number} [run.deaths=0] - Deaths to add
+ * @param {number} [run.obstaclesDodged=0] - Obstacles dodged to add
+ * @param {number} [run.endlessTime] - Endless survival time in ms, if any
+ */
+export function recordStats(run) {
+  const stats = getSave().stats;
+
+  updateSave("stats", {
+    runsStarted: stats.runsStarted + (run.runsStarted || 0),
+    deaths: stats.deaths + (run.deaths || 0),
+    obstaclesDodged: stats.obstaclesDodged + (run.obstaclesDodged || 0),
+    bestEndlessTime: Math.max(stats.bestEndlessTime, run.endlessTime || 0),
+  });
+}
+
+/**
+ * Marks a puppy image as unlocked
+ *
+ * @param {string} puppy - Texture key of the puppy shown
+ */
+export function unlockPuppy(puppy) {
+  const puppies = getSave().unlocks.puppies;
+  if (puppies.includes(puppy)) return;
+
+  updateSave("unlocks", { puppies: [...puppies, puppy] });
+}
+
+/**
+ * Erases progress, stats, unlocks and Daily Challenge bests, keeping
+ * settings, bindings and leaderboards
+ */
+export function resetProgress() {
+  const defaults = createDefaultSave();
+  const save = getSave();
+
+  save.progress = defaults.progress;
+  save.stats = defaults.stats;
+  save.unlocks = defaults.unlocks;
+  save.daily = defaults.daily;
+  writeSave();
+}
+
+// ============================================================================
+// REGISTRY SYNC
+// ============================================================================
+
+/**
+ * Copies saved progress, settings and bindings into the registry
+ *
+ * @param {Phaser.Data.DataManager} registry - Game registry
+ */
+export function loadSaveIntoRegistry(registry) {
+  const save = getSave();
+
+  PROGRESS_KEYS.forEach((key) => registry.set(key, save.progress[key]));
+  registry.set("settings", { ...save.settings });
+  registry.set("keyBindings", { ...save.bindings });
+}
+
+/**
+ * Writes registry changes to progress, settings and bindings back to the save
+ *
+ * Changes made while a replay plays back are not saved: replays set the
+ * progress flags they were recorded with, which aren't the player's own.
+ *
+ * @param {Phaser.Data.DataManager} registry - Game registry
+ */
+export function bindRegistry(registry) {
+  registry.events.on("changedata", (parent, key, value) => {
+    if (registry.get("replayPlayback")) return;
+
+    if (PROGRESS_KEYS.includes(key)) {
+      updateSave("progress", { [key]: value });
+    } else if (key === "settings") {
+      updateSave("settings", value);
+    } else if (key === "keyBindings") {
+      updateSave("bindings", value);
+    }
+  });
+}
@@ -0,0 +1,96 @@
+// src/game/utils/SeededRandom.js
+
+/**
+ * SeededRandom
+ *
+ * Small deterministic pseudo-random number generator (mulberry32).
+ * Two instances created with the same seed produce the same sequence,
+ * which lets Daily Challenge players face an identical obstacle stream.
+ *
+ * All gameplay randomness goes through scene.rng instead of Math.random
+ * or Phaser.Math helpers. Cosmetic systems (clouds) use a fork() so their
+ * frame-dependent draws never shift the obstacle sequence.
+ *
+ * @class
+ */
+export class SeededRandom {
+  /**
+   * Creates a new generator
+   *
+   * @param {number} seed - 32-bit unsigned integer seed
+   */
+  constructor(seed) {
+    this.seed = seed >>> 0;
+    this.state = this.seed;
+  }
+
+  /**
+   * Creates a random seed for unseeded (regular) runs
+   *
+   * @returns {number} 32-bit unsigned integer seed
+   */
+  static randomSeed() {
+    return Math.floor(Math.random() * 0x100000000) >>> 0;
+  }
+
+  /**
+   * Hashes a string into a 32-bit seed (FNV-1a)
+   *
+   * @param {string} text - Text to hash, e.g. a date key
+   * @returns {number} 32-bit unsigned integer seed
+   */
+  static hashString(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+
+  /**
+   * Returns the next float in [0, 1), like Math.random()
+   *
+   * @returns {number} Pseudo-random float
+   */
+  next() {
+    this.state = (this.state + 0x6d2b79f5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+  }
+
+  /**
+   * Returns an integer between min and max (inclusive)
+   * Drop-in replacement for Phaser.Math.Between
+   *
+   * @param {number} min - Lowest value
+   * @param {number} max - Highest value
+   * @returns {number} Pseudo-random integer
+   */
+  between(min, max) {
+    return Math.floor(this.next() * (max - min + 1)) + min;
+  }
+
+  /**
+   * Returns a float between min and max
+   * Drop-in replacement for Phaser.Math.FloatBetween
+   *
+   * @param {number} min - Lowest value
+   * @param {number} max - Highest value
+   * @returns {number} Pseudo-random float
+   */
+  floatBetween(min, max) {
+    return this.next() * (max - min) + min;
+  }
+
+  /**
+   * Creates an independent generator seeded from this one
+   *
+   * @returns {SeededRandom} New generator with its own sequence
+   */
+  fork() {
+    return new SeededRandom(Math.floor(this.next() * 0x100000000));
+  }
+}
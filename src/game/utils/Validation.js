@@ -0,0 +1,50 @@
+// src/game/utils/Validation.js
+
+/**
+ * Validation
+ *
+ * Field checks and error reporting shared by the JSON data validators
+ * (waves/WaveScripts.js, bosses/BossTimelines.js, and replay files in
+ * controllers/ReplayManager.js). The validators collect
+ * every problem in a file before throwing, so a malformed file fails
+ * loudly at boot with all of its mistakes listed instead of one at a
+ * time, or mid-game.
+ */
+
+export const isNonNegativeNumber = (value) =>
+  typeof value === "number" && Number.isFinite(value) && value >= 0;
+
+export const isPositiveInteger = (value) =>
+  Number.isInteger(value) && value > 0;
+
+/**
+ * Reusable field checks. Each returns an error description or null if
+ * the value is valid; validators map their field names onto these.
+ * @constant {Object<string, Function>}
+ */
+export const CHECKS = {
+  nonNegativeNumber: (v) =>
+    isNonNegativeNumber(v) ? null : "must be a number >= 0",
+  positiveNumber: (v) =>
+    isNonNegativeNumber(v) && v > 0 ? null : "must be a number > 0",
+  positiveInteger: (v) =>
+    isPositiveInteger(v) ? null : "must be an integer > 0",
+  nonNegativeInteger: (v) =>
+    Number.isInteger(v) && v >= 0 ? null : "must be an integer >= 0",
+  boolean: (v) => (typeof v === "boolean" ? null : "must be a boolean"),
+};
+
+/**
+ * Throws one error listing every problem found, if there are any
+ *
+ * @param {string[]} errors - Problems collected by a validator
+ * @param {string} source - Name of the validated file, for the message
+ * @throws {Error} "Invalid <source>:" followed by one problem per line
+ */
+export function throwIfInvalid(errors, source) {
+  if (errors.length === 0) return;
+
+  throw new Error(
+    `Invalid ${source}:\n${errors.map((e) => `  - ${e}`).join("\n")}`
+  );
+}
@@ -0,0 +1,350 @@
+// src/game/waves/WaveScripts.js
+
+import {
+  getObstacleType,
+  getObstacleTypeNames,
+} from "../obstacles/ObstacleTypes";
+import wave1 from "./wave1.json";
+import wave2 from "./wave2.json";
+import wave3 from "./wave3.json";
+import { CHECKS, isPositiveInteger, throwIfInvalid } from "../utils/Validation";
+
+/**
+ * WaveScripts
+ *
+ * Loads, validates and normalizes the JSON wave scripts that WaveManager
+ * interprets. A script is a list of steps executed one after another:
+ *
+ * {
+ *   "wave": 2,
+ *   "name": "SECOND WAVE",
+ *   "caps": { "ball": 2 },
+ *   "defaults": { "waitForClear": true, "after": 300 },
+ *   "steps": [{ "type": "spike" }, { "type": "miniShower", "after": 500 }]
+ * }
+ *
+ * "caps" raises or lowers how many obstacles of a type may be in play at
+ * once during the wave (see maxActive in obstacles/ObstacleTypes.js).
+ *
+ * Fields shared by every step:
+ * - delay: ms to wait before the step runs (default 0)
+ * - after: ms to wait after the step completes (default 0)
+ * - waitForClear: wait for an empty field before spawning, then wait for
+ *   the spawned obstacle to clear before counting "after" (default false)
+ * - repeat: run the step this many times in a row (default 1)
+ *
+ * Step types and their own fields:
+ * - Every obstacle type registered in obstacles/ObstacleTypes.js spawns
+ *   that obstacle by name, with an optional lane if the type has lanes
+ *   and the type's scriptOptions:
+ *   - spike: optional lane ("left" | "right" | "player" | lane index),
+ *     targets player if omitted
+ *   - ball: optional side ("left" | "right"), opposite the player if omitted
+ *   - weave: no extra fields
+ * - miniShower: 3 tracked spikes sweeping across the lanes
+ * - spikeShower: 10 spikes sweeping back and forth, clear waits for the
+ *   full shower
+ * - bossLaneAttack: lane ("left" | "right" | lane index) and shots (count);
+ *   the boss flies in for one lane volley, and the step completes once it
+ *   has left or been defeated (a lane attack starting while the boss is
+ *   still busy waits for it)
+ * - weaveStream: continuous weaves for duration ms
+ * - wait: idle for duration ms
+ * - dialogue: lines (string array), continues once the player finishes reading
+ * - dynamic: Wave 1 style random spawning for duration ms, with optional
+ *   difficultyInterval (ms) and difficultyStep (multiplier increase)
+ *
+ * "left" and "right" are the outermost lanes. Lane indices count from 0 on
+ * the left and are clamped to the run's lane count, so a script written
+ * for three lanes still plays with two.
+ *
+ * Scripts are validated when this module loads (see utils/Validation.js).
+ */
+
+// ============================================================================
+// SCHEMA
+// ============================================================================
+
+/**
+ * Step type definitions: which extra fields each type requires or accepts
+ * Obstacle spawn steps are added from the obstacle registry below.
+ * @constant {Object<string, {required: string[], optional: string[]}>}
+ */
+export const STEP_TYPES = {
+  miniShower: { required: [], optional: [] },
+  spikeShower: { required: [], optional: [] },
+  bossLaneAttack: { required: ["lane", "shots"], optional: [] },
+  weaveStream: { required: ["duration"], optional: [] },
+  wait: { required: ["duration"], optional: [] },
+  dialogue: { required: ["lines"], optional: [] },
+  dynamic: {
+    required: [],
+    optional: ["duration", "difficultyInterval", "difficultyStep"],
+  },
+};
+
+/**
+ * Fields every step may carry regardless of type
+ * @constant {string[]}
+ */
+const COMMON_FIELDS = ["type", "delay", "after", "waitForClear", "repeat"];
+
+/**
+ * Fields allowed in a script's "defaults" block
+ * @constant {string[]}
+ */
+const DEFAULTABLE_FIELDS = ["delay", "after", "waitForClear"];
+
+/**
+ * Lane names accepted per step type (lane indices are accepted by all)
+ * Obstacle types declare their own (see obstacles/ObstacleTypes.js).
+ * @constant {Object<string, string[]>}
+ */
+const LANES = {
+  bossLaneAttack: ["left", "right"],
+};
+
+/**
+ * Allowed values of each obstacle type's scriptOptions, by step type
+ * @constant {Object<string, Object<string, string[]>>}
+ */
+const OBSTACLE_OPTIONS = {};
+
+// Every registered obstacle type is a spawn step
+getObstacleTypeNames().forEach((type) => {
+  const { lanes, scriptOptions } = getObstacleType(type);
+  STEP_TYPES[type] = {
+    required: [],
+    optional: [...(lanes ? ["lane"] : []), ...Object.keys(scriptOptions)],
+  };
+  if (lanes) LANES[type] = lanes;
+  OBSTACLE_OPTIONS[type] = scriptOptions;
+});
+
+/**
+ * Per-field checks. Each returns an error description or null if valid.
+ * @constant {Object<string, Function>}
+ */
+const FIELD_CHECKS = {
+  delay: CHECKS.nonNegativeNumber,
+  after: CHECKS.nonNegativeNumber,
+  duration: CHECKS.nonNegativeNumber,
+  difficultyInterval: CHECKS.positiveNumber,
+  difficultyStep: CHECKS.nonNegativeNumber,
+  shots: CHECKS.positiveInteger,
+  repeat: CHECKS.positiveInteger,
+  waitForClear: CHECKS.boolean,
+  lines: (v) =>
+    Array.isArray(v) &&
+    v.length > 0 &&
+    v.every((line) => typeof line === "string")
+      ? null
+      : "must be a non-empty array of strings",
+};
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+/**
+ * Validates a raw wave script and returns a normalized copy
+ *
+ * Normalization:
+ * - "defaults" are merged into every step that doesn't override them
+ * - delay/after/waitForClear are always present on the returned steps
+ * - "repeat" is expanded into consecutive copies of the step
+ *
+ * @param {Object} script - Parsed JSON wave script
+ * @param {string} [source="wave script"] - Name used in error messages
+ * @returns {{wave: number, name: string, caps: Object<string, number>,
+ *          steps: Object[]}}
+ *          Normalized script ready for WaveManager
+ * @throws {Error} Listing every problem found, one per line
+ */
+export function validateWaveScript(script, source = "wave script") {
+  const errors = [];
+
+  if (!script || typeof script !== "object" || Array.isArray(script)) {
+    throw new Error(`Invalid ${source}: expected a JSON object`);
+  }
+
+  if (!isPositiveInteger(script.wave)) {
+    errors.push(`"wave" must be an integer > 0`);
+  }
+  if (script.name !== undefined && typeof script.name !== "string") {
+    errors.push(`"name" must be a string`);
+  }
+
+  // ===== Caps Block =====
+  const caps = script.caps || {};
+  if (typeof caps !== "object" || Array.isArray(caps)) {
+    errors.push(`"caps" must be an object`);
+  } else {
+    Object.keys(caps).forEach((type) => {
+      if (!getObstacleType(type)) {
+        errors.push(
+          `caps.${type} is not an obstacle type (expected one of ${getObstacleTypeNames().join(
+            ", "
+          )})`
+        );
+      } else if (!isPositiveInteger(caps[type])) {
+        errors.push(`caps.${type} must be an integer > 0`);
+      }
+    });
+  }
+
+  // ===== Defaults Block =====
+  const defaults = script.defaults || {};
+  if (typeof defaults !== "object" || Array.isArray(defaults)) {
+    errors.push(`"defaults" must be an object`);
+  } else {
+    Object.keys(defaults).forEach((key) => {
+      if (!DEFAULTABLE_FIELDS.includes(key)) {
+        errors.push(
+          `defaults.${key} is not allowed (use ${DEFAULTABLE_FIELDS.join(
+            ", "
+          )})`
+        );
+        return;
+      }
+      const problem = FIELD_CHECKS[key](defaults[key]);
+      if (problem) errors.push(`defaults.${key} ${problem}`);
+    });
+  }
+
+  // ===== Steps =====
+  if (!Array.isArray(script.steps) || script.steps.length === 0) {
+    errors.push(`"steps" must be a non-empty array`);
+  } else {
+    script.steps.forEach((step, index) =>
+      validateStep(step, `steps[${index}]`, errors)
+    );
+  }
+
+  throwIfInvalid(errors, source);
+
+  // ===== Normalize =====
+  const steps = [];
+  script.steps.forEach((step) => {
+    const { repeat = 1, ...fields } = step;
+    const normalized = {
+      delay: 0,
+      after: 0,
+      waitForClear: false,
+      ...defaults,
+      ...fields,
+    };
+    for (let i = 0; i < repeat; i++) {
+      steps.push({ ...normalized });
+    }
+  });
+
+  return {
+    wave: script.wave,
+    name: script.name || "",
+    caps: { ...caps },
+    steps,
+  };
+}
+
+/**
+ * Validates a single step, pushing any problems onto the errors array
+ *
+ * @param {Object} step - Raw step object
+ * @param {string} path - Location used in error messages (e.g. "steps[3]")
+ * @param {string[]} errors - Accumulated error messages
+ * @private
+ */
+function validateStep(step, path, errors) {
+  if (!step || typeof step !== "object" || Array.isArray(step)) {
+    errors.push(`${path} must be an object`);
+    return;
+  }
+
+  const definition = STEP_TYPES[step.type];
+  if (!definition) {
+    errors.push(
+      `${path}.type "${
+        step.type
+      }" is not a known step type (expected one of ${Object.keys(
+        STEP_TYPES
+      ).join(", ")})`
+    );
+    return;
+  }
+
+  const allowed = [
+    ...COMMON_FIELDS,
+    ...definition.required,
+    ...definition.optional,
+  ];
+
+  Object.keys(step).forEach((key) => {
+    if (key === "type") return;
+    if (!allowed.includes(key)) {
+      errors.push(`${path}.${key} is not a valid field for "${step.type}"`);
+      return;
+    }
+
+    if (key === "lane") {
+      const isLaneIndex = Number.isInteger(step.lane) && step.lane >= 0;
+      if (!isLaneIndex && !LANES[step.type].includes(step.lane)) {
+        errors.push(
+          `${path}.lane "${
+            step.lane
+          }" must be a lane index >= 0 or one of ${LANES[step.type].join(", ")}`
+        );
+      }
+      return;
+    }
+
+    const values = (OBSTACLE_OPTIONS[step.type] || {})[key];
+    if (values) {
+      if (!values.includes(step[key])) {
+        errors.push(
+          `${path}.${key} "${step[key]}" must be one of ${values.join(", ")}`
+        );
+      }
+      return;
+    }
+
+    const problem = FIELD_CHECKS[key](step[key]);
+    if (problem) errors.push(`${path}.${key} ${problem}`);
+  });
+
+  definition.required.forEach((key) => {
+    if (step[key] === undefined) {
+      errors.push(`${path} ("${step.type}") is missing required "${key}"`);
+    }
+  });
+}
+
+// ============================================================================
+// SCRIPT REGISTRY
+// ============================================================================
+
+/**
+ * Validated scripts for the story waves, keyed by wave number
+ * @constant {Object<number, Object>}
+ */
+const WAVE_SCRIPTS = {
+  1: validateWaveScript(wave1, "wave1.json"),
+  2: validateWaveScript(wave2, "wave2.json"),
+  3: validateWaveScript(wave3, "wave3.json"),
+};
+
+/**
+ * Waves with a script, in order
+ * @constant {number[]}
+ */
+export const WAVE_NUMBERS = Object.keys(WAVE_SCRIPTS).map(Number);
+
+/**
+ * Returns the validated script for a wave
+ *
+ * @param {number} waveNumber - Wave to look up (1-3)
+ * @returns {Object|null} Normalized script, or null if none is defined
+ */
+export function getWaveScript(waveNumber) {
+  return WAVE_SCRIPTS[waveNumber] || null;
+}